@@ -22,6 +22,8 @@ import NotFoundPage from './pages/NotFoundPage';
 import CreateInventoryPage from './pages/CreateInventoryPage';
 import EditInventoryPage from './pages/EditInventoryPage';
 import CreateItemPage from './pages/CreateItemPage';
+import TemplatesPage from './pages/TemplatesPage';
+import ScanPage from './pages/ScanPage';
 
 import LoadingSpinner from './components/UI/LoadingSpinner';
 
@@ -73,6 +75,8 @@ function AppContent() {
             <Route path="/auth/success" element={<AuthSuccess />} />
             <Route path="/search" element={<SearchResultsPage />} />
             <Route path="/inventories" element={<InventoryListPage />} />
+            <Route path="/templates" element={<TemplatesPage />} />
+            <Route path="/scan" element={<ScanPage />} />
             <Route 
               path="/inventories/create" 
               element={
@@ -17,22 +17,23 @@ const DEFAULT_LIST_PATH = '/api/items/inventory/:id';
 export const canListItems = () => LIST_MODE !== 'none';
 export const canCreateItems = () => CREATE_MODE !== 'none';
 
-export function getItemsListRequest(id, axios) {
+// `params` are passed as query parameters (e.g. { filter: { [fieldId]: option } })
+export function getItemsListRequest(id, axios, params = {}) {
   if (!id) return Promise.resolve([]);
   switch (LIST_MODE) {
     case 'nested':
-      return axios.get(`/api/inventories/${id}/items`).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
+      return axios.get(`/api/inventories/${id}/items`, { params }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
     case 'flat':
-      return axios.get(`/api/items`, { params: { inventoryId: id } }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
+      return axios.get(`/api/items`, { params: { ...params, inventoryId: id } }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
     case 'custom': {
       const path = (import.meta?.env?.VITE_ITEMS_LIST_PATH || DEFAULT_LIST_PATH).trim();
       if (!path) return Promise.resolve([]);
       if (path.includes(':id')) {
         const url = path.replace(':id', id);
-        return axios.get(url).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
+        return axios.get(url, { params }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
       }
       // treat as flat with query param ?inventoryId=
-      return axios.get(path, { params: { inventoryId: id } }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
+      return axios.get(path, { params: { ...params, inventoryId: id } }).then(r => Array.isArray(r.data) ? r.data : r.data?.items || []);
     }
     case 'none':
     default:
@@ -0,0 +1,383 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { ClipboardCheck, ScanLine, Undo2 } from 'lucide-react';
+import DeleteModal from '../UI/DeleteModal';
+
+const RESULTS = [
+  { value: 'found', label: 'Found', badge: 'bg-green-100 text-green-800', bar: 'bg-green-500' },
+  { value: 'damaged', label: 'Damaged', badge: 'bg-amber-100 text-amber-800', bar: 'bg-amber-400' },
+  { value: 'missing', label: 'Missing', badge: 'bg-red-100 text-red-800', bar: 'bg-red-500' },
+];
+const resultOf = (status) => RESULTS.find((r) => r.value === status);
+
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+const errorMessage = (e, fallback) => e?.response?.data?.message || fallback;
+
+// Found / damaged / missing as coloured segments of one bar, the rest (unaccounted) left grey
+function AuditProgress({ progress }) {
+  const { total = 0, unaccounted = 0 } = progress || {};
+  const accounted = total - unaccounted;
+  return (
+    <div>
+      <div className="flex h-3 w-full overflow-hidden rounded bg-gray-200">
+        {total > 0 && RESULTS.map((r) => (
+          <div key={r.value} className={r.bar} style={{ width: `${(100 * (progress[r.value] || 0)) / total}%` }} title={`${r.label}: ${progress[r.value] || 0}`} />
+        ))}
+      </div>
+      <div className="mt-1 flex flex-wrap gap-3 text-xs text-gray-600">
+        <span className="font-medium text-gray-800">{accounted} of {total} accounted for</span>
+        {RESULTS.map((r) => <span key={r.value}>{r.label}: {progress?.[r.value] || 0}</span>)}
+        <span>Unaccounted: {unaccounted}</span>
+      </div>
+    </div>
+  );
+}
+
+function ItemLabel({ item }) {
+  if (!item) return <span className="text-gray-400">Deleted item</span>;
+  return (
+    <Link to={`/items/${item.id}`} className="text-blue-600 hover:underline">
+      <span className="font-mono">{item.customId || item.id}</span>
+      {item.title ? <span className="ml-2 text-gray-700">{item.title}</span> : null}
+    </Link>
+  );
+}
+
+// Items of a closed audit's report (unaccounted, missing or damaged at closing)
+function ReportList({ title, items }) {
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-800">{title} ({items.length})</h4>
+      {items.length === 0 ? (
+        <p className="text-xs text-gray-500">None</p>
+      ) : (
+        <ul className="mt-1 space-y-1 text-sm">
+          {items.map((item) => (
+            <li key={item.id}>
+              <ItemLabel item={item} />
+              {item.note ? <span className="ml-2 text-xs text-gray-500">— {item.note}</span> : null}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Scan box: a keyboard-wedge scanner types the code and presses Enter, so the field keeps focus
+// and clears after every recorded item
+function ScanForm({ auditId, onRecorded }) {
+  const [code, setCode] = useState('');
+  const [status, setStatus] = useState('found');
+  const [feedback, setFeedback] = useState(null);
+  const inputRef = useRef(null);
+
+  const scanMutation = useMutation(
+    (body) => axios.post(`/api/audits/${auditId}/scan`, body).then((r) => r.data),
+    {
+      onSuccess: (data) => {
+        const { customId, title } = data.entry.Item || {};
+        const again = data.previous ? ` (was ${resultOf(data.previous)?.label.toLowerCase()})` : '';
+        setFeedback({ ok: true, text: `${customId}${title ? ` ${title}` : ''}: ${resultOf(data.entry.status)?.label.toLowerCase()}${again}` });
+        setCode('');
+        onRecorded();
+      },
+      onError: (e) => setFeedback({ ok: false, text: errorMessage(e, 'Failed to record the scan') }),
+      onSettled: () => inputRef.current?.focus(),
+    }
+  );
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!code.trim() || scanMutation.isLoading) return;
+    scanMutation.mutate({ code: code.trim(), status });
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <ScanLine className="h-4 w-4 text-gray-500" />
+        <input
+          ref={inputRef}
+          autoFocus
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Scan or type a custom ID"
+          className="flex-1 min-w-48 rounded-md border border-gray-300 px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="rounded-md border border-gray-300 px-2 py-1 text-sm">
+          {RESULTS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <button type="submit" disabled={!code.trim() || scanMutation.isLoading} className="px-3 py-1 rounded-md bg-blue-600 text-white text-sm disabled:opacity-50">
+          Record
+        </button>
+      </div>
+      {feedback && <p className={`text-xs ${feedback.ok ? 'text-green-700' : 'text-red-600'}`}>{feedback.text}</p>}
+    </form>
+  );
+}
+
+// One audit: progress, scanning and marking while open, the stored report once closed
+function AuditDetail({ auditId, onDeleted }) {
+  const queryClient = useQueryClient();
+  const [confirm, setConfirm] = useState(null);
+  const [error, setError] = useState('');
+  const { data, isLoading } = useQuery(
+    ['audit', auditId],
+    () => axios.get(`/api/audits/${auditId}`).then((r) => r.data)
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['audit', auditId]);
+    queryClient.invalidateQueries(['inventory:audits', data?.audit.inventoryId]);
+  };
+  const onError = (e) => setError(errorMessage(e, 'Request failed'));
+  const markMutation = useMutation(
+    ({ itemId, status }) => axios.put(`/api/audits/${auditId}/items/${itemId}`, { status }),
+    { onSuccess: () => { setError(''); refresh(); }, onError }
+  );
+  const undoMutation = useMutation(
+    (itemId) => axios.delete(`/api/audits/${auditId}/items/${itemId}`),
+    { onSuccess: () => { setError(''); refresh(); }, onError }
+  );
+  const closeMutation = useMutation(
+    () => axios.post(`/api/audits/${auditId}/close`),
+    { onSuccess: () => { setConfirm(null); refresh(); }, onError: (e) => { setConfirm(null); onError(e); } }
+  );
+  const deleteMutation = useMutation(
+    () => axios.delete(`/api/audits/${auditId}`),
+    {
+      onSuccess: () => {
+        setConfirm(null);
+        queryClient.removeQueries(['audit', auditId]);
+        queryClient.invalidateQueries(['inventory:audits', data?.audit.inventoryId]);
+        onDeleted();
+      },
+      onError: (e) => { setConfirm(null); onError(e); },
+    }
+  );
+
+  if (isLoading) return <p className="text-sm text-gray-500">Loading audit…</p>;
+  if (!data) return <p className="text-sm text-gray-500">Audit not found</p>;
+
+  const { audit, entries, unaccounted, report, canMark, canManage } = data;
+  const open = audit.status === 'open';
+
+  return (
+    <div className="space-y-4 rounded border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="text-base font-semibold text-gray-900">{audit.title}</h3>
+        <span className={`px-2 py-0.5 rounded text-xs ${open ? 'bg-blue-100 text-blue-800' : 'bg-gray-200 text-gray-800'}`}>{open ? 'Open' : 'Closed'}</span>
+        <span className="text-xs text-gray-500">
+          Started {new Date(audit.createdAt).toLocaleString()}{audit.starter ? ` by ${userName(audit.starter)}` : ''}
+          {audit.closedAt ? ` · closed ${new Date(audit.closedAt).toLocaleString()}${audit.closer ? ` by ${userName(audit.closer)}` : ''}` : ''}
+        </span>
+        {canManage && (
+          <div className="ml-auto flex gap-2">
+            {open && (
+              <button type="button" className="px-3 py-1 rounded-md bg-blue-600 text-white text-sm" onClick={() => setConfirm('close')}>
+                Close audit
+              </button>
+            )}
+            <button type="button" className="px-3 py-1 rounded-md border border-red-200 text-red-700 text-sm hover:bg-red-50" onClick={() => setConfirm('delete')}>
+              {open ? 'Discard' : 'Delete'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <AuditProgress progress={audit.progress} />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {canMark && <ScanForm auditId={auditId} onRecorded={refresh} />}
+
+      {open ? (
+        <>
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800">Not accounted for ({unaccounted.length})</h4>
+            {unaccounted.length === 0 ? (
+              <p className="text-xs text-gray-500">Every item has a result.</p>
+            ) : (
+              <ul className="mt-1 max-h-80 overflow-y-auto divide-y divide-gray-100 text-sm">
+                {unaccounted.map((item) => (
+                  <li key={item.id} className="flex items-center gap-2 py-1">
+                    <ItemLabel item={item} />
+                    {canMark && (
+                      <div className="ml-auto flex gap-1">
+                        {RESULTS.map((r) => (
+                          <button
+                            key={r.value}
+                            type="button"
+                            disabled={markMutation.isLoading}
+                            onClick={() => markMutation.mutate({ itemId: item.id, status: r.value })}
+                            className={`px-2 py-0.5 rounded text-xs ${r.badge} disabled:opacity-50`}
+                          >
+                            {r.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800">Recorded ({entries.length})</h4>
+            {entries.length === 0 ? (
+              <p className="text-xs text-gray-500">Nothing recorded yet.</p>
+            ) : (
+              <ul className="mt-1 max-h-80 overflow-y-auto divide-y divide-gray-100 text-sm">
+                {entries.map((entry) => (
+                  <li key={entry.id} className="flex flex-wrap items-center gap-2 py-1">
+                    <span className={`px-2 py-0.5 rounded text-xs ${resultOf(entry.status)?.badge}`}>{resultOf(entry.status)?.label}</span>
+                    <ItemLabel item={entry.Item} />
+                    {entry.note ? <span className="text-xs text-gray-500">— {entry.note}</span> : null}
+                    <span className="ml-auto text-xs text-gray-500">
+                      {entry.method === 'scan' ? 'Scanned' : 'Marked'}{entry.checker ? ` by ${userName(entry.checker)}` : ''} · {new Date(entry.updatedAt).toLocaleTimeString()}
+                    </span>
+                    {canMark && (
+                      <button type="button" title="Undo" className="text-gray-500 hover:text-gray-800" onClick={() => undoMutation.mutate(entry.itemId)}>
+                        <Undo2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      ) : report && (
+        <div className="grid gap-4 sm:grid-cols-3">
+          <ReportList title="Unaccounted" items={report.unaccounted || []} />
+          <ReportList title="Missing" items={report.missing || []} />
+          <ReportList title="Damaged" items={report.damaged || []} />
+        </div>
+      )}
+
+      <DeleteModal
+        open={confirm === 'close'}
+        title="Close audit"
+        description={`Close "${audit.title}"? ${audit.progress.unaccounted} item(s) without a result will be listed as unaccounted in the report, and no more results can be recorded.`}
+        confirmLabel="Close audit"
+        isLoading={closeMutation.isLoading}
+        onConfirm={() => closeMutation.mutate()}
+        onClose={() => { if (!closeMutation.isLoading) setConfirm(null); }}
+      />
+      <DeleteModal
+        open={confirm === 'delete'}
+        title={open ? 'Discard audit' : 'Delete audit'}
+        description={`Delete "${audit.title}" and all of its results?`}
+        isLoading={deleteMutation.isLoading}
+        onConfirm={() => deleteMutation.mutate()}
+        onClose={() => { if (!deleteMutation.isLoading) setConfirm(null); }}
+      />
+    </div>
+  );
+}
+
+// Audits tab of an inventory: the open audit (or a start form), and the history of past audits
+// with their reports. Results recorded by other team members arrive over the inventory's socket.
+export default function AuditPanel({ inventoryId, socketRef }) {
+  const queryClient = useQueryClient();
+  const [title, setTitle] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const { data, isLoading } = useQuery(
+    ['inventory:audits', inventoryId],
+    () => axios.get(`/api/audits/inventory/${inventoryId}`).then((r) => r.data)
+  );
+
+  const startMutation = useMutation(
+    () => axios.post(`/api/audits/inventory/${inventoryId}`, { title }).then((r) => r.data),
+    {
+      onSuccess: (res) => {
+        setTitle('');
+        setSelectedId(res.audit.id);
+        queryClient.invalidateQueries(['inventory:audits', inventoryId]);
+      },
+    }
+  );
+
+  useEffect(() => {
+    const s = socketRef?.current;
+    if (!s) return;
+    const onAuditUpdated = ({ auditId, inventoryId: changed }) => {
+      if (String(changed) !== String(inventoryId)) return;
+      queryClient.invalidateQueries(['inventory:audits', inventoryId]);
+      queryClient.invalidateQueries(['audit', auditId]);
+    };
+    s.on('auditUpdated', onAuditUpdated);
+    return () => { s.off('auditUpdated', onAuditUpdated); };
+  }, [socketRef, inventoryId, queryClient]);
+
+  if (isLoading) return <p className="mt-6 text-sm text-gray-500">Loading audits…</p>;
+
+  const audits = data?.audits || [];
+  const openAudit = audits.find((a) => a.status === 'open');
+  const shownId = audits.some((a) => a.id === selectedId) ? selectedId : openAudit?.id;
+
+  return (
+    <div className="mt-6 space-y-4">
+      {!openAudit && data?.canManage && (
+        <form
+          className="flex flex-wrap items-center gap-2"
+          onSubmit={(e) => { e.preventDefault(); startMutation.mutate(); }}
+        >
+          <ClipboardCheck className="h-4 w-4 text-gray-500" />
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder={`Audit ${new Date().toISOString().slice(0, 10)}`}
+            className="flex-1 min-w-48 rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button type="submit" disabled={startMutation.isLoading} className="px-3 py-1 rounded-md bg-blue-600 text-white text-sm disabled:opacity-50">
+            Start audit
+          </button>
+          {startMutation.isError && <span className="text-xs text-red-600">{errorMessage(startMutation.error, 'Failed to start the audit')}</span>}
+        </form>
+      )}
+      {!openAudit && !data?.canManage && <p className="text-sm text-gray-500">No audit is running. The inventory owner can start one.</p>}
+
+      {shownId && <AuditDetail key={shownId} auditId={shownId} onDeleted={() => setSelectedId(null)} />}
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-800 mb-1">History</h3>
+        {audits.length === 0 ? (
+          <p className="text-sm text-gray-500">No audits yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-1 pr-4 font-medium">Audit</th>
+                <th className="py-1 pr-4 font-medium">Started</th>
+                <th className="py-1 pr-4 font-medium">Closed</th>
+                <th className="py-1 pr-4 font-medium">Found</th>
+                <th className="py-1 pr-4 font-medium">Missing</th>
+                <th className="py-1 pr-4 font-medium">Damaged</th>
+                <th className="py-1 font-medium">Unaccounted</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {audits.map((a) => (
+                <tr
+                  key={a.id}
+                  onClick={() => setSelectedId(a.id)}
+                  className={`cursor-pointer hover:bg-gray-50 ${a.id === shownId ? 'bg-blue-50' : ''}`}
+                >
+                  <td className="py-1 pr-4 text-gray-900">{a.title}{a.status === 'open' ? ' (open)' : ''}</td>
+                  <td className="py-1 pr-4 text-gray-600">{new Date(a.createdAt).toLocaleDateString()}</td>
+                  <td className="py-1 pr-4 text-gray-600">{a.closedAt ? new Date(a.closedAt).toLocaleDateString() : '—'}</td>
+                  <td className="py-1 pr-4">{a.progress.found}</td>
+                  <td className="py-1 pr-4">{a.progress.missing}</td>
+                  <td className="py-1 pr-4">{a.progress.damaged}</td>
+                  <td className="py-1">{a.progress.unaccounted} / {a.progress.total}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import ItemReferencePicker from './ItemReferencePicker';
+import { fromDateTimeLocalInput } from '../../utils/fieldFormat';
+import { canMapField, resolveFieldMapping } from '../../utils/fieldMapping';
+
+const inputClass = 'rounded-md border border-gray-300 bg-white px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Answer input for the field being set on every selected item; '' clears the answer
+function FieldValueInput({ field, value, onChange }) {
+  const cls = `mt-1 w-full ${inputClass}`;
+  switch (field.type) {
+    case 'boolean':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={cls}>
+          <option value="">— (clear)</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+    case 'select':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={cls}>
+          <option value="">— (clear)</option>
+          {(field.options || []).map((o) => <option key={o} value={o}>{o}</option>)}
+        </select>
+      );
+    case 'reference':
+      return <ItemReferencePicker targetInventoryId={field.targetInventoryId} value={value} onChange={(itemId) => onChange(itemId || '')} className="mt-1" />;
+    case 'multiLineText':
+      return <textarea rows={3} value={value} onChange={(e) => onChange(e.target.value)} className={cls} />;
+    default: {
+      const type = { numeric: 'number', currency: 'number', date: 'date', datetime: 'datetime-local' }[field.type] || 'text';
+      return <input type={type} step={field.type === 'currency' ? '0.01' : 'any'} value={value} onChange={(e) => onChange(e.target.value)} className={cls} />;
+    }
+  }
+}
+
+// Value to send for the input's text: typed the way the item routes expect, null to clear
+const submittedValue = (field, raw) => {
+  if (raw === '') return null;
+  if (field.type === 'boolean') return raw === 'true';
+  if (field.type === 'numeric') return Number(raw);
+  if (field.type === 'datetime') return fromDateTimeLocalInput(raw);
+  return raw;
+};
+
+// Where each answer goes in the target inventory: a row per source field with the target fields
+// its answers can go to. `mapping` is the resolved mapping; changes are reported as overrides.
+function FieldMappingEditor({ sourceFields, targetFields, mapping, onChange }) {
+  const mappable = sourceFields.filter((f) => f.type !== 'formula');
+  if (mappable.length === 0) return <p className="text-xs text-gray-500">The items have no answers to carry over.</p>;
+  return (
+    <div className="max-h-48 overflow-y-auto rounded-md border border-gray-200">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-100 text-gray-700">
+          <tr>
+            <th className="px-3 py-1.5 text-left font-medium">Field here</th>
+            <th className="px-3 py-1.5 text-left font-medium">Goes to</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {mappable.map((f) => (
+            <tr key={f.id}>
+              <td className="px-3 py-1.5 text-gray-900">{f.name} <span className="text-xs text-gray-500">({f.type})</span></td>
+              <td className="px-3 py-1.5">
+                <select value={mapping[f.id] || ''} onChange={(e) => onChange(f.id, e.target.value || null)} className={`w-full ${inputClass}`}>
+                  <option value="">— drop the answers</option>
+                  {targetFields.filter((t) => canMapField(f, t)).map((t) => <option key={t.id} value={t.id}>{t.name} ({t.type})</option>)}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Set one field on, move or copy the selected items through POST /api/items/bulk, then list what
+// happened to each of them. `mode` is 'setField', 'move' or 'copy' (the last two can be switched
+// in the dialog); `fields` are the inventory's fields.
+export default function BulkItemsModal({ open, mode, inventoryId, fields = [], itemIds, onClose, onDone }) {
+  const [fieldId, setFieldId] = useState('');
+  const [value, setValue] = useState('');
+  const [operation, setOperation] = useState(mode);
+  const [targetSearch, setTargetSearch] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [overrides, setOverrides] = useState({});
+  const [keepCustomIds, setKeepCustomIds] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState(null);
+  const transfer = mode === 'move' || mode === 'copy';
+
+  useEffect(() => {
+    if (!open) return;
+    setFieldId('');
+    setValue('');
+    setOperation(mode);
+    setTargetSearch('');
+    setTargetId('');
+    setOverrides({});
+    setKeepCustomIds(true);
+    setError('');
+    setReport(null);
+  }, [open, mode]);
+
+  const { data: targets = [] } = useQuery(
+    ['inventories:writable', targetSearch],
+    () => axios
+      .get('/api/inventories', { params: { access: 'write', search: targetSearch || undefined, limit: 20, sortBy: 'title', sortOrder: 'ASC' } })
+      .then((r) => (r.data.inventories || []).filter((inv) => inv.id !== inventoryId)),
+    { enabled: open && transfer, keepPreviousData: true }
+  );
+
+  const { data: target } = useQuery(
+    ['inventory', targetId],
+    () => axios.get(`/api/inventories/${targetId}`).then((r) => r.data),
+    { enabled: open && transfer && !!targetId }
+  );
+
+  if (!open) return null;
+
+  const editable = fields.filter((f) => f.type !== 'formula');
+  const field = editable.find((f) => f.id === fieldId);
+  const targetFields = target?.id === targetId ? target.fields || [] : [];
+  const { mapping, errors: mappingErrors } = resolveFieldMapping(fields, targetFields, overrides);
+  const mappedTargets = new Set(Object.values(mapping));
+  const unmetRequired = targetFields.filter((f) => f.required && f.type !== 'formula' && !mappedTargets.has(f.id));
+
+  const run = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const body = transfer
+        ? { inventoryId, itemIds, operation, targetInventoryId: targetId, fieldMapping: overrides, keepCustomIds }
+        : { inventoryId, itemIds, operation: 'setField', fieldId, value: submittedValue(field, value) };
+      const { data } = await axios.post('/api/items/bulk', body);
+      setReport(data);
+      onDone?.(data);
+    } catch (err) {
+      const errors = err?.response?.data?.errors;
+      setError(errors?.length ? errors.map((e) => e.message).join('; ') : err?.response?.data?.message || 'The bulk operation failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const title = transfer
+    ? `${operation === 'copy' ? 'Copy' : 'Move'} ${itemIds.length} item(s) to another inventory`
+    : `Set a field on ${itemIds.length} item(s)`;
+  const failures = report ? report.results.filter((r) => !r.ok) : [];
+  const dropped = report ? [...new Set(report.results.flatMap((r) => r.droppedFields || []))] : [];
+  const renumbered = report ? report.results.filter((r) => r.ok && r.customIdKept === false).length : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={busy ? undefined : onClose} />
+      <div className="relative z-10 w-full max-w-lg rounded-lg bg-white shadow-lg border border-gray-200 p-5 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+
+        {report ? (
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-800">{report.succeeded} item(s) done, {report.failed} failed.</p>
+            {dropped.length > 0 && (
+              <p className="text-gray-600">Answers to fields without a place in the target inventory were dropped: {dropped.join(', ')}.</p>
+            )}
+            {renumbered > 0 && (
+              <p className="text-gray-600">{renumbered} item(s) got a new custom ID from the target's format.</p>
+            )}
+            {failures.length > 0 && (
+              <ul className="max-h-48 overflow-y-auto rounded border border-red-200 bg-red-50 p-2 space-y-1">
+                {failures.map((r) => (
+                  <li key={r.id} className="text-red-700"><span className="font-mono">{r.customId || r.id}</span>: {r.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : transfer ? (
+          <>
+            <div className="flex gap-4 text-sm text-gray-700">
+              {['move', 'copy'].map((op) => (
+                <label key={op} className="inline-flex items-center gap-1">
+                  <input type="radio" name="transfer-operation" checked={operation === op} onChange={() => setOperation(op)} />
+                  {op === 'move' ? 'Move the items' : 'Copy them, leaving these in place'}
+                </label>
+              ))}
+            </div>
+            <label className="block text-sm text-gray-700">
+              Target inventory
+              <input
+                value={targetSearch}
+                onChange={(e) => setTargetSearch(e.target.value)}
+                placeholder="Search inventories you can add items to"
+                className={`mt-1 w-full ${inputClass}`}
+              />
+            </label>
+            <select size={5} value={targetId} onChange={(e) => { setTargetId(e.target.value); setOverrides({}); }} className={`w-full ${inputClass}`}>
+              {targets.map((inv) => <option key={inv.id} value={inv.id}>{inv.title}</option>)}
+            </select>
+            {targetId && (
+              <>
+                <FieldMappingEditor
+                  sourceFields={fields}
+                  targetFields={targetFields}
+                  mapping={mapping}
+                  onChange={(sourceId, to) => setOverrides((prev) => ({ ...prev, [sourceId]: to }))}
+                />
+                {mappingErrors.length > 0 && <p className="text-sm text-red-600">{mappingErrors.join('; ')}</p>}
+                {unmetRequired.length > 0 && (
+                  <p className="text-xs text-amber-700">
+                    Nothing maps to {unmetRequired.map((f) => f.name).join(', ')}, which the target requires; those items will stay behind.
+                  </p>
+                )}
+                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={keepCustomIds} onChange={(e) => setKeepCustomIds(e.target.checked)} />
+                  Keep custom IDs that fit the target's format and are free there
+                </label>
+              </>
+            )}
+            <p className="text-xs text-gray-500">
+              Fields are matched by name; answers of fields set to drop are left behind. Other IDs are generated from the target's format,
+              and the items start in its initial status. Items that break the target's field rules are reported and left as they are.
+            </p>
+          </>
+        ) : (
+          <>
+            <label className="block text-sm text-gray-700">
+              Field
+              <select value={fieldId} onChange={(e) => { setFieldId(e.target.value); setValue(''); }} className={`mt-1 w-full ${inputClass}`}>
+                <option value="">Choose a field</option>
+                {editable.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+              </select>
+            </label>
+            {field && (
+              <label className="block text-sm text-gray-700">
+                New answer
+                <FieldValueInput field={field} value={value} onChange={setValue} />
+              </label>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" className="px-3 py-1.5 text-sm rounded-md border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50" onClick={onClose} disabled={busy}>
+            {report ? 'Close' : 'Cancel'}
+          </button>
+          {!report && (
+            <button
+              type="button"
+              className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              onClick={run}
+              disabled={busy || itemIds.length === 0 || (transfer ? target?.id !== targetId || mappingErrors.length > 0 : !field)}
+            >
+              {busy ? 'Working…' : transfer ? (operation === 'copy' ? 'Copy items' : 'Move items') : 'Set field'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import {
+  ID_ELEMENT_TYPES,
+  SEQUENCE_RESETS,
+  CHECKSUM_ALGORITHMS,
+  ID_FIELD_TYPES,
+  DATE_TOKEN_HELP,
+  newIdElement,
+  previewCustomId,
+} from '../../utils/customIdPreview';
+
+const inputClass = 'rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const typeLabel = (type) => ID_ELEMENT_TYPES.find((t) => t.value === type)?.label || type;
+
+// Builder for an inventory's custom ID format: an example ID, one row per element with its
+// settings and an "Add element" row. `fields` ({ name, type }) are offered to field elements;
+// `children` (e.g. a save button) go at the end of the add row.
+export default function CustomIdFormatEditor({ format, onChange, fields = [], sequenceCounter = 0, creator = null, children }) {
+  const [newType, setNewType] = useState('text');
+  const idFields = fields.filter((f) => f?.name && ID_FIELD_TYPES.includes(f.type));
+
+  const update = (idx, patch) => {
+    const next = [...format];
+    next[idx] = { ...format[idx], ...patch };
+    onChange(next);
+  };
+  const swap = (idx, other) => {
+    const next = [...format];
+    [next[other], next[idx]] = [next[idx], next[other]];
+    onChange(next);
+  };
+
+  return (
+    <div>
+      {format.length > 0 && (
+        <div className="mb-2 text-sm text-gray-700">
+          Example: <span className="font-mono">{previewCustomId(format, { sequenceCounter, creator })}</span>
+        </div>
+      )}
+      <div className="space-y-2">
+        {format.map((el, idx) => (
+          <div key={idx} className="flex flex-wrap items-center gap-2">
+            <span className="w-32 text-xs uppercase text-gray-500">{typeLabel(el.type)}</span>
+            {(el.type === 'text' || el.type === 'fixed') && (
+              <input value={el.value || ''} onChange={(e) => update(idx, { value: e.target.value })} placeholder="e.g. INV_" className={`flex-1 ${inputClass}`} />
+            )}
+            {el.type === 'sequence' && (
+              <>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  Padding
+                  <input type="number" min={0} value={el.padding ?? 0} onChange={(e) => update(idx, { padding: Number(e.target.value || 0) })} className={`w-20 ${inputClass}`} />
+                </label>
+                <select value={el.reset || 'never'} onChange={(e) => update(idx, { reset: e.target.value })} className={inputClass}>
+                  {SEQUENCE_RESETS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+              </>
+            )}
+            {el.type === 'datetime' && (
+              <input
+                value={el.format || 'YYYYMMDD'}
+                onChange={(e) => update(idx, { format: e.target.value })}
+                placeholder="YYYYMMDD"
+                title={DATE_TOKEN_HELP}
+                className={`flex-1 ${inputClass}`}
+              />
+            )}
+            {el.type === 'checksum' && (
+              <select value={el.algorithm || 'luhn'} onChange={(e) => update(idx, { algorithm: e.target.value })} className={inputClass}>
+                {CHECKSUM_ALGORITHMS.map((a) => <option key={a.value} value={a.value}>{a.label}</option>)}
+              </select>
+            )}
+            {el.type === 'field' && (
+              <>
+                <select value={el.field || ''} onChange={(e) => update(idx, { field: e.target.value })} className={inputClass}>
+                  <option value="">Choose a field…</option>
+                  {idFields.map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+                  {el.field && !idFields.some((f) => f.name === el.field) && <option value={el.field}>{el.field} (missing)</option>}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  Max length
+                  <input type="number" min={0} value={el.length ?? 0} onChange={(e) => update(idx, { length: Number(e.target.value || 0) })} className={`w-20 ${inputClass}`} />
+                </label>
+              </>
+            )}
+            {['random20', 'random32', 'random6', 'random9', 'guid', 'initials'].includes(el.type) && (
+              <div className="text-xs text-gray-500">auto</div>
+            )}
+            <div className="ml-auto flex items-center gap-1">
+              <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx === 0} onClick={() => swap(idx, idx - 1)}>↑</button>
+              <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx === format.length - 1} onClick={() => swap(idx, idx + 1)}>↓</button>
+              <button type="button" className="px-2 py-1 text-xs rounded border border-red-300 text-red-700" onClick={() => onChange(format.filter((_, i) => i !== idx))}>Remove</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {format.some((el) => el.type === 'datetime') && (
+        <p className="mt-1 text-xs text-gray-500">Date/time tokens (in UTC): {DATE_TOKEN_HELP}. Other characters are copied as typed.</p>
+      )}
+      {format.some((el) => el.type === 'checksum') && (
+        <p className="mt-1 text-xs text-gray-500">A check digit is calculated over everything before it in the ID.</p>
+      )}
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} className={inputClass}>
+          {ID_ELEMENT_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        <button type="button" className="px-3 py-1.5 rounded border border-gray-300 text-sm" onClick={() => onChange([...format, newIdElement(newType)])}>
+          Add element
+        </button>
+        {children}
+      </div>
+    </div>
+  );
+}
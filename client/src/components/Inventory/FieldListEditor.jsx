@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { GripVertical } from 'lucide-react';
+import { patternProblem } from '../../utils/fieldValidation';
+
+const FIELD_TYPE_LABELS = {
+  singleLineText: 'Single line text',
+  multiLineText: 'Multi line text',
+  numeric: 'Number',
+  boolean: 'Boolean',
+  documentImage: 'Document/Image',
+  select: 'Dropdown',
+  date: 'Date',
+  datetime: 'Date & time',
+  currency: 'Currency',
+  reference: 'Item reference',
+  formula: 'Formula',
+};
+
+const TEXT_TYPES = ['singleLineText', 'multiLineText'];
+const NUMBER_TYPES = ['numeric', 'currency'];
+
+const inputClass = 'rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Managed option list for select fields; order here is the order shown in dropdowns
+function OptionListEditor({ options, onChange }) {
+  const [draft, setDraft] = useState('');
+  const add = () => {
+    const value = draft.trim();
+    if (!value || options.includes(value)) return;
+    onChange([...options, value]);
+    setDraft('');
+  };
+  const move = (from, to) => {
+    const next = [...options];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    onChange(next);
+  };
+
+  return (
+    <div className="w-full space-y-1">
+      <div className="flex flex-wrap gap-1">
+        {options.map((o, i) => (
+          <span key={o} className="inline-flex items-center gap-1 px-2 py-0.5 rounded bg-gray-100 text-gray-800">
+            {i > 0 && (
+              <button type="button" className="text-gray-500" onClick={() => move(i, i - 1)} aria-label="Move left">‹</button>
+            )}
+            {o}
+            {i < options.length - 1 && (
+              <button type="button" className="text-gray-500" onClick={() => move(i, i + 1)} aria-label="Move right">›</button>
+            )}
+            <button type="button" className="text-red-600 hover:text-red-700" onClick={() => onChange(options.filter((x) => x !== o))} aria-label="Remove option">×</button>
+          </span>
+        ))}
+        {options.length === 0 && <span className="text-red-600">Add at least one option</span>}
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); add(); } }}
+          placeholder="New option"
+          className={`w-48 ${inputClass}`}
+        />
+        <button type="button" className="px-2 py-1 rounded border border-gray-300 disabled:opacity-60" disabled={!draft.trim()} onClick={add}>Add option</button>
+      </div>
+    </div>
+  );
+}
+
+// Inventory whose items a reference field points at; the list only has inventories the user can see
+function TargetInventoryPicker({ value, onChange }) {
+  const { data: inventories = [], isLoading } = useQuery(
+    ['inventories:referenceTargets'],
+    () => axios.get('/api/inventories', { params: { limit: 100, sortBy: 'title', sortOrder: 'ASC' } }).then((r) => r.data.inventories || []),
+    { staleTime: 60000 }
+  );
+
+  return (
+    <label className="inline-flex items-center gap-1">
+      Target inventory
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className={`w-56 ${inputClass} ${value ? '' : 'border-red-500'}`}
+      >
+        <option value="">{isLoading ? 'Loading…' : 'Choose an inventory'}</option>
+        {inventories.map((inv) => (
+          <option key={inv.id} value={inv.id}>{inv.title}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+const FORMULA_FUNCTIONS = 'IF, AND/OR/NOT, ROUND, FLOOR, CEIL, ABS, MIN, MAX, SUM, CONCAT, LEN, UPPER, LOWER, COALESCE, TODAY, NOW, YEAR, MONTH, DAYS_BETWEEN, DAYS_SINCE';
+
+// Expression for a formula field; the server checks it on save and computes the value for every item
+function FormulaEditor({ field, fields, onChange }) {
+  const others = fields.filter((f) => f !== field && f.name.trim());
+  const insert = (name) => onChange({ formula: `${field.formula || ''}{${name}}` });
+
+  return (
+    <div className="w-full space-y-1">
+      <textarea
+        value={field.formula ?? ''}
+        onChange={(e) => onChange({ formula: e.target.value })}
+        rows={2}
+        maxLength={1000}
+        placeholder="e.g. ROUND({Quantity} * {Unit price}, 2)"
+        className={`w-full font-mono ${inputClass} ${field.formula?.trim() ? '' : 'border-red-500'}`}
+      />
+      {others.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-gray-500">Insert field:</span>
+          {others.map((f) => (
+            <button key={f.id || f.name} type="button" className="rounded bg-gray-100 px-1.5 py-0.5 hover:bg-gray-200" onClick={() => insert(f.name)}>
+              {f.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <p className="text-gray-500">
+        Operators: + - * / % &amp; (join text), = != &lt; &lt;= &gt; &gt;=, and, or, not. Text in &quot;quotes&quot;. Functions: {FORMULA_FUNCTIONS}.
+        Values are calculated on the server when an item is saved; TODAY() and NOW() use that moment.
+      </p>
+    </div>
+  );
+}
+
+// Answer rules for one field; the server ignores rules that do not apply to the type
+function FieldRules({ field, fields, onChange }) {
+  const rules = field.validation || {};
+  const patternError = rules.pattern ? patternProblem(rules.pattern) : null;
+  const setRule = (key, value) => {
+    const next = { ...rules };
+    if (value === '' || value === undefined) delete next[key]; else next[key] = value;
+    onChange({ validation: next });
+  };
+  const numberOrEmpty = (v) => (v === '' ? '' : Number(v));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pl-6 pt-1 text-xs text-gray-700">
+      {field.type === 'currency' && (
+        <label className="inline-flex items-center gap-1">
+          Currency
+          <input
+            value={field.currency ?? 'USD'}
+            onChange={(e) => onChange({ currency: e.target.value.toUpperCase().slice(0, 3) })}
+            placeholder="USD"
+            className={`w-16 uppercase ${inputClass}`}
+          />
+        </label>
+      )}
+      {NUMBER_TYPES.includes(field.type) && (
+        <>
+          <label className="inline-flex items-center gap-1">
+            Min
+            <input type="number" step="any" value={rules.min ?? ''} onChange={(e) => setRule('min', numberOrEmpty(e.target.value))} className={`w-24 ${inputClass}`} />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            Max
+            <input type="number" step="any" value={rules.max ?? ''} onChange={(e) => setRule('max', numberOrEmpty(e.target.value))} className={`w-24 ${inputClass}`} />
+          </label>
+        </>
+      )}
+      {TEXT_TYPES.includes(field.type) && (
+        <>
+          <label className="inline-flex items-center gap-1">
+            Max length
+            <input type="number" min={1} value={rules.maxLength ?? ''} onChange={(e) => setRule('maxLength', numberOrEmpty(e.target.value))} className={`w-20 ${inputClass}`} />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            Pattern
+            <input
+              value={rules.pattern ?? ''}
+              onChange={(e) => setRule('pattern', e.target.value)}
+              placeholder="e.g. ^[A-Z]{3}-\d+$"
+              className={`w-44 font-mono ${inputClass} ${patternError ? 'border-red-500' : ''}`}
+            />
+          </label>
+          <input
+            value={rules.patternMessage ?? ''}
+            onChange={(e) => setRule('patternMessage', e.target.value)}
+            placeholder="Message when the pattern does not match"
+            className={`flex-1 min-w-[12rem] ${inputClass}`}
+          />
+          {patternError && (
+            <span className="text-red-600">{patternError}; it will be ignored</span>
+          )}
+        </>
+      )}
+      {field.type === 'select' && (
+        <OptionListEditor options={field.options || []} onChange={(options) => onChange({ options })} />
+      )}
+      {field.type === 'reference' && (
+        <TargetInventoryPicker value={field.targetInventoryId} onChange={(targetInventoryId) => onChange({ targetInventoryId })} />
+      )}
+      {field.type === 'formula' && (
+        <FormulaEditor field={field} fields={fields} onChange={onChange} />
+      )}
+      {!TEXT_TYPES.includes(field.type) && !NUMBER_TYPES.includes(field.type) && !['select', 'reference', 'formula'].includes(field.type) && (
+        <span className="text-gray-500">No extra rules for this type</span>
+      )}
+    </div>
+  );
+}
+
+// Ordered custom field list for the inventory template.
+// `fields` is an array of { id?, name, type, required, showInTable, validation, options, currency, targetInventoryId, formula };
+// array order is the field order.
+export default function FieldListEditor({ fields, onChange }) {
+  const [newType, setNewType] = useState('singleLineText');
+  const [newName, setNewName] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [openRules, setOpenRules] = useState(null);
+
+  const update = (idx, patch) => onChange(fields.map((f, i) => (i === idx ? { ...f, ...patch } : f)));
+  const remove = (idx) => { setOpenRules(null); onChange(fields.filter((_, i) => i !== idx)); };
+
+  const move = (from, to) => {
+    if (from === null || to === null || from === to) return;
+    const next = [...fields];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    setOpenRules(null);
+    onChange(next);
+  };
+
+  const add = () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (fields.some((f) => f.name === name && f.type === newType)) return; // avoid duplicates
+    const field = { name, type: newType, showInTable: true };
+    if (newType === 'select') field.options = [];
+    if (newType === 'formula') field.formula = '';
+    if (['select', 'reference', 'formula'].includes(newType)) setOpenRules(fields.length); // open the options / target / formula editor right away
+    if (newType === 'currency') field.currency = 'USD';
+    onChange([...fields, field]);
+    setNewName('');
+  };
+
+  const endDrag = () => { setDragIndex(null); setOverIndex(null); };
+
+  return (
+    <div>
+      <ul className="mb-2 space-y-1 text-sm text-gray-700">
+        {fields.map((f, idx) => (
+          <li
+            key={f.id || `${f.type}-${f.name}-${idx}`}
+            draggable
+            onDragStart={(e) => { setDragIndex(idx); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragOver={(e) => { e.preventDefault(); setOverIndex(idx); }}
+            onDrop={(e) => { e.preventDefault(); move(dragIndex, idx); endDrag(); }}
+            onDragEnd={endDrag}
+            className={`rounded border px-2 py-1 bg-white ${overIndex === idx && dragIndex !== idx ? 'border-blue-400' : 'border-gray-200'} ${dragIndex === idx ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-center gap-2">
+              <GripVertical className="h-4 w-4 text-gray-400 cursor-move shrink-0" aria-hidden="true" />
+              <input
+                value={f.name}
+                onChange={(e) => update(idx, { name: e.target.value })}
+                className="flex-1 min-w-0 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <span className="text-xs text-gray-500 w-28 shrink-0">{FIELD_TYPE_LABELS[f.type] || f.type}</span>
+              <label className="inline-flex items-center gap-1 text-xs text-gray-700 shrink-0">
+                <input
+                  type="checkbox"
+                  checked={!!f.required}
+                  disabled={f.type === 'formula'}
+                  onChange={(e) => update(idx, { required: e.target.checked })}
+                  className="h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-blue-500"
+                />
+                Required
+              </label>
+              <label className="inline-flex items-center gap-1 text-xs text-gray-700 shrink-0" title="Show this field as a column in the items table">
+                <input
+                  type="checkbox"
+                  checked={f.showInTable !== false}
+                  onChange={(e) => update(idx, { showInTable: e.target.checked })}
+                  className="h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-blue-500"
+                />
+                Show in table
+              </label>
+              <button type="button" className="text-xs text-gray-500 px-1 disabled:opacity-30" disabled={idx === 0} onClick={() => move(idx, idx - 1)} aria-label="Move up">↑</button>
+              <button type="button" className="text-xs text-gray-500 px-1 disabled:opacity-30" disabled={idx === fields.length - 1} onClick={() => move(idx, idx + 1)} aria-label="Move down">↓</button>
+              <button type="button" className="text-xs text-blue-600" onClick={() => setOpenRules(openRules === idx ? null : idx)}>{f.type === 'select' ? 'Options' : f.type === 'reference' ? 'Target' : f.type === 'formula' ? 'Formula' : 'Rules'}</button>
+              <button type="button" className="text-xs text-red-600" onClick={() => remove(idx)}>Remove</button>
+            </div>
+            {openRules === idx && (
+              <FieldRules field={f} fields={fields} onChange={(patch) => update(idx, patch)} />
+            )}
+          </li>
+        ))}
+        {fields.length === 0 && (
+          <li className="text-xs text-gray-500">No fields added</li>
+        )}
+      </ul>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.entries(FIELD_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); add(); } }}
+          placeholder="Field name"
+          className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="button"
+          className="px-3 py-1.5 rounded border border-gray-300 text-sm disabled:opacity-60"
+          disabled={!newName.trim()}
+          onClick={add}
+        >
+          Add field
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full rounded-md border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Reuse an inventory's structure (custom ID format, fields, category, tags, stock tracking, status
+// workflow) without its items: save it as a template for the gallery, or copy it straight into a
+// new inventory.
+export default function InventoryStructureActions({ inventory }) {
+  const navigate = useNavigate();
+  const [template, setTemplate] = useState({ name: '', description: '', visibility: 'private' });
+  const [cloneTitle, setCloneTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [cloning, setCloning] = useState(false);
+  const collaborators = (inventory.accessUsers || []).map((u) => u.id);
+
+  const saveTemplate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await axios.post('/api/templates', {
+        name: template.name.trim() || inventory.title,
+        description: template.description,
+        visibility: template.visibility,
+        inventoryId: inventory.id,
+        // "shared" templates go to the people this inventory is already shared with
+        sharedWith: template.visibility === 'shared' ? collaborators : undefined,
+      });
+      toast.success('Template saved');
+      setTemplate({ name: '', description: '', visibility: 'private' });
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cloneStructure = async (e) => {
+    e.preventDefault();
+    try {
+      setCloning(true);
+      const { data } = await axios.post(`/api/templates/clone/${inventory.id}`, { title: cloneTitle.trim() || undefined });
+      toast.success('Inventory created');
+      navigate(`/inventories/${data.id}`);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to clone inventory');
+    } finally {
+      setCloning(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 grid gap-6 md:grid-cols-2">
+      <form onSubmit={saveTemplate} className="space-y-2 rounded border border-gray-200 p-4">
+        <h3 className="text-sm font-semibold text-gray-900">Save as template</h3>
+        <p className="text-xs text-gray-500">
+          Stores the custom ID format, fields, category, tags, stock tracking and status workflow so new inventories can start from them. See <Link to="/templates" className="text-blue-600 hover:underline">Templates</Link>.
+        </p>
+        <input value={template.name} onChange={(e) => setTemplate((t) => ({ ...t, name: e.target.value }))} placeholder={inventory.title || 'Template name'} className={inputClass} />
+        <textarea value={template.description} onChange={(e) => setTemplate((t) => ({ ...t, description: e.target.value }))} placeholder="Description (optional)" rows={2} className={inputClass} />
+        <select value={template.visibility} onChange={(e) => setTemplate((t) => ({ ...t, visibility: e.target.value }))} className={inputClass}>
+          <option value="private">Private – only me</option>
+          <option value="shared">Shared – this inventory&apos;s collaborators ({collaborators.length})</option>
+          <option value="public">Public – everyone</option>
+        </select>
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded-md bg-blue-600 text-white disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save template'}
+        </button>
+      </form>
+
+      <form onSubmit={cloneStructure} className="space-y-2 rounded border border-gray-200 p-4">
+        <h3 className="text-sm font-semibold text-gray-900">Clone structure</h3>
+        <p className="text-xs text-gray-500">Creates a new inventory with the same custom ID format, fields, category, tags, stock tracking and status workflow. Items are not copied.</p>
+        <input value={cloneTitle} onChange={(e) => setCloneTitle(e.target.value)} placeholder={`${inventory.title || 'Inventory'} (copy)`} className={inputClass} />
+        <button type="submit" disabled={cloning} className="px-4 py-2 rounded-md border border-gray-300 text-gray-800 disabled:opacity-50">
+          {cloning ? 'Creating...' : 'Create copy'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { Search as SearchIcon, X } from 'lucide-react';
+
+const itemLabel = (item) => (item ? [item.customId, item.title].filter(Boolean).join(' · ') : '');
+
+// Autocomplete over the items of the field's target inventory.
+// `value` is the referenced item id, `selected` the item object for it (from `item.references`) when known.
+export default function ItemReferencePicker({ targetInventoryId, value, selected, onChange, className = '', disabled }) {
+  const [query, setQuery] = useState('');
+  const [debounced, setDebounced] = useState('');
+  const [open, setOpen] = useState(false);
+  const [picked, setPicked] = useState(selected || null);
+
+  useEffect(() => { setPicked(selected || null); }, [selected]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(query.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const { data: results = [], isFetching } = useQuery(
+    ['item:referenceOptions', targetInventoryId, debounced],
+    () => axios
+      .get(`/api/items/inventory/${targetInventoryId}`, { params: { search: debounced || undefined, limit: 10 } })
+      .then((r) => r.data.items || []),
+    { enabled: open && !!targetInventoryId, keepPreviousData: true }
+  );
+
+  const choose = (item) => {
+    setPicked(item);
+    setOpen(false);
+    setQuery('');
+    onChange(item ? item.id : '', item);
+  };
+
+  if (!targetInventoryId) {
+    return <span className="text-xs text-red-600">The target inventory of this field is no longer available</span>;
+  }
+
+  if (value && !open) {
+    return (
+      <div className={`flex items-center gap-2 ${className}`}>
+        <span className="flex-1 min-w-0 truncate rounded-md border border-gray-300 bg-gray-50 px-2 py-1 text-gray-900">
+          {itemLabel(picked) || value}
+        </span>
+        {!disabled && (
+          <>
+            <button type="button" className="text-xs text-blue-600" onClick={() => setOpen(true)}>Change</button>
+            <button type="button" className="text-gray-500 hover:text-red-600" onClick={() => choose(null)} aria-label="Clear reference">
+              <X className="h-4 w-4" />
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`relative ${className}`}>
+      <div className="relative">
+        <input
+          type="text"
+          value={query}
+          disabled={disabled}
+          autoFocus={!!value}
+          onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setOpen(false);
+            if (e.key === 'Enter') { e.preventDefault(); if (results[0]) choose(results[0]); }
+          }}
+          placeholder="Search by ID or title"
+          className="w-full pl-8 pr-2 py-1 rounded-md border border-gray-300 bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <SearchIcon className="h-4 w-4 absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+      </div>
+      {open && (
+        <ul className="absolute z-20 mt-1 w-full max-h-60 overflow-auto rounded-md border border-gray-200 bg-white shadow text-sm">
+          {results.map((item) => (
+            <li key={item.id}>
+              <button
+                type="button"
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => { e.preventDefault(); choose(item); }}
+                className={`w-full text-left px-2 py-1 hover:bg-blue-50 ${item.id === value ? 'font-medium' : ''}`}
+              >
+                <span className="font-mono">{item.customId}</span>
+                {item.title && <span className="text-gray-500"> · {item.title}</span>}
+              </button>
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="px-2 py-1 text-gray-500">{isFetching ? 'Searching…' : 'No matching items'}</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
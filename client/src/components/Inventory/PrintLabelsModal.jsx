@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from 'react';
+import axios from 'axios';
+import { LABEL_SHEETS, MAX_LABEL_COPIES, resolveLabelSheet, labelSheetError } from '@shared/labelSheets.mjs';
+
+const CODES = [
+  { value: 'qr', label: 'QR code (links to the item page)' },
+  { value: 'datamatrix', label: 'DataMatrix (links to the item page)' },
+  { value: 'code128', label: 'Code 128 (custom ID)' },
+];
+
+// Custom sheet settings in mm
+const LAYOUT_FIELDS = [
+  { key: 'columns', label: 'Columns', step: 1 },
+  { key: 'rows', label: 'Rows', step: 1 },
+  { key: 'labelWidth', label: 'Label width' },
+  { key: 'labelHeight', label: 'Label height' },
+  { key: 'marginTop', label: 'Top margin' },
+  { key: 'marginLeft', label: 'Left margin' },
+  { key: 'gapX', label: 'Gap across' },
+  { key: 'gapY', label: 'Gap down' },
+];
+
+const inputClass = 'rounded-md border border-gray-300 bg-white px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Message of a failed request whose response was read as a Blob
+const blobErrorMessage = async (error) => {
+  try {
+    return JSON.parse(await error.response.data.text()).message;
+  } catch {
+    return null;
+  }
+};
+
+// Label printing for the selected items: pick an Avery-style sheet (or measure a custom one),
+// the code to print and where on a partly used sheet to start; the server returns a PDF.
+export default function PrintLabelsModal({ open, inventoryId, itemIds, onClose }) {
+  const [sheetId, setSheetId] = useState(LABEL_SHEETS[0].id);
+  const [layout, setLayout] = useState(() => {
+    const { page, columns, rows, labelWidth, labelHeight, marginTop, marginLeft, gapX, gapY } = LABEL_SHEETS[0];
+    return { page, columns, rows, labelWidth, labelHeight, marginTop, marginLeft, gapX, gapY };
+  });
+  const [type, setType] = useState('qr');
+  const [copies, setCopies] = useState(1);
+  const [startAt, setStartAt] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const sheet = useMemo(() => resolveLabelSheet(sheetId, layout), [sheetId, layout]);
+  const sheetError = labelSheetError(sheet);
+  const perPage = sheet ? sheet.columns * sheet.rows : 0;
+  const labelCount = itemIds.length * (Number(copies) || 0);
+  const pages = perPage > 0 ? Math.ceil((labelCount + (Number(startAt) || 1) - 1) / perPage) : 0;
+
+  if (!open) return null;
+
+  const print = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await axios.post(
+        `/api/inventories/${inventoryId}/labels`,
+        { itemIds, sheet: sheetId, layout: sheetId === 'custom' ? layout : undefined, type, copies: Number(copies), startAt: Number(startAt) },
+        { responseType: 'blob' }
+      );
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'labels.pdf';
+      link.click();
+      URL.revokeObjectURL(url);
+      onClose();
+    } catch (e) {
+      setError((await blobErrorMessage(e)) || 'Failed to create the labels');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative z-10 w-full max-w-lg rounded-lg bg-white shadow-lg border border-gray-200 p-5 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900">Print labels</h3>
+        <label className="block text-sm text-gray-700">
+          Label sheet
+          <select value={sheetId} onChange={(e) => { setSheetId(e.target.value); setStartAt(1); }} className={`mt-1 w-full ${inputClass}`}>
+            {LABEL_SHEETS.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            <option value="custom">Custom…</option>
+          </select>
+        </label>
+        {sheetId === 'custom' && (
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <label className="text-xs text-gray-600">
+              Page
+              <select value={layout.page} onChange={(e) => setLayout((l) => ({ ...l, page: e.target.value }))} className={`mt-1 w-full ${inputClass}`}>
+                <option value="A4">A4</option>
+                <option value="LETTER">Letter</option>
+              </select>
+            </label>
+            {LAYOUT_FIELDS.map((f) => (
+              <label key={f.key} className="text-xs text-gray-600">
+                {f.label}{f.step ? '' : ' (mm)'}
+                <input
+                  type="number"
+                  min={0}
+                  step={f.step || 0.1}
+                  value={layout[f.key]}
+                  onChange={(e) => setLayout((l) => ({ ...l, [f.key]: e.target.value }))}
+                  className={`mt-1 w-full ${inputClass}`}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+        <label className="block text-sm text-gray-700">
+          Code
+          <select value={type} onChange={(e) => setType(e.target.value)} className={`mt-1 w-full ${inputClass}`}>
+            {CODES.map((c) => <option key={c.value} value={c.value}>{c.label}</option>)}
+          </select>
+        </label>
+        <div className="flex flex-wrap gap-4">
+          <label className="text-sm text-gray-700">
+            Copies per item
+            <input type="number" min={1} max={MAX_LABEL_COPIES} value={copies} onChange={(e) => setCopies(e.target.value)} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Start at label
+            <input type="number" min={1} max={perPage || 1} value={startAt} onChange={(e) => setStartAt(e.target.value)} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          {sheetError || `${labelCount} label(s) for ${itemIds.length} item(s) on ${pages} page(s). Labels before the start position are left blank so part-used sheets can be reused.`}
+        </p>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" className="px-3 py-1.5 text-sm rounded-md border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50" onClick={onClose} disabled={busy}>
+            Cancel
+          </button>
+          <button type="button" className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" onClick={print} disabled={busy || !!sheetError || itemIds.length === 0}>
+            {busy ? 'Creating PDF…' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
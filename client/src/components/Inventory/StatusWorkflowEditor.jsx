@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import { Trash } from 'lucide-react';
+import StatusBadge from '../Item/StatusBadge';
+import { DEFAULT_WORKFLOW, STATUS_COLORS, ROLE_CHOICES, normalizeStatusWorkflow, statusKey } from '../../utils/itemStatus';
+
+const inputClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// States, initial state and allowed transitions of the inventory's item statuses. `onSave` gets the
+// workflow (or null to turn it off) and should reject with the server's error.
+export default function StatusWorkflowEditor({ workflow, onSave, isSaving }) {
+  const [draft, setDraft] = useState(workflow || null);
+  const [newLabel, setNewLabel] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => { setDraft(workflow || null); }, [workflow]);
+
+  const update = (changes) => { setError(''); setDraft((d) => ({ ...d, ...changes })); };
+
+  const setState = (key, changes) => update({ states: draft.states.map((s) => (s.key === key ? { ...s, ...changes } : s)) });
+
+  const removeState = (key) => update({
+    states: draft.states.filter((s) => s.key !== key),
+    transitions: draft.transitions.filter((t) => t.from !== key && t.to !== key),
+    initial: draft.initial === key ? draft.states.find((s) => s.key !== key)?.key : draft.initial,
+  });
+
+  const addState = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    const base = statusKey(label) || 'state';
+    let key = base;
+    for (let n = 2; draft.states.some((s) => s.key === key); n += 1) key = `${base}-${n}`;
+    update({ states: [...draft.states, { key, label, color: 'gray' }] });
+    setNewLabel('');
+  };
+
+  // Owners hold the writer role too, so any transition open to writers is open to everyone with write access
+  const rolesOf = (from, to) => {
+    const roles = draft.transitions.find((t) => t.from === from && t.to === to)?.roles || [];
+    if (roles.includes('writer')) return 'owner,writer';
+    return roles.includes('owner') ? 'owner' : '';
+  };
+
+  const setRoles = (from, to, value) => {
+    const rest = draft.transitions.filter((t) => !(t.from === from && t.to === to));
+    update({ transitions: value ? [...rest, { from, to, roles: value.split(',') }] : rest });
+  };
+
+  const save = async () => {
+    let next = null;
+    if (draft) {
+      const result = normalizeStatusWorkflow(draft);
+      if (result.error) { setError(result.error); return; }
+      next = result.workflow;
+    }
+    try {
+      await onSave(next);
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || 'Failed to save the workflow');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-start gap-2 text-sm text-gray-800">
+        <input
+          type="checkbox"
+          checked={!!draft}
+          onChange={(e) => { setError(''); setDraft(e.target.checked ? (workflow || DEFAULT_WORKFLOW) : null); }}
+          className="mt-0.5 h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-blue-500"
+        />
+        <span>
+          Use a status workflow
+          <span className="block text-xs text-gray-500">
+            Items get a status that moves only along the transitions below. New items, and existing items once it is turned on, start in the initial state.
+            Turning it off clears every item's status; their history is kept.
+          </span>
+        </span>
+      </label>
+
+      {draft && (
+        <>
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">States</h3>
+            <table className="text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="py-1 pr-3 font-medium">Label</th>
+                  <th className="py-1 pr-3 font-medium">Color</th>
+                  <th className="py-1 pr-3 font-medium">Initial</th>
+                  <th className="py-1 pr-3 font-medium">Preview</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.states.map((s) => (
+                  <tr key={s.key}>
+                    <td className="py-1 pr-3">
+                      <input value={s.label} onChange={(e) => setState(s.key, { label: e.target.value })} className={inputClass} />
+                      <span className="ml-2 font-mono text-xs text-gray-400">{s.key}</span>
+                    </td>
+                    <td className="py-1 pr-3">
+                      <select value={s.color} onChange={(e) => setState(s.key, { color: e.target.value })} className={inputClass}>
+                        {STATUS_COLORS.map((c) => <option key={c} value={c}>{c}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-3 text-center">
+                      <input type="radio" name="initial-state" checked={draft.initial === s.key} onChange={() => update({ initial: s.key })} />
+                    </td>
+                    <td className="py-1 pr-3"><StatusBadge workflow={draft} status={s.key} /></td>
+                    <td className="py-1">
+                      <button type="button" title="Remove state" aria-label="Remove state" disabled={draft.states.length <= 1} onClick={() => removeState(s.key)} className="text-gray-500 hover:text-red-600 disabled:opacity-40">
+                        <Trash className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-2 flex gap-2">
+              <input
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addState(); } }}
+                placeholder="New state, e.g. Lost"
+                className={inputClass}
+              />
+              <button type="button" onClick={addState} className="px-3 py-1 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Add state</button>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-1">Transitions</h3>
+            <p className="text-xs text-gray-500 mb-2">Who may move an item from the state of the row to the state of the column. Admins count as owners.</p>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th className="py-1 pr-2 text-left font-medium text-gray-500">From \ To</th>
+                    {draft.states.map((s) => (
+                      <th key={s.key} className="py-1 px-1"><StatusBadge workflow={draft} status={s.key} /></th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.states.map((from) => (
+                    <tr key={from.key}>
+                      <th className="py-1 pr-2 text-left"><StatusBadge workflow={draft} status={from.key} /></th>
+                      {draft.states.map((to) => (
+                        <td key={to.key} className="py-1 px-1">
+                          {from.key === to.key ? (
+                            <span className="block text-center text-gray-300">—</span>
+                          ) : (
+                            <select value={rolesOf(from.key, to.key)} onChange={(e) => setRoles(from.key, to.key, e.target.value)} className="rounded border border-gray-300 px-1 py-0.5 text-xs">
+                              {ROLE_CHOICES.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                            </select>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex">
+        <button type="button" onClick={save} disabled={isSaving} className="ml-auto px-3 py-1.5 rounded bg-blue-600 text-white disabled:opacity-60">
+          {isSaving ? 'Saving...' : 'Save workflow'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const FIELD_TYPE_NAMES = {
+  singleLineText: 'single line text',
+  multiLineText: 'multi line text',
+  numeric: 'number',
+  boolean: 'boolean',
+  documentImage: 'document/image',
+  select: 'dropdown',
+  date: 'date',
+  datetime: 'date & time',
+  currency: 'currency',
+  reference: 'item reference',
+  formula: 'formula',
+};
+
+const typeName = (type) => FIELD_TYPE_NAMES[type] || type;
+const items = (n) => `${n} item${n === 1 ? '' : 's'}`;
+
+// One line per change; `pending` switches the wording between a preview and a saved version
+function describe(change, pending) {
+  const n = change.affectedItems || 0;
+  switch (change.kind) {
+    case 'add':
+      return { tone: 'text-gray-700', text: `Add "${change.name}" (${typeName(change.type)})` };
+    case 'rename':
+      return { tone: 'text-gray-700', text: `Rename "${change.previousName}" to "${change.name}"; ${items(n)} keep their values` };
+    case 'remove':
+      return {
+        tone: n > 0 ? 'text-red-700' : 'text-gray-700',
+        text: `Remove "${change.name}"${n > 0 ? `; values of ${items(n)} ${pending ? 'will be' : 'were'} archived` : ''}`,
+      };
+    case 'retype': {
+      const failed = change.failed || 0;
+      let text = `Change "${change.name}" from ${typeName(change.previousType)} to ${typeName(change.type)}`;
+      if (n > 0) {
+        text += `; ${items(change.converted || 0)} ${pending ? 'convert' : 'converted'}`;
+        if (failed > 0) text += `, ${items(failed)} cannot be converted and ${pending ? 'will be' : 'were'} archived`;
+      }
+      return { tone: failed > 0 ? 'text-red-700' : 'text-amber-700', text };
+    }
+    case 'update':
+      return {
+        tone: 'text-gray-500',
+        text: `Update "${change.name}" (${change.properties.join(', ')})${change.properties.includes('formula') ? `; values ${pending ? 'will be' : 'were'} recalculated for every item` : ''}`,
+      };
+    default:
+      return { tone: 'text-gray-700', text: `${change.kind} "${change.name}"` };
+  }
+}
+
+// Summary of template changes as returned by the preview endpoint or stored on a template version
+export default function TemplateChangeList({ changes, pending = false }) {
+  if (!changes || changes.length === 0) {
+    return <p className="text-sm text-gray-500">No field changes</p>;
+  }
+  return (
+    <ul className="text-sm space-y-0.5 list-disc pl-5">
+      {changes.map((c, idx) => {
+        const { tone, text } = describe(c, pending);
+        return <li key={`${c.kind}-${c.fieldId || c.name}-${idx}`} className={tone}>{text}</li>;
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import TemplateChangeList from './TemplateChangeList';
+
+// Values a template save took out of the items: removed fields and failed conversions
+function ArchivedValues({ inventoryId, version }) {
+  const { data, isLoading } = useQuery(
+    ['inventory:templateArchive', inventoryId, version],
+    () => axios.get(`/api/inventories/${inventoryId}/template/archive`, { params: { version, limit: 100 } }).then((r) => r.data)
+  );
+  if (isLoading) return <p className="text-xs text-gray-500">Loading…</p>;
+  const values = data?.values || [];
+  if (values.length === 0) return <p className="text-xs text-gray-500">No archived values</p>;
+  return (
+    <table className="mt-1 text-xs text-gray-700">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="pr-4 font-medium">Item</th>
+          <th className="pr-4 font-medium">Field</th>
+          <th className="pr-4 font-medium">Value</th>
+          <th className="font-medium">Reason</th>
+        </tr>
+      </thead>
+      <tbody>
+        {values.map((v) => (
+          <tr key={v.id}>
+            <td className="pr-4 font-mono">{v.Item?.customId || v.itemId}</td>
+            <td className="pr-4">{v.fieldName}</td>
+            <td className="pr-4">{v.value === null ? '' : String(v.value)}</td>
+            <td>{v.reason === 'removed' ? 'Field removed' : 'Could not convert'}</td>
+          </tr>
+        ))}
+        {data.totalCount > values.length && (
+          <tr><td colSpan={4} className="text-gray-500">…and {data.totalCount - values.length} more</td></tr>
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+// Schema version history of an inventory's field template, newest first
+export default function TemplateHistory({ inventoryId }) {
+  const [openVersion, setOpenVersion] = useState(null);
+  const { data: versions = [], isLoading } = useQuery(
+    ['inventory:templateVersions', inventoryId],
+    () => axios.get(`/api/inventories/${inventoryId}/template/versions`).then((r) => r.data.versions || [])
+  );
+
+  if (isLoading) return <p className="text-sm text-gray-500">Loading history…</p>;
+  if (versions.length === 0) return <p className="text-sm text-gray-500">No template versions yet</p>;
+
+  return (
+    <ol className="space-y-3">
+      {versions.map((v) => {
+        const archived = (v.changes || []).some((c) => (c.kind === 'remove' && c.affectedItems > 0) || c.failed > 0);
+        return (
+          <li key={v.id} className="rounded border border-gray-200 p-3">
+            <div className="flex items-center gap-2 text-sm text-gray-800">
+              <span className="font-semibold">Version {v.version}</span>
+              <span className="text-gray-500">
+                {new Date(v.createdAt).toLocaleString()}
+                {v.author ? ` · ${v.author.username || [v.author.firstName, v.author.lastName].filter(Boolean).join(' ')}` : ''}
+              </span>
+              {archived && (
+                <button
+                  type="button"
+                  className="ml-auto text-xs text-blue-600"
+                  onClick={() => setOpenVersion(openVersion === v.version ? null : v.version)}
+                >
+                  {openVersion === v.version ? 'Hide archived values' : 'Archived values'}
+                </button>
+              )}
+            </div>
+            <div className="mt-1">
+              {v.changes?.length ? <TemplateChangeList changes={v.changes} /> : <p className="text-sm text-gray-500">Initial template ({v.fields.length} fields)</p>}
+            </div>
+            {openVersion === v.version && <ArchivedValues inventoryId={inventoryId} version={v.version} />}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
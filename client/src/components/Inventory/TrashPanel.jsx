@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { RotateCcw } from 'lucide-react';
+
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+function RestoreButton({ busy, onClick }) {
+  return (
+    <button type="button" disabled={busy} onClick={onClick} className="inline-flex items-center gap-1 text-xs text-blue-600 hover:underline disabled:text-gray-400">
+      <RotateCcw className="h-3 w-3" /> {busy ? 'Restoring...' : 'Restore'}
+    </button>
+  );
+}
+
+function TrashTable({ title, columns, rows, renderRow }) {
+  if (rows.length === 0) return null;
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title} ({rows.length})</h3>
+      <div className="overflow-x-auto rounded-md border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              {columns.map((c) => <th key={c} className="px-3 py-2 text-left font-medium">{c}</th>)}
+              <th className="px-3 py-2 text-left font-medium">Deleted</th>
+              <th className="px-3 py-2 text-left font-medium">Removed for good</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">{rows.map(renderRow)}</tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Deleted inventories, items and comments with a way back. With `inventoryId` it shows what was
+// deleted from that inventory; without, everything the user may restore (all of it for admins).
+export default function TrashPanel({ inventoryId }) {
+  const queryClient = useQueryClient();
+  const [busyId, setBusyId] = useState(null);
+  const queryKey = inventoryId ? ['inventory:trash', inventoryId] : ['trash'];
+
+  const { data, isLoading } = useQuery(
+    queryKey,
+    () => axios.get(inventoryId ? `/api/trash/inventory/${inventoryId}` : '/api/trash').then((r) => r.data)
+  );
+
+  const restore = async (kind, row, label) => {
+    setBusyId(row.id);
+    try {
+      await axios.post(`/api/trash/${kind}/${row.id}/restore`);
+      toast.success(`${label} restored`);
+      if (row.inventoryId) {
+        queryClient.invalidateQueries(['inventory:items', row.inventoryId]);
+        queryClient.invalidateQueries(['inventory', row.inventoryId]);
+      }
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+      queryClient.invalidateQueries(queryKey);
+    }
+  };
+
+  if (isLoading) return <p className="text-sm text-gray-600">Loading...</p>;
+  if (!data) return null;
+
+  const inventories = data.inventories || [];
+  const empty = inventories.length === 0 && data.items.length === 0 && data.comments.length === 0;
+  const dates = (row) => (
+    <>
+      <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{formatDate(row.deletedAt)}</td>
+      <td className="px-3 py-2 text-gray-500 whitespace-nowrap">{formatDate(row.purgeAfter)}</td>
+    </>
+  );
+  const inventoryCell = (row) => !inventoryId && (
+    <td className="px-3 py-2">
+      <Link to={`/inventories/${row.inventoryId}`} className="text-blue-600 hover:underline">{row.Inventory?.title}</Link>
+    </td>
+  );
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-gray-600">
+        Deleted inventories, items and comments stay here for {data.retentionDays} days and are then removed for good.
+        Items and comments deleted together with an inventory come back when the inventory is restored.
+      </p>
+      {empty && <p className="text-sm text-gray-500">The trash is empty</p>}
+
+      <TrashTable
+        title="Inventories"
+        columns={['Title', 'Owner', 'Items']}
+        rows={inventories}
+        renderRow={(inv) => (
+          <tr key={inv.id}>
+            <td className="px-3 py-2 text-gray-900">{inv.title}</td>
+            <td className="px-3 py-2 text-gray-700">{userName(inv.creator) || '—'}</td>
+            <td className="px-3 py-2 text-gray-700">{inv.itemCount ?? 0}</td>
+            {dates(inv)}
+            <td className="px-3 py-2 text-right"><RestoreButton busy={busyId === inv.id} onClick={() => restore('inventories', inv, 'Inventory')} /></td>
+          </tr>
+        )}
+      />
+
+      <TrashTable
+        title="Items"
+        columns={inventoryId ? ['ID', 'Title'] : ['ID', 'Title', 'Inventory']}
+        rows={data.items}
+        renderRow={(item) => (
+          <tr key={item.id}>
+            <td className="px-3 py-2 font-mono text-gray-900">{item.customId}</td>
+            <td className="px-3 py-2 text-gray-700">{item.title || '—'}</td>
+            {inventoryCell(item)}
+            {dates(item)}
+            <td className="px-3 py-2 text-right"><RestoreButton busy={busyId === item.id} onClick={() => restore('items', item, `Item ${item.customId}`)} /></td>
+          </tr>
+        )}
+      />
+
+      <TrashTable
+        title="Comments"
+        columns={inventoryId ? ['Comment', 'Author'] : ['Comment', 'Author', 'Inventory']}
+        rows={data.comments}
+        renderRow={(comment) => (
+          <tr key={comment.id}>
+            <td className="px-3 py-2 text-gray-900 max-w-md truncate">{comment.content}</td>
+            <td className="px-3 py-2 text-gray-700">{userName(comment.author) || '—'}</td>
+            {inventoryCell(comment)}
+            {dates(comment)}
+            <td className="px-3 py-2 text-right"><RestoreButton busy={busyId === comment.id} onClick={() => restore('comments', comment, 'Comment')} /></td>
+          </tr>
+        )}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,282 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { ChevronLeft, ChevronRight, Download, FileText, GripVertical, Paperclip, Trash2, Upload, X } from 'lucide-react';
+import DeleteModal from '../UI/DeleteModal';
+
+const isImage = (a) => /^image\//.test(a.mimeType || '');
+const isPdf = (a) => a.mimeType === 'application/pdf';
+
+// Cloudinary renders the first page of a PDF when it is requested as an image
+const previewUrl = (a) => (isPdf(a) ? a.url.replace(/\.pdf$/i, '.jpg') : a.url);
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Full-screen viewer for image attachments; arrow keys move between them, Escape closes
+function Lightbox({ attachments, index, onIndex, onClose }) {
+  const current = attachments[index];
+  const count = attachments.length;
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') onIndex((index - 1 + count) % count);
+      if (e.key === 'ArrowRight') onIndex((index + 1) % count);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [index, count, onIndex, onClose]);
+
+  if (!current) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-black/90" role="dialog" aria-modal="true" onClick={onClose}>
+      <div className="flex items-center gap-3 p-3 text-sm text-gray-200" onClick={(e) => e.stopPropagation()}>
+        <span className="truncate">{current.filename}</span>
+        <span className="text-gray-400">{index + 1} / {count}</span>
+        <a href={current.url} target="_blank" rel="noreferrer" className="ml-auto p-1 hover:text-white" aria-label="Open original">
+          <Download className="h-5 w-5" />
+        </a>
+        <button type="button" onClick={onClose} className="p-1 hover:text-white" aria-label="Close">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+      <div className="relative flex flex-1 items-center justify-center min-h-0 px-12">
+        {count > 1 && (
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); onIndex((index - 1 + count) % count); }}
+            className="absolute left-2 p-2 text-gray-300 hover:text-white"
+            aria-label="Previous"
+          >
+            <ChevronLeft className="h-8 w-8" />
+          </button>
+        )}
+        <img
+          src={current.url}
+          alt={current.caption || current.filename}
+          className="max-h-full max-w-full object-contain"
+          referrerPolicy="no-referrer"
+          onClick={(e) => e.stopPropagation()}
+        />
+        {count > 1 && (
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); onIndex((index + 1) % count); }}
+            className="absolute right-2 p-2 text-gray-300 hover:text-white"
+            aria-label="Next"
+          >
+            <ChevronRight className="h-8 w-8" />
+          </button>
+        )}
+      </div>
+      {current.caption && (
+        <p className="p-3 text-center text-sm text-gray-200" onClick={(e) => e.stopPropagation()}>{current.caption}</p>
+      )}
+    </div>
+  );
+}
+
+// Files attached to an item: thumbnails for images and PDFs, a file tile for anything else.
+// Images open in a lightbox; people who can edit the item can upload, caption, reorder and delete.
+export default function AttachmentGallery({ itemId }) {
+  const { t } = useTranslation();
+  const qc = useQueryClient();
+  const fileInput = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [editingCaption, setEditingCaption] = useState(null); // { id, value }
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const queryKey = ['item:attachments', itemId];
+  const { data, isLoading } = useQuery(
+    queryKey,
+    () => axios.get(`/api/attachments/item/${itemId}`).then((res) => res.data),
+    { enabled: !!itemId }
+  );
+  const attachments = data?.attachments || [];
+  const canEdit = !!data?.canEdit;
+  const images = attachments.filter(isImage);
+
+  const setAttachments = (next) => qc.setQueryData(queryKey, (old) => ({ ...(old || {}), attachments: next }));
+
+  const upload = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    const fd = new FormData();
+    files.forEach((f) => fd.append('files', f));
+    try {
+      setUploading(true);
+      await axios.post(`/api/attachments/item/${itemId}`, fd, { headers: { 'Content-Type': 'multipart/form-data' } });
+      toast.success(files.length === 1 ? 'File attached' : `${files.length} files attached`);
+      qc.invalidateQueries(queryKey);
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+      if (fileInput.current) fileInput.current.value = '';
+    }
+  };
+
+  const move = async (from, to) => {
+    if (from === null || to === null || from === to) return;
+    const previous = attachments;
+    const next = [...attachments];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    setAttachments(next);
+    try {
+      await axios.put(`/api/attachments/item/${itemId}/order`, { ids: next.map((a) => a.id) });
+    } catch (e) {
+      setAttachments(previous);
+      toast.error(e?.response?.data?.message || 'Failed to reorder attachments');
+    }
+  };
+
+  const saveCaption = async () => {
+    if (!editingCaption) return;
+    const { id, value } = editingCaption;
+    setEditingCaption(null);
+    try {
+      const res = await axios.put(`/api/attachments/item/${itemId}/${id}`, { caption: value });
+      setAttachments(attachments.map((a) => (a.id === id ? res.data : a)));
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Failed to save caption');
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    try {
+      setDeleting(true);
+      await axios.delete(`/api/attachments/item/${itemId}/${pendingDelete.id}`);
+      setAttachments(attachments.filter((a) => a.id !== pendingDelete.id));
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Failed to delete attachment');
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
+  const endDrag = () => { setDragIndex(null); setOverIndex(null); };
+
+  if (isLoading || (!canEdit && attachments.length === 0)) return null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+          <Paperclip className="h-4 w-4" />
+          {t('item.attachments', { defaultValue: 'Attachments' })}
+        </h2>
+        {canEdit && (
+          <>
+            <input ref={fileInput} type="file" multiple className="hidden" onChange={(e) => upload(e.target.files)} />
+            <button
+              type="button"
+              onClick={() => fileInput.current?.click()}
+              disabled={uploading}
+              className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4" />
+              {uploading ? 'Uploading…' : 'Add files'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {t('item.noAttachments', { defaultValue: 'No files attached. Images, PDFs and other documents up to 20 MB can be added.' })}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+          {attachments.map((a, idx) => (
+            <li
+              key={a.id}
+              draggable={canEdit}
+              onDragStart={(e) => { setDragIndex(idx); e.dataTransfer.effectAllowed = 'move'; }}
+              onDragOver={(e) => { if (dragIndex !== null) { e.preventDefault(); setOverIndex(idx); } }}
+              onDrop={(e) => { e.preventDefault(); move(dragIndex, idx); endDrag(); }}
+              onDragEnd={endDrag}
+              className={`flex flex-col rounded border bg-white ${overIndex === idx && dragIndex !== idx ? 'border-blue-400' : 'border-gray-200'} ${dragIndex === idx ? 'opacity-50' : ''}`}
+            >
+              {isImage(a) ? (
+                <button type="button" onClick={() => setLightboxIndex(images.indexOf(a))} className="block aspect-square overflow-hidden rounded-t">
+                  <img src={a.url} alt={a.caption || a.filename} className="h-full w-full object-cover" referrerPolicy="no-referrer" loading="lazy" />
+                </button>
+              ) : (
+                <a href={a.url} target="_blank" rel="noreferrer" className="flex aspect-square items-center justify-center overflow-hidden rounded-t bg-gray-50">
+                  {isPdf(a) ? (
+                    <img src={previewUrl(a)} alt={a.filename} className="h-full w-full object-cover" referrerPolicy="no-referrer" loading="lazy" />
+                  ) : (
+                    <FileText className="h-12 w-12 text-gray-400" />
+                  )}
+                </a>
+              )}
+              <div className="p-2 text-xs text-gray-600 space-y-1">
+                <div className="flex items-center gap-1">
+                  {canEdit && <GripVertical className="h-3.5 w-3.5 shrink-0 text-gray-400 cursor-move" aria-hidden="true" />}
+                  <a href={a.url} target="_blank" rel="noreferrer" className="truncate text-gray-800 hover:underline" title={a.filename}>{a.filename}</a>
+                  <span className="ml-auto shrink-0 text-gray-400">{formatSize(a.size)}</span>
+                </div>
+                {editingCaption?.id === a.id ? (
+                  <input
+                    autoFocus
+                    value={editingCaption.value}
+                    onChange={(e) => setEditingCaption({ id: a.id, value: e.target.value })}
+                    onBlur={saveCaption}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveCaption();
+                      if (e.key === 'Escape') setEditingCaption(null);
+                    }}
+                    placeholder="Caption"
+                    className="w-full rounded border border-blue-300 px-1 py-0.5"
+                  />
+                ) : (
+                  <p
+                    className={`min-h-[1rem] ${canEdit ? 'cursor-text hover:bg-gray-50' : ''} ${a.caption ? 'text-gray-700' : 'text-gray-400'}`}
+                    onClick={() => canEdit && setEditingCaption({ id: a.id, value: a.caption || '' })}
+                  >
+                    {a.caption || (canEdit ? 'Add a caption' : '')}
+                  </p>
+                )}
+                {canEdit && (
+                  <div className="flex items-center gap-1">
+                    <span className="truncate text-gray-400">{a.uploader?.username || ''}</span>
+                    <button type="button" onClick={() => setPendingDelete(a)} className="ml-auto p-0.5 text-red-600 hover:text-red-700" aria-label="Delete attachment" title="Delete attachment">
+                      <Trash2 className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {lightboxIndex !== null && images.length > 0 && (
+        <Lightbox attachments={images} index={Math.min(lightboxIndex, images.length - 1)} onIndex={setLightboxIndex} onClose={() => setLightboxIndex(null)} />
+      )}
+
+      <DeleteModal
+        open={!!pendingDelete}
+        title="Delete attachment"
+        description={pendingDelete ? `Delete "${pendingDelete.filename}"? The file is removed for everyone.` : ''}
+        isLoading={deleting}
+        onConfirm={confirmDelete}
+        onClose={() => setPendingDelete(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { Download, QrCode } from 'lucide-react';
+
+const CODES = [
+  { value: 'qr', label: 'QR code' },
+  { value: 'datamatrix', label: 'DataMatrix' },
+  { value: 'code128', label: 'Code 128' },
+];
+
+const fetchBarcode = (itemId, type, format) => axios
+  .get(`/api/items/${itemId}/barcode`, { params: { type, format }, responseType: 'blob' })
+  .then((res) => res.data);
+
+// The item's custom ID as a QR code, DataMatrix or Code 128 symbol with SVG and PNG downloads.
+// The 2D codes encode a link to this page so scanning them opens the item.
+export default function ItemBarcodes({ itemId, customId }) {
+  const { t } = useTranslation();
+  const [type, setType] = useState('qr');
+  const [imageUrl, setImageUrl] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    setError('');
+    fetchBarcode(itemId, type, 'svg')
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(() => { if (!cancelled) { setImageUrl(null); setError('This code cannot be shown for the item.'); } });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [itemId, type, customId]);
+
+  const download = async (format) => {
+    try {
+      const blob = await fetchBarcode(itemId, type, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${customId || itemId}-${type}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download the code');
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+          <QrCode className="h-4 w-4" />
+          {t('item.barcode', { defaultValue: 'Barcode' })}
+        </h2>
+        <select value={type} onChange={(e) => setType(e.target.value)} className="ml-auto rounded-md border border-gray-300 px-2 py-1 text-sm">
+          {CODES.map((c) => <option key={c.value} value={c.value}>{c.label}</option>)}
+        </select>
+        {['svg', 'png'].map((format) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => download(format)}
+            disabled={!imageUrl}
+            className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="h-4 w-4" />
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {error ? (
+        <p className="text-sm text-gray-500">{error}</p>
+      ) : imageUrl && (
+        <img src={imageUrl} alt={`${CODES.find((c) => c.value === type)?.label} for ${customId || 'this item'}`} className={type === 'code128' ? 'h-24 max-w-full' : 'h-32 w-32'} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { History, RotateCcw } from 'lucide-react';
+import DeleteModal from '../UI/DeleteModal';
+import { formatFieldValue } from '../../utils/fieldFormat';
+
+const PAGE_SIZE = 10;
+const ACTION_LABELS = { baseline: 'Earlier state', create: 'Created', update: 'Edited', restore: 'Restored' };
+
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+
+// One side of a change, formatted like the item page shows the field
+function ChangeValue({ change, fields, value }) {
+  if (value === null || value === undefined || value === '') return <span className="text-gray-400">empty</span>;
+  if (change.type === 'boolean') return value ? 'Yes' : 'No';
+  const field = fields.find((f) => f.id === change.fieldId) || { type: change.type };
+  const text = change.fieldId ? formatFieldValue(field, value) : String(value);
+  return <span className="break-words">{text.length > 120 ? `${text.slice(0, 120)}…` : text}</span>;
+}
+
+// Saved versions of the item with what each save changed, and restoring one of them: the
+// snapshot goes back through PUT /api/items/:id with the version shown, so a concurrent edit
+// makes the restore fail instead of being overwritten
+export default function ItemHistory({ item, fields = [] }) {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [restoring, setRestoring] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const { data } = useQuery(
+    ['item:revisions', item.id, page],
+    () => axios.get(`/api/items/${item.id}/revisions`, { params: { page, limit: PAGE_SIZE } }).then((r) => r.data),
+    { keepPreviousData: true }
+  );
+
+  if (!data || data.totalCount === 0) return null;
+
+  const restore = async () => {
+    setBusy(true);
+    try {
+      const { customId, title, description, values } = restoring.snapshot;
+      await axios.put(`/api/items/${item.id}`, { customId, title, description, values, version: item.version, restoredFrom: restoring.id });
+      toast.success(`Version ${restoring.version} restored`);
+      setRestoring(null);
+      setPage(1);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to restore the version');
+    } finally {
+      setBusy(false);
+      queryClient.invalidateQueries(['item:detail', item.id]);
+      queryClient.invalidateQueries(['item:revisions', item.id]);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900 mb-2">
+        <History className="h-4 w-4" />
+        {t('item.history', { defaultValue: 'History' })}
+      </h2>
+      <ol className="space-y-3">
+        {data.revisions.map((rev) => (
+          <li key={rev.id} className="rounded border border-gray-200 p-3 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-900">Version {rev.version}</span>
+              <span className="text-gray-600">
+                {ACTION_LABELS[rev.action] || rev.action}
+                {rev.action === 'restore' && rev.restoredFromVersion ? ` from version ${rev.restoredFromVersion}` : ''}
+                {rev.user ? ` by ${userName(rev.user)}` : ''}
+              </span>
+              <span className="text-gray-500">{new Date(rev.createdAt).toLocaleString()}</span>
+              {data.canRestore && rev.version !== item.version && (
+                <button type="button" onClick={() => setRestoring(rev)} className="ml-auto inline-flex items-center gap-1 text-xs text-blue-600 hover:underline">
+                  <RotateCcw className="h-3 w-3" /> Restore this version
+                </button>
+              )}
+            </div>
+            {rev.changes.length > 0 && (
+              <table className="mt-2 w-full text-xs">
+                <tbody className="divide-y divide-gray-100">
+                  {rev.changes.map((c) => (
+                    <tr key={c.key}>
+                      <td className="py-1 pr-3 align-top font-medium text-gray-700 whitespace-nowrap">{c.label}</td>
+                      <td className="py-1 pr-3 align-top text-red-700 line-through decoration-red-300"><ChangeValue change={c} fields={fields} value={c.from} /></td>
+                      <td className="py-1 align-top text-green-700"><ChangeValue change={c} fields={fields} value={c.to} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        ))}
+      </ol>
+      {data.totalPages > 1 && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-gray-600">
+          <button type="button" disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="text-blue-600 disabled:text-gray-400">Newer</button>
+          <span>Page {page} of {data.totalPages}</span>
+          <button type="button" disabled={page >= data.totalPages} onClick={() => setPage((p) => p + 1)} className="text-blue-600 disabled:text-gray-400">Older</button>
+        </div>
+      )}
+      <DeleteModal
+        open={!!restoring}
+        title={restoring ? `Restore version ${restoring.version}?` : ''}
+        description="The item's ID, title, description and field values go back to this version as a new edit. Formula fields are recalculated; the status, quantity and attachments stay as they are."
+        confirmLabel="Restore"
+        isLoading={busy}
+        onConfirm={restore}
+        onClose={() => setRestoring(null)}
+      />
+    </div>
+  );
+}
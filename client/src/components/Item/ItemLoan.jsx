@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { AlertTriangle, HandHelping } from 'lucide-react';
+import { useSocket } from '../../contexts/SocketContext';
+import { borrowerLabel, isOverdue, utcToday } from '../../utils/loans';
+
+const inputClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+const emptyForm = { borrowerName: '', dueDate: '', note: '' };
+
+// Borrower of a check-out: a user picked from the search, or whatever name was typed
+function BorrowerInput({ value, user, onName, onUser }) {
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    const q = value.trim();
+    if (user || q.length < 2) { setResults([]); return; }
+    const t = setTimeout(async () => {
+      try {
+        const r = await axios.get('/api/users/search/autocomplete', { params: { q } });
+        setResults(Array.isArray(r.data) ? r.data : []);
+      } catch {
+        setResults([]);
+      }
+    }, 250);
+    return () => clearTimeout(t);
+  }, [value, user]);
+
+  if (user) {
+    return (
+      <div className="mt-1 flex items-center gap-2 text-sm">
+        <span className="rounded bg-blue-50 px-2 py-0.5 text-blue-800">{userName(user)}</span>
+        <button type="button" className="text-xs text-gray-500" onClick={() => onUser(null)}>Change</button>
+      </div>
+    );
+  }
+  return (
+    <div className="relative">
+      <input
+        value={value}
+        onChange={(e) => onName(e.target.value)}
+        placeholder="Search users or type a name"
+        className={`mt-1 w-full ${inputClass}`}
+        required
+      />
+      {results.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full rounded-md border border-gray-200 bg-white shadow">
+          {results.map((u) => (
+            <li key={u.id}>
+              <button type="button" className="w-full px-2 py-1 text-left text-sm hover:bg-gray-50" onClick={() => onUser(u)}>
+                {userName(u)} <span className="text-xs text-gray-500">{u.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Who has the item now and until when, the check-out and check-in forms for editors, and the
+// item's past loans. Follows check-outs made elsewhere through the inventory's socket room.
+export default function ItemLoan({ itemId, inventoryId }) {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { socket } = useSocket();
+  const [form, setForm] = useState(emptyForm);
+  const [borrower, setBorrower] = useState(null);
+  const [condition, setCondition] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const { data } = useQuery(
+    ['item:loans', itemId],
+    () => axios.get(`/api/loans/item/${itemId}`).then((r) => r.data)
+  );
+
+  useEffect(() => {
+    if (!socket || !inventoryId) return;
+    socket.emit('join-inventory', inventoryId);
+    const onLoanChanged = (payload) => {
+      if (payload?.itemId === itemId) queryClient.invalidateQueries(['item:loans', itemId]);
+    };
+    socket.on('itemLoanChanged', onLoanChanged);
+    return () => {
+      socket.off('itemLoanChanged', onLoanChanged);
+    };
+  }, [socket, inventoryId, itemId, queryClient]);
+
+  if (!data) return null;
+
+  const refresh = () => queryClient.invalidateQueries(['item:loans', itemId]);
+  const current = data.current;
+  const history = data.history || [];
+
+  const checkOut = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.post(`/api/loans/item/${itemId}/checkout`, {
+        borrowerId: borrower?.id,
+        borrowerName: borrower ? undefined : form.borrowerName,
+        dueDate: form.dueDate || undefined,
+        note: form.note,
+      });
+      setForm(emptyForm);
+      setBorrower(null);
+      refresh();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to check the item out');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkIn = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.post(`/api/loans/item/${itemId}/checkin`, { condition });
+      setCondition('');
+      refresh();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to check the item in');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nothing to show to readers of an item that was never lent
+  if (!current && history.length === 0 && !data.canEdit) return null;
+
+  return (
+    <div className="mb-6">
+      <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900 mb-2">
+        <HandHelping className="h-4 w-4" />
+        {t('item.loans', { defaultValue: 'Loans' })}
+      </h2>
+
+      {current ? (
+        <div className={`mb-3 rounded border p-3 text-sm ${isOverdue(current) ? 'border-red-300 bg-red-50' : 'border-amber-200 bg-amber-50'}`}>
+          <div className="flex flex-wrap items-center gap-2">
+            <span>Checked out to <strong>{borrowerLabel(current)}</strong> on {new Date(current.checkedOutAt).toLocaleDateString()}</span>
+            {current.dueDate && <span className="text-gray-700">· due {current.dueDate}</span>}
+            {isOverdue(current) && (
+              <span className="inline-flex items-center gap-1 rounded bg-red-100 px-2 py-0.5 text-xs text-red-800">
+                <AlertTriangle className="h-3 w-3" /> Overdue
+              </span>
+            )}
+          </div>
+          {current.note && <p className="mt-1 text-gray-700">{current.note}</p>}
+          {current.lender && <p className="mt-1 text-xs text-gray-500">Lent by {userName(current.lender)}</p>}
+          {data.canEdit && (
+            <form onSubmit={checkIn} className="mt-3 flex flex-wrap items-end gap-2">
+              <label className="flex-1 text-xs text-gray-600">
+                Condition on return (optional)
+                <input
+                  value={condition}
+                  onChange={(e) => setCondition(e.target.value)}
+                  placeholder="e.g. scratched lid, all parts present"
+                  className={`mt-1 w-full ${inputClass}`}
+                />
+              </label>
+              <button type="submit" disabled={busy} className="px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm disabled:opacity-50">
+                {busy ? 'Saving…' : 'Check in'}
+              </button>
+            </form>
+          )}
+        </div>
+      ) : data.canEdit && (
+        <form onSubmit={checkOut} className="mb-4 grid gap-2 sm:grid-cols-2 rounded border border-gray-200 p-3">
+          <label className="text-xs text-gray-600 sm:col-span-2">
+            Borrower
+            <BorrowerInput
+              value={form.borrowerName}
+              user={borrower}
+              onName={(borrowerName) => setForm((f) => ({ ...f, borrowerName }))}
+              onUser={setBorrower}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Due date (optional)
+            <input
+              type="date"
+              min={utcToday()}
+              value={form.dueDate}
+              onChange={(e) => setForm((f) => ({ ...f, dueDate: e.target.value }))}
+              className={`mt-1 w-full ${inputClass}`}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Note (optional)
+            <input
+              value={form.note}
+              onChange={(e) => setForm((f) => ({ ...f, note: e.target.value }))}
+              className={`mt-1 w-full ${inputClass}`}
+            />
+          </label>
+          <div className="sm:col-span-2 flex justify-end">
+            <button
+              type="submit"
+              disabled={busy || (!borrower && !form.borrowerName.trim())}
+              className="px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm disabled:opacity-50"
+            >
+              {busy ? 'Saving…' : 'Check out'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <h3 className="text-sm font-semibold text-gray-800 mb-1">History</h3>
+      {history.length === 0 ? (
+        <p className="text-sm text-gray-500">Never checked out before</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-1 pr-4 font-medium">Borrower</th>
+                <th className="py-1 pr-4 font-medium">Out</th>
+                <th className="py-1 pr-4 font-medium">Due</th>
+                <th className="py-1 pr-4 font-medium">Returned</th>
+                <th className="py-1 font-medium">Condition</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {history.map((loan) => (
+                <tr key={loan.id}>
+                  <td className="py-1 pr-4">{borrowerLabel(loan)}</td>
+                  <td className="py-1 pr-4 text-gray-600 whitespace-nowrap">{new Date(loan.checkedOutAt).toLocaleDateString()}</td>
+                  <td className="py-1 pr-4 text-gray-600 whitespace-nowrap">{loan.dueDate || '—'}</td>
+                  <td className={`py-1 pr-4 whitespace-nowrap ${loan.dueDate && loan.returnedAt.slice(0, 10) > loan.dueDate ? 'text-red-700' : 'text-gray-600'}`}>
+                    {new Date(loan.returnedAt).toLocaleDateString()}
+                  </td>
+                  <td className="py-1 text-gray-700">{loan.returnCondition}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
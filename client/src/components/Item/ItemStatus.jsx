@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { Workflow } from 'lucide-react';
+import StatusBadge from './StatusBadge';
+import { statusBadgeClass } from '../../utils/itemStatus';
+
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+
+// The item's place in its inventory's status workflow: the current status, the moves the user may
+// make from it and the transition history
+export default function ItemStatus({ itemId }) {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const { data } = useQuery(
+    ['item:status', itemId],
+    () => axios.get(`/api/items/${itemId}/status`).then((r) => r.data)
+  );
+
+  // Inventories without a workflow whose item never had a status show nothing
+  if (!data || (!data.workflow && data.history.length === 0)) return null;
+
+  const move = async (status) => {
+    setBusy(true);
+    try {
+      await axios.post(`/api/items/${itemId}/status`, { status, note });
+      setNote('');
+      queryClient.invalidateQueries(['item:status', itemId]);
+      queryClient.invalidateQueries(['item:detail', itemId]);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to change the status');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const next = data.next || [];
+
+  return (
+    <div className="mb-6">
+      <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900 mb-2">
+        <Workflow className="h-4 w-4" />
+        {t('item.status', { defaultValue: 'Status' })}
+      </h2>
+      {!data.workflow ? (
+        <p className="mb-2 text-sm text-gray-500">The status workflow is turned off for this inventory; the history is kept.</p>
+      ) : (
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+          <StatusBadge workflow={data.workflow} status={data.status} className="text-sm" />
+          {!data.status && <span className="text-gray-500">No status</span>}
+          {next.length > 0 && (
+            <>
+              <span className="ml-2 text-gray-500">Move to</span>
+              {next.map((s) => (
+                <button
+                  key={s.key}
+                  type="button"
+                  disabled={busy}
+                  onClick={() => move(s.key)}
+                  className={`rounded px-2 py-0.5 text-xs font-medium hover:opacity-80 disabled:opacity-50 ${statusBadgeClass(s.color)}`}
+                >
+                  {s.label}
+                </button>
+              ))}
+              <input
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Note (optional)"
+                className="rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      <h3 className="text-sm font-semibold text-gray-800 mb-1">History</h3>
+      {data.history.length === 0 ? (
+        <p className="text-sm text-gray-500">No status changes yet</p>
+      ) : (
+        <ul className="space-y-1 text-sm">
+          {data.history.map((h) => (
+            <li key={h.id} className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-500 whitespace-nowrap">{new Date(h.createdAt).toLocaleString()}</span>
+              {h.fromStatus && (
+                <>
+                  <StatusBadge workflow={data.workflow} status={h.fromStatus} />
+                  <span className="text-gray-400">→</span>
+                </>
+              )}
+              <StatusBadge workflow={data.workflow} status={h.toStatus} />
+              {h.user && <span className="text-gray-600">by {userName(h.user)}</span>}
+              {h.note && <span className="text-gray-700">· {h.note}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
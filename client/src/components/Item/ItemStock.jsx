@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useTranslation } from 'react-i18next';
+import { AlertTriangle, Boxes } from 'lucide-react';
+
+const MOVEMENT_TYPES = [
+  { value: 'receive', label: 'Receive', amountLabel: 'Quantity received' },
+  { value: 'issue', label: 'Issue', amountLabel: 'Quantity issued' },
+  { value: 'adjust', label: 'Adjust', amountLabel: 'Counted quantity on hand' },
+  { value: 'transfer', label: 'Transfer', amountLabel: 'Quantity to transfer' },
+];
+const PAGE_SIZE = 20;
+
+const inputClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const userName = (u) => (u ? u.username || [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+
+// Target of a transfer: look the other item up by its custom ID among the items the user can read
+function TransferTarget({ itemId, target, onTarget }) {
+  const [code, setCode] = useState('');
+  const [matches, setMatches] = useState(null);
+
+  const find = async () => {
+    if (!code.trim()) return;
+    try {
+      const res = await axios.get('/api/items/lookup', { params: { customId: code.trim() } });
+      const found = (res.data.matches || []).filter((m) => m.id !== itemId);
+      setMatches(found);
+      onTarget(found.length === 1 ? found[0] : null);
+    } catch {
+      setMatches([]);
+      onTarget(null);
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-2">
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); find(); } }}
+          placeholder="Custom ID of the receiving item"
+          className={`flex-1 font-mono ${inputClass}`}
+        />
+        <button type="button" onClick={find} className="px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Find</button>
+      </div>
+      {matches && matches.length === 0 && <p className="text-xs text-red-600">No other item has that ID</p>}
+      {matches && matches.length > 1 && (
+        <select value={target?.id || ''} onChange={(e) => onTarget(matches.find((m) => m.id === e.target.value) || null)} className={`w-full ${inputClass}`}>
+          <option value="">Choose the item…</option>
+          {matches.map((m) => <option key={m.id} value={m.id}>{m.customId} · {m.inventory.title}</option>)}
+        </select>
+      )}
+      {target && <p className="text-xs text-gray-600">To {target.customId}{target.title ? ` ${target.title}` : ''} in {target.inventory.title}</p>}
+    </div>
+  );
+}
+
+// On-hand quantity of an item in a quantity-mode inventory, the form for stock movements (the
+// only way the quantity changes), the low-stock threshold and the movement history
+export default function ItemStock({ itemId }) {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [form, setForm] = useState({ type: 'receive', quantity: '', reason: '' });
+  const [target, setTarget] = useState(null);
+  const [threshold, setThreshold] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const { data } = useQuery(
+    ['item:stock', itemId, page],
+    () => axios.get(`/api/stock/item/${itemId}`, { params: { page, limit: PAGE_SIZE } }).then((r) => r.data),
+    { keepPreviousData: true }
+  );
+
+  // Inventories without quantity mode that never tracked this item show nothing
+  if (!data || (!data.trackQuantity && data.totalCount === 0)) return null;
+
+  const refresh = () => queryClient.invalidateQueries(['item:stock', itemId]);
+  const typeInfo = MOVEMENT_TYPES.find((m) => m.value === form.type);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.post(`/api/stock/item/${itemId}/movements`, {
+        type: form.type,
+        quantity: Number(form.quantity),
+        reason: form.reason,
+        targetItemId: form.type === 'transfer' ? target?.id : undefined,
+      });
+      setForm((f) => ({ ...f, quantity: '', reason: '' }));
+      setPage(1);
+      refresh();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to record the movement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveThreshold = async () => {
+    try {
+      await axios.put(`/api/stock/item/${itemId}/threshold`, { lowStockThreshold: threshold === '' ? null : Number(threshold) });
+      setThreshold(null);
+      refresh();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to save the threshold');
+    }
+  };
+
+  const movements = data.movements || [];
+
+  return (
+    <div className="mb-6">
+      <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900 mb-2">
+        <Boxes className="h-4 w-4" />
+        {t('item.stock', { defaultValue: 'Stock' })}
+      </h2>
+      {!data.trackQuantity && (
+        <p className="mb-2 text-sm text-gray-500">Quantity tracking is turned off for this inventory; the history is kept.</p>
+      )}
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <div>
+          <div className="text-xs text-gray-500">On hand</div>
+          <div className={`text-2xl font-semibold ${data.lowStock ? 'text-red-600' : 'text-gray-900'}`}>{data.quantity}</div>
+        </div>
+        {data.lowStock && (
+          <span className="inline-flex items-center gap-1 rounded bg-red-100 px-2 py-0.5 text-xs text-red-800">
+            <AlertTriangle className="h-3 w-3" /> Low stock
+          </span>
+        )}
+        <div className="text-sm text-gray-700">
+          Low-stock threshold:{' '}
+          {data.canEdit && threshold !== null ? (
+            <span className="inline-flex items-center gap-1">
+              <input type="number" min={0} value={threshold} onChange={(e) => setThreshold(e.target.value)} className={`w-24 ${inputClass}`} placeholder="None" />
+              <button type="button" className="text-blue-600 text-xs" onClick={saveThreshold}>Save</button>
+              <button type="button" className="text-gray-500 text-xs" onClick={() => setThreshold(null)}>Cancel</button>
+            </span>
+          ) : (
+            <>
+              {data.lowStockThreshold ?? 'none'}
+              {data.canEdit && (
+                <button type="button" className="ml-2 text-blue-600 text-xs" onClick={() => setThreshold(data.lowStockThreshold ?? '')}>Change</button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {data.trackQuantity && data.canEdit && (
+        <form onSubmit={submit} className="mb-4 grid gap-2 sm:grid-cols-2 rounded border border-gray-200 p-3">
+          <label className="text-xs text-gray-600">
+            Movement
+            <select value={form.type} onChange={(e) => setForm((f) => ({ ...f, type: e.target.value }))} className={`mt-1 w-full ${inputClass}`}>
+              {MOVEMENT_TYPES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-gray-600">
+            {typeInfo.amountLabel}
+            <input
+              type="number"
+              min={form.type === 'adjust' ? 0 : 1}
+              step={1}
+              value={form.quantity}
+              onChange={(e) => setForm((f) => ({ ...f, quantity: e.target.value }))}
+              className={`mt-1 w-full ${inputClass}`}
+              required
+            />
+          </label>
+          <label className="text-xs text-gray-600 sm:col-span-2">
+            Reason{form.type === 'adjust' ? '' : ' (optional)'}
+            <input
+              value={form.reason}
+              onChange={(e) => setForm((f) => ({ ...f, reason: e.target.value }))}
+              placeholder={form.type === 'adjust' ? 'Why the count differs, e.g. breakage found at stock-take' : 'e.g. order number or who took it'}
+              className={`mt-1 w-full ${inputClass}`}
+              required={form.type === 'adjust'}
+            />
+          </label>
+          {form.type === 'transfer' && (
+            <div className="sm:col-span-2">
+              <TransferTarget itemId={itemId} target={target} onTarget={setTarget} />
+            </div>
+          )}
+          <div className="sm:col-span-2 flex justify-end">
+            <button
+              type="submit"
+              disabled={busy || form.quantity === '' || (form.type === 'transfer' && !target)}
+              className="px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm disabled:opacity-50"
+            >
+              {busy ? 'Saving…' : `Record ${typeInfo.label.toLowerCase()}`}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <h3 className="text-sm font-semibold text-gray-800 mb-1">Movements</h3>
+      {movements.length === 0 ? (
+        <p className="text-sm text-gray-500">No movements yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-1 pr-4 font-medium">When</th>
+                <th className="py-1 pr-4 font-medium">Type</th>
+                <th className="py-1 pr-4 font-medium text-right">Change</th>
+                <th className="py-1 pr-4 font-medium text-right">On hand</th>
+                <th className="py-1 pr-4 font-medium">Reason</th>
+                <th className="py-1 font-medium">By</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {movements.map((m) => (
+                <tr key={m.id}>
+                  <td className="py-1 pr-4 text-gray-600 whitespace-nowrap">{new Date(m.createdAt).toLocaleString()}</td>
+                  <td className="py-1 pr-4">
+                    {MOVEMENT_TYPES.find((x) => x.value === m.type)?.label || m.type}
+                    {m.relatedItem && (
+                      <>
+                        {m.change < 0 ? ' to ' : ' from '}
+                        <Link to={`/items/${m.relatedItem.id}`} className="text-blue-600 hover:underline font-mono">{m.relatedItem.customId}</Link>
+                      </>
+                    )}
+                  </td>
+                  <td className={`py-1 pr-4 text-right font-mono ${m.change < 0 ? 'text-red-700' : 'text-green-700'}`}>{m.change > 0 ? `+${m.change}` : m.change}</td>
+                  <td className="py-1 pr-4 text-right font-mono">{m.quantityAfter}</td>
+                  <td className="py-1 pr-4 text-gray-700">{m.reason}</td>
+                  <td className="py-1 text-gray-600">{userName(m.user)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {data.totalPages > 1 && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-gray-600">
+          <button type="button" disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="text-blue-600 disabled:text-gray-400">Newer</button>
+          <span>Page {page} of {data.totalPages}</span>
+          <button type="button" disabled={page >= data.totalPages} onClick={() => setPage((p) => p + 1)} className="text-blue-600 disabled:text-gray-400">Older</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import React from 'react';
+import { findState, statusBadgeClass } from '../../utils/itemStatus';
+
+// Colored label of an item's status; keys the workflow no longer has are shown as they are stored
+export default function StatusBadge({ workflow, status, className = '' }) {
+  if (!status) return null;
+  const state = findState(workflow, status);
+  return (
+    <span className={`inline-block rounded px-1.5 py-0.5 text-xs font-medium whitespace-nowrap ${statusBadgeClass(state?.color)} ${className}`}>
+      {state?.label || status}
+    </span>
+  );
+}
@@ -84,6 +84,20 @@ const Navbar = () => {
               {t('nav.inventories')}
             </Link>
 
+            <Link
+              to="/templates"
+              className="text-gray-700 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400 px-3 py-2 rounded-md transition-colors"
+            >
+              {t('nav.templates')}
+            </Link>
+
+            <Link
+              to="/scan"
+              className="text-gray-700 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400 px-3 py-2 rounded-md transition-colors"
+            >
+              {t('nav.scan')}
+            </Link>
+
             {user && (
               <Link
                 to="/inventories/create"
@@ -230,6 +244,22 @@ const Navbar = () => {
                 {t('nav.inventories')}
               </Link>
 
+              <Link
+                to="/templates"
+                className="block px-3 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-md transition-colors"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                {t('nav.templates')}
+              </Link>
+
+              <Link
+                to="/scan"
+                className="block px-3 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-md transition-colors"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                {t('nav.scan')}
+              </Link>
+
               {user && (
                 <Link
                   to="/inventories/create"
@@ -4,6 +4,7 @@ import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import DeleteModal from '../components/UI/DeleteModal';
+import TrashPanel from '../components/Inventory/TrashPanel';
 import { Shield, ShieldOff, Ban, CheckCircle2, Trash2 } from 'lucide-react';
 
 export default function AdminPage() {
@@ -413,6 +414,12 @@ export default function AdminPage() {
           </div>
           {invError && <div className="mt-2 text-sm text-red-600">{invError}</div>}
         </div>
+
+        {/* Trash Panel */}
+        <div className="lg:col-span-3 rounded-lg border border-gray-200 p-4 bg-gray-50">
+          <h2 className="font-semibold text-gray-900 mb-3">Trash</h2>
+          <TrashPanel />
+        </div>
       </div>
       <DeleteModal
         open={showDeleteUserModal}
@@ -1,8 +1,11 @@
 import React, { useRef, useState, useEffect } from 'react';
 import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
+import FieldListEditor from '../components/Inventory/FieldListEditor';
+import CustomIdFormatEditor from '../components/Inventory/CustomIdFormatEditor';
+import { useAuth } from '../contexts/AuthContext';
 
 export default function CreateInventoryPage() {
   // If your backend expects a different field name (e.g., 'file', 'cover', 'coverImage'),
@@ -10,6 +13,7 @@ export default function CreateInventoryPage() {
   const IMAGE_FILE_FIELD = 'image';
   const navigate = useNavigate();
   const { t } = useTranslation();
+  const { user } = useAuth();
   const [form, setForm] = useState({
     title: '',
     description: '',
@@ -38,88 +42,10 @@ export default function CreateInventoryPage() {
 
   // ---- Custom ID Builder State ----
   const [customIdFormat, setCustomIdFormat] = useState([]);
-  const [newIdElType, setNewIdElType] = useState('text');
-  const [newIdElValue, setNewIdElValue] = useState(''); // for text
-  const [newIdElPadding, setNewIdElPadding] = useState(3); // for sequence
-  const [newIdElDatetimeFmt, setNewIdElDatetimeFmt] = useState('YYYYMMDD'); // datetime
 
   // ---- Custom Fields Builder State ----
-  const [customFields, setCustomFields] = useState({
-    singleLineText: [],
-    multiLineText: [],
-    numeric: [],
-    documentImage: [],
-    boolean: []
-  });
-  const [newFieldType, setNewFieldType] = useState('singleLineText');
-  const [newFieldName, setNewFieldName] = useState('');
-
-  const addCustomField = () => {
-    const name = newFieldName.trim();
-    if (!name) return;
-    setCustomFields((cf) => {
-      const current = Array.isArray(cf[newFieldType]) ? cf[newFieldType] : [];
-      if (current.includes(name)) return cf; // avoid duplicates
-      return { ...cf, [newFieldType]: [...current, name] };
-    });
-    setNewFieldName('');
-  };
-
-  // Utility: preview next ID (kept in sync with InventoryDetailPage preview)
-  const previewCustomId = (format = [], itemCount = 0) => {
-    const randHex = (bits) => Math.floor(Math.random() * Math.pow(2, bits)).toString(16);
-    const randDec = (max) => Math.floor(Math.random() * max).toString();
-    const pad = (s, n, ch = '0') => s.padStart(n, ch);
-    let out = '';
-    const now = new Date();
-    for (const el of format) {
-      const type = el?.type;
-      switch (type) {
-        case 'text':
-        case 'fixed':
-          out += el?.value ?? '';
-          break;
-        case 'random20':
-          out += pad(randHex(20), 5, '0');
-          break;
-        case 'random32':
-          out += pad(randHex(32), 8, '0');
-          break;
-        case 'random6':
-          out += pad(randDec(1_000_000), 6, '0');
-          break;
-        case 'random9':
-          out += pad(randDec(1_000_000_000), 9, '0');
-          break;
-        case 'guid': {
-          const uuid = (crypto?.randomUUID && crypto.randomUUID()) || 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-            const r = (Math.random() * 16) | 0;
-            const v = c === 'x' ? r : (r & 0x3) | 0x8;
-            return v.toString(16);
-          });
-          out += uuid;
-          break;
-        }
-        case 'datetime': {
-          const f = el?.format || 'YYYYMMDD';
-          const yyyy = String(now.getFullYear());
-          const mm = String(now.getMonth() + 1).padStart(2, '0');
-          const dd = String(now.getDate()).padStart(2, '0');
-          out += f === 'YYYY-MM-DD' ? `${yyyy}-${mm}-${dd}` : `${yyyy}${mm}${dd}`;
-          break;
-        }
-        case 'sequence': {
-          const n = String((0) + 1); // preview uses starting sequence
-          const padding = parseInt(el?.padding || 0, 10);
-          out += padding > 0 ? n.padStart(padding, '0') : n;
-          break;
-        }
-        default:
-          break;
-      }
-    }
-    return out;
-  };
+  // Single ordered list of { name, type, showInTable }; the order is kept by the server
+  const [customFields, setCustomFields] = useState([]);
 
   const onChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -260,7 +186,10 @@ export default function CreateInventoryPage() {
 
   return (
     <div className="max-w-2xl mx-auto p-6 bg-white rounded-lg shadow">
-      <h1 className="text-2xl font-semibold mb-6 text-gray-900">{t('inventory.create')}</h1>
+      <div className="flex items-baseline justify-between mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">{t('inventory.create')}</h1>
+        <Link to="/templates" className="text-sm text-blue-600 hover:underline">Start from a template</Link>
+      </div>
       {error && (
         <div className="mb-4 text-red-600" role="alert">{error}</div>
       )}
@@ -343,140 +272,13 @@ export default function CreateInventoryPage() {
         {/* Custom ID Builder */}
         <div className="border-t border-gray-200 pt-4">
           <h2 className="text-lg font-semibold text-gray-900 mb-2">Custom ID</h2>
-          {customIdFormat.length > 0 && (
-            <div className="mb-2 text-sm text-gray-700">
-              Example: <span className="font-mono">{previewCustomId(customIdFormat)}</span>
-            </div>
-          )}
-          <div className="space-y-2">
-            {customIdFormat.map((el, idx) => (
-              <div key={idx} className="flex items-center gap-2">
-                <span className="w-32 text-xs uppercase text-gray-500">{el.type}</span>
-                {el.type === 'text' || el.type === 'fixed' ? (
-                  <input
-                    value={el.value || ''}
-                    onChange={(e) => {
-                      const next = [...customIdFormat]; next[idx] = { ...el, value: e.target.value }; setCustomIdFormat(next);
-                    }}
-                    className="flex-1 rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                ) : el.type === 'sequence' ? (
-                  <input
-                    type="number"
-                    min={0}
-                    value={el.padding ?? 0}
-                    onChange={(e) => {
-                      const next = [...customIdFormat]; next[idx] = { ...el, padding: Number(e.target.value || 0) }; setCustomIdFormat(next);
-                    }}
-                    className="w-24 rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                ) : el.type === 'datetime' ? (
-                  <input
-                    value={el.format || 'YYYYMMDD'}
-                    onChange={(e) => {
-                      const next = [...customIdFormat]; next[idx] = { ...el, format: e.target.value }; setCustomIdFormat(next);
-                    }}
-                    placeholder="YYYYMMDD or YYYY-MM-DD"
-                    className="flex-1 rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                ) : (
-                  <div className="text-xs text-gray-500">auto</div>
-                )}
-                <div className="flex items-center gap-1">
-                  <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx===0}
-                    onClick={() => { const next=[...customIdFormat]; [next[idx-1],next[idx]]=[next[idx],next[idx-1]]; setCustomIdFormat(next); }}>↑</button>
-                  <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx===customIdFormat.length-1}
-                    onClick={() => { const next=[...customIdFormat]; [next[idx+1],next[idx]]=[next[idx],next[idx+1]]; setCustomIdFormat(next); }}>↓</button>
-                  <button type="button" className="px-2 py-1 text-xs rounded border border-red-300 text-red-700"
-                    onClick={() => setCustomIdFormat(customIdFormat.filter((_,i)=>i!==idx))}>Remove</button>
-                </div>
-              </div>
-            ))}
-          </div>
-          <div className="mt-2 flex flex-wrap items-center gap-2">
-            <select value={newIdElType} onChange={(e)=>setNewIdElType(e.target.value)}
-              className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500">
-              <option value="text">Fixed</option>
-              <option value="random20">20-bit random (X5)</option>
-              <option value="random32">32-bit random (X8)</option>
-              <option value="random6">Random 6 digits</option>
-              <option value="random9">Random 9 digits</option>
-              <option value="sequence">Sequence</option>
-              <option value="datetime">Date/time</option>
-              <option value="guid">GUID</option>
-            </select>
-            {(newIdElType === 'text') && (
-              <input value={newIdElValue} onChange={(e)=>setNewIdElValue(e.target.value)} placeholder="e.g. INV_"
-                     className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500" />
-            )}
-            {newIdElType === 'sequence' && (
-              <input type="number" min={0} value={newIdElPadding} onChange={(e)=>setNewIdElPadding(Number(e.target.value||0))}
-                     className="w-28 rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500" />
-            )}
-            {newIdElType === 'datetime' && (
-              <input value={newIdElDatetimeFmt} onChange={(e)=>setNewIdElDatetimeFmt(e.target.value)} placeholder="YYYYMMDD"
-                     className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500" />
-            )}
-            <button type="button" className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm hover:bg-blue-700"
-              onClick={() => {
-                const el = (() => {
-                  if (newIdElType === 'text') return { type: 'text', value: newIdElValue };
-                  if (newIdElType === 'sequence') return { type: 'sequence', padding: newIdElPadding };
-                  if (newIdElType === 'datetime') return { type: 'datetime', format: newIdElDatetimeFmt };
-                  return { type: newIdElType };
-                })();
-                setCustomIdFormat((arr) => [...arr, el]);
-                setNewIdElValue('');
-              }}>Add element</button>
-          </div>
+          <CustomIdFormatEditor format={customIdFormat} onChange={setCustomIdFormat} fields={customFields} creator={user} />
         </div>
 
         {/* Custom Fields Builder */}
         <div className="border-t border-gray-200 pt-4">
           <h2 className="text-lg font-semibold text-gray-900 mb-2">Custom fields</h2>
-          <div className="space-y-1 mb-2">
-            {['singleLineText','multiLineText','numeric','boolean','documentImage'].map((group) => (
-              Array.isArray(customFields[group]) && customFields[group].length > 0 ? (
-                <div key={group}>
-                  <div className="text-xs uppercase text-gray-500 mb-1">{group}</div>
-                  <div className="flex flex-wrap gap-2">
-                    {customFields[group].map((name, i) => (
-                      <span key={`${group}-${name}-${i}`} className="inline-flex items-center gap-2 px-2 py-1 rounded bg-gray-100 text-xs text-gray-800">
-                        {name}
-                        <button type="button" className="text-red-600 hover:text-red-700"
-                          onClick={() => setCustomFields((cf) => ({ ...cf, [group]: cf[group].filter((n, idx) => !(idx===i)) }))}>×</button>
-                      </span>
-                    ))}
-                  </div>
-                </div>
-              ) : null
-            ))}
-          </div>
-          <div className="flex flex-wrap items-center gap-2">
-            <select value={newFieldType} onChange={(e)=>setNewFieldType(e.target.value)}
-                    className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500">
-              <option value="singleLineText">Single line text</option>
-              <option value="multiLineText">Multi line text</option>
-              <option value="numeric">Number</option>
-              <option value="boolean">Boolean</option>
-              <option value="documentImage">Document/Image</option>
-            </select>
-            <input
-              value={newFieldName}
-              onChange={(e)=>setNewFieldName(e.target.value)}
-              onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addCustomField(); } }}
-              placeholder="Field name"
-              className="rounded-md border border-gray-300 bg-white text-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-            <button
-              type="button"
-              className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-60"
-              disabled={!newFieldName.trim()}
-              onClick={addCustomField}
-            >
-              Add field
-            </button>
-          </div>
+          <FieldListEditor fields={customFields} onChange={setCustomFields} />
         </div>
 
         <div>
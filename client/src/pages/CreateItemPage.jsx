@@ -4,6 +4,9 @@ import { useQuery } from 'react-query';
 import axios from 'axios';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
+import ItemReferencePicker from '../components/Inventory/ItemReferencePicker';
+import { validateFieldValue, validateFieldValues, fieldErrorsFromResponse } from '../utils/fieldValidation';
+import { fromDateTimeLocalInput } from '../utils/fieldFormat';
 
 export default function CreateItemPage() {
   const { t } = useTranslation();
@@ -14,44 +17,41 @@ export default function CreateItemPage() {
     const res = await axios.get(`/api/inventories/${id}`);
     return res.data;
   });
+  const templateFields = useMemo(() => (Array.isArray(inventory?.fields) ? inventory.fields : []), [inventory]);
 
-  // Normalize inventory.customFields (supports array or object schema)
+  // Normalize inventory.fields (ordered field definitions) into form inputs
   const fieldDefs = useMemo(() => {
-    const cf = inventory?.customFields;
-    // If server returns an array of field definitions
-    if (Array.isArray(cf)) {
-      return cf.map((f) => ({
-        ...f,
-        key: f.key || f.name || f.id,
-        label: f.label || f.name || f.key || f.id,
-        type: f.type === 'documentImage' ? 'file' : (f.type || 'string'),
-      }));
-    }
-    // Object/sectioned schema
-    const defs = [];
-    const obj = cf || {};
-    const push = (arr, type) => {
-      if (!Array.isArray(arr)) return;
-      arr.forEach((entry) => {
-        if (typeof entry === 'string') {
-          defs.push({ key: entry, type, label: entry, required: false });
-        } else if (entry && typeof entry === 'object') {
-          const key = entry.key || entry.name || entry.label;
-          if (key) defs.push({ key, type, label: entry.label || key, required: !!entry.required });
-        }
-      });
+    const kind = {
+      singleLineText: 'string',
+      multiLineText: 'text',
+      numeric: 'number',
+      boolean: 'boolean',
+      documentImage: 'file',
+      select: 'select',
+      date: 'date',
+      datetime: 'datetime',
+      currency: 'currency',
+      reference: 'reference',
+      formula: 'formula',
     };
-    push(obj.singleLineText, 'string');
-    push(obj.multiLineText, 'text');
-    push(obj.numeric, 'number');
-    push(obj.boolean, 'boolean');
-    push(obj.documentImage, 'file');
-    return defs;
-  }, [inventory]);
+    return templateFields.map((f) => ({
+      key: f.id,
+      label: f.name,
+      type: kind[f.type] || 'string',
+      required: !!f.required,
+      help: f.helpText,
+      rules: f.validation || {},
+      options: Array.isArray(f.options) ? f.options : [],
+      currency: f.currency || 'USD',
+      targetInventoryId: f.targetInventoryId || null,
+      formula: f.formula || '',
+      definition: f,
+    }));
+  }, [templateFields]);
 
   const initialFields = useMemo(() => {
     const obj = {};
-    fieldDefs.forEach((f) => { obj[f.key] = f.defaultValue ?? ''; });
+    fieldDefs.forEach((f) => { obj[f.key] = f.defaultValue ?? (f.type === 'boolean' ? false : ''); });
     return obj;
   }, [fieldDefs]);
 
@@ -59,6 +59,7 @@ export default function CreateItemPage() {
   // Force-remount file inputs to clear selected filenames when removing
   const [fileKeys, setFileKeys] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
 
   React.useEffect(() => {
     setCustomFields(initialFields);
@@ -67,6 +68,15 @@ export default function CreateItemPage() {
 
   const onChange = (key, value) => {
     setCustomFields((prev) => ({ ...prev, [key]: value }));
+    // Re-check a field that already shows an error so it clears as soon as it is fixed
+    setFieldErrors((prev) => {
+      if (!prev[key]) return prev;
+      const def = fieldDefs.find((f) => f.key === key);
+      const message = def ? validateFieldValue(def.definition, value) : null;
+      const next = { ...prev };
+      if (message) next[key] = message; else delete next[key];
+      return next;
+    });
   };
 
   const uploadFile = async (file) => {
@@ -81,16 +91,30 @@ export default function CreateItemPage() {
   const onSubmit = async (e) => {
     e.preventDefault();
     if (!inventory) return;
+    const errors = validateFieldValues(templateFields, customFields);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
     setSubmitting(true);
     try {
+      // datetime-local inputs hold browser-local times; send them as absolute timestamps
+      const values = { ...customFields };
+      fieldDefs.forEach((f) => {
+        if (f.type === 'datetime' && values[f.key]) values[f.key] = fromDateTimeLocalInput(values[f.key]);
+        if (f.type === 'formula') delete values[f.key];
+      });
       const res = await axios.post('/api/items', {
         inventoryId: inventory.id,
-        customFields,
+        values,
       });
       navigate(`/items/${res.data.id}`);
     } catch (err) {
-      // eslint-disable-next-line no-alert
-      alert(err?.response?.data?.message || err.message || 'Failed to create item');
+      const serverErrors = fieldErrorsFromResponse(err);
+      if (Object.keys(serverErrors).length > 0) {
+        setFieldErrors(serverErrors);
+      } else {
+        // eslint-disable-next-line no-alert
+        alert(err?.response?.data?.message || err.message || 'Failed to create item');
+      }
     } finally {
       setSubmitting(false);
     }
@@ -125,7 +149,7 @@ export default function CreateItemPage() {
         </p>
       </div>
 
-      <form onSubmit={onSubmit} className="space-y-6 bg-white p-6 rounded-lg shadow">
+      <form onSubmit={onSubmit} noValidate className="space-y-6 bg-white p-6 rounded-lg shadow">
         {fields.length === 0 && (
           <div className="text-gray-600">
             {t('item.noCustomFields')}
@@ -139,6 +163,7 @@ export default function CreateItemPage() {
           const required = !!f.required;
 
           const value = customFields[key] ?? '';
+          const fieldError = fieldErrors[key];
 
           return (
             <div key={key} className="grid gap-2">
@@ -151,16 +176,73 @@ export default function CreateItemPage() {
                   type="number"
                   value={value}
                   onChange={(e) => onChange(key, e.target.value === '' ? '' : Number(e.target.value))}
-                  className="w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                  required={required}
+                  min={f.rules.min}
+                  max={f.rules.max}
+                  step="any"
+                />
+              ) : type === 'boolean' ? (
+                <input
+                  type="checkbox"
+                  checked={!!value}
+                  onChange={(e) => onChange(key, e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+              ) : type === 'date' || type === 'datetime' ? (
+                <input
+                  type={type === 'date' ? 'date' : 'datetime-local'}
+                  value={value}
+                  onChange={(e) => onChange(key, e.target.value)}
+                  className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
                   required={required}
                 />
+              ) : type === 'currency' ? (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    step="0.01"
+                    value={value}
+                    onChange={(e) => onChange(key, e.target.value)}
+                    className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    required={required}
+                    min={f.rules.min}
+                    max={f.rules.max}
+                  />
+                  <span className="text-sm text-gray-600">{f.currency}</span>
+                </div>
+              ) : type === 'select' ? (
+                <select
+                  value={value}
+                  onChange={(e) => onChange(key, e.target.value)}
+                  className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                  required={required}
+                >
+                  <option value="">{t('common.select')}</option>
+                  {f.options.map((o) => (
+                    <option key={o} value={o}>{o}</option>
+                  ))}
+                </select>
+              ) : type === 'reference' ? (
+                <ItemReferencePicker
+                  targetInventoryId={f.targetInventoryId}
+                  value={value}
+                  onChange={(itemId) => onChange(key, itemId)}
+                />
+              ) : type === 'formula' ? (
+                <div className="rounded-md border border-dashed border-gray-300 bg-gray-50 px-3 py-2 text-sm text-gray-600">
+                  <code className="font-mono text-gray-800">{f.formula}</code>
+                  <p className="mt-1 text-xs text-gray-500">{t('item.formulaNote')}</p>
+                </div>
               ) : type === 'text' ? (
                 <textarea
                   value={value}
                   onChange={(e) => onChange(key, e.target.value)}
                   rows={4}
-                  className="w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
                   required={required}
+                  maxLength={f.rules.maxLength}
                 />
               ) : type === 'file' || type === 'image' || type === 'documentImage' ? (
                 <div className="space-y-2">
@@ -204,13 +286,17 @@ export default function CreateItemPage() {
                   type="text"
                   value={value}
                   onChange={(e) => onChange(key, e.target.value)}
-                  className="w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-md border ${fieldError ? 'border-red-500' : 'border-gray-300'} bg-white px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500`}
                   required={required}
+                  maxLength={f.rules.maxLength}
                 />
               )}
               {f.help && (
                 <p className="text-xs text-gray-500">{f.help}</p>
               )}
+              {fieldError && (
+                <p className="text-xs text-red-600">{fieldError}</p>
+              )}
             </div>
           );
         })}
@@ -2,76 +2,76 @@ import React, { useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import { getItemsListRequest, createItemRequest, canListItems, canCreateItems } from '../api/endpoints';
-import { Calendar, Package, Tag, Eye, Pencil, Trash, Check, X } from 'lucide-react';
+import { Calendar, Package, Tag, Eye, Pencil, Trash, Check, X, Printer, ScanLine, Copy, FolderInput, PenLine } from 'lucide-react';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { io } from 'socket.io-client';
 import DeleteModal from '../components/UI/DeleteModal';
+import FieldListEditor from '../components/Inventory/FieldListEditor';
+import ItemReferencePicker from '../components/Inventory/ItemReferencePicker';
+import TemplateChangeList from '../components/Inventory/TemplateChangeList';
+import TemplateHistory from '../components/Inventory/TemplateHistory';
+import InventoryStructureActions from '../components/Inventory/InventoryStructureActions';
+import { itemErrorMessage } from '../utils/fieldValidation';
+import { formatFieldValue, toDateTimeLocalInput, fromDateTimeLocalInput } from '../utils/fieldFormat';
+import { borrowerLabel, isOverdue } from '../utils/loans';
+import StatusBadge from '../components/Item/StatusBadge';
+import StatusWorkflowEditor from '../components/Inventory/StatusWorkflowEditor';
+import { collisionRisk, formatPercent } from '../utils/customIdRisk';
+import { previewCustomId } from '../utils/customIdPreview';
+import CustomIdFormatEditor from '../components/Inventory/CustomIdFormatEditor';
+import PrintLabelsModal from '../components/Inventory/PrintLabelsModal';
+import BulkItemsModal from '../components/Inventory/BulkItemsModal';
+import AuditPanel from '../components/Inventory/AuditPanel';
+import TrashPanel from '../components/Inventory/TrashPanel';
+
+// Wording for the custom ID warning about sequences that start over without a date to tell periods apart
+const RESET_PERIODS = { daily: 'every day', monthly: 'every month', yearly: 'every year' };
+const RESET_TOKENS = { daily: 'YYYY, MM and DD', monthly: 'YYYY and MM', yearly: 'YYYY' };
+
+// Referenced item as a link to its page, labelled with its custom ID
+function renderReference(it, f) {
+  const ref = it.references?.[f.key];
+  if (!ref) return <span className="text-gray-400">{it.values?.[f.key]}</span>;
+  return (
+    <Link to={`/items/${ref.id}`} className="text-blue-600 hover:underline" onClick={(e) => e.stopPropagation()} title={ref.title || undefined}>
+      {ref.customId}
+    </Link>
+  );
+}
 
-// Local helper to mirror server-side custom ID generation for preview purposes
-// Supported element types:
-//  - text: fixed string in element.value
-//  - random20/random32/random6/random9: random hex/decimal strings
-//  - guid: uuidv4-like placeholder (client preview uses crypto if available)
-//  - datetime: formats 'YYYYMMDD' or 'YYYY-MM-DD'
-//  - sequence: uses current item count + 1 with optional padding
-const previewCustomId = (format = [], itemCount = 0) => {
-  const randHex = (bits) => Math.floor(Math.random() * Math.pow(2, bits)).toString(16);
-  const randDec = (max) => Math.floor(Math.random() * max).toString();
-  const pad = (s, n, ch = '0') => s.padStart(n, ch);
-  let out = '';
-  const now = new Date();
-  for (const el of format) {
-    const type = el?.type;
-    switch (type) {
-      case 'text':
-      case 'fixed':
-        out += el?.value ?? '';
-        break;
-      case 'random20':
-        out += pad(randHex(20), 5, '0');
-        break;
-      case 'random32':
-        out += pad(randHex(32), 8, '0');
-        break;
-      case 'random6':
-        out += pad(randDec(1_000_000), 6, '0');
-        break;
-      case 'random9':
-        out += pad(randDec(1_000_000_000), 9, '0');
-        break;
-      case 'guid': {
-        // Basic UUID preview; not guaranteed unique, just visual
-        const uuid = (crypto?.randomUUID && crypto.randomUUID()) || 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-          const r = (Math.random() * 16) | 0;
-          const v = c === 'x' ? r : (r & 0x3) | 0x8;
-          return v.toString(16);
-        });
-        out += uuid;
-        break;
-      }
-      case 'datetime': {
-        const f = el?.format || 'YYYYMMDD';
-        const yyyy = now.getFullYear().toString();
-        const mm = pad(String(now.getMonth() + 1), 2, '0');
-        const dd = pad(String(now.getDate()), 2, '0');
-        if (f === 'YYYY-MM-DD') out += `${yyyy}-${mm}-${dd}`;
-        else out += `${yyyy}${mm}${dd}`;
-        break;
-      }
-      case 'sequence': {
-        const n = String((itemCount ?? 0) + 1);
-        const padding = parseInt(el?.padding || 0, 10);
-        out += padding > 0 ? pad(n, padding, '0') : n;
-        break;
-      }
-      default:
-        break;
-    }
-  }
-  return out;
+// Items-table column for the on-hand quantity in quantity mode, red at or below the item's low-stock threshold
+const quantityColumn = {
+  key: 'quantity',
+  label: 'Qty',
+  render: (it) => {
+    const low = it.lowStockThreshold != null && it.quantity <= it.lowStockThreshold;
+    return <span className={low ? 'font-semibold text-red-600' : ''} title={low ? `Low stock (threshold ${it.lowStockThreshold})` : undefined}>{it.quantity ?? 0}</span>;
+  },
 };
 
+// Items-table column for the item's place in the inventory's status workflow
+const statusColumn = (workflow) => ({
+  key: 'status',
+  label: 'Status',
+  render: (it) => <StatusBadge workflow={workflow} status={it.status} />,
+});
+
+// "Out" / "Overdue" marker next to the ID of an item that is checked out
+function LoanBadge({ loan }) {
+  if (!loan) return null;
+  const overdue = isOverdue(loan);
+  return (
+    <span
+      className={`ml-2 rounded px-1.5 py-0.5 text-[10px] font-medium ${overdue ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'}`}
+      title={`Checked out to ${borrowerLabel(loan)}${loan.dueDate ? `, due ${loan.dueDate}` : ''}`}
+    >
+      {overdue ? 'Overdue' : 'Out'}
+    </span>
+  );
+}
+
 export default function InventoryDetailPage() {
   // All hooks must be called unconditionally at the top level
   const { id } = useParams();
@@ -80,13 +80,10 @@ export default function InventoryDetailPage() {
   
   // State hooks
   const [fileKeys, setFileKeys] = React.useState({});
-  const [newItem, setNewItem] = useState({
-    string1: '', string2: '', string3: '',
-    int1: '', int2: '', int3: '',
-    bool1: false, bool2: false, bool3: false,
-  });
+  const [newItem, setNewItem] = useState({}); // keyed by field definition id
   const [submitErr, setSubmitErr] = useState('');
   const [selected, setSelected] = useState(() => new Set());
+  const [showPrintLabels, setShowPrintLabels] = useState(false);
   const socketRef = React.useRef(null);
   const [unread, setUnread] = useState(0);
   const [editingId, setEditingId] = useState(null);
@@ -108,13 +105,23 @@ export default function InventoryDetailPage() {
   
   // Items list for this inventory
   const embeddedItems = Array.isArray(data?.items) ? data.items : null;
+  // Dropdown field filters: { [fieldId]: option }
+  const [optionFilters, setOptionFilters] = useState({});
+  // Server-side sort: built-in column name or a custom field id
+  const [sort, setSort] = useState({ by: 'createdAt', order: 'DESC' });
+  // Quantity mode: only items at or below their low-stock threshold
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  // Loans: '' for all items, 'out' for checked-out items, 'overdue' for those past their due date
+  const [loanFilter, setLoanFilter] = useState('');
+  // Status workflow: '' for all items, otherwise the key of one state
+  const [statusFilter, setStatusFilter] = useState('');
   const fetchItems = React.useCallback(async () => {
     if (!canListItems() || !id) return [];
-    return getItemsListRequest(id, axios);
-  }, [id]);
+    return getItemsListRequest(id, axios, { filter: optionFilters, sortBy: sort.by, sortOrder: sort.order, lowStock: lowStockOnly ? 'true' : undefined, loan: loanFilter || undefined, status: statusFilter || undefined });
+  }, [id, optionFilters, sort, lowStockOnly, loanFilter, statusFilter]);
   
   const { data: itemsData, isLoading: itemsLoading, refetch: refetchItems } = useQuery(
-    ['inventory:items', id],
+    ['inventory:items', id, optionFilters, sort, lowStockOnly, loanFilter, statusFilter],
     fetchItems,
     { enabled: !!id && !embeddedItems && canListItems() }
   );
@@ -126,8 +133,8 @@ export default function InventoryDetailPage() {
   
   const inv = React.useMemo(() => data || {}, [data]);
   const itemCount = items.length;
-  const nextIdPreview = React.useMemo(() => 
-    previewCustomId((data?.customIdFormat || []), itemCount), [data?.customIdFormat, itemCount]);
+  // Last sequence number handed out; older servers without the counter fall back to the item count
+  const sequenceCounter = data?.sequenceCounter ?? itemCount;
   const totalLikes = React.useMemo(() => {
     try {
       return items.reduce((acc, it) => acc + (Number(it?.likeCount) || 0), 0);
@@ -164,19 +171,21 @@ export default function InventoryDetailPage() {
 
   // Current user and role helpers
   const { data: me } = useQuery(['me'], () => axios.get('/api/auth/me').then(r => r.data));
+  const nextIdPreview = React.useMemo(() =>
+    previewCustomId((data?.customIdFormat || []), { sequenceCounter, creator: me }), [data?.customIdFormat, sequenceCounter, me]);
   const currentUserId = me?.id;
   const isAdmin = !!me?.isAdmin;
   const isOwner = !!(currentUserId && inv?.creator?.id === currentUserId);
   const canManageInventory = isOwner || isAdmin;
 
   // Tabs state (some tabs only for owner/admin)
-  const TABS = ['Items', 'Chat', 'Settings', 'Custom ID', 'Fields', 'Access', 'Stats', 'Export'];
+  const TABS = ['Items', 'Chat', 'Settings', 'Custom ID', 'Fields', 'Access', 'Audits', 'Stats', 'Export'];
   const [activeTab, setActiveTab] = useState('Items');
 
   const visibleTabs = React.useMemo(() => {
-    const always = ['Items', 'Chat', 'Stats'];
-    const managed = ['Settings', 'Custom ID', 'Fields', 'Access', 'Export'];
-    return canManageInventory ? [...always.slice(0,2), ...managed, 'Stats'] : always;
+    const always = ['Items', 'Chat', 'Audits', 'Stats'];
+    const managed = ['Settings', 'Custom ID', 'Fields', 'Workflow', 'Access', 'Export', 'Trash'];
+    return canManageInventory ? [...always.slice(0,2), ...managed, ...always.slice(2)] : always;
   }, [canManageInventory]);
 
   React.useEffect(() => {
@@ -193,17 +202,13 @@ export default function InventoryDetailPage() {
   };
   const addItemMutation = useMutation(addItemReq, {
     onSuccess: () => {
-      setNewItem({
-        string1: '', string2: '', string3: '',
-        int1: '', int2: '', int3: '',
-        bool1: false, bool2: false, bool3: false,
-      });
+      setNewItem({});
       setSubmitErr('');
       refetchItems();
       queryClient.invalidateQueries(['inventory', id]);
     },
     onError: (e) => {
-      setSubmitErr(e?.response?.data?.message || e?.message || 'Failed to add item');
+      setSubmitErr(itemErrorMessage(e, 'Failed to add item'));
     }
   });
 
@@ -224,19 +229,31 @@ export default function InventoryDetailPage() {
     setSelected((s) => s.size === items.length ? new Set() : new Set(items.map((it) => it.id)));
   }, [items.length]);
 
-  // Per-row actions - delete mutation
-  const deleteMutation = useMutation(
-    async (itemId) => {
-      await axios.delete(`/api/items/${itemId}`);
-      return itemId;
-    },
-    {
-      onSuccess: () => {
-        queryClient.invalidateQueries(['inventory:items', id]);
-        queryClient.invalidateQueries(['inventory', id]);
-      },
+  // Selected items go to POST /api/items/bulk in one request; items it could not change are reported
+  const runBulk = async (operation, itemIds) => {
+    try {
+      const { data: result } = await axios.post('/api/items/bulk', { inventoryId: id, itemIds, operation });
+      const failure = result.results.find((r) => !r.ok);
+      if (failure) toast.error(`${result.failed} item(s) failed: ${failure.message}`);
+      return result;
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'The bulk operation failed');
+      return null;
+    } finally {
+      queryClient.invalidateQueries(['inventory:items', id]);
+      queryClient.invalidateQueries(['inventory', id]);
     }
-  );
+  };
+
+  const [bulkMode, setBulkMode] = useState(null);
+  const [isDuplicating, setIsDuplicating] = useState(false);
+
+  const duplicateSelected = async () => {
+    setIsDuplicating(true);
+    const result = await runBulk('duplicate', Array.from(selected));
+    setIsDuplicating(false);
+    if (result?.succeeded) toast.success(`${result.succeeded} item(s) duplicated`);
+  };
 
   const deleteSelected = () => {
     const ids = Array.from(selected);
@@ -249,20 +266,8 @@ export default function InventoryDetailPage() {
     if (pendingItemIds.length === 0) return;
     try {
       setIsDeletingItems(true);
-      for (const idToDel of pendingItemIds) {
-        try {
-          if (typeof deleteMutation.mutateAsync === 'function') {
-            await deleteMutation.mutateAsync(idToDel);
-          } else {
-            await axios.delete(`/api/items/${idToDel}`);
-          }
-        } catch (e) {
-          // continue others
-        }
-      }
+      await runBulk('delete', pendingItemIds);
       clearSelection();
-      queryClient.invalidateQueries(['inventory:items', id]);
-      queryClient.invalidateQueries(['inventory', id]);
     } finally {
       setIsDeletingItems(false);
       setPendingItemIds([]);
@@ -270,45 +275,21 @@ export default function InventoryDetailPage() {
     }
   };
 
-  // Build fixed-slot column definitions from inventory template metadata
-  const fixedSlotDefs = React.useMemo(() => {
-    const defs = [];
-    const push = (state, name, key, type) => {
-      if (!state) return; // slot disabled
-      defs.push({ key, type, label: name || key });
-    };
-    // Determine which string labels are image/document types
-    const docSet = new Set(
-      Array.isArray(inv?.customFields?.documentImage) ? inv.customFields.documentImage : []
-    );
-    const pushString = (state, name, key) => {
-      if (!state) return;
-      const base = { key, label: name || key };
-      const type = (name && docSet.has(name)) ? 'file' : 'string';
-      defs.push({ ...base, type });
-    };
-    pushString(inv.custom_string1_state, inv.custom_string1_name, 'string1');
-    pushString(inv.custom_string2_state, inv.custom_string2_name, 'string2');
-    pushString(inv.custom_string3_state, inv.custom_string3_name, 'string3');
-    push(inv.custom_int1_state, inv.custom_int1_name, 'int1', 'number');
-    push(inv.custom_int2_state, inv.custom_int2_name, 'int2', 'number');
-    push(inv.custom_int3_state, inv.custom_int3_name, 'int3', 'number');
-    push(inv.custom_bool1_state, inv.custom_bool1_name, 'bool1', 'boolean');
-    push(inv.custom_bool2_state, inv.custom_bool2_name, 'bool2', 'boolean');
-    push(inv.custom_bool3_state, inv.custom_bool3_name, 'bool3', 'boolean');
-    return defs;
-  }, [
-    inv.custom_string1_state, inv.custom_string1_name,
-    inv.custom_string2_state, inv.custom_string2_name,
-    inv.custom_string3_state, inv.custom_string3_name,
-    inv.custom_int1_state, inv.custom_int1_name,
-    inv.custom_int2_state, inv.custom_int2_name,
-    inv.custom_int3_state, inv.custom_int3_name,
-    inv.custom_bool1_state, inv.custom_bool1_name,
-    inv.custom_bool2_state, inv.custom_bool2_name,
-    inv.custom_bool3_state, inv.custom_bool3_name,
-    inv.customFields?.documentImage,
-  ]);
+  // Build custom field column definitions from the inventory's field template
+  const fieldDefs = React.useMemo(() => {
+    const kind = { numeric: 'number', boolean: 'boolean', documentImage: 'file', select: 'select', date: 'date', datetime: 'datetime', currency: 'currency', reference: 'reference', formula: 'formula' };
+    return (Array.isArray(inv.fields) ? inv.fields : []).map((f) => ({
+      key: f.id,
+      label: f.name,
+      type: kind[f.type] || 'string',
+      showInTable: f.showInTable !== false,
+      options: Array.isArray(f.options) ? f.options : [],
+      definition: f,
+    }));
+  }, [inv.fields]);
+  const selectFieldDefs = React.useMemo(() => fieldDefs.filter((f) => f.type === 'select'), [fieldDefs]);
+  // Fields the template marks as items-table columns, in template order
+  const tableFieldDefs = React.useMemo(() => fieldDefs.filter((f) => f.showInTable), [fieldDefs]);
 
   // Upload helpers
   const uploadItemImage = async (file) => {
@@ -337,6 +318,8 @@ export default function InventoryDetailPage() {
     if (payload.description !== undefined) fd.append('description', payload.description);
     if (payload.categoryId !== undefined) fd.append('categoryId', String(payload.categoryId));
     if (payload.isPublic !== undefined) fd.append('isPublic', String(!!payload.isPublic));
+    if (payload.trackQuantity !== undefined) fd.append('trackQuantity', String(!!payload.trackQuantity));
+    if (payload.statusWorkflow !== undefined) fd.append('statusWorkflow', JSON.stringify(payload.statusWorkflow));
     if (payload.imageUrl !== undefined) fd.append('imageUrl', payload.imageUrl || '');
     if (payload.tags !== undefined) fd.append('tags', JSON.stringify(payload.tags));
     if (payload.customIdFormat !== undefined) fd.append('customIdFormat', JSON.stringify(payload.customIdFormat));
@@ -347,20 +330,23 @@ export default function InventoryDetailPage() {
   const updateInvMutation = useMutation(updateInventory, {
     onSuccess: () => {
       queryClient.invalidateQueries(['inventory', id]);
+      queryClient.invalidateQueries(['inventory:customIdStats', id]);
+      queryClient.invalidateQueries(['inventory:customIdSamples', id]);
     }
   });
 
-  // Settings state (title/description/isPublic/imageUrl)
-  const [settingsForm, setSettingsForm] = React.useState({ title: '', description: '', isPublic: true, imageUrl: '' });
+  // Settings state (title/description/isPublic/trackQuantity/imageUrl)
+  const [settingsForm, setSettingsForm] = React.useState({ title: '', description: '', isPublic: true, trackQuantity: false, imageUrl: '' });
   const [coverFileKey, setCoverFileKey] = React.useState(0);
   React.useEffect(() => {
     setSettingsForm({
       title: inv.title || '',
       description: inv.description || '',
       isPublic: !!(inv.isPublic ?? true),
+      trackQuantity: !!inv.trackQuantity,
       imageUrl: inv.image || inv.imageUrl || ''
     });
-  }, [inv.title, inv.description, inv.isPublic, inv.image, inv.imageUrl]);
+  }, [inv.title, inv.description, inv.isPublic, inv.trackQuantity, inv.image, inv.imageUrl]);
 
   // Access management state and mutations
   const [collabEmail, setCollabEmail] = React.useState(''); // populated from selected user
@@ -422,23 +408,95 @@ export default function InventoryDetailPage() {
 
   // Custom ID builder state (initialized from inventory)
   const [cidFormat, setCidFormat] = React.useState([]);
-  const [cidNewType, setCidNewType] = React.useState('text');
   React.useEffect(() => { setCidFormat(Array.isArray(inv.customIdFormat) ? inv.customIdFormat : []); }, [inv.customIdFormat]);
 
-  // Custom Fields builder state (initialized from inventory)
-  const [cfBuilder, setCfBuilder] = React.useState({ singleLineText: [], multiLineText: [], numeric: [], boolean: [], documentImage: [] });
-  const [cfNewType, setCfNewType] = React.useState('singleLineText');
-  const [cfNewName, setCfNewName] = React.useState('');
+  // Sequence counter reset/seed: the number the next created item gets
+  const [sequenceNext, setSequenceNext] = React.useState('');
+  const [sequenceError, setSequenceError] = React.useState('');
+  const resetSequenceMutation = useMutation(
+    (next) => axios.put(`/api/inventories/${id}/sequence`, { next }).then((r) => r.data),
+    {
+      onSuccess: () => {
+        setSequenceNext('');
+        setSequenceError('');
+        queryClient.invalidateQueries(['inventory', id]);
+        queryClient.invalidateQueries(['inventory:customIdSamples', id]);
+      },
+      onError: (e) => setSequenceError(e?.response?.data?.message || 'Failed to update the sequence counter'),
+    }
+  );
+
+  // Collision statistics of the saved format; the risk warning is computed for the format being edited
+  const { data: cidStats } = useQuery(
+    ['inventory:customIdStats', id],
+    () => axios.get(`/api/inventories/${id}/custom-id/stats`).then((r) => r.data),
+    { enabled: activeTab === 'Custom ID' && canManageInventory }
+  );
+  // Next IDs of the format being edited, generated by the server from its real counters once typing pauses
+  const [cidSampleFormat, setCidSampleFormat] = React.useState([]);
   React.useEffect(() => {
-    const cf = inv.customFields || {};
-    setCfBuilder({
-      singleLineText: cf.singleLineText || [],
-      multiLineText: cf.multiLineText || [],
-      numeric: cf.numeric || [],
-      boolean: cf.boolean || [],
-      documentImage: cf.documentImage || [],
+    const t = setTimeout(() => setCidSampleFormat(cidFormat), 400);
+    return () => clearTimeout(t);
+  }, [cidFormat]);
+  const { data: cidSamples, isError: cidSamplesFailed } = useQuery(
+    ['inventory:customIdSamples', id, cidSampleFormat],
+    () => axios.post(`/api/inventories/${id}/custom-id/preview`, { format: cidSampleFormat, count: 5 }).then((r) => r.data.samples),
+    { enabled: activeTab === 'Custom ID' && canManageInventory && cidSampleFormat.length > 0, keepPreviousData: true, retry: false }
+  );
+  // Bulk re-generation of IDs that no longer match the saved format
+  const [showRegenerateModal, setShowRegenerateModal] = React.useState(false);
+  const [regenerateResult, setRegenerateResult] = React.useState('');
+  const regenerateIdsMutation = useMutation(
+    () => axios.post(`/api/inventories/${id}/custom-id/regenerate`).then((r) => r.data),
+    {
+      onSuccess: (result) => {
+        setShowRegenerateModal(false);
+        setRegenerateResult(`${result.regenerated} item ID(s) re-generated.`);
+        queryClient.invalidateQueries(['inventory:customIdStats', id]);
+      queryClient.invalidateQueries(['inventory:customIdSamples', id]);
+        queryClient.invalidateQueries(['inventory:items', id]);
+        queryClient.invalidateQueries(['inventory', id]);
+      },
+      onError: (e) => {
+        setShowRegenerateModal(false);
+        setRegenerateResult(e?.response?.data?.message || 'Failed to re-generate IDs');
+      },
+    }
+  );
+  const cidRisk = React.useMemo(
+    () => collisionRisk(cidFormat, cidStats?.itemCount ?? itemCount),
+    [cidFormat, cidStats?.itemCount, itemCount]
+  );
+
+  // Custom Fields builder state (initialized from inventory); entries keep their id so renames keep item data
+  const [cfBuilder, setCfBuilder] = React.useState([]);
+  React.useEffect(() => {
+    setCfBuilder(Array.isArray(inv.fields) ? inv.fields.map((f) => ({ ...f })) : []);
+  }, [inv.fields]);
+
+  // Template saves are previewed first: the server reports which items each rename, type change or removal touches
+  const [templatePreview, setTemplatePreview] = React.useState(null);
+  const [templateError, setTemplateError] = React.useState('');
+  React.useEffect(() => { setTemplatePreview(null); }, [cfBuilder]);
+  const previewTemplateMutation = useMutation(
+    (customFields) => axios.post(`/api/inventories/${id}/template/preview`, { customFields }).then((r) => r.data.changes || []),
+    {
+      onMutate: () => setTemplateError(''),
+      onSuccess: (changes) => setTemplatePreview(changes),
+      onError: (e) => setTemplateError(e?.response?.data?.message || 'Failed to preview changes'),
+    }
+  );
+  const saveTemplate = () => {
+    setTemplateError('');
+    updateInvMutation.mutate({ customFields: cfBuilder }, {
+      onSuccess: () => {
+        setTemplatePreview(null);
+        queryClient.invalidateQueries(['inventory:templateVersions', id]);
+        queryClient.invalidateQueries(['inventory:items', id]);
+      },
+      onError: (e) => setTemplateError(e?.response?.data?.message || 'Failed to save fields'),
     });
-  }, [inv.customFields]);
+  };
 
   // Chat
   const { data: chatData, refetch: refetchChat } = useQuery(
@@ -586,7 +644,7 @@ export default function InventoryDetailPage() {
     const addOrUpdateInCache = (updater) => {
       try {
         if (embeddedItems !== null) return; // Don't mutate embedded cache directly
-        queryClient.setQueryData(['inventory:items', id], (prev = []) => updater(Array.isArray(prev) ? prev : []));
+        queryClient.setQueriesData(['inventory:items', id], (prev = []) => updater(Array.isArray(prev) ? prev : []));
       } catch {}
     };
 
@@ -613,18 +671,46 @@ export default function InventoryDetailPage() {
       addOrUpdateInCache((prev) => prev.map((x) => (x.id === itemId ? { ...x, likeCount } : x)));
     };
 
+    const onItemStockChanged = ({ id: itemId, inventoryId, quantity, lowStockThreshold }) => {
+      if (String(inventoryId) !== String(id)) return;
+      addOrUpdateInCache((prev) => prev.map((x) => (x.id === itemId ? { ...x, quantity, lowStockThreshold } : x)));
+      if (lowStockOnly) invalidateItems();
+    };
+
+    const onItemLoanChanged = ({ itemId, inventoryId, loan }) => {
+      if (String(inventoryId) !== String(id)) return;
+      addOrUpdateInCache((prev) => prev.map((x) => (x.id === itemId ? { ...x, currentLoan: loan } : x)));
+      if (loanFilter) invalidateItems();
+    };
+
+    // One event for a whole POST /api/items/bulk; items moved or deleted leave this inventory
+    const onItemsBulkChanged = ({ inventoryId, targetInventoryId, operation, itemIds = [] }) => {
+      if (String(inventoryId) !== String(id) && String(targetInventoryId) !== String(id)) return;
+      if ((operation === 'delete' || operation === 'move') && String(inventoryId) === String(id)) {
+        const gone = new Set(itemIds);
+        addOrUpdateInCache((prev) => prev.filter((x) => !gone.has(x.id)));
+      }
+      invalidateItems();
+    };
+
     s.on('itemCreated', onItemCreated);
     s.on('itemUpdated', onItemUpdated);
     s.on('itemDeleted', onItemDeleted);
     s.on('itemLiked', onItemLiked);
+    s.on('itemStockChanged', onItemStockChanged);
+    s.on('itemLoanChanged', onItemLoanChanged);
+    s.on('itemsBulkChanged', onItemsBulkChanged);
 
     return () => {
       s.off('itemCreated', onItemCreated);
       s.off('itemUpdated', onItemUpdated);
       s.off('itemDeleted', onItemDeleted);
       s.off('itemLiked', onItemLiked);
+      s.off('itemStockChanged', onItemStockChanged);
+      s.off('itemLoanChanged', onItemLoanChanged);
+      s.off('itemsBulkChanged', onItemsBulkChanged);
     };
-  }, [id, queryClient, embeddedItems]);
+  }, [id, queryClient, embeddedItems, lowStockOnly, loanFilter]);
 
   // Column visibility (persist per-inventory)
   const storageKey = `inv:${id}:visibleCols`;
@@ -633,9 +719,9 @@ export default function InventoryDetailPage() {
       customId: true,
       createdAt: true,
     };
-    for (const f of fixedSlotDefs) base[f.key] = false; // default hidden
+    for (const f of tableFieldDefs) base[f.key] = true;
     return base;
-  }, [fixedSlotDefs]);
+  }, [tableFieldDefs]);
 
   const [visibleCols, setVisibleCols] = useState(() => {
     try {
@@ -655,26 +741,33 @@ export default function InventoryDetailPage() {
         key: 'customId',
         label: 'ID',
         render: (it) => (
-          <Link 
-            to={`/items/${it.id}`} 
-            className="text-blue-600 hover:underline"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {it.customId || it.serial || it.id}
-          </Link>
+          <>
+            <Link 
+              to={`/items/${it.id}`} 
+              className="text-blue-600 hover:underline"
+              onClick={(e) => e.stopPropagation()}
+            >
+              {it.customId || it.serial || it.id}
+            </Link>
+            <LoanBadge loan={it.currentLoan} />
+          </>
         ),
       },
       { key: 'createdAt', label: 'Created', render: (it) => (it.createdAt ? new Date(it.createdAt).toLocaleString() : '') },
     ];
+    if (inv.statusWorkflow) base.push(statusColumn(inv.statusWorkflow));
+    if (inv.trackQuantity) base.push(quantityColumn);
 
-    for (const f of fixedSlotDefs) {
+    for (const f of tableFieldDefs) {
       base.push({
         key: f.key,
         label: f.label,
         render: (it) => {
-          const v = it[f.key];
+          const v = it.values?.[f.key];
           if (v == null || v === '') return '';
           if (f.type === 'boolean') return v ? 'Yes' : 'No';
+          if (['number', 'currency', 'date', 'datetime', 'formula'].includes(f.type)) return formatFieldValue(f.definition, v);
+          if (f.type === 'reference') return renderReference(it, f);
           if (f.type === 'file' && typeof v === 'string') {
             return (
               <a href={v} target="_blank" rel="noreferrer" className="inline-block align-middle">
@@ -692,7 +785,7 @@ export default function InventoryDetailPage() {
       });
     }
     return base;
-  }, [fixedSlotDefs]);
+  }, [tableFieldDefs, inv.trackQuantity, inv.statusWorkflow]);
 
   const shownColumns = columns.filter((c) => visibleCols[c.key] !== false);
 
@@ -715,7 +808,7 @@ export default function InventoryDetailPage() {
     async ({ itemId, field, value }) => {
       const response = await axios.put(
         `/api/items/${itemId}`,
-        { [field]: value },
+        { values: { [field]: value } },
         {
           headers: {
             'Content-Type': 'application/json',
@@ -733,7 +826,7 @@ export default function InventoryDetailPage() {
       },
       onError: (error) => {
         console.error('Error updating item:', error);
-        setSubmitErr(error.response?.data?.message || 'Failed to update item');
+        setSubmitErr(itemErrorMessage(error, 'Failed to update item'));
       }
     }
   );
@@ -747,10 +840,11 @@ export default function InventoryDetailPage() {
 
   const handleCellBlur = (rowId, field) => {
     if (editingCell.rowId && editingCell.field) {
+      const def = fieldDefs.find((f) => f.key === field);
       updateItemMutation.mutate({
         itemId: rowId,
         field: field,
-        value: editValue
+        value: def?.type === 'datetime' ? fromDateTimeLocalInput(editValue) : editValue
       });
     }
   };
@@ -787,24 +881,29 @@ export default function InventoryDetailPage() {
         key: 'customId',
         label: 'ID',
         render: (it) => (
-          <Link 
-            to={`/items/${it.id}`} 
-            className="text-blue-600 hover:underline"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {it.customId || it.serial || it.id}
-          </Link>
+          <>
+            <Link 
+              to={`/items/${it.id}`} 
+              className="text-blue-600 hover:underline"
+              onClick={(e) => e.stopPropagation()}
+            >
+              {it.customId || it.serial || it.id}
+            </Link>
+            <LoanBadge loan={it.currentLoan} />
+          </>
         ),
       },
       { key: 'createdAt', label: 'Created', render: (it) => (it.createdAt ? new Date(it.createdAt).toLocaleString() : '') },
     ];
+    if (inv.statusWorkflow) base.push(statusColumn(inv.statusWorkflow));
+    if (inv.trackQuantity) base.push(quantityColumn);
 
-    for (const f of fixedSlotDefs) {
+    for (const f of tableFieldDefs) {
       base.push({
         key: f.key,
         label: f.label,
         render: (it) => {
-          const v = it[f.key];
+          const v = it.values?.[f.key];
           if (v == null || v === '') return '';
           if (f.type === 'boolean') return v ? 'Yes' : 'No';
           if (f.type === 'file' && typeof v === 'string') {
@@ -819,11 +918,33 @@ export default function InventoryDetailPage() {
               </a>
             );
           }
+          // References are picked on the item form, not edited inline; formulas are computed
+          if (f.type === 'reference') return renderReference(it, f);
+          if (f.type === 'formula') return formatFieldValue(f.definition, v);
           if (editMode && selectedItem?.id === it.id && editingCell.rowId === it.id && editingCell.field === f.key) {
+            if (f.type === 'select') {
+              return (
+                <select
+                  value={editValue}
+                  onChange={(e) => setEditValue(e.target.value)}
+                  onBlur={() => handleCellBlur(it.id, f.key)}
+                  onKeyDown={(e) => { if (e.key === 'Escape') handleCancelEdit(); }}
+                  autoFocus
+                  disabled={updateItemMutation.isLoading}
+                  className="w-full px-2 py-1 border border-blue-300 rounded"
+                >
+                  <option value="">—</option>
+                  {f.options.map((o) => (
+                    <option key={o} value={o}>{o}</option>
+                  ))}
+                </select>
+              );
+            }
             return (
               <div className="relative">
                 <input
-                  type={f.type === 'number' ? 'number' : 'text'}
+                  type={({ number: 'number', currency: 'number', date: 'date', datetime: 'datetime-local' })[f.type] || 'text'}
+                  step={f.type === 'currency' ? '0.01' : undefined}
                   value={editValue}
                   onChange={(e) => setEditValue(e.target.value)}
                   onBlur={() => handleCellBlur(it.id, f.key)}
@@ -848,17 +969,17 @@ export default function InventoryDetailPage() {
           }
           return (
             <div 
-              onClick={() => handleCellClick(it.id, f.key, v)}
+              onClick={() => handleCellClick(it.id, f.key, f.type === 'datetime' ? toDateTimeLocalInput(v) : v)}
               className={`px-2 py-1 ${editMode && selectedItem?.id === it.id ? 'bg-blue-50' : ''}`}
             >
-              {String(v)}
+              {['number', 'currency', 'date', 'datetime'].includes(f.type) ? formatFieldValue(f.definition, v) : String(v)}
             </div>
           );
         },
       });
     }
     return base;
-  }, [fixedSlotDefs, editingCell, editValue, editMode, selectedItem]);
+  }, [tableFieldDefs, editingCell, editValue, editMode, selectedItem, inv.trackQuantity, inv.statusWorkflow]);
 
   const shownColumnsWithEditing = columnsWithEditing.filter((c) => visibleCols[c.key] !== false);
 
@@ -1043,10 +1164,73 @@ export default function InventoryDetailPage() {
                 </div>
               </div>
 
+              {embeddedItems === null && (
+                <div className="mb-4">
+                  <h3 className="text-sm font-medium text-gray-900 mb-2">Filters</h3>
+                  <div className="flex flex-wrap items-center gap-3">
+                    {selectFieldDefs.map((f) => (
+                      <label key={f.key} className="inline-flex items-center gap-2 text-xs text-gray-800">
+                        {f.label}
+                        <select
+                          value={optionFilters[f.key] ?? ''}
+                          onChange={(e) => setOptionFilters((prev) => {
+                            const next = { ...prev };
+                            if (e.target.value) next[f.key] = e.target.value; else delete next[f.key];
+                            return next;
+                          })}
+                          className="rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">All</option>
+                          {f.options.map((o) => (
+                            <option key={o} value={o}>{o}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                    {inv.trackQuantity && (
+                      <label className="inline-flex items-center gap-2 text-xs text-gray-800">
+                        <input type="checkbox" checked={lowStockOnly} onChange={(e) => setLowStockOnly(e.target.checked)} className="h-4 w-4 rounded border-gray-300" />
+                        Low stock only
+                      </label>
+                    )}
+                    {inv.statusWorkflow && (
+                      <label className="inline-flex items-center gap-2 text-xs text-gray-800">
+                        Status
+                        <select
+                          value={statusFilter}
+                          onChange={(e) => setStatusFilter(e.target.value)}
+                          className="rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">All</option>
+                          {inv.statusWorkflow.states.map((st) => (
+                            <option key={st.key} value={st.key}>{st.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    <label className="inline-flex items-center gap-2 text-xs text-gray-800">
+                      Loans
+                      <select
+                        value={loanFilter}
+                        onChange={(e) => setLoanFilter(e.target.value)}
+                        className="rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">All</option>
+                        <option value="out">Checked out</option>
+                        <option value="overdue">Overdue</option>
+                      </select>
+                    </label>
+                    {(Object.keys(optionFilters).length > 0 || lowStockOnly || loanFilter || statusFilter) && (
+                      <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => { setOptionFilters({}); setLowStockOnly(false); setLoanFilter(''); setStatusFilter(''); }}>Clear filters</button>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {embeddedItems === null && canListItems() && itemsLoading ? (
                 <LoadingSpinner />
               ) : items.length === 0 ? (
-                <p className="text-sm text-gray-600">No items yet.</p>
+                <p className="text-sm text-gray-600">{Object.keys(optionFilters).length > 0 || lowStockOnly || loanFilter || statusFilter ? 'No items match the selected filters.' : 'No items yet.'}</p>
               ) : (
                 <div className="overflow-x-auto">
                   {/* Selection toolbar with icon-only actions */}
@@ -1095,6 +1279,54 @@ export default function InventoryDetailPage() {
                       >
                         <X className="w-4 h-4" />
                       </button>
+                      <Link
+                        to={`/scan?inventory=${id}`}
+                        className="p-2 rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300"
+                        title="Scan items of this inventory"
+                        aria-label="Scan items of this inventory"
+                      >
+                        <ScanLine className="w-4 h-4" />
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={() => setShowPrintLabels(true)}
+                        disabled={selected.size === 0}
+                        className="p-2 rounded-md bg-gray-200 text-gray-800 disabled:opacity-50 hover:bg-gray-300"
+                        title="Print labels for selected"
+                        aria-label="Print labels for selected"
+                      >
+                        <Printer className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setBulkMode('setField')}
+                        disabled={selected.size === 0}
+                        className="p-2 rounded-md bg-gray-200 text-gray-800 disabled:opacity-50 hover:bg-gray-300"
+                        title="Set a field on selected"
+                        aria-label="Set a field on selected"
+                      >
+                        <PenLine className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={duplicateSelected}
+                        disabled={selected.size === 0 || isDuplicating}
+                        className="p-2 rounded-md bg-gray-200 text-gray-800 disabled:opacity-50 hover:bg-gray-300"
+                        title="Duplicate selected"
+                        aria-label="Duplicate selected"
+                      >
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setBulkMode('move')}
+                        disabled={selected.size === 0}
+                        className="p-2 rounded-md bg-gray-200 text-gray-800 disabled:opacity-50 hover:bg-gray-300"
+                        title="Move or copy selected to another inventory"
+                        aria-label="Move or copy selected to another inventory"
+                      >
+                        <FolderInput className="w-4 h-4" />
+                      </button>
                       <button
                         type="button"
                         onClick={deleteSelected}
@@ -1123,13 +1355,22 @@ export default function InventoryDetailPage() {
                             />
                           </th>
                           {shownColumnsWithEditing.map((c) => (
-                            <th key={c.key} className="px-3 py-2 text-left">{c.label}</th>
+                            <th key={c.key} className="px-3 py-2 text-left" aria-sort={sort.by === c.key ? (sort.order === 'ASC' ? 'ascending' : 'descending') : undefined}>
+                              <button
+                                type="button"
+                                className="inline-flex items-center gap-1 font-medium hover:text-gray-900"
+                                onClick={() => setSort((cur) => ({ by: c.key, order: cur.by === c.key && cur.order === 'ASC' ? 'DESC' : 'ASC' }))}
+                              >
+                                {c.label}
+                                {sort.by === c.key && <span aria-hidden="true">{sort.order === 'ASC' ? '▲' : '▼'}</span>}
+                              </button>
+                            </th>
                           ))}
                         </tr>
                       </thead>
                       <tbody>
                         {items.map((it) => (
-                          <tr key={it.id} className="border-t border-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                          <tr key={it.id} className={`border-t border-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700/50 ${isOverdue(it.currentLoan) ? 'bg-red-50 dark:bg-red-900/20' : ''}`}>
                             <td className="px-3 py-2">
                               <input
                                 type="checkbox"
@@ -1395,6 +1636,13 @@ export default function InventoryDetailPage() {
                 <input type="checkbox" checked={settingsForm.isPublic} onChange={(e)=>setSettingsForm((f)=>({...f,isPublic:e.target.checked}))} className="h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-blue-500" />
                 Public inventory
               </label>
+              <label className="flex items-start gap-2 text-sm text-gray-800">
+                <input type="checkbox" checked={settingsForm.trackQuantity} onChange={(e)=>setSettingsForm((f)=>({...f,trackQuantity:e.target.checked}))} className="mt-0.5 h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-blue-500" />
+                <span>
+                  Track quantities
+                  <span className="block text-xs text-gray-500">Items get a quantity on hand that changes through receive, issue, adjust and transfer movements on the item page.</span>
+                </span>
+              </label>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Cover Image (optional)</label>
                 {settingsForm.imageUrl && (
@@ -1427,112 +1675,148 @@ export default function InventoryDetailPage() {
               </div>
               <button
                 type="button"
-                onClick={()=>updateInvMutation.mutate({ title: settingsForm.title, description: settingsForm.description, isPublic: settingsForm.isPublic, imageUrl: settingsForm.imageUrl })}
+                onClick={()=>updateInvMutation.mutate({ title: settingsForm.title, description: settingsForm.description, isPublic: settingsForm.isPublic, trackQuantity: settingsForm.trackQuantity, imageUrl: settingsForm.imageUrl })}
                 disabled={updateInvMutation.isLoading}
                 className="px-4 py-2 rounded-md bg-blue-600 text-white disabled:opacity-50"
               >
                 {updateInvMutation.isLoading ? 'Saving...' : 'Save settings'}
               </button>
+              <InventoryStructureActions inventory={inv} />
             </div>
           )}
 
           {activeTab === 'Custom ID' && (
             <div className="mt-6">
-              {cidFormat.length > 0 && (
-                <div className="mb-2 text-sm text-gray-700">
-                  Example: <span className="font-mono">{previewCustomId(cidFormat, itemCount)}</span>
-                </div>
-              )}
-              <div className="space-y-2">
-                {cidFormat.map((el, idx) => (
-                  <div key={idx} className="flex items-center gap-2">
-                    <span className="w-32 text-xs uppercase text-gray-500">{el.type}</span>
-                    {(el.type === 'text' || el.type === 'fixed') && (
-                      <input value={el.value || ''} onChange={(e)=>{ const next=[...cidFormat]; next[idx]={...el,value:e.target.value}; setCidFormat(next); }} className="flex-1 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500" />
-                    )}
-                    {el.type === 'sequence' && (
-                      <input type="number" min={0} value={el.padding ?? 0} onChange={(e)=>{ const next=[...cidFormat]; next[idx]={...el,padding:Number(e.target.value||0)}; setCidFormat(next); }} className="w-24 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500" />
-                    )}
-                    {el.type === 'datetime' && (
-                      <input value={el.format || 'YYYYMMDD'} onChange={(e)=>{ const next=[...cidFormat]; next[idx]={...el,format:e.target.value}; setCidFormat(next); }} placeholder="YYYYMMDD or YYYY-MM-DD" className="flex-1 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500" />
-                    )}
-                    <div className="flex items-center gap-1">
-                      <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx===0} onClick={()=>{ const n=[...cidFormat]; [n[idx-1],n[idx]]=[n[idx],n[idx-1]]; setCidFormat(n); }}>↑</button>
-                      <button type="button" className="px-2 py-1 text-xs rounded border border-gray-300" disabled={idx===cidFormat.length-1} onClick={()=>{ const n=[...cidFormat]; [n[idx+1],n[idx]]=[n[idx],n[idx+1]]; setCidFormat(n); }}>↓</button>
-                      <button type="button" className="px-2 py-1 text-xs rounded border border-red-300 text-red-700" onClick={()=>setCidFormat(cidFormat.filter((_,i)=>i!==idx))}>Remove</button>
-                    </div>
-                  </div>
-                ))}
-              </div>
-              <div className="mt-2 flex flex-wrap items-center gap-2">
-                <select value={cidNewType} onChange={(e)=>setCidNewType(e.target.value)} className="rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-                  <option value="text">Fixed</option>
-                  <option value="random20">20-bit random (X5)</option>
-                  <option value="random32">32-bit random (X8)</option>
-                  <option value="random6">Random 6-digit</option>
-                  <option value="random9">Random 9-digit</option>
-                  <option value="guid">GUID</option>
-                  <option value="datetime">Date/time</option>
-                  <option value="sequence">Sequence</option>
-                </select>
-                <button type="button" className="px-3 py-1.5 rounded border border-gray-300" onClick={()=>{
-                  const t=cidNewType; const el={ type:t };
-                  if (t==='text') el.value=''; if (t==='sequence') el.padding=3; if (t==='datetime') el.format='YYYYMMDD';
-                  setCidFormat((arr)=>[...arr, el]);
-                }}>Add element</button>
+              <CustomIdFormatEditor format={cidFormat} onChange={setCidFormat} fields={cfBuilder} sequenceCounter={sequenceCounter} creator={me}>
                 <button type="button" className="ml-auto px-3 py-1.5 rounded bg-blue-600 text-white" disabled={updateInvMutation.isLoading} onClick={()=>updateInvMutation.mutate({ customIdFormat: cidFormat })}>
                   {updateInvMutation.isLoading ? 'Saving...' : 'Save'}
                 </button>
-              </div>
+              </CustomIdFormatEditor>
+              {cidFormat.length > 0 && (cidSamples?.length > 0 || cidSamplesFailed) && (
+                <div className="mt-3 text-sm text-gray-700">
+                  <span className="font-medium">Next IDs:</span>{' '}
+                  {cidSamplesFailed
+                    ? <span className="text-gray-500">could not be generated</span>
+                    : cidSamples.map((sample, idx) => (
+                      <React.Fragment key={idx}>
+                        {idx > 0 && ', '}
+                        <span className={`font-mono ${sample.taken ? 'text-red-700 line-through' : ''}`} title={sample.taken ? 'Already taken: a new item would get another ID' : undefined}>{sample.customId}</span>
+                      </React.Fragment>
+                    ))}
+                </div>
+              )}
+              {cidFormat.length > 0 && cidRisk.level !== 'ok' && (
+                <div className={`mt-4 rounded border p-3 text-sm ${cidRisk.level === 'danger' ? 'border-red-300 bg-red-50 text-red-800' : 'border-amber-300 bg-amber-50 text-amber-800'}`}>
+                  {cidRisk.repeats
+                    ? `The sequence starts over ${RESET_PERIODS[cidRisk.repeats]} but the ID has no date for that period, so its numbers repeat`
+                      + (cidRisk.level === 'danger' ? ' and creating items will fail once the numbers are used up.' : ' and have to be skipped or regenerated.')
+                      + ` Add a date/time element with ${RESET_TOKENS[cidRisk.repeats]} or let the sequence never reset.`
+                    : cidRisk.space <= 1
+                    ? (cidFormat.some((el) => el.type === 'field' || el.type === 'initials')
+                      ? 'Items with the same field values or creator would get the same ID. Add a sequence, random or GUID element.'
+                      : 'Every item would get the same ID. Add a sequence, random or GUID element.')
+                    : `This format has ${cidRisk.space.toLocaleString()} possible IDs (${cidRisk.bits} bits) for ${(cidStats?.itemCount ?? itemCount).toLocaleString()} items: `
+                      + `${formatPercent(cidRisk.collisionChance)} of new IDs are already taken`
+                      + (cidRisk.level === 'danger' ? ' and creating items may fail even after retries.' : ' and have to be regenerated.')
+                      + ' Use a larger random element, a GUID or a sequence.'}
+                </div>
+              )}
+              {cidStats?.nonconforming?.count > 0 && (
+                <div className="mt-4 rounded border border-gray-200 p-3 text-sm text-gray-700">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span>
+                      {cidStats.nonconforming.count} of {cidStats.itemCount} item(s) have an ID that does not match the saved format
+                      {cidStats.nonconforming.sample.length > 0 && (
+                        <>: <span className="font-mono">{cidStats.nonconforming.sample.map((it) => it.customId || '(empty)').join(', ')}</span>{cidStats.nonconforming.count > cidStats.nonconforming.sample.length ? ', …' : ''}</>
+                      )}
+                    </span>
+                    <button type="button" className="ml-auto px-3 py-1.5 rounded border border-gray-300 disabled:opacity-50" disabled={regenerateIdsMutation.isLoading} onClick={() => { setRegenerateResult(''); setShowRegenerateModal(true); }}>
+                      Re-generate IDs
+                    </button>
+                  </div>
+                </div>
+              )}
+              {regenerateResult && <p className="mt-2 text-xs text-gray-600">{regenerateResult}</p>}
+              {cidStats && cidStats.attempts > 0 && (
+                <p className="mt-4 text-xs text-gray-500">
+                  Since the format was last changed: {cidStats.attempts.toLocaleString()} IDs generated, {cidStats.collisions.toLocaleString()} already taken ({formatPercent(cidStats.collisionRate)}).
+                </p>
+              )}
+              {cidFormat.some((el) => el.type === 'sequence' && (!el.reset || el.reset === 'never')) && (
+                <form
+                  className="mt-6 rounded border border-gray-200 p-3 text-sm text-gray-700"
+                  onSubmit={(e) => { e.preventDefault(); resetSequenceMutation.mutate(Number(sequenceNext)); }}
+                >
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span>Sequence counter: the next item gets number <span className="font-mono font-medium">{sequenceCounter + 1}</span>.</span>
+                    <input
+                      type="number"
+                      min={1}
+                      step={1}
+                      value={sequenceNext}
+                      onChange={(e) => setSequenceNext(e.target.value)}
+                      placeholder="Next number"
+                      className="w-32 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button type="submit" className="px-3 py-1.5 rounded border border-gray-300 disabled:opacity-50" disabled={!sequenceNext || resetSequenceMutation.isLoading}>
+                      {resetSequenceMutation.isLoading ? 'Saving...' : 'Reset counter'}
+                    </button>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Numbers are never reused after items are deleted. The next number has to be above the highest one in use.
+                  </p>
+                  {sequenceError && <p className="mt-1 text-xs text-red-600">{sequenceError}</p>}
+                </form>
+              )}
             </div>
           )}
 
           {activeTab === 'Fields' && (
             <div className="mt-6">
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                {['singleLineText','multiLineText','numeric','boolean','documentImage'].map((k)=> (
-                  <div key={k}>
-                    <h4 className="text-sm font-medium text-gray-900 mb-1">{
-                      ({
-                        singleLineText: 'Single line',
-                        multiLineText: 'Multi line',
-                        numeric: 'Numeric',
-                        boolean: 'Boolean',
-                        documentImage: 'Document/Image'
-                      })[k] || k
-                    }</h4>
-                    <ul className="mb-1 space-y-2 text-sm text-gray-700">
-                      {(cfBuilder[k]||[]).map((n,idx)=>(
-                        <li key={`${k}-${idx}`} className="flex items-center gap-2">
-                          <input
-                            value={n}
-                            onChange={(e)=> setCfBuilder((b)=>{ const arr=[...(b[k]||[])]; arr[idx]=e.target.value; return { ...b, [k]: arr }; })}
-                            className="flex-1 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                          />
-                          <button type="button" className="text-xs text-red-600" onClick={()=> setCfBuilder((b)=>({ ...b, [k]: (b[k]||[]).filter((_,i)=>i!==idx) }))}>Remove</button>
-                        </li>
-                      ))}
-                      {((cfBuilder[k]||[]).length === 0) && (
-                        <li className="text-xs text-gray-500">No fields added</li>
-                      )}
-                    </ul>
+              <FieldListEditor fields={cfBuilder} onChange={setCfBuilder} />
+              {templateError && <p className="mt-2 text-sm text-red-600">{templateError}</p>}
+              {templatePreview ? (
+                <div className="mt-3 rounded border border-amber-300 bg-amber-50 p-3">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">Review changes before saving</h3>
+                  <TemplateChangeList changes={templatePreview} pending />
+                  <div className="mt-3 flex gap-2 justify-end">
+                    <button type="button" className="px-3 py-1.5 rounded border border-gray-300" onClick={() => setTemplatePreview(null)}>
+                      Back to editing
+                    </button>
+                    <button type="button" className="px-3 py-1.5 rounded bg-blue-600 text-white disabled:opacity-60" disabled={updateInvMutation.isLoading || templatePreview.length === 0} onClick={saveTemplate}>
+                      {updateInvMutation.isLoading ? 'Saving...' : 'Apply changes'}
+                    </button>
                   </div>
-                ))}
-              </div>
-              <div className="mt-3 flex flex-wrap items-center gap-2">
-                <select value={cfNewType} onChange={(e)=>setCfNewType(e.target.value)} className="rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-                  <option value="singleLineText">Single line</option>
-                  <option value="multiLineText">Multi line</option>
-                  <option value="numeric">Numeric</option>
-                  <option value="boolean">Boolean</option>
-                  <option value="documentImage">Document/Image</option>
-                </select>
-                <input value={cfNewName} onChange={(e)=>setCfNewName(e.target.value)} placeholder="Field name" className="rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500" />
-                <button type="button" className="px-3 py-1.5 rounded border border-gray-300" onClick={()=>{ const name=cfNewName.trim(); if(!name) return; setCfBuilder((b)=> ({ ...b, [cfNewType]: [ ...(b[cfNewType]||[]), name ] })); setCfNewName(''); }}>Add field</button>
-                <button type="button" className="ml-auto px-3 py-1.5 rounded bg-blue-600 text-white" disabled={updateInvMutation.isLoading} onClick={()=>updateInvMutation.mutate({ customFields: cfBuilder })}>
-                  {updateInvMutation.isLoading ? 'Saving...' : 'Save'}
-                </button>
-              </div>
+                </div>
+              ) : (
+                <div className="mt-3 flex">
+                  <button type="button" className="ml-auto px-3 py-1.5 rounded bg-blue-600 text-white disabled:opacity-60" disabled={previewTemplateMutation.isLoading} onClick={() => previewTemplateMutation.mutate(cfBuilder)}>
+                    {previewTemplateMutation.isLoading ? 'Checking...' : 'Review & save'}
+                  </button>
+                </div>
+              )}
+              <h3 className="mt-8 mb-2 text-sm font-semibold text-gray-900">Template history</h3>
+              <TemplateHistory inventoryId={id} />
+            </div>
+          )}
+
+          {activeTab === 'Workflow' && canManageInventory && (
+            <div className="mt-6">
+              <StatusWorkflowEditor
+                workflow={inv.statusWorkflow}
+                isSaving={updateInvMutation.isLoading}
+                onSave={async (statusWorkflow) => {
+                  await updateInvMutation.mutateAsync({ statusWorkflow });
+                  setStatusFilter('');
+                  queryClient.invalidateQueries(['inventory:items', id]);
+                }}
+              />
+            </div>
+          )}
+
+          {activeTab === 'Trash' && canManageInventory && (
+            <div className="mt-6">
+              <TrashPanel inventoryId={id} />
             </div>
           )}
 
@@ -1658,6 +1942,10 @@ export default function InventoryDetailPage() {
             </div>
           )}
 
+          {activeTab === 'Audits' && (
+            <AuditPanel inventoryId={id} socketRef={socketRef} />
+          )}
+
           {activeTab === 'Stats' && (
             <div className="mt-6 grid grid-cols-2 sm:grid-cols-3 gap-4 text-sm">
               {/* Total items */}
@@ -1728,10 +2016,11 @@ export default function InventoryDetailPage() {
                 type="button"
                 className="px-4 py-2 rounded-md bg-blue-600 text-white"
                 onClick={() => {
-                  const headers = shownColumnsWithEditing.map((c)=>c.label);
-                  const rows = items.map((it)=> shownColumnsWithEditing.map((c)=> {
-                    const v = typeof c.render === 'function' ? (it[c.key] ?? '') : it[c.key];
-                    return String(v ?? '').replaceAll('"','\"');
+                  // Template columns in template order, regardless of the local column toggles
+                  const headers = columnsWithEditing.map((c)=>c.label);
+                  const rows = items.map((it)=> columnsWithEditing.map((c)=> {
+                    const v = it[c.key] ?? it.references?.[c.key]?.customId ?? it.values?.[c.key] ?? '';
+                    return String(v ?? '').replaceAll('"','""');
                   }));
                   const csv = [headers, ...rows].map(r=> r.map(x=>`"${x}"`).join(',')).join('\n');
                   const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -1749,11 +2038,12 @@ export default function InventoryDetailPage() {
           <div className="mt-6 border-t border-gray-200 pt-4">
             <h3 className="text-lg font-medium text-gray-900 mb-2">Add Item</h3>
             {submitErr && <p className="mb-2 text-red-600">{submitErr}</p>}
-            {fixedSlotDefs.length > 0 && (
+            {fieldDefs.length > 0 && (
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                {fixedSlotDefs.map((f) => {
+                {fieldDefs.map((f) => {
                   const val = newItem[f.key] ?? '';
                   const setVal = (v) => setNewItem((x) => ({ ...x, [f.key]: v }));
+                  if (f.type === 'formula') return null;
                   if (f.type === 'boolean') {
                     return (
                       <label key={f.key} className="inline-flex items-center gap-2 text-sm text-gray-800">
@@ -1780,6 +2070,51 @@ export default function InventoryDetailPage() {
                       </div>
                     );
                   }
+                  if (f.type === 'date' || f.type === 'datetime' || f.type === 'currency') {
+                    return (
+                      <div key={f.key}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">
+                          {f.label}{f.type === 'currency' ? ` (${f.definition.currency || 'USD'})` : ''}
+                        </label>
+                        <input
+                          type={({ date: 'date', datetime: 'datetime-local', currency: 'number' })[f.type]}
+                          step={f.type === 'currency' ? '0.01' : undefined}
+                          value={val}
+                          onChange={(e) => setVal(e.target.value)}
+                          className="w-full rounded-md border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                    );
+                  }
+                  if (f.type === 'reference') {
+                    return (
+                      <div key={f.key}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{f.label}</label>
+                        <ItemReferencePicker
+                          targetInventoryId={f.definition.targetInventoryId}
+                          value={val}
+                          onChange={(itemId) => setVal(itemId)}
+                        />
+                      </div>
+                    );
+                  }
+                  if (f.type === 'select') {
+                    return (
+                      <div key={f.key}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{f.label}</label>
+                        <select
+                          value={val}
+                          onChange={(e) => setVal(e.target.value)}
+                          className="w-full rounded-md border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          <option value="">—</option>
+                          {f.options.map((o) => (
+                            <option key={o} value={o}>{o}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  }
                   // file uploader for document/image string slots
                   if (f.type === 'file') {
                     return (
@@ -1839,11 +2174,12 @@ export default function InventoryDetailPage() {
               type="button"
               disabled={addItemMutation.isLoading}
               onClick={() => {
-                const payload = {};
-                for (const f of fixedSlotDefs) {
-                  if (newItem[f.key] !== undefined) payload[f.key] = newItem[f.key];
+                const values = {};
+                for (const f of fieldDefs) {
+                  if (newItem[f.key] === undefined) continue;
+                  values[f.key] = f.type === 'datetime' ? fromDateTimeLocalInput(newItem[f.key]) : newItem[f.key];
                 }
-                addItemMutation.mutate(payload);
+                addItemMutation.mutate({ values });
               }}
               className="mt-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-md"
             >
@@ -1861,11 +2197,43 @@ export default function InventoryDetailPage() {
     <DeleteModal
       open={showDeleteItemsModal}
       title="Delete Items"
-      description={`Delete ${pendingItemIds.length} selected item(s)?`}
+      description={`Move ${pendingItemIds.length} selected item(s) to the trash? The inventory's owner can restore them from the Trash tab.`}
       isLoading={isDeletingItems}
       onConfirm={handleConfirmDeleteItems}
       onClose={() => { if (!isDeletingItems) { setShowDeleteItemsModal(false); setPendingItemIds([]); } }}
     />
+    <DeleteModal
+      open={showRegenerateModal}
+      title="Re-generate custom IDs"
+      description={`Give ${cidStats?.nonconforming?.count || 0} item(s) a new ID generated from the saved format? Their current IDs are replaced and links or labels using them stop matching.`}
+      confirmLabel="Re-generate"
+      isLoading={regenerateIdsMutation.isLoading}
+      onConfirm={() => regenerateIdsMutation.mutate()}
+      onClose={() => { if (!regenerateIdsMutation.isLoading) setShowRegenerateModal(false); }}
+    />
+    <PrintLabelsModal
+      open={showPrintLabels}
+      inventoryId={id}
+      itemIds={items.filter((it) => selected.has(it.id)).map((it) => it.id)}
+      onClose={() => setShowPrintLabels(false)}
+    />
+    <BulkItemsModal
+      open={!!bulkMode}
+      mode={bulkMode}
+      inventoryId={id}
+      fields={inv.fields}
+      itemIds={Array.from(selected)}
+      onDone={(result) => {
+        if (result.succeeded) {
+          queryClient.invalidateQueries(['inventory:items', id]);
+          queryClient.invalidateQueries(['inventory', id]);
+        }
+      }}
+      onClose={() => {
+        if (bulkMode === 'move') clearSelection();
+        setBulkMode(null);
+      }}
+    />
     <DeleteModal
       open={showDeleteCommentModal}
       title="Delete Comment"
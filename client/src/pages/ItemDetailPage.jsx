@@ -6,16 +6,25 @@ import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import { Calendar, Package, Tag as TagIcon, User as UserIcon, Hash as HashIcon, Heart, Copy } from 'lucide-react';
+import { formatFieldValue } from '../utils/fieldFormat';
+import AttachmentGallery from '../components/Item/AttachmentGallery';
+import ItemBarcodes from '../components/Item/ItemBarcodes';
+import ItemStock from '../components/Item/ItemStock';
+import ItemLoan from '../components/Item/ItemLoan';
+import ItemStatus from '../components/Item/ItemStatus';
+import ItemHistory from '../components/Item/ItemHistory';
+import BulkItemsModal from '../components/Inventory/BulkItemsModal';
+import { Calendar, Package, Tag as TagIcon, User as UserIcon, Hash as HashIcon, Heart, Copy, FolderInput } from 'lucide-react';
 
 export default function ItemDetailPage() {
   const { id } = useParams();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const { isAuthenticated, user, loading: authLoading } = useAuth();
   const qc = useQueryClient();
   const [likeSubmitting, setLikeSubmitting] = useState(false);
   const [liked, setLiked] = useState(false);
   const [count, setCount] = useState(0);
+  const [showTransfer, setShowTransfer] = useState(false);
 
   const { data, isLoading, isError, error } = useQuery(
     ['item:detail', id, user?.id || null],
@@ -27,6 +36,15 @@ export default function ItemDetailPage() {
     { enabled: !!id && authLoading === false }
   );
 
+  const { data: referencedBy = [] } = useQuery(
+    ['item:referencedBy', id, user?.id || null],
+    async () => {
+      const res = await axios.get(`/api/items/${id}/referenced-by`);
+      return res.data?.referencedBy || [];
+    },
+    { enabled: !!id && authLoading === false }
+  );
+
   const item = data || {};
   const invObj = item.inventory || item.Inventory || {};
   const inventoryId = item.inventoryId || invObj.id || invObj._id;
@@ -127,20 +145,42 @@ export default function ItemDetailPage() {
 
       <div className="flex items-start justify-between mb-4">
         <h1 className="text-2xl font-semibold text-gray-900">{item.title || t('item.detail', { defaultValue: 'Item Details' })}</h1>
-        <button
-          onClick={onLike}
-          disabled={!isAuthenticated || likeSubmitting}
-          className="inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-md border border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-60"
-          aria-label={t('item.toggleLike', { defaultValue: 'Toggle like' })}
-        >
-          {liked ? (
-            <Heart className="h-4 w-4 text-red-500" fill="currentColor" />
-          ) : (
-            <Heart className="h-4 w-4" />
+        <div className="flex items-center gap-2">
+          {isAuthenticated && inventoryId && (
+            <button
+              onClick={() => setShowTransfer(true)}
+              className="inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-md border border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              <FolderInput className="h-4 w-4" />
+              {t('item.moveOrCopy', { defaultValue: 'Move / copy' })}
+            </button>
           )}
-          {(liked ? t('item.liked', { defaultValue: 'Liked' }) : t('item.like', { defaultValue: 'Like' }))} • {count}
-        </button>
+          <button
+            onClick={onLike}
+            disabled={!isAuthenticated || likeSubmitting}
+            className="inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-md border border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-60"
+            aria-label={t('item.toggleLike', { defaultValue: 'Toggle like' })}
+          >
+            {liked ? (
+              <Heart className="h-4 w-4 text-red-500" fill="currentColor" />
+            ) : (
+              <Heart className="h-4 w-4" />
+            )}
+            {(liked ? t('item.liked', { defaultValue: 'Liked' }) : t('item.like', { defaultValue: 'Like' }))} • {count}
+          </button>
+        </div>
       </div>
+      <BulkItemsModal
+        open={showTransfer}
+        mode="move"
+        inventoryId={inventoryId}
+        fields={invObj.fields}
+        itemIds={item.id ? [item.id] : []}
+        onDone={(result) => {
+          if (result.succeeded) qc.invalidateQueries(['item:detail', id]);
+        }}
+        onClose={() => setShowTransfer(false)}
+      />
 
       {item.image && (
         <img src={item.image} alt={item.title} className="w-full h-64 object-cover rounded mb-4" />
@@ -240,26 +280,18 @@ export default function ItemDetailPage() {
       )}
 
       {(() => {
-        // Build displayable fields from fixed slots and inventory template names
+        // Build displayable fields from the inventory template and the item's values
         const inv = item.inventory || item.Inventory || {};
         const isUrl = (s) => typeof s === 'string' && /^(https?:)?\/\//i.test(s);
         const isImageUrl = (s) => typeof s === 'string' && /(\.(png|jpe?g|gif|webp|bmp|svg|ico)$)|((cloudinary|images|img)\.)/i.test(s);
+        const values = item.values || {};
         const rows = [];
-        const pushIf = (state, label, value, type) => {
-          if (!state) return;
+        (Array.isArray(inv.fields) ? inv.fields : []).forEach((f) => {
+          const value = values[f.id];
           const hasVal = value !== undefined && value !== null && value !== '';
           if (!hasVal) return;
-          rows.push({ label: label || '', value, type });
-        };
-        pushIf(inv.custom_string1_state, inv.custom_string1_name, item.string1, 'string');
-        pushIf(inv.custom_string2_state, inv.custom_string2_name, item.string2, 'string');
-        pushIf(inv.custom_string3_state, inv.custom_string3_name, item.string3, 'string');
-        pushIf(inv.custom_int1_state, inv.custom_int1_name, item.int1, 'number');
-        pushIf(inv.custom_int2_state, inv.custom_int2_name, item.int2, 'number');
-        pushIf(inv.custom_int3_state, inv.custom_int3_name, item.int3, 'number');
-        pushIf(inv.custom_bool1_state, inv.custom_bool1_name, item.bool1, 'boolean');
-        pushIf(inv.custom_bool2_state, inv.custom_bool2_name, item.bool2, 'boolean');
-        pushIf(inv.custom_bool3_state, inv.custom_bool3_name, item.bool3, 'boolean');
+          rows.push({ label: f.name || '', value, field: f, type: f.type === 'numeric' ? 'number' : (f.type === 'boolean' ? 'boolean' : 'string') });
+        });
         if (rows.length === 0) return null;
         return (
           <div className="mb-6">
@@ -270,6 +302,16 @@ export default function ItemDetailPage() {
                   <span className="font-medium">{r.label || t('fields.value', { defaultValue: 'Value' })}</span>:{' '}
                   {r.type === 'boolean' ? (
                     r.value ? 'Yes' : 'No'
+                  ) : r.field.type === 'reference' ? (
+                    item.references?.[r.field.id] ? (
+                      <Link to={`/items/${r.value}`} className="text-blue-600 hover:underline">
+                        {[item.references[r.field.id].customId, item.references[r.field.id].title].filter(Boolean).join(' · ')}
+                      </Link>
+                    ) : (
+                      String(r.value)
+                    )
+                  ) : ['numeric', 'currency', 'date', 'datetime', 'formula'].includes(r.field.type) ? (
+                    formatFieldValue(r.field, r.value, i18n.language)
                   ) : (typeof r.value === 'string' && isUrl(r.value)) ? (
                     isImageUrl(r.value) ? (
                       <a href={r.value} target="_blank" rel="noreferrer" className="inline-block align-middle">
@@ -293,6 +335,35 @@ export default function ItemDetailPage() {
         );
       })()}
 
+      {item.id && <ItemStatus itemId={item.id} />}
+
+      {item.id && <ItemStock itemId={item.id} />}
+
+      {item.id && <ItemLoan itemId={item.id} inventoryId={inventoryId} />}
+
+      {item.id && <AttachmentGallery itemId={item.id} />}
+
+      {item.id && <ItemBarcodes itemId={item.id} customId={item.customId} />}
+
+      {item.id && <ItemHistory item={item} fields={Array.isArray(invObj.fields) ? invObj.fields : []} />}
+
+      <div className="mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-2">{t('item.referencedBy', { defaultValue: 'Referenced by' })}</h2>
+        {referencedBy.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('item.notReferenced', { defaultValue: 'No other items reference this item.' })}</p>
+        ) : (
+          <ul className="text-sm text-gray-700 space-y-1">
+            {referencedBy.map((ref) => (
+              <li key={`${ref.id}-${ref.field.id}`}>
+                <Link to={`/items/${ref.id}`} className="text-blue-600 hover:underline font-mono">{ref.customId}</Link>
+                <span className="text-gray-500"> · {ref.field.name} · </span>
+                <Link to={`/inventories/${ref.inventory.id}`} className="hover:underline">{ref.inventory.title}</Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       <div className="flex items-center gap-4">
         {inventoryId ? (
           <Link to={`/inventories/${inventoryId}`} className="text-blue-600 hover:underline">{t('nav.backToInventory', { defaultValue: 'Back to Inventory' })}</Link>
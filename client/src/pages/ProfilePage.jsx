@@ -1,10 +1,12 @@
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import InventoryCard from '../components/Inventory/InventoryCard';
+import { isOverdue } from '../utils/loans';
 
 export default function ProfilePage() {
   const { id } = useParams();
@@ -34,6 +36,33 @@ export default function ProfilePage() {
     }
   );
 
+  // Items checked out to this user, kept current through the rooms of the inventories involved
+  const { socket } = useSocket();
+  const { data: loanData } = useQuery(
+    ['user:loans', idToLoad],
+    () => axios.get(`/api/loans/user/${idToLoad}`).then((r) => r.data),
+    { enabled: !!idToLoad && canViewPrivates }
+  );
+  const loanRooms = [...new Set([
+    ...(invData?.owned || []).map((inv) => inv.id),
+    ...(invData?.accessible || []).map((inv) => inv.id),
+    ...(loanData?.loans || []).map((loan) => loan.Item?.inventoryId),
+  ].filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    if (!socket || !loanRooms) return;
+    const rooms = loanRooms.split(',');
+    rooms.forEach((room) => socket.emit('join-inventory', room));
+    const onLoanChanged = ({ borrowerId }) => {
+      if (String(borrowerId) === String(idToLoad)) queryClient.invalidateQueries(['user:loans', idToLoad]);
+    };
+    socket.on('itemLoanChanged', onLoanChanged);
+    return () => {
+      socket.off('itemLoanChanged', onLoanChanged);
+      rooms.forEach((room) => socket.emit('leave-inventory', room));
+    };
+  }, [socket, loanRooms, idToLoad, queryClient]);
+
   const avatarMutation = useMutation(
     async (file) => {
       const form = new FormData();
@@ -90,6 +119,7 @@ export default function ProfilePage() {
   const inventories = Array.isArray(profile.createdInventories) ? profile.createdInventories : [];
   const owned = Array.isArray(invData?.owned) ? invData.owned : inventories; // fallback to limited created list
   const accessible = Array.isArray(invData?.accessible) ? invData.accessible : [];
+  const loans = Array.isArray(loanData?.loans) ? loanData.loans : [];
 
   return (
     <div className="max-w-6xl mx-auto p-6 bg-white rounded-lg shadow">
@@ -148,6 +178,27 @@ export default function ProfilePage() {
       </div>
 
       <div className="space-y-8">
+        {canViewPrivates && loans.length > 0 && (
+          <section>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">{isOwnProfile ? 'Items I Have' : 'Items Checked Out'}</h2>
+              <span className="text-sm text-gray-500">{loans.length}</span>
+            </div>
+            <ul className="divide-y divide-gray-100 rounded-md border border-gray-200">
+              {loans.map((loan) => (
+                <li key={loan.id} className={`flex flex-wrap items-center gap-x-3 gap-y-1 px-3 py-2 text-sm ${isOverdue(loan) ? 'bg-red-50' : ''}`}>
+                  <Link to={`/items/${loan.Item?.id}`} className="font-mono text-blue-600 hover:underline">{loan.Item?.customId}</Link>
+                  {loan.Item?.title && <span className="text-gray-900">{loan.Item.title}</span>}
+                  <Link to={`/inventories/${loan.Item?.inventoryId}`} className="text-gray-500 hover:underline">{loan.Item?.Inventory?.title}</Link>
+                  <span className={`ml-auto ${isOverdue(loan) ? 'font-semibold text-red-700' : 'text-gray-600'}`}>
+                    {loan.dueDate ? `${isOverdue(loan) ? 'Overdue, was due' : 'Due'} ${loan.dueDate}` : 'No due date'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         <section>
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-semibold text-gray-900">Owned Inventories</h2>
@@ -0,0 +1,292 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useTranslation } from 'react-i18next';
+import { Camera, CameraOff, Download, ScanLine, Trash2 } from 'lucide-react';
+
+const SESSION_KEY = 'stockTakeSession';
+// A camera keeps seeing the same label for a while; repeats within this window count once
+const CAMERA_REPEAT_MS = 2000;
+
+const lookup = (code, inventoryId) => axios
+  .get('/api/items/lookup', { params: { customId: code, inventoryId: inventoryId || undefined } })
+  .then((res) => res.data);
+
+const loadSession = () => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Live camera preview that reports every code the browser's BarcodeDetector reads
+function CameraScanner({ onCode, onError }) {
+  const videoRef = useRef(null);
+  // The latest callback, so switching modes does not restart the camera
+  const onCodeRef = useRef(onCode);
+  useEffect(() => { onCodeRef.current = onCode; }, [onCode]);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector();
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        codes.forEach((code) => onCodeRef.current(code.rawValue));
+      } catch {
+        // the video has no frame yet; try again on the next tick
+      }
+      timer = setTimeout(scan, 250);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((media) => {
+        stream = media;
+        if (stopped) return;
+        videoRef.current.srcObject = media;
+        return videoRef.current.play().then(scan);
+      })
+      .catch(() => onError('The camera could not be started. Check the browser permission.'));
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onError]);
+
+  return <video ref={videoRef} muted playsInline className="w-full max-w-md rounded border border-gray-200 bg-black" />;
+}
+
+// Find items by scanning their labels. A keyboard-wedge scanner types into the focused input and
+// presses Enter; the camera reads QR, DataMatrix and Code 128 labels where the browser supports it.
+// "Find" opens the scanned item; "Stock-take" keeps every scan in a list for this browser session.
+// ?inventory=<id> limits the search to one inventory.
+export default function ScanPage() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inventoryId = searchParams.get('inventory');
+  const [mode, setMode] = useState('find');
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [choices, setChoices] = useState([]);
+  const [session, setSession] = useState(loadSession);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const inputRef = useRef(null);
+  const lastCameraCode = useRef({ code: null, at: 0 });
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+  useEffect(() => { sessionStorage.setItem(SESSION_KEY, JSON.stringify(session)); }, [session]);
+
+  const record = useCallback(async (scanned) => {
+    const at = new Date().toISOString();
+    let entry;
+    try {
+      const { matches } = await lookup(scanned, inventoryId);
+      entry = { code: scanned, at, status: matches.length === 0 ? 'missing' : matches.length > 1 ? 'ambiguous' : 'found', matches };
+    } catch (e) {
+      entry = { code: scanned, at, status: 'error', matches: [], error: e?.response?.data?.message || 'Lookup failed' };
+    }
+    setSession((list) => {
+      const existing = list.find((it) => it.code === scanned);
+      const rest = list.filter((it) => it.code !== scanned);
+      return [{ ...entry, count: (existing?.count || 0) + 1 }, ...rest];
+    });
+  }, [inventoryId]);
+
+  const find = useCallback(async (scanned) => {
+    setMessage('');
+    setChoices([]);
+    try {
+      const { matches } = await lookup(scanned, inventoryId);
+      if (matches.length === 1) {
+        navigate(`/items/${matches[0].id}`);
+      } else if (matches.length > 1) {
+        setMessage(`"${scanned}" exists in ${matches.length} inventories. Pick one:`);
+        setChoices(matches);
+      } else {
+        setMessage(`No item with the ID "${scanned}" was found${inventoryId ? ' in this inventory' : ''}.`);
+      }
+    } catch (e) {
+      setMessage(e?.response?.data?.message || 'Lookup failed');
+    }
+  }, [inventoryId, navigate]);
+
+  const submit = useCallback(async (raw) => {
+    const scanned = String(raw || '').trim();
+    if (!scanned) return;
+    setBusy(true);
+    try {
+      if (mode === 'stocktake') await record(scanned);
+      else await find(scanned);
+    } finally {
+      setBusy(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  }, [mode, record, find]);
+
+  const onCameraCode = useCallback((scanned) => {
+    const now = Date.now();
+    if (scanned === lastCameraCode.current.code && now - lastCameraCode.current.at < CAMERA_REPEAT_MS) return;
+    lastCameraCode.current = { code: scanned, at: now };
+    submit(scanned);
+  }, [submit]);
+
+  const onCameraError = useCallback((text) => { setCameraError(text); setCameraOn(false); }, []);
+
+  const downloadCsv = () => {
+    const rows = [['Scanned', 'Times', 'Status', 'Custom ID', 'Title', 'Inventory', 'Last scanned']];
+    session.forEach((entry) => {
+      const match = entry.matches[0];
+      rows.push([entry.code, entry.count, entry.status, match?.customId, match?.title, entry.matches.map((m) => m.inventory.title).join('; '), entry.at]);
+    });
+    const blob = new Blob([rows.map((row) => row.map(csvCell).join(',')).join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `stock-take-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const found = session.filter((entry) => entry.status === 'found').length;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900 mb-4">
+        <ScanLine className="h-6 w-6" />
+        {t('scan.title', { defaultValue: 'Scan items' })}
+      </h1>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {[['find', 'Find'], ['stocktake', 'Stock-take']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => { setMode(value); setMessage(''); setChoices([]); inputRef.current?.focus(); }}
+            className={`px-3 py-1.5 rounded-md text-sm border ${mode === value ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            {label}
+          </button>
+        ))}
+        {inventoryId && (
+          <span className="text-sm text-gray-600">
+            Searching one inventory only.{' '}
+            <button type="button" className="text-blue-600 hover:underline" onClick={() => setSearchParams({})}>Search all</button>
+          </span>
+        )}
+      </div>
+
+      <form onSubmit={(e) => { e.preventDefault(); submit(code); }} className="flex gap-2 mb-2">
+        <input
+          ref={inputRef}
+          autoFocus
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Scan a label or type a custom ID"
+          className="flex-1 rounded-md border border-gray-300 px-3 py-2 font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Scanned code"
+        />
+        <button type="submit" disabled={busy || !code.trim()} className="px-4 py-2 rounded-md bg-blue-600 text-white disabled:opacity-50">
+          {mode === 'stocktake' ? 'Record' : 'Find'}
+        </button>
+        {cameraSupported && (
+          <button
+            type="button"
+            onClick={() => { setCameraError(''); setCameraOn((on) => !on); }}
+            className="p-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+            title={cameraOn ? 'Stop camera' : 'Scan with camera'}
+            aria-label={cameraOn ? 'Stop camera' : 'Scan with camera'}
+          >
+            {cameraOn ? <CameraOff className="h-5 w-5" /> : <Camera className="h-5 w-5" />}
+          </button>
+        )}
+      </form>
+      <p className="text-xs text-gray-500 mb-4">
+        {mode === 'stocktake'
+          ? 'Every scan is added to the list below; scanning the same label again counts it again.'
+          : 'A scanned ID opens the item straight away.'}
+        {!cameraSupported && ' Camera scanning needs a browser with barcode detection (e.g. Chrome on Android).'}
+      </p>
+
+      {cameraOn && <div className="mb-4"><CameraScanner onCode={onCameraCode} onError={onCameraError} /></div>}
+      {cameraError && <p className="text-sm text-red-600 mb-4">{cameraError}</p>}
+
+      {message && <p className="text-sm text-gray-700 mb-2">{message}</p>}
+      {choices.length > 0 && (
+        <ul className="mb-4 divide-y divide-gray-200 rounded border border-gray-200">
+          {choices.map((m) => (
+            <li key={m.id} className="px-3 py-2 text-sm">
+              <Link to={`/items/${m.id}`} className="text-blue-600 hover:underline font-mono">{m.customId}</Link>
+              {m.title && <span className="text-gray-700"> · {m.title}</span>}
+              <span className="text-gray-500"> in {m.inventory.title}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {mode === 'stocktake' && (
+        <div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <h2 className="text-lg font-semibold text-gray-900">Session</h2>
+            <span className="text-sm text-gray-600">
+              {session.length} code(s), {found} found, {session.length - found} not found or ambiguous
+            </span>
+            <button type="button" onClick={downloadCsv} disabled={session.length === 0} className="ml-auto inline-flex items-center gap-1 px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+              <Download className="h-4 w-4" /> CSV
+            </button>
+            <button type="button" onClick={() => setSession([])} disabled={session.length === 0} className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-red-300 text-sm text-red-700 hover:bg-red-50 disabled:opacity-50">
+              <Trash2 className="h-4 w-4" /> Clear
+            </button>
+          </div>
+          {session.length === 0 ? (
+            <p className="text-sm text-gray-500">No scans yet.</p>
+          ) : (
+            <table className="min-w-full text-sm border border-gray-200">
+              <thead className="bg-gray-100 text-gray-700">
+                <tr>
+                  <th className="px-3 py-2 text-left">Scanned</th>
+                  <th className="px-3 py-2 text-left">Item</th>
+                  <th className="px-3 py-2 text-right">Times</th>
+                  <th className="px-3 py-2 text-left">Last scan</th>
+                </tr>
+              </thead>
+              <tbody>
+                {session.map((entry) => (
+                  <tr key={entry.code} className={`border-t border-gray-200 ${entry.status === 'found' ? '' : 'bg-amber-50'}`}>
+                    <td className="px-3 py-2 font-mono">{entry.code}</td>
+                    <td className="px-3 py-2">
+                      {entry.status === 'found' && (
+                        <Link to={`/items/${entry.matches[0].id}`} className="text-blue-600 hover:underline">
+                          {[entry.matches[0].customId, entry.matches[0].title].filter(Boolean).join(' · ')}
+                        </Link>
+                      )}
+                      {entry.status === 'found' && <span className="text-gray-500"> in {entry.matches[0].inventory.title}</span>}
+                      {entry.status === 'ambiguous' && `In ${entry.matches.length} inventories: ${entry.matches.map((m) => m.inventory.title).join(', ')}`}
+                      {entry.status === 'missing' && <span className="text-amber-800">Not found</span>}
+                      {entry.status === 'error' && <span className="text-red-700">{entry.error}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right">{entry.count}</td>
+                    <td className="px-3 py-2 text-gray-600">{new Date(entry.at).toLocaleTimeString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
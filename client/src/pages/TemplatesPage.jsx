@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { LayoutTemplate, Search as SearchIcon, Trash2 } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import DeleteModal from '../components/UI/DeleteModal';
+import { useAuth } from '../contexts/AuthContext';
+
+const SCOPES = [
+  { key: '', label: 'All', auth: false },
+  { key: 'mine', label: 'Mine', auth: true },
+  { key: 'shared', label: 'Shared with me', auth: true },
+  { key: 'public', label: 'Public', auth: false },
+];
+
+const VISIBILITY_STYLES = {
+  private: 'bg-gray-100 text-gray-700',
+  shared: 'bg-amber-100 text-amber-800',
+  public: 'bg-green-100 text-green-800',
+};
+
+function TemplateCard({ template, canManage, onUse, onDelete, onVisibility, busy }) {
+  const [title, setTitle] = useState('');
+  const [using, setUsing] = useState(false);
+  const fields = Array.isArray(template.fields) ? template.fields : [];
+  const creator = template.creator?.username || [template.creator?.firstName, template.creator?.lastName].filter(Boolean).join(' ');
+
+  return (
+    <div className="flex flex-col rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+      <div className="flex items-start gap-2">
+        <h2 className="flex-1 text-lg font-semibold text-gray-900">{template.name}</h2>
+        {canManage ? (
+          <select
+            value={template.visibility}
+            onChange={(e) => onVisibility(e.target.value)}
+            disabled={busy}
+            className={`rounded px-2 py-0.5 text-xs border-0 ${VISIBILITY_STYLES[template.visibility] || ''}`}
+            aria-label="Visibility"
+          >
+            <option value="private">private</option>
+            <option value="shared">shared</option>
+            <option value="public">public</option>
+          </select>
+        ) : (
+          <span className={`rounded px-2 py-0.5 text-xs ${VISIBILITY_STYLES[template.visibility] || ''}`}>{template.visibility}</span>
+        )}
+      </div>
+      {template.description && <p className="mt-1 text-sm text-gray-600 line-clamp-3">{template.description}</p>}
+      <p className="mt-2 text-xs text-gray-500">
+        {fields.length} field{fields.length === 1 ? '' : 's'}
+        {Array.isArray(template.customIdFormat) && template.customIdFormat.length > 0 ? ' · custom ID format' : ''}
+        {template.trackQuantity ? ' · stock tracking' : ''}
+        {template.statusWorkflow ? ' · status workflow' : ''}
+        {template.Category ? ` · ${template.Category.name}` : ''}
+        {creator ? ` · by ${creator}` : ''}
+      </p>
+      {fields.length > 0 && (
+        <p className="mt-1 text-xs text-gray-700 truncate" title={fields.map((f) => f.name).join(', ')}>
+          {fields.map((f) => f.name).join(', ')}
+        </p>
+      )}
+      {Array.isArray(template.tags) && template.tags.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {template.tags.map((tg) => (
+            <span key={tg} className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-800">{tg}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-auto pt-4">
+        {using ? (
+          <form
+            className="flex items-center gap-2"
+            onSubmit={(e) => { e.preventDefault(); onUse(title); }}
+          >
+            <input
+              autoFocus
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder={template.name}
+              className="flex-1 min-w-0 rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button type="submit" disabled={busy} className="px-3 py-1 rounded-md bg-blue-600 text-white text-sm disabled:opacity-60">Create</button>
+            <button type="button" onClick={() => setUsing(false)} className="px-2 py-1 text-sm text-gray-600">Cancel</button>
+          </form>
+        ) : (
+          <div className="flex items-center gap-2">
+            {onUse && (
+              <button type="button" onClick={() => setUsing(true)} className="px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm">
+                Create inventory
+              </button>
+            )}
+            {canManage && (
+              <button type="button" onClick={onDelete} className="ml-auto p-1.5 text-red-600 hover:text-red-700" title="Delete template" aria-label="Delete template">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Gallery of inventory templates the user can see; a template creates an inventory with its structure and no items
+export default function TemplatesPage() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [scope, setScope] = useState('');
+  const [search, setSearch] = useState('');
+  const [debounced, setDebounced] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const { data, isLoading, isError, error } = useQuery(
+    ['templates:list', scope, debounced, user?.id || null],
+    () => axios
+      .get('/api/templates', { params: { scope: scope || undefined, search: debounced || undefined, limit: 60 } })
+      .then((res) => res.data),
+    { keepPreviousData: true }
+  );
+  const templates = data?.templates || [];
+
+  const refresh = () => queryClient.invalidateQueries({ predicate: (q) => Array.isArray(q.queryKey) && q.queryKey[0] === 'templates:list' });
+
+  const createFromTemplate = async (template, title) => {
+    try {
+      setBusyId(template.id);
+      const { data: inventory } = await axios.post(`/api/templates/${template.id}/inventories`, { title: title.trim() || undefined });
+      toast.success('Inventory created');
+      navigate(`/inventories/${inventory.id}`);
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Failed to create inventory');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const setVisibility = async (template, visibility) => {
+    try {
+      setBusyId(template.id);
+      await axios.put(`/api/templates/${template.id}`, { visibility });
+      refresh();
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Failed to update template');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    try {
+      setBusyId(pendingDelete.id);
+      await axios.delete(`/api/templates/${pendingDelete.id}`);
+      refresh();
+    } catch (e) {
+      toast.error(e?.response?.data?.message || 'Failed to delete template');
+    } finally {
+      setBusyId(null);
+      setPendingDelete(null);
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-6">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h1 className="flex items-center gap-2 text-3xl font-bold text-gray-900">
+          <LayoutTemplate className="h-7 w-7" />
+          {t('nav.templates')}
+        </h1>
+        <div className="relative ml-auto w-full sm:w-72">
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search templates"
+            className="w-full pl-9 pr-3 py-2 rounded-md border border-gray-300 bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <SearchIcon className="h-4 w-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+        </div>
+      </div>
+
+      <div className="mb-4 flex gap-2 border-b border-gray-200">
+        {SCOPES.filter((s) => !s.auth || user).map((s) => (
+          <button
+            key={s.key || 'all'}
+            type="button"
+            onClick={() => setScope(s.key)}
+            className={`px-3 py-2 text-sm -mb-px border-b-2 ${scope === s.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12"><LoadingSpinner size="lg" /></div>
+      ) : isError ? (
+        <p className="text-sm text-red-700">{error?.response?.data?.message || error?.message || 'Failed to load templates'}</p>
+      ) : templates.length === 0 ? (
+        <p className="text-gray-600">
+          No templates yet. Save one from an inventory&apos;s Settings tab to reuse its custom ID format and fields.
+        </p>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {templates.map((tpl) => (
+            <TemplateCard
+              key={tpl.id}
+              template={tpl}
+              busy={busyId === tpl.id}
+              canManage={!!user && (user.isAdmin || tpl.creatorId === user.id)}
+              onUse={user ? (title) => createFromTemplate(tpl, title) : null}
+              onVisibility={(visibility) => setVisibility(tpl, visibility)}
+              onDelete={() => setPendingDelete(tpl)}
+            />
+          ))}
+        </div>
+      )}
+
+      <DeleteModal
+        open={!!pendingDelete}
+        title="Delete template"
+        description={pendingDelete ? `Delete "${pendingDelete.name}"? Inventories created from it are not affected.` : ''}
+        isLoading={!!pendingDelete && busyId === pendingDelete.id}
+        onConfirm={confirmDelete}
+        onClose={() => setPendingDelete(null)}
+      />
+    </div>
+  );
+}
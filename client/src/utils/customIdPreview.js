@@ -0,0 +1,58 @@
+// Custom ID previews and element settings for the inventory forms. Generation itself is the
+// server's code from shared/customId.mjs, which also documents the element types.
+import { generateCustomId, ID_FIELD_TYPES } from '@shared/customId.mjs';
+
+export { ID_FIELD_TYPES };
+
+export const ID_ELEMENT_TYPES = [
+  { value: 'text', label: 'Fixed' },
+  { value: 'random20', label: '20-bit random (X5)' },
+  { value: 'random32', label: '32-bit random (X8)' },
+  { value: 'random6', label: 'Random 6 digits' },
+  { value: 'random9', label: 'Random 9 digits' },
+  { value: 'guid', label: 'GUID' },
+  { value: 'datetime', label: 'Date/time' },
+  { value: 'sequence', label: 'Sequence' },
+  { value: 'checksum', label: 'Check digit' },
+  { value: 'field', label: 'Field value' },
+  { value: 'initials', label: 'Creator initials' },
+];
+
+export const SEQUENCE_RESETS = [
+  { value: 'never', label: 'Never resets' },
+  { value: 'daily', label: 'Resets daily (UTC)' },
+  { value: 'monthly', label: 'Resets monthly (UTC)' },
+  { value: 'yearly', label: 'Resets yearly (UTC)' },
+];
+
+export const CHECKSUM_ALGORITHMS = [
+  { value: 'luhn', label: 'Luhn (mod 10)' },
+  { value: 'mod11', label: 'Mod 11 (0-9, X)' },
+];
+
+export const DATE_TOKEN_HELP = 'YYYY YY MM DD HH mm ss WW (week) Q (quarter)';
+
+// A new element of `type` with its default settings
+export function newIdElement(type) {
+  switch (type) {
+    case 'text': return { type, value: '' };
+    case 'sequence': return { type, padding: 3, reset: 'never' };
+    case 'datetime': return { type, format: 'YYYYMMDD' };
+    case 'checksum': return { type, algorithm: 'luhn' };
+    case 'field': return { type, field: '', length: 0 };
+    default: return { type };
+  }
+}
+
+// Example ID for `format`. `sequenceCounter` is the last number the never-resetting sequence handed
+// out (resetting sequences show 1), `creator` fills in initials and field elements show the field's
+// name. The inventory's Custom ID tab also asks the server for samples from its real counters.
+export function previewCustomId(format = [], { sequenceCounter = 0, creator = null, now = new Date() } = {}) {
+  const fieldValues = Object.fromEntries(format.filter((el) => el?.type === 'field' && el.field).map((el) => [el.field, el.field]));
+  return generateCustomId(format, {
+    sequences: { never: (sequenceCounter ?? 0) + 1, daily: 1, monthly: 1, yearly: 1 },
+    fieldValues,
+    creator: creator || { firstName: 'A', lastName: 'B' },
+    now,
+  });
+}
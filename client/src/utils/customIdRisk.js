@@ -0,0 +1,9 @@
+// Collision risk of a custom ID format, the server's own estimate (shared/customId.mjs), so the
+// Custom ID tab can warn about a format before it is saved.
+export { collisionRisk } from '@shared/customId.mjs';
+
+export function formatPercent(ratio) {
+  if (!ratio) return '0%';
+  if (ratio < 0.001) return '<0.1%';
+  return `${(ratio * 100).toFixed(ratio < 0.1 ? 1 : 0)}%`;
+}
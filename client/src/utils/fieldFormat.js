@@ -0,0 +1,54 @@
+// Display and input helpers for typed custom field answers.
+// `field` is a template field definition ({ type, currency, ... }) as returned by the API.
+
+export function formatFieldValue(field, value, locale) {
+  if (value === undefined || value === null || value === '') return '';
+  try {
+    switch (field?.type) {
+      case 'date': {
+        // 'YYYY-MM-DD' is a calendar day, so format it in UTC to avoid shifting it a day
+        const d = new Date(`${value}T00:00:00Z`);
+        if (Number.isNaN(d.getTime())) return String(value);
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(d);
+      }
+      case 'datetime': {
+        const d = new Date(value);
+        if (Number.isNaN(d.getTime())) return String(value);
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(d);
+      }
+      case 'currency':
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: field.currency || 'USD' }).format(Number(value));
+      case 'numeric':
+        return new Intl.NumberFormat(locale, { maximumFractionDigits: 20 }).format(Number(value));
+      case 'boolean':
+        return value ? 'Yes' : 'No';
+      case 'formula':
+        // Results are numbers, booleans or text; date results come back as 'YYYY-MM-DD'
+        if (typeof value === 'number') return new Intl.NumberFormat(locale, { maximumFractionDigits: 10 }).format(value);
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return formatFieldValue({ type: 'date' }, value, locale);
+        return String(value);
+      default:
+        return String(value);
+    }
+  } catch {
+    // Unknown locale or currency code
+    return String(value);
+  }
+}
+
+// ISO timestamp -> value for <input type="datetime-local"> in the browser's time zone
+export function toDateTimeLocalInput(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// <input type="datetime-local"> value -> ISO timestamp with offset, so the server stores the same instant
+export function fromDateTimeLocalInput(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? value : d.toISOString();
+}
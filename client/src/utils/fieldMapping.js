@@ -0,0 +1,3 @@
+// Field mappings for moving and copying items to another inventory. The rules are the server's
+// code from shared/fieldMapping.mjs, which also documents the mapping shape.
+export { canMapField, defaultFieldMapping, resolveFieldMapping } from '@shared/fieldMapping.mjs';
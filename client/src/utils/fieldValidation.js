@@ -0,0 +1,102 @@
+// Client-side copy of the server's field answer rules (server/utils/customFields.js).
+// Keep the messages identical so the form shows the same text the API would return.
+import { MAX_PATTERN_INPUT_LENGTH, compileFieldPattern } from '@shared/fieldPattern.mjs';
+
+// Why a format pattern is refused, for the field editor
+export { patternProblem } from '@shared/fieldPattern.mjs';
+
+const isEmptyAnswer = (raw) => raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const DECIMAL_RE = /^-?\d{1,15}(\.\d{1,4})?$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isValidDate = (raw) => {
+  if (typeof raw !== 'string' || !DATE_RE.test(raw.trim())) return false;
+  const d = new Date(`${raw.trim()}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === raw.trim();
+};
+
+const isValidDateTime = (raw) => typeof raw === 'string' && DATETIME_RE.test(raw.trim()) && !Number.isNaN(new Date(raw.trim()).getTime());
+
+const isValidDecimal = (raw) => (typeof raw === 'number' || typeof raw === 'string') && DECIMAL_RE.test(String(raw).trim());
+
+
+// `field` is a template field definition: { name, type, required, validation }
+export function validateFieldValue(field, raw) {
+  // Formula values are computed by the server and never entered
+  if (field.type === 'formula') return null;
+  const rules = field.validation || {};
+  if (isEmptyAnswer(raw)) {
+    return field.required ? `${field.name} is required` : null;
+  }
+
+  switch (field.type) {
+    case 'numeric': {
+      const n = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(n)) return `${field.name} must be a number`;
+      if (typeof rules.min === 'number' && n < rules.min) return `${field.name} must be at least ${rules.min}`;
+      if (typeof rules.max === 'number' && n > rules.max) return `${field.name} must be at most ${rules.max}`;
+      return null;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean' || raw === 'true' || raw === 'false') return null;
+      return `${field.name} must be true or false`;
+    case 'select':
+      if (typeof raw === 'string' && (field.options || []).includes(raw)) return null;
+      return `${field.name} must be one of the listed options`;
+    case 'date':
+      return isValidDate(raw) ? null : `${field.name} must be a date (YYYY-MM-DD)`;
+    case 'datetime':
+      return isValidDateTime(raw) ? null : `${field.name} must be a date and time`;
+    case 'currency': {
+      if (!isValidDecimal(raw)) return `${field.name} must be an amount with at most 4 decimals`;
+      const n = Number(raw);
+      if (typeof rules.min === 'number' && n < rules.min) return `${field.name} must be at least ${rules.min}`;
+      if (typeof rules.max === 'number' && n > rules.max) return `${field.name} must be at most ${rules.max}`;
+      return null;
+    }
+    case 'reference':
+      return typeof raw === 'string' && UUID_RE.test(raw.trim()) ? null : `${field.name} must reference an item`;
+    default: {
+      const text = String(raw);
+      if (typeof rules.maxLength === 'number' && text.length > rules.maxLength) {
+        return `${field.name} must be at most ${rules.maxLength} characters`;
+      }
+      const re = rules.pattern ? compileFieldPattern(rules.pattern) : null;
+      if (re && text.length > MAX_PATTERN_INPUT_LENGTH) {
+        return `${field.name} is too long to check its format (at most ${MAX_PATTERN_INPUT_LENGTH} characters)`;
+      }
+      if (re && !re.test(text)) {
+        return rules.patternMessage || `${field.name} has an invalid format`;
+      }
+      return null;
+    }
+  }
+}
+
+// Validate a whole form: `values` is keyed by field id. Returns { [fieldId]: message }.
+export function validateFieldValues(fields, values) {
+  const errors = {};
+  for (const f of fields) {
+    const message = validateFieldValue(f, values[f.id]);
+    if (message) errors[f.id] = message;
+  }
+  return errors;
+}
+
+// Per-field errors from a 422 API response as { [fieldId]: message }
+export function fieldErrorsFromResponse(error) {
+  const list = error?.response?.status === 422 ? error.response.data?.errors : null;
+  const errors = {};
+  if (Array.isArray(list)) list.forEach((e) => { if (e?.fieldId) errors[e.fieldId] = e.message; });
+  return errors;
+}
+
+// One-line summary of a failed item save, preferring the per-field messages
+export function itemErrorMessage(error, fallback) {
+  const messages = Object.values(fieldErrorsFromResponse(error));
+  if (messages.length > 0) return messages.join('; ');
+  return error?.response?.data?.message || error?.message || fallback;
+}
@@ -0,0 +1,31 @@
+// Item status workflows for the inventory and item pages. The rules themselves are the server's
+// code from shared/statusWorkflow.mjs, which also documents the workflow shape.
+export {
+  DEFAULT_WORKFLOW,
+  STATUS_COLORS,
+  STATUS_ROLES,
+  findState,
+  normalizeStatusWorkflow,
+  statusKey,
+} from '@shared/statusWorkflow.mjs';
+
+// Badge classes per state color, written out so Tailwind keeps them
+const BADGE_CLASSES = {
+  gray: 'bg-gray-100 text-gray-800',
+  blue: 'bg-blue-100 text-blue-800',
+  green: 'bg-green-100 text-green-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  orange: 'bg-orange-100 text-orange-800',
+  red: 'bg-red-100 text-red-800',
+  purple: 'bg-purple-100 text-purple-800',
+};
+
+export function statusBadgeClass(color) {
+  return BADGE_CLASSES[color] || BADGE_CLASSES.gray;
+}
+
+export const ROLE_CHOICES = [
+  { value: '', label: 'Not allowed' },
+  { value: 'owner', label: 'Owner only' },
+  { value: 'owner,writer', label: 'Anyone with write access' },
+];
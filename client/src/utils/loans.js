@@ -0,0 +1,10 @@
+// Due dates are read in UTC, as the server does (shared/loans.mjs)
+export { utcToday, isLoanOverdue as isOverdue } from '@shared/loans.mjs';
+
+// Who has the item: the borrowing user's name, or the free-text borrower
+export function borrowerLabel(loan) {
+  if (!loan) return '';
+  const u = loan.borrower;
+  if (u) return u.username || [u.firstName, u.lastName].filter(Boolean).join(' ');
+  return loan.borrowerName || '';
+}
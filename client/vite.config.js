@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
@@ -5,4 +6,11 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  resolve: {
+    // Code shared with the server (../shared)
+    alias: { '@shared': fileURLToPath(new URL('../shared', import.meta.url)) },
+  },
+  server: {
+    fs: { allow: ['..'] },
+  },
 })
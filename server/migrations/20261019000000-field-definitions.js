@@ -0,0 +1,241 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+// Moves custom fields off the fixed three-per-type slot columns
+// (Inventories.custom_<kind><n>_state/_name, Items.string1..bool3) and the
+// Inventories.customFields JSON into FieldDefinitions + FieldValues.
+
+const FIELD_GROUPS = ['singleLineText', 'multiLineText', 'numeric', 'documentImage', 'boolean'];
+const STRING_TYPES = ['singleLineText', 'multiLineText', 'documentImage'];
+
+// slot kind -> [answer column prefix, FieldValue column, field type used when the JSON has no entry]
+const SLOT_KINDS = {
+  string: ['string', 'textValue', 'singleLineText'],
+  int: ['int', 'numberValue', 'numeric'],
+  bool: ['bool', 'booleanValue', 'boolean']
+};
+const SLOT_NUMBERS = [1, 2, 3];
+
+const inventorySlotColumns = () => {
+  const cols = {};
+  Object.keys(SLOT_KINDS).forEach((kind) => {
+    SLOT_NUMBERS.forEach((n) => {
+      cols[`custom_${kind}${n}_state`] = 'state';
+      cols[`custom_${kind}${n}_name`] = 'name';
+    });
+  });
+  return cols;
+};
+
+const itemSlotColumns = () => {
+  const cols = {};
+  Object.values(SLOT_KINDS).forEach(([prefix]) => {
+    SLOT_NUMBERS.forEach((n) => { cols[`${prefix}${n}`] = prefix; });
+  });
+  return cols;
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('FieldDefinitions', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        name: { type: Sequelize.STRING, allowNull: false },
+        type: { type: Sequelize.STRING, allowNull: false },
+        order: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        required: { type: Sequelize.BOOLEAN, defaultValue: false },
+        helpText: { type: Sequelize.TEXT, allowNull: true },
+        showInTable: { type: Sequelize.BOOLEAN, defaultValue: true },
+        inventoryId: {
+          type: Sequelize.UUID,
+          references: { model: 'Inventories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('FieldDefinitions', ['inventoryId', 'order'], { transaction });
+
+      await queryInterface.createTable('FieldValues', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        textValue: { type: Sequelize.TEXT, allowNull: true },
+        numberValue: { type: Sequelize.DOUBLE, allowNull: true },
+        booleanValue: { type: Sequelize.BOOLEAN, allowNull: true },
+        itemId: {
+          type: Sequelize.UUID,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        fieldId: {
+          type: Sequelize.UUID,
+          references: { model: 'FieldDefinitions', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('FieldValues', ['itemId', 'fieldId'], {
+        unique: true,
+        name: 'field_value_item_field_unique',
+        transaction
+      });
+
+      const now = new Date();
+      const [inventories] = await queryInterface.sequelize.query('SELECT * FROM "Inventories"', { transaction });
+
+      for (const inv of inventories) {
+        const cf = inv.customFields || {};
+        const defs = [];
+        const addDef = (name, type) => {
+          let def = defs.find((d) => d.name === name && d.type === type);
+          if (!def) {
+            def = { id: randomUUID(), name, type };
+            defs.push(def);
+          }
+          return def;
+        };
+
+        // Every field named in the builder JSON, including the ones that never got a slot
+        FIELD_GROUPS.forEach((type) => {
+          (Array.isArray(cf[type]) ? cf[type] : []).forEach((name) => {
+            if (typeof name === 'string' && name.trim()) addDef(name.trim(), type);
+          });
+        });
+
+        // Enabled slots, resolved to their definition so the stored answers can follow
+        const slotField = {};
+        Object.entries(SLOT_KINDS).forEach(([kind, [prefix, column, fallbackType]]) => {
+          SLOT_NUMBERS.forEach((n) => {
+            const name = inv[`custom_${kind}${n}_name`];
+            if (!inv[`custom_${kind}${n}_state`] || !name) return;
+            const sameKind = kind === 'string'
+              ? defs.find((d) => d.name === name && STRING_TYPES.includes(d.type))
+              : defs.find((d) => d.name === name && d.type === fallbackType);
+            slotField[`${prefix}${n}`] = { fieldId: (sameKind || addDef(name, fallbackType)).id, column };
+          });
+        });
+
+        if (defs.length === 0) continue;
+
+        await queryInterface.bulkInsert('FieldDefinitions', defs.map((d, order) => ({
+          id: d.id,
+          name: d.name,
+          type: d.type,
+          order,
+          required: false,
+          helpText: null,
+          showInTable: true,
+          inventoryId: inv.id,
+          createdAt: now,
+          updatedAt: now
+        })), { transaction });
+
+        if (Object.keys(slotField).length === 0) continue;
+
+        const [items] = await queryInterface.sequelize.query(
+          'SELECT * FROM "Items" WHERE "inventoryId" = :inventoryId',
+          { replacements: { inventoryId: inv.id }, transaction }
+        );
+        const values = [];
+        items.forEach((item) => {
+          Object.entries(slotField).forEach(([slot, { fieldId, column }]) => {
+            const value = item[slot];
+            if (value === null || value === undefined || value === '') return;
+            values.push({
+              id: randomUUID(),
+              itemId: item.id,
+              fieldId,
+              textValue: null,
+              numberValue: null,
+              booleanValue: null,
+              [column]: value,
+              createdAt: now,
+              updatedAt: now
+            });
+          });
+        });
+        if (values.length > 0) {
+          await queryInterface.bulkInsert('FieldValues', values, { transaction });
+        }
+      }
+
+      for (const column of [...Object.keys(inventorySlotColumns()), 'customFields']) {
+        await queryInterface.removeColumn('Inventories', column, { transaction });
+      }
+      for (const column of [...Object.keys(itemSlotColumns()), 'customFields']) {
+        await queryInterface.removeColumn('Items', column, { transaction });
+      }
+    });
+  },
+
+  // Restores the slot columns and JSON template. Only the first three fields per
+  // slot kind get their answers back, exactly as the old schema could hold them.
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Inventories', 'customFields', {
+        type: Sequelize.JSONB,
+        defaultValue: { singleLineText: [], multiLineText: [], numeric: [], documentImage: [], boolean: [] }
+      }, { transaction });
+      for (const [column, kind] of Object.entries(inventorySlotColumns())) {
+        await queryInterface.addColumn('Inventories', column, kind === 'state'
+          ? { type: Sequelize.BOOLEAN, defaultValue: false }
+          : { type: Sequelize.STRING, allowNull: true }, { transaction });
+      }
+      await queryInterface.addColumn('Items', 'customFields', { type: Sequelize.JSONB, defaultValue: {} }, { transaction });
+      for (const [column, prefix] of Object.entries(itemSlotColumns())) {
+        const type = prefix === 'string' ? Sequelize.STRING : (prefix === 'int' ? Sequelize.INTEGER : Sequelize.BOOLEAN);
+        await queryInterface.addColumn('Items', column, { type, allowNull: true }, { transaction });
+      }
+
+      const [defs] = await queryInterface.sequelize.query(
+        'SELECT * FROM "FieldDefinitions" ORDER BY "inventoryId", "order"',
+        { transaction }
+      );
+      const byInventory = new Map();
+      defs.forEach((d) => {
+        if (!byInventory.has(d.inventoryId)) byInventory.set(d.inventoryId, []);
+        byInventory.get(d.inventoryId).push(d);
+      });
+
+      for (const [inventoryId, fields] of byInventory) {
+        const customFields = {};
+        FIELD_GROUPS.forEach((type) => {
+          customFields[type] = fields.filter((f) => f.type === type).map((f) => f.name);
+        });
+
+        const slotted = {
+          string: fields.filter((f) => STRING_TYPES.includes(f.type)).slice(0, 3),
+          int: fields.filter((f) => f.type === 'numeric').slice(0, 3),
+          bool: fields.filter((f) => f.type === 'boolean').slice(0, 3)
+        };
+        const invUpdate = { customFields: JSON.stringify(customFields) };
+        Object.entries(slotted).forEach(([kind, list]) => {
+          list.forEach((f, i) => {
+            invUpdate[`custom_${kind}${i + 1}_state`] = true;
+            invUpdate[`custom_${kind}${i + 1}_name`] = f.name;
+          });
+        });
+        await queryInterface.bulkUpdate('Inventories', invUpdate, { id: inventoryId }, { transaction });
+
+        for (const [kind, list] of Object.entries(slotted)) {
+          const [prefix, column] = SLOT_KINDS[kind];
+          for (let i = 0; i < list.length; i++) {
+            await queryInterface.sequelize.query(
+              `UPDATE "Items" SET "${prefix}${i + 1}" = fv."${column}"
+               FROM "FieldValues" fv
+               WHERE fv."itemId" = "Items"."id" AND fv."fieldId" = :fieldId`,
+              { replacements: { fieldId: list[i].id }, transaction }
+            );
+          }
+        }
+      }
+
+      await queryInterface.dropTable('FieldValues', { transaction });
+      await queryInterface.dropTable('FieldDefinitions', { transaction });
+    });
+  }
+};
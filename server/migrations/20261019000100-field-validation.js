@@ -0,0 +1,15 @@
+'use strict';
+
+// Per-field answer rules (min/max, maxLength, pattern + message) checked by the item routes
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('FieldDefinitions', 'validation', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('FieldDefinitions', 'validation');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// Option list for the select field type
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('FieldDefinitions', 'options', {
+      type: Sequelize.JSONB,
+      defaultValue: []
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(
+      `UPDATE "FieldDefinitions" SET "type" = 'singleLineText' WHERE "type" = 'select'`
+    );
+    await queryInterface.removeColumn('FieldDefinitions', 'options');
+  }
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+// Typed storage for the date, datetime and currency field types
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('FieldDefinitions', 'currency', {
+        type: Sequelize.STRING(3),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('FieldValues', 'dateValue', { type: Sequelize.DATEONLY, allowNull: true }, { transaction });
+      await queryInterface.addColumn('FieldValues', 'dateTimeValue', { type: Sequelize.DATE, allowNull: true }, { transaction });
+      await queryInterface.addColumn('FieldValues', 'decimalValue', { type: Sequelize.DECIMAL(19, 4), allowNull: true }, { transaction });
+    });
+  },
+
+  // Answers fall back to the closest older type: dates become text, amounts become numbers
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const statements = [
+        `UPDATE "FieldValues" SET "textValue" = "dateValue"::text WHERE "dateValue" IS NOT NULL`,
+        `UPDATE "FieldValues" SET "textValue" = to_char("dateTimeValue" AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"') WHERE "dateTimeValue" IS NOT NULL`,
+        `UPDATE "FieldValues" SET "numberValue" = "decimalValue" WHERE "decimalValue" IS NOT NULL`,
+        `UPDATE "FieldDefinitions" SET "type" = 'singleLineText' WHERE "type" IN ('date', 'datetime')`,
+        `UPDATE "FieldDefinitions" SET "type" = 'numeric' WHERE "type" = 'currency'`
+      ];
+      for (const sql of statements) {
+        await queryInterface.sequelize.query(sql, { transaction });
+      }
+      await queryInterface.removeColumn('FieldValues', 'decimalValue', { transaction });
+      await queryInterface.removeColumn('FieldValues', 'dateTimeValue', { transaction });
+      await queryInterface.removeColumn('FieldValues', 'dateValue', { transaction });
+      await queryInterface.removeColumn('FieldDefinitions', 'currency', { transaction });
+    });
+  }
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+// Reference field type: FieldDefinitions.targetInventoryId names the inventory to pick from,
+// FieldValues.referenceValue holds the chosen item
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('FieldDefinitions', 'targetInventoryId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Inventories', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+      await queryInterface.addColumn('FieldValues', 'referenceValue', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Items', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      }, { transaction });
+      await queryInterface.addIndex('FieldValues', ['referenceValue'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(
+        `DELETE FROM "FieldDefinitions" WHERE "type" = 'reference'`,
+        { transaction }
+      );
+      await queryInterface.removeColumn('FieldValues', 'referenceValue', { transaction });
+      await queryInterface.removeColumn('FieldDefinitions', 'targetInventoryId', { transaction });
+    });
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+// Template schema versions and the archive for item values taken out of a template.
+// Inventories that already have fields get a baseline version 1 with their current template.
+
+const SNAPSHOT_COLUMNS = ['id', 'name', 'type', 'order', 'required', 'helpText', 'showInTable', 'validation', 'options', 'currency', 'targetInventoryId'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('TemplateVersions', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        version: { type: Sequelize.INTEGER, allowNull: false },
+        fields: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        changes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        inventoryId: {
+          type: Sequelize.UUID,
+          references: { model: 'Inventories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('TemplateVersions', ['inventoryId', 'version'], {
+        unique: true,
+        name: 'template_version_inventory_version_unique',
+        transaction
+      });
+
+      await queryInterface.createTable('ArchivedFieldValues', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        fieldId: { type: Sequelize.UUID, allowNull: false },
+        fieldName: { type: Sequelize.STRING, allowNull: false },
+        fieldType: { type: Sequelize.STRING, allowNull: false },
+        value: { type: Sequelize.JSONB, allowNull: true },
+        reason: { type: Sequelize.STRING, allowNull: false },
+        templateVersion: { type: Sequelize.INTEGER, allowNull: false },
+        inventoryId: {
+          type: Sequelize.UUID,
+          references: { model: 'Inventories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        itemId: {
+          type: Sequelize.UUID,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('ArchivedFieldValues', ['inventoryId', 'templateVersion'], { transaction });
+      await queryInterface.addIndex('ArchivedFieldValues', ['itemId'], { transaction });
+
+      const [fields] = await queryInterface.sequelize.query(
+        `SELECT ${SNAPSHOT_COLUMNS.map((c) => `f."${c}"`).join(', ')}, f."inventoryId", i."creatorId"
+         FROM "FieldDefinitions" f JOIN "Inventories" i ON i."id" = f."inventoryId"
+         ORDER BY f."inventoryId", f."order"`,
+        { transaction }
+      );
+      const byInventory = new Map();
+      fields.forEach((f) => {
+        if (!byInventory.has(f.inventoryId)) byInventory.set(f.inventoryId, { creatorId: f.creatorId, fields: [] });
+        const snapshot = {};
+        SNAPSHOT_COLUMNS.forEach((c) => { snapshot[c] = f[c] ?? null; });
+        byInventory.get(f.inventoryId).fields.push(snapshot);
+      });
+
+      const now = new Date();
+      const rows = [...byInventory.entries()].map(([inventoryId, { creatorId, fields: snapshot }]) => ({
+        id: randomUUID(),
+        version: 1,
+        fields: JSON.stringify(snapshot),
+        changes: '[]',
+        inventoryId,
+        createdBy: creatorId,
+        createdAt: now,
+        updatedAt: now
+      }));
+      if (rows.length > 0) {
+        await queryInterface.bulkInsert('TemplateVersions', rows, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('ArchivedFieldValues', { transaction });
+      await queryInterface.dropTable('TemplateVersions', { transaction });
+    });
+  }
+};
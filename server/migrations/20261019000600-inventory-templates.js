@@ -0,0 +1,68 @@
+'use strict';
+
+// Reusable inventory templates (custom ID format, fields, category, tags) and their share list
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('InventoryTemplates', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        name: { type: Sequelize.STRING, allowNull: false },
+        description: { type: Sequelize.TEXT, allowNull: true },
+        visibility: { type: Sequelize.STRING, allowNull: false, defaultValue: 'private' },
+        customIdFormat: { type: Sequelize.JSONB, defaultValue: [] },
+        fields: { type: Sequelize.JSONB, defaultValue: [] },
+        tags: { type: Sequelize.JSONB, defaultValue: [] },
+        creatorId: {
+          type: Sequelize.UUID,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        categoryId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'Categories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        sourceInventoryId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Inventories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('InventoryTemplates', ['visibility'], { transaction });
+      await queryInterface.addIndex('InventoryTemplates', ['creatorId'], { transaction });
+
+      await queryInterface.createTable('TemplateAccesses', {
+        templateId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'InventoryTemplates', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('TemplateAccesses', { transaction });
+      await queryInterface.dropTable('InventoryTemplates', { transaction });
+    });
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+// Formula fields: the expression lives on the definition, results are stored as ordinary answers
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('FieldDefinitions', 'formula', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  // Computed answers have no source to fall back to, so formula fields are dropped with their values
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(
+        `DELETE FROM "FieldDefinitions" WHERE "type" = 'formula'`,
+        { transaction }
+      );
+      await queryInterface.removeColumn('FieldDefinitions', 'formula', { transaction });
+    });
+  }
+};
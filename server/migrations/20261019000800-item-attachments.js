@@ -0,0 +1,41 @@
+'use strict';
+
+// Any number of files per item, with their original name, type, size, uploader and caption
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('Attachments', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        url: { type: Sequelize.TEXT, allowNull: false },
+        publicId: { type: Sequelize.STRING, allowNull: true },
+        resourceType: { type: Sequelize.STRING, allowNull: true },
+        filename: { type: Sequelize.STRING, allowNull: false },
+        mimeType: { type: Sequelize.STRING, allowNull: true },
+        size: { type: Sequelize.INTEGER, allowNull: true },
+        caption: { type: Sequelize.TEXT, allowNull: true },
+        position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        uploadedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('Attachments', ['itemId', 'position'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Attachments');
+  }
+};
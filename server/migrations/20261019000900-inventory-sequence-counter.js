@@ -0,0 +1,23 @@
+'use strict';
+
+// Per-inventory counter for the custom ID `sequence` element, replacing the item count.
+// Existing inventories start from their item count, the number the old generator would have used next.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Inventories', 'sequenceCounter', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.sequelize.query(
+        `UPDATE "Inventories" i SET "sequenceCounter" = (SELECT COUNT(*) FROM "Items" it WHERE it."inventoryId" = i."id")`,
+        { transaction }
+      );
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Inventories', 'sequenceCounter');
+  }
+};
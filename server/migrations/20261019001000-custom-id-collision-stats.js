@@ -0,0 +1,26 @@
+'use strict';
+
+// Counters behind the custom ID collision statistics; existing inventories start from zero.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Inventories', 'customIdAttempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.addColumn('Inventories', 'customIdCollisions', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('Inventories', 'customIdCollisions', { transaction });
+      await queryInterface.removeColumn('Inventories', 'customIdAttempts', { transaction });
+    });
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Per-period counters for custom ID sequences that reset daily, monthly or yearly
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('InventorySequences', {
+      inventoryId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'Inventories', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      period: { type: Sequelize.STRING(16), primaryKey: true, allowNull: false },
+      value: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('InventorySequences');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+// Inventory audits and the found/missing/damaged result recorded for each item
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('Audits', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        title: { type: Sequelize.STRING, allowNull: false },
+        status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'open' },
+        closedAt: { type: Sequelize.DATE, allowNull: true },
+        report: { type: Sequelize.JSONB, allowNull: true },
+        inventoryId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Inventories', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        startedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        closedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('Audits', ['inventoryId', 'status'], { transaction });
+
+      await queryInterface.createTable('AuditEntries', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        status: { type: Sequelize.STRING, allowNull: false },
+        note: { type: Sequelize.TEXT, allowNull: true },
+        method: { type: Sequelize.STRING, allowNull: false, defaultValue: 'manual' },
+        auditId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Audits', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        checkedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('AuditEntries', ['auditId', 'itemId'], { unique: true, transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('AuditEntries');
+    await queryInterface.dropTable('Audits');
+  }
+};
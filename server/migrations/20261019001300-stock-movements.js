@@ -0,0 +1,64 @@
+'use strict';
+
+// Quantity mode for inventories: on-hand quantity and low-stock threshold per item, and the stock movement ledger
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Inventories', 'trackQuantity', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction });
+      await queryInterface.addColumn('Items', 'quantity', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.addColumn('Items', 'lowStockThreshold', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.createTable('StockMovements', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        type: { type: Sequelize.STRING, allowNull: false },
+        change: { type: Sequelize.INTEGER, allowNull: false },
+        quantityAfter: { type: Sequelize.INTEGER, allowNull: false },
+        reason: { type: Sequelize.TEXT, allowNull: true },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        relatedItemId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('StockMovements', ['itemId', 'createdAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('StockMovements', { transaction });
+      await queryInterface.removeColumn('Items', 'lowStockThreshold', { transaction });
+      await queryInterface.removeColumn('Items', 'quantity', { transaction });
+      await queryInterface.removeColumn('Inventories', 'trackQuantity', { transaction });
+    });
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+// Check-out and check-in of items, with at most one open loan per item
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const userReference = {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      };
+      await queryInterface.createTable('ItemLoans', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        borrowerName: { type: Sequelize.STRING, allowNull: true },
+        checkedOutAt: { type: Sequelize.DATE, allowNull: false },
+        dueDate: { type: Sequelize.DATEONLY, allowNull: true },
+        note: { type: Sequelize.TEXT, allowNull: true },
+        returnedAt: { type: Sequelize.DATE, allowNull: true },
+        returnCondition: { type: Sequelize.TEXT, allowNull: true },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        borrowerId: userReference,
+        checkedOutBy: userReference,
+        checkedInBy: userReference,
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('ItemLoans', ['itemId'], {
+        unique: true,
+        where: { returnedAt: null },
+        name: 'item_loans_one_open_per_item',
+        transaction
+      });
+      await queryInterface.addIndex('ItemLoans', ['itemId', 'checkedOutAt'], { transaction });
+      await queryInterface.addIndex('ItemLoans', ['borrowerId', 'returnedAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ItemLoans');
+  }
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+// Status workflows: per-inventory states and transitions, the status of each item and its change history
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Inventories', 'statusWorkflow', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('Items', 'status', {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addIndex('Items', ['inventoryId', 'status'], { transaction });
+
+      await queryInterface.createTable('ItemStatusChanges', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        fromStatus: { type: Sequelize.STRING(50), allowNull: true },
+        toStatus: { type: Sequelize.STRING(50), allowNull: false },
+        note: { type: Sequelize.TEXT, allowNull: true },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('ItemStatusChanges', ['itemId', 'createdAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('ItemStatusChanges', { transaction });
+      await queryInterface.removeIndex('Items', ['inventoryId', 'status'], { transaction });
+      await queryInterface.removeColumn('Items', 'status', { transaction });
+      await queryInterface.removeColumn('Inventories', 'statusWorkflow', { transaction });
+    });
+  }
+};
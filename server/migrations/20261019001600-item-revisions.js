@@ -0,0 +1,38 @@
+'use strict';
+
+// Item revisions: a snapshot and field-level diff of every item save, for the history and restores
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('ItemRevisions', {
+        id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+        version: { type: Sequelize.INTEGER, allowNull: false },
+        action: { type: Sequelize.STRING, allowNull: false },
+        changes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        snapshot: { type: Sequelize.JSONB, allowNull: false },
+        restoredFromVersion: { type: Sequelize.INTEGER, allowNull: true },
+        itemId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('ItemRevisions', ['itemId', 'version'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ItemRevisions');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Soft delete: deleted inventories, items and comments keep their rows in the trash until purged
+const TABLES = ['Inventories', 'Items', 'Comments'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of TABLES) {
+        await queryInterface.addColumn(table, 'deletedAt', {
+          type: Sequelize.DATE,
+          allowNull: true
+        }, { transaction });
+        await queryInterface.addIndex(table, ['deletedAt'], { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of TABLES) {
+        await queryInterface.removeColumn(table, 'deletedAt', { transaction });
+      }
+    });
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Templates carry stock tracking and the status workflow along with the rest of an inventory's structure
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('InventoryTemplates', 'trackQuantity', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction });
+      await queryInterface.addColumn('InventoryTemplates', 'statusWorkflow', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('InventoryTemplates', 'statusWorkflow', { transaction });
+      await queryInterface.removeColumn('InventoryTemplates', 'trackQuantity', { transaction });
+    });
+  }
+};
@@ -42,39 +42,20 @@ const Inventory = sequelize.define('Inventory', {
   image: DataTypes.STRING,
   isPublic: { type: DataTypes.BOOLEAN, defaultValue: false },
   customIdFormat: { type: DataTypes.JSONB, defaultValue: [] },
-  customFields: {
-    type: DataTypes.JSONB,
-    defaultValue: {
-      singleLineText: [],
-      multiLineText: [],
-      numeric: [],
-      documentImage: [],
-      boolean: []
-    }
-  },
-  // Fixed slot template fields (simple implementation)
-  // Strings
-  custom_string1_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_string1_name: { type: DataTypes.STRING, allowNull: true },
-  custom_string2_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_string2_name: { type: DataTypes.STRING, allowNull: true },
-  custom_string3_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_string3_name: { type: DataTypes.STRING, allowNull: true },
-  // Integers
-  custom_int1_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_int1_name: { type: DataTypes.STRING, allowNull: true },
-  custom_int2_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_int2_name: { type: DataTypes.STRING, allowNull: true },
-  custom_int3_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_int3_name: { type: DataTypes.STRING, allowNull: true },
-  // Booleans
-  custom_bool1_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_bool1_name: { type: DataTypes.STRING, allowNull: true },
-  custom_bool2_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_bool2_name: { type: DataTypes.STRING, allowNull: true },
-  custom_bool3_state: { type: DataTypes.BOOLEAN, defaultValue: false },
-  custom_bool3_name: { type: DataTypes.STRING, allowNull: true },
+  // Last number handed out by the custom ID `sequence` element; only ever grows, so numbers are not reused
+  sequenceCounter: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  // Custom IDs generated for new items and how many of them were already taken
+  customIdAttempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  customIdCollisions: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  // Quantity mode: items carry an on-hand quantity that only stock movements change
+  trackQuantity: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  // States, initial state and allowed transitions of item statuses (shared/statusWorkflow.mjs); null when items have no status
+  statusWorkflow: { type: DataTypes.JSONB, allowNull: true },
   version: { type: DataTypes.INTEGER, defaultValue: 1 }
+}, {
+  // Deleting moves the inventory, its items and its comments to the trash (utils/trash.js)
+  paranoid: true,
+  indexes: [{ fields: ['deletedAt'] }]
 });
 
 const InventoryTag = sequelize.define('InventoryTag', {});
@@ -88,18 +69,13 @@ const Item = sequelize.define('Item', {
   customId: { type: DataTypes.STRING, allowNull: false },
   title: { type: DataTypes.STRING, allowNull: true },
   description: { type: DataTypes.TEXT, allowNull: true },
-  customFields: { type: DataTypes.JSONB, defaultValue: {} },
   likes: { type: DataTypes.INTEGER, defaultValue: 0 },
-  // Fixed slot answer fields
-  string1: { type: DataTypes.STRING, allowNull: true },
-  string2: { type: DataTypes.STRING, allowNull: true },
-  string3: { type: DataTypes.STRING, allowNull: true },
-  int1: { type: DataTypes.INTEGER, allowNull: true },
-  int2: { type: DataTypes.INTEGER, allowNull: true },
-  int3: { type: DataTypes.INTEGER, allowNull: true },
-  bool1: { type: DataTypes.BOOLEAN, allowNull: true },
-  bool2: { type: DataTypes.BOOLEAN, allowNull: true },
-  bool3: { type: DataTypes.BOOLEAN, allowNull: true },
+  // On hand in quantity mode; written only together with a StockMovement row
+  quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0, validate: { min: 0 } },
+  // The item is low on stock when `quantity` is at or below this; null turns the warning off
+  lowStockThreshold: { type: DataTypes.INTEGER, allowNull: true, validate: { min: 0 } },
+  // Key of a state of the inventory's status workflow; changed only along its transitions
+  status: { type: DataTypes.STRING(50), allowNull: true },
   version: { type: DataTypes.INTEGER, defaultValue: 1 }
 }, {
   indexes: [
@@ -107,15 +83,251 @@ const Item = sequelize.define('Item', {
       unique: true,
       fields: ['inventoryId', 'customId'],
       name: 'inventory_custom_id_unique'
-    }
+    },
+    { fields: ['inventoryId', 'status'] },
+    { fields: ['deletedAt'] }
+  ],
+  // Deleted items stay in the trash, still holding their custom ID, until purged
+  paranoid: true
+});
+
+// Custom field template: one row per field, any number per type
+const FIELD_TYPES = ['singleLineText', 'multiLineText', 'numeric', 'documentImage', 'boolean', 'select', 'date', 'datetime', 'currency', 'reference', 'formula'];
+
+const FieldDefinition = sequelize.define('FieldDefinition', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false },
+  type: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [FIELD_TYPES] } },
+  order: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  required: { type: DataTypes.BOOLEAN, defaultValue: false },
+  helpText: { type: DataTypes.TEXT, allowNull: true },
+  showInTable: { type: DataTypes.BOOLEAN, defaultValue: true },
+  // Answer rules: { min, max } for numeric/currency, { maxLength, pattern, patternMessage } for text
+  validation: { type: DataTypes.JSONB, defaultValue: {} },
+  // Allowed answers for select fields, in display order
+  options: { type: DataTypes.JSONB, defaultValue: [] },
+  // ISO 4217 code used to display currency fields
+  currency: { type: DataTypes.STRING(3), allowNull: true },
+  // Expression for formula fields, e.g. "{Quantity} * {Unit price}" (see utils/formula.js)
+  formula: { type: DataTypes.TEXT, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['inventoryId', 'order'] }
+  ]
+});
+
+// Custom field answers: one row per item and field, value kept in the typed column
+const FieldValue = sequelize.define('FieldValue', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  textValue: { type: DataTypes.TEXT, allowNull: true },
+  numberValue: { type: DataTypes.DOUBLE, allowNull: true },
+  booleanValue: { type: DataTypes.BOOLEAN, allowNull: true },
+  dateValue: { type: DataTypes.DATEONLY, allowNull: true },
+  dateTimeValue: { type: DataTypes.DATE, allowNull: true },
+  // Exact amounts for currency fields (returned as strings by pg)
+  decimalValue: { type: DataTypes.DECIMAL(19, 4), allowNull: true }
+  // referenceValue (reference fields) is the foreign key added by the associations below
+}, {
+  indexes: [
+    {
+      unique: true,
+      fields: ['itemId', 'fieldId'],
+      name: 'field_value_item_field_unique'
+    },
+    { fields: ['referenceValue'] }
   ]
 });
 
+// Snapshot of an inventory's field template, written whenever the template changes
+const TemplateVersion = sequelize.define('TemplateVersion', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  version: { type: DataTypes.INTEGER, allowNull: false },
+  // Field definitions as saved in this version, in field order
+  fields: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+  // What changed against the previous version and how many item values it touched:
+  // [{ kind: 'add'|'rename'|'remove'|'retype'|'update', fieldId, name, ..., affectedItems, converted, failed }]
+  changes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] }
+}, {
+  indexes: [
+    { unique: true, fields: ['inventoryId', 'version'], name: 'template_version_inventory_version_unique' }
+  ]
+});
+
+// Item answers taken out of the template: values of removed fields, and values a type change could not convert
+const ArchivedFieldValue = sequelize.define('ArchivedFieldValue', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  // The field definition may be gone, so its identity is copied here rather than referenced
+  fieldId: { type: DataTypes.UUID, allowNull: false },
+  fieldName: { type: DataTypes.STRING, allowNull: false },
+  fieldType: { type: DataTypes.STRING, allowNull: false },
+  value: { type: DataTypes.JSONB, allowNull: true },
+  reason: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [['removed', 'conversionFailed']] } },
+  // Template version whose save archived the value
+  templateVersion: { type: DataTypes.INTEGER, allowNull: false }
+}, {
+  indexes: [
+    { fields: ['inventoryId', 'templateVersion'] },
+    { fields: ['itemId'] }
+  ]
+});
+
+// Reusable inventory structure: custom ID format, field definitions, category and tags, without items
+const TEMPLATE_VISIBILITIES = ['private', 'shared', 'public'];
+
+const InventoryTemplate = sequelize.define('InventoryTemplate', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false },
+  description: { type: DataTypes.TEXT, allowNull: true },
+  // private: creator only; shared: creator and the users in `sharedWith`; public: everyone
+  visibility: { type: DataTypes.STRING, allowNull: false, defaultValue: 'private', validate: { isIn: [TEMPLATE_VISIBILITIES] } },
+  customIdFormat: { type: DataTypes.JSONB, defaultValue: [] },
+  // Field definitions in field order, in the shape POST /api/inventories accepts (no ids)
+  fields: { type: DataTypes.JSONB, defaultValue: [] },
+  // Tag names applied to inventories created from the template
+  tags: { type: DataTypes.JSONB, defaultValue: [] },
+  // Stock tracking and item status workflow (shared/statusWorkflow.mjs) of inventories created from it
+  trackQuantity: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  statusWorkflow: { type: DataTypes.JSONB, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['visibility'] },
+    { fields: ['creatorId'] }
+  ]
+});
+
+const TemplateAccess = sequelize.define('TemplateAccess', {});
+
 const ItemLike = sequelize.define('ItemLike', {});
 
+// Files attached to an item (images, PDFs, any document), shown in the item's gallery in `position` order
+const Attachment = sequelize.define('Attachment', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  url: { type: DataTypes.TEXT, allowNull: false },
+  // Cloudinary public id and resource type, needed to delete the stored file
+  publicId: { type: DataTypes.STRING, allowNull: true },
+  resourceType: { type: DataTypes.STRING, allowNull: true },
+  filename: { type: DataTypes.STRING, allowNull: false },
+  mimeType: { type: DataTypes.STRING, allowNull: true },
+  size: { type: DataTypes.INTEGER, allowNull: true },
+  caption: { type: DataTypes.TEXT, allowNull: true },
+  position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+}, {
+  indexes: [
+    { fields: ['itemId', 'position'] }
+  ]
+});
+
+// Counters of custom ID `sequence` elements that start over every day, month or year;
+// `period` names the day ('D2026-10-19'), month ('M2026-10') or year ('Y2026') a counter belongs to
+const InventorySequence = sequelize.define('InventorySequence', {
+  inventoryId: { type: DataTypes.UUID, primaryKey: true },
+  period: { type: DataTypes.STRING(16), primaryKey: true },
+  value: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+});
+
 const Comment = sequelize.define('Comment', {
   id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
   content: { type: DataTypes.TEXT, allowNull: false }
+}, {
+  paranoid: true,
+  indexes: [{ fields: ['deletedAt'] }]
+});
+
+// Stock-take of an inventory: while open, team members mark items found, missing or damaged;
+// closing it stores `report` with the counts and the items nobody accounted for
+const AUDIT_STATUSES = ['open', 'closed'];
+const AUDIT_ITEM_STATUSES = ['found', 'missing', 'damaged'];
+
+const Audit = sequelize.define('Audit', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  title: { type: DataTypes.STRING, allowNull: false },
+  status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'open', validate: { isIn: [AUDIT_STATUSES] } },
+  closedAt: { type: DataTypes.DATE, allowNull: true },
+  report: { type: DataTypes.JSONB, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['inventoryId', 'status'] }
+  ]
+});
+
+// One item's result in an audit; `method` tells whether it was picked in the list or scanned
+const AuditEntry = sequelize.define('AuditEntry', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  status: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [AUDIT_ITEM_STATUSES] } },
+  note: { type: DataTypes.TEXT, allowNull: true },
+  method: { type: DataTypes.STRING, allowNull: false, defaultValue: 'manual', validate: { isIn: [['manual', 'scan']] } }
+}, {
+  indexes: [
+    { unique: true, fields: ['auditId', 'itemId'] }
+  ]
+});
+
+// Ledger of an item's quantity: every change of Item.quantity is one row with the signed `change`
+// and the quantity after it. A transfer writes a row on both items, each naming the other.
+const STOCK_MOVEMENT_TYPES = ['receive', 'issue', 'adjust', 'transfer'];
+
+const StockMovement = sequelize.define('StockMovement', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  type: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [STOCK_MOVEMENT_TYPES] } },
+  change: { type: DataTypes.INTEGER, allowNull: false },
+  quantityAfter: { type: DataTypes.INTEGER, allowNull: false },
+  reason: { type: DataTypes.TEXT, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['itemId', 'createdAt'] }
+  ]
+});
+
+// Lending of an item to a user (`borrowerId`) or to someone without an account (`borrowerName`).
+// A loan is open until `returnedAt` is set; an item has at most one open loan.
+const ItemLoan = sequelize.define('ItemLoan', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  borrowerName: { type: DataTypes.STRING, allowNull: true },
+  checkedOutAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  // Overdue from the day after this date
+  dueDate: { type: DataTypes.DATEONLY, allowNull: true },
+  note: { type: DataTypes.TEXT, allowNull: true },
+  returnedAt: { type: DataTypes.DATE, allowNull: true },
+  // Condition notes taken at check-in
+  returnCondition: { type: DataTypes.TEXT, allowNull: true }
+}, {
+  indexes: [
+    { unique: true, fields: ['itemId'], where: { returnedAt: null }, name: 'item_loans_one_open_per_item' },
+    { fields: ['itemId', 'checkedOutAt'] },
+    { fields: ['borrowerId', 'returnedAt'] }
+  ]
+});
+
+// One status change of an item; the first row of an item has no `fromStatus`
+const ItemStatusChange = sequelize.define('ItemStatusChange', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  fromStatus: { type: DataTypes.STRING(50), allowNull: true },
+  toStatus: { type: DataTypes.STRING(50), allowNull: false },
+  note: { type: DataTypes.TEXT, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['itemId', 'createdAt'] }
+  ]
+});
+
+// State of an item after one save: `snapshot` { customId, title, description, values } is what a
+// restore puts back, `changes` [{ key, label, from, to }] the field-level diff to the state before.
+// `version` is the item's version after the save; a `baseline` row keeps the state an item had
+// before its first recorded save.
+const ITEM_REVISION_ACTIONS = ['baseline', 'create', 'update', 'restore'];
+
+const ItemRevision = sequelize.define('ItemRevision', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  version: { type: DataTypes.INTEGER, allowNull: false },
+  action: { type: DataTypes.STRING, allowNull: false, validate: { isIn: [ITEM_REVISION_ACTIONS] } },
+  changes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+  snapshot: { type: DataTypes.JSONB, allowNull: false },
+  // Version a restore went back to
+  restoredFromVersion: { type: DataTypes.INTEGER, allowNull: true }
+}, {
+  indexes: [
+    { fields: ['itemId', 'version'] }
+  ]
 });
 
 // Associations
@@ -143,6 +355,45 @@ Inventory.belongsToMany(User, {
 Inventory.hasMany(Item, { foreignKey: 'inventoryId' });
 Item.belongsTo(Inventory, { foreignKey: 'inventoryId' });
 
+Inventory.hasMany(FieldDefinition, { foreignKey: 'inventoryId', as: 'fields', onDelete: 'CASCADE' });
+FieldDefinition.belongsTo(Inventory, { foreignKey: 'inventoryId' });
+
+Item.hasMany(FieldValue, { foreignKey: 'itemId', as: 'fieldValues', onDelete: 'CASCADE' });
+FieldValue.belongsTo(Item, { foreignKey: 'itemId' });
+
+FieldDefinition.hasMany(FieldValue, { foreignKey: 'fieldId', onDelete: 'CASCADE' });
+FieldValue.belongsTo(FieldDefinition, { foreignKey: 'fieldId', as: 'field' });
+
+// Reference fields: the definition names the inventory to pick from, the answer points at an item there
+Inventory.hasMany(FieldDefinition, { foreignKey: 'targetInventoryId', as: 'referencingFields', onDelete: 'SET NULL' });
+FieldDefinition.belongsTo(Inventory, { foreignKey: 'targetInventoryId', as: 'targetInventory' });
+Item.hasMany(FieldValue, { foreignKey: 'referenceValue', as: 'incomingReferences', onDelete: 'CASCADE' });
+FieldValue.belongsTo(Item, { foreignKey: 'referenceValue', as: 'referencedItem' });
+
+Inventory.hasMany(TemplateVersion, { foreignKey: 'inventoryId', as: 'templateVersions', onDelete: 'CASCADE' });
+TemplateVersion.belongsTo(Inventory, { foreignKey: 'inventoryId' });
+User.hasMany(TemplateVersion, { foreignKey: 'createdBy', as: 'templateVersions' });
+TemplateVersion.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+Inventory.hasMany(ArchivedFieldValue, { foreignKey: 'inventoryId', as: 'archivedFieldValues', onDelete: 'CASCADE' });
+ArchivedFieldValue.belongsTo(Inventory, { foreignKey: 'inventoryId' });
+Item.hasMany(ArchivedFieldValue, { foreignKey: 'itemId', as: 'archivedFieldValues', onDelete: 'CASCADE' });
+ArchivedFieldValue.belongsTo(Item, { foreignKey: 'itemId' });
+
+User.hasMany(InventoryTemplate, { foreignKey: 'creatorId', as: 'inventoryTemplates' });
+InventoryTemplate.belongsTo(User, { foreignKey: 'creatorId', as: 'creator' });
+Category.hasMany(InventoryTemplate, { foreignKey: 'categoryId' });
+InventoryTemplate.belongsTo(Category, { foreignKey: 'categoryId' });
+Inventory.hasMany(InventoryTemplate, { foreignKey: 'sourceInventoryId', as: 'savedTemplates', onDelete: 'SET NULL' });
+InventoryTemplate.belongsTo(Inventory, { foreignKey: 'sourceInventoryId', as: 'sourceInventory' });
+InventoryTemplate.belongsToMany(User, { through: TemplateAccess, as: 'sharedWith', foreignKey: 'templateId' });
+User.belongsToMany(InventoryTemplate, { through: TemplateAccess, as: 'sharedTemplates', foreignKey: 'userId' });
+
+Item.hasMany(Attachment, { foreignKey: 'itemId', as: 'attachments', onDelete: 'CASCADE' });
+Attachment.belongsTo(Item, { foreignKey: 'itemId' });
+User.hasMany(Attachment, { foreignKey: 'uploadedBy', as: 'uploadedAttachments' });
+Attachment.belongsTo(User, { foreignKey: 'uploadedBy', as: 'uploader' });
+
 User.hasMany(Item, { foreignKey: 'createdBy', as: 'createdItems' });
 Item.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
 
@@ -157,12 +408,46 @@ Item.belongsToMany(User, {
   foreignKey: 'itemId'
 });
 
+Inventory.hasMany(InventorySequence, { foreignKey: 'inventoryId', as: 'sequences', onDelete: 'CASCADE' });
+InventorySequence.belongsTo(Inventory, { foreignKey: 'inventoryId' });
+
 Inventory.hasMany(Comment, { foreignKey: 'inventoryId' });
 Comment.belongsTo(Inventory, { foreignKey: 'inventoryId' });
 
 User.hasMany(Comment, { foreignKey: 'userId', as: 'comments' });
 Comment.belongsTo(User, { foreignKey: 'userId', as: 'author' });
 
+Inventory.hasMany(Audit, { foreignKey: 'inventoryId', as: 'audits', onDelete: 'CASCADE' });
+Audit.belongsTo(Inventory, { foreignKey: 'inventoryId' });
+Audit.belongsTo(User, { foreignKey: 'startedBy', as: 'starter' });
+Audit.belongsTo(User, { foreignKey: 'closedBy', as: 'closer' });
+
+Audit.hasMany(AuditEntry, { foreignKey: 'auditId', as: 'entries', onDelete: 'CASCADE' });
+AuditEntry.belongsTo(Audit, { foreignKey: 'auditId' });
+Item.hasMany(AuditEntry, { foreignKey: 'itemId', as: 'auditEntries', onDelete: 'CASCADE' });
+AuditEntry.belongsTo(Item, { foreignKey: 'itemId' });
+AuditEntry.belongsTo(User, { foreignKey: 'checkedBy', as: 'checker' });
+
+Item.hasMany(StockMovement, { foreignKey: 'itemId', as: 'stockMovements', onDelete: 'CASCADE' });
+StockMovement.belongsTo(Item, { foreignKey: 'itemId' });
+StockMovement.belongsTo(Item, { foreignKey: 'relatedItemId', as: 'relatedItem', onDelete: 'SET NULL' });
+StockMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Item.hasMany(ItemLoan, { foreignKey: 'itemId', as: 'loans', onDelete: 'CASCADE' });
+Item.hasOne(ItemLoan, { foreignKey: 'itemId', as: 'currentLoan', scope: { returnedAt: null } });
+ItemLoan.belongsTo(Item, { foreignKey: 'itemId' });
+ItemLoan.belongsTo(User, { foreignKey: 'borrowerId', as: 'borrower' });
+ItemLoan.belongsTo(User, { foreignKey: 'checkedOutBy', as: 'lender' });
+ItemLoan.belongsTo(User, { foreignKey: 'checkedInBy', as: 'receiver' });
+
+Item.hasMany(ItemStatusChange, { foreignKey: 'itemId', as: 'statusChanges', onDelete: 'CASCADE' });
+ItemStatusChange.belongsTo(Item, { foreignKey: 'itemId' });
+ItemStatusChange.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Item.hasMany(ItemRevision, { foreignKey: 'itemId', as: 'revisions', onDelete: 'CASCADE' });
+ItemRevision.belongsTo(Item, { foreignKey: 'itemId' });
+ItemRevision.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 module.exports = {
   sequelize,
   User,
@@ -172,6 +457,26 @@ module.exports = {
   InventoryTag,
   InventoryAccess,
   Item,
+  FieldDefinition,
+  FieldValue,
+  TemplateVersion,
+  ArchivedFieldValue,
+  InventoryTemplate,
+  TemplateAccess,
   ItemLike,
-  Comment
+  Attachment,
+  InventorySequence,
+  Comment,
+  Audit,
+  AuditEntry,
+  StockMovement,
+  ItemLoan,
+  ItemStatusChange,
+  ItemRevision,
+  FIELD_TYPES,
+  TEMPLATE_VISIBILITIES,
+  AUDIT_STATUSES,
+  AUDIT_ITEM_STATUSES,
+  STOCK_MOVEMENT_TYPES,
+  ITEM_REVISION_ACTIONS
 };
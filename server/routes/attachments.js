@@ -0,0 +1,252 @@
+const express = require('express');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const multer = require('multer');
+const { v2: cloudinary } = require('cloudinary');
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const passport = require('passport');
+const { Attachment, Item, Inventory, User, sequelize } = require('../models');
+const { canReadInventory, canWriteInventory } = require('../utils/access');
+const { resourceTypeFor, destroyAttachmentFiles } = require('../utils/attachments');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_ATTACHMENTS_PER_ITEM = 50;
+
+// Middleware to attempt JWT auth but proceed even if unauthenticated
+const tryAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (user) req.user = user;
+    return next();
+  })(req, res, next);
+};
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Browsers send multipart filenames as UTF-8 but busboy reads them as latin1
+const originalName = (file) => Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+const attachmentStorage = new CloudinaryStorage({
+  cloudinary,
+  params: async (req, file) => {
+    const resourceType = resourceTypeFor(file.mimetype);
+    const extension = path.extname(originalName(file)).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return {
+      folder: 'item-attachments',
+      resource_type: resourceType,
+      public_id: resourceType === 'raw' ? `${randomUUID()}${extension}` : randomUUID()
+    };
+  },
+});
+
+const attachmentUpload = multer({
+  storage: attachmentStorage,
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+// Run the multer upload and turn its limit errors into 400 responses
+const receiveFiles = (req, res, next) => {
+  attachmentUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Files must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+        : (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE')
+          ? `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time in the "files" field`
+          : err.message;
+      return res.status(400).json({ message });
+    }
+    console.error('Error uploading attachments:', err);
+    return res.status(500).json({ message: 'Failed to upload files' });
+  });
+};
+
+const uploaderInclude = { model: User, as: 'uploader', attributes: ['id', 'username', 'firstName', 'lastName'] };
+
+// Load the item named by :itemId with its inventory and check the caller may read (or, with
+// `write`, change) it; sets req.item and req.canWrite
+const loadItem = (write) => async (req, res, next) => {
+  try {
+    const item = await Item.findByPk(req.params.itemId, {
+      attributes: ['id', 'inventoryId'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+    });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    if (!(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.canWrite = await canWriteInventory(item.Inventory, req.user);
+    if (write && !req.canWrite) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+    req.item = item;
+    next();
+  } catch (error) {
+    console.error('Error checking attachment access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const listAttachments = (itemId) => Attachment.findAll({
+  where: { itemId },
+  include: [uploaderInclude],
+  order: [['position', 'ASC'], ['createdAt', 'ASC']]
+});
+
+const emitChange = (req) => {
+  req.app.get('io').to(req.item.inventoryId).emit('itemAttachmentsChanged', { id: req.item.id });
+};
+
+// Attachments of an item, in gallery order
+router.get('/item/:itemId', tryAuth, loadItem(false), async (req, res) => {
+  try {
+    const attachments = await listAttachments(req.item.id);
+    res.json({ attachments, canEdit: req.canWrite });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ message: 'Failed to fetch attachments' });
+  }
+});
+
+// Upload one or more files (multipart field "files"); optional `captions` is a JSON array matching the files
+router.post('/item/:itemId',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  receiveFiles,
+  async (req, res) => {
+    const files = req.files || [];
+    const uploaded = files.map((file) => ({ publicId: file.filename, resourceType: resourceTypeFor(file.mimetype) }));
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded' });
+      }
+
+      let captions = [];
+      try {
+        captions = JSON.parse(req.body.captions || '[]');
+      } catch {
+        captions = [];
+      }
+
+      const created = await sequelize.transaction(async (transaction) => {
+        const count = await Attachment.count({ where: { itemId: req.item.id }, transaction });
+        if (count + files.length > MAX_ATTACHMENTS_PER_ITEM) {
+          const error = new Error(`An item can have at most ${MAX_ATTACHMENTS_PER_ITEM} attachments`);
+          error.status = 400;
+          throw error;
+        }
+        const last = await Attachment.max('position', { where: { itemId: req.item.id }, transaction });
+        const start = Number.isFinite(last) ? last + 1 : 0;
+        return Attachment.bulkCreate(files.map((file, idx) => ({
+          itemId: req.item.id,
+          url: file.path,
+          publicId: file.filename,
+          resourceType: resourceTypeFor(file.mimetype),
+          filename: originalName(file).slice(0, 255),
+          mimeType: file.mimetype,
+          size: file.size,
+          caption: typeof captions[idx] === 'string' && captions[idx].trim() ? captions[idx].trim() : null,
+          position: start + idx,
+          uploadedBy: req.user.id
+        })), { transaction });
+      });
+
+      const attachments = await Attachment.findAll({
+        where: { id: created.map((a) => a.id) },
+        include: [uploaderInclude],
+        order: [['position', 'ASC']]
+      });
+      emitChange(req);
+      res.status(201).json({ attachments });
+    } catch (error) {
+      await destroyAttachmentFiles(uploaded);
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error saving attachments:', error);
+      res.status(500).json({ message: 'Failed to save attachments' });
+    }
+  }
+);
+
+// Reorder: body { ids } lists every attachment of the item in the new order
+router.put('/item/:itemId/order',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : null;
+      const attachments = await Attachment.findAll({ where: { itemId: req.item.id }, attributes: ['id'] });
+      const existing = new Set(attachments.map((a) => a.id));
+      if (!ids || ids.length !== existing.size || new Set(ids).size !== ids.length || !ids.every((id) => existing.has(id))) {
+        return res.status(400).json({ message: 'ids must list every attachment of the item exactly once' });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        for (const [position, id] of ids.entries()) {
+          await Attachment.update({ position }, { where: { id }, transaction });
+        }
+      });
+
+      emitChange(req);
+      res.json({ attachments: await listAttachments(req.item.id) });
+    } catch (error) {
+      console.error('Error reordering attachments:', error);
+      res.status(500).json({ message: 'Failed to reorder attachments' });
+    }
+  }
+);
+
+// Edit an attachment's caption
+router.put('/item/:itemId/:id',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const attachment = await Attachment.findOne({ where: { id: req.params.id, itemId: req.item.id } });
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      const { caption } = req.body;
+      await attachment.update({ caption: typeof caption === 'string' && caption.trim() ? caption.trim() : null });
+
+      emitChange(req);
+      res.json(await Attachment.findByPk(attachment.id, { include: [uploaderInclude] }));
+    } catch (error) {
+      console.error('Error updating attachment:', error);
+      res.status(500).json({ message: 'Failed to update attachment' });
+    }
+  }
+);
+
+// Delete an attachment and its stored file
+router.delete('/item/:itemId/:id',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const attachment = await Attachment.findOne({ where: { id: req.params.id, itemId: req.item.id } });
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      await attachment.destroy();
+      await destroyAttachmentFiles([attachment]);
+
+      emitChange(req);
+      res.json({ message: 'Attachment deleted' });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({ message: 'Failed to delete attachment' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,414 @@
+const express = require('express');
+const passport = require('passport');
+const { Audit, AuditEntry, Item, Inventory, User, sequelize, AUDIT_ITEM_STATUSES } = require('../models');
+const { canReadInventory, canWriteInventory } = require('../utils/access');
+const { findItemsByCode } = require('../utils/itemLookup');
+
+const router = express.Router();
+
+// Middleware to attempt JWT auth but proceed even if unauthenticated
+const tryAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (user) req.user = user;
+    return next();
+  })(req, res, next);
+};
+
+const userAttributes = ['id', 'username', 'firstName', 'lastName'];
+const itemAttributes = ['id', 'customId', 'title'];
+
+// Whether the caller may read the inventory, record results (write access) and start, close or
+// delete audits (owner or admin); sets req.canMark and req.canManage
+const checkPermissions = async (req, inventory) => {
+  if (!(await canReadInventory(inventory, req.user))) return false;
+  req.canMark = await canWriteInventory(inventory, req.user);
+  req.canManage = !!(req.user && (req.user.isAdmin || inventory.creatorId === req.user.id));
+  return true;
+};
+
+// Load the inventory named by :inventoryId and check the caller may read it; sets req.inventory
+const loadInventory = async (req, res, next) => {
+  try {
+    const inventory = await Inventory.findByPk(req.params.inventoryId, { attributes: ['id', 'title', 'isPublic', 'creatorId'] });
+    if (!inventory) {
+      return res.status(404).json({ message: 'Inventory not found' });
+    }
+    if (!(await checkPermissions(req, inventory))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.inventory = inventory;
+    next();
+  } catch (error) {
+    console.error('Error checking audit access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load the audit named by :id with its inventory; `need` is 'mark' to record results or 'manage'
+// to close or delete the audit. Sets req.audit.
+const loadAudit = (need) => async (req, res, next) => {
+  try {
+    const audit = await Audit.findByPk(req.params.id, {
+      include: [{ model: Inventory, attributes: ['id', 'title', 'isPublic', 'creatorId'] }]
+    });
+    if (!audit) {
+      return res.status(404).json({ message: 'Audit not found' });
+    }
+    if (!(await checkPermissions(req, audit.Inventory))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (need === 'mark' && !req.canMark) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+    if (need === 'manage' && !req.canManage) {
+      return res.status(403).json({ message: 'Only the inventory owner or an admin can do this' });
+    }
+    req.audit = audit;
+    next();
+  } catch (error) {
+    console.error('Error checking audit access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const rejectClosed = (req, res, next) => {
+  if (req.audit.status !== 'open') {
+    return res.status(409).json({ message: 'The audit is closed' });
+  }
+  next();
+};
+
+// Counts of an open audit: items in the inventory now, results per status and items without one.
+// Results of items since trashed or moved to another inventory are left out, so the counts add up.
+const auditProgress = async (audit, transaction) => {
+  const [total, rows] = await Promise.all([
+    Item.count({ where: { inventoryId: audit.inventoryId }, transaction }),
+    AuditEntry.findAll({
+      where: { auditId: audit.id },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('AuditEntry.id')), 'count']],
+      include: [{ model: Item, attributes: [], where: { inventoryId: audit.inventoryId }, required: true }],
+      group: ['AuditEntry.status'],
+      raw: true,
+      transaction
+    })
+  ]);
+  const progress = { total, found: 0, missing: 0, damaged: 0 };
+  rows.forEach((row) => { progress[row.status] = Number(row.count); });
+  progress.unaccounted = Math.max(0, total - progress.found - progress.missing - progress.damaged);
+  return progress;
+};
+
+// Closed audits keep the counts of their report, open ones are counted live
+const progressOf = (audit, transaction) => (audit.status === 'closed' && audit.report
+  ? audit.report.counts
+  : auditProgress(audit, transaction));
+
+// Items of the inventory with no result in the audit yet
+const unaccountedItems = (audit, transaction) => Item.findAll({
+  where: { inventoryId: audit.inventoryId, '$auditEntries.id$': null },
+  attributes: itemAttributes,
+  include: [{ model: AuditEntry, as: 'auditEntries', attributes: [], where: { auditId: audit.id }, required: false }],
+  order: [['customId', 'ASC']],
+  transaction
+});
+
+const entryInclude = [
+  { model: Item, attributes: itemAttributes },
+  { model: User, as: 'checker', attributes: userAttributes }
+];
+
+const serializeAudit = (audit, progress) => ({
+  id: audit.id,
+  inventoryId: audit.inventoryId,
+  title: audit.title,
+  status: audit.status,
+  createdAt: audit.createdAt,
+  closedAt: audit.closedAt,
+  starter: audit.starter || null,
+  closer: audit.closer || null,
+  progress
+});
+
+const emitChange = (req, audit) => {
+  req.app.get('io').to(audit.inventoryId).emit('auditUpdated', { auditId: audit.id, inventoryId: audit.inventoryId });
+};
+
+// Record `status` for an item of the audit, replacing an earlier result; returns the entry and
+// the status it had before (null when the item was not accounted for yet). Two people recording
+// the same item at once end up with one entry: findOrCreate picks up the other's row when its
+// insert hits the unique index, and the row lock orders the updates.
+const recordResult = async (audit, item, { status, note, method, user }) => {
+  const values = { status, note: typeof note === 'string' && note.trim() ? note.trim() : null, method, checkedBy: user.id };
+  const { entry, previous } = await sequelize.transaction(async (transaction) => {
+    const [row, created] = await AuditEntry.findOrCreate({
+      where: { auditId: audit.id, itemId: item.id },
+      defaults: values,
+      transaction
+    });
+    if (created) return { entry: row, previous: null };
+    await row.reload({ lock: transaction.LOCK.UPDATE, transaction });
+    const before = row.status;
+    return { entry: await row.update(values, { transaction }), previous: before };
+  });
+  await entry.reload({ include: entryInclude });
+  return { entry, previous };
+};
+
+const checkStatus = (status) => (AUDIT_ITEM_STATUSES.includes(status)
+  ? null
+  : `status must be one of ${AUDIT_ITEM_STATUSES.join(', ')}`);
+
+// Audits of an inventory, newest first, with their progress
+router.get('/inventory/:inventoryId', tryAuth, loadInventory, async (req, res) => {
+  try {
+    const audits = await Audit.findAll({
+      where: { inventoryId: req.inventory.id },
+      include: [
+        { model: User, as: 'starter', attributes: userAttributes },
+        { model: User, as: 'closer', attributes: userAttributes }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+    const result = [];
+    for (const audit of audits) {
+      result.push(serializeAudit(audit, await progressOf(audit)));
+    }
+    res.json({ audits: result, canMark: req.canMark, canManage: req.canManage });
+  } catch (error) {
+    console.error('Error fetching audits:', error);
+    res.status(500).json({ message: 'Failed to fetch audits' });
+  }
+});
+
+// Start an audit; an inventory has at most one open audit at a time
+router.post('/inventory/:inventoryId',
+  passport.authenticate('jwt', { session: false }),
+  loadInventory,
+  async (req, res) => {
+    try {
+      if (!req.canManage) {
+        return res.status(403).json({ message: 'Only the inventory owner or an admin can start an audit' });
+      }
+      const title = String(req.body.title ?? '').trim() || `Audit ${new Date().toISOString().slice(0, 10)}`;
+      if (title.length > 255) {
+        return res.status(400).json({ message: 'title must be at most 255 characters' });
+      }
+
+      const audit = await sequelize.transaction(async (transaction) => {
+        // Serialise concurrent starts on the inventory row
+        await Inventory.findByPk(req.inventory.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+        const open = await Audit.findOne({ where: { inventoryId: req.inventory.id, status: 'open' }, transaction });
+        if (open) {
+          const error = new Error(`"${open.title}" is still open; close it before starting another audit`);
+          error.status = 409;
+          throw error;
+        }
+        return Audit.create({ inventoryId: req.inventory.id, title, startedBy: req.user.id }, { transaction });
+      });
+
+      await audit.reload({ include: [{ model: User, as: 'starter', attributes: userAttributes }] });
+      emitChange(req, audit);
+      res.status(201).json({ audit: serializeAudit(audit, await auditProgress(audit)) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error starting audit:', error);
+      res.status(500).json({ message: 'Failed to start the audit' });
+    }
+  }
+);
+
+// One audit with its results; open audits also list the items nobody has accounted for yet,
+// closed ones return the report stored when they were closed
+router.get('/:id', tryAuth, loadAudit(), async (req, res) => {
+  try {
+    const { audit } = req;
+    await audit.reload({
+      include: [
+        { model: Inventory, attributes: ['id', 'title', 'isPublic', 'creatorId'] },
+        { model: User, as: 'starter', attributes: userAttributes },
+        { model: User, as: 'closer', attributes: userAttributes }
+      ]
+    });
+    const entries = await AuditEntry.findAll({
+      where: { auditId: audit.id },
+      include: entryInclude,
+      order: [['updatedAt', 'DESC']]
+    });
+    const open = audit.status === 'open';
+    res.json({
+      audit: serializeAudit(audit, await progressOf(audit)),
+      inventory: { id: audit.Inventory.id, title: audit.Inventory.title },
+      entries,
+      unaccounted: open ? await unaccountedItems(audit) : audit.report?.unaccounted || [],
+      report: open ? null : audit.report,
+      canMark: req.canMark && open,
+      canManage: req.canManage
+    });
+  } catch (error) {
+    console.error('Error fetching audit:', error);
+    res.status(500).json({ message: 'Failed to fetch the audit' });
+  }
+});
+
+// Mark an item found, missing or damaged: body { status, note }
+router.put('/:id/items/:itemId',
+  passport.authenticate('jwt', { session: false }),
+  loadAudit('mark'),
+  rejectClosed,
+  async (req, res) => {
+    try {
+      const { status, note } = req.body;
+      const invalid = checkStatus(status);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+      const item = await Item.findOne({ where: { id: req.params.itemId, inventoryId: req.audit.inventoryId }, attributes: itemAttributes });
+      if (!item) {
+        return res.status(404).json({ message: 'Item not found in this inventory' });
+      }
+
+      const { entry, previous } = await recordResult(req.audit, item, { status, note, method: 'manual', user: req.user });
+      emitChange(req, req.audit);
+      res.json({ entry, previous, progress: await auditProgress(req.audit) });
+    } catch (error) {
+      console.error('Error recording audit result:', error);
+      res.status(500).json({ message: 'Failed to record the result' });
+    }
+  }
+);
+
+// Take an item's result back so it counts as unaccounted again
+router.delete('/:id/items/:itemId',
+  passport.authenticate('jwt', { session: false }),
+  loadAudit('mark'),
+  rejectClosed,
+  async (req, res) => {
+    try {
+      const removed = await AuditEntry.destroy({ where: { auditId: req.audit.id, itemId: req.params.itemId } });
+      if (!removed) {
+        return res.status(404).json({ message: 'The item has no result in this audit' });
+      }
+      emitChange(req, req.audit);
+      res.json({ progress: await auditProgress(req.audit) });
+    } catch (error) {
+      console.error('Error removing audit result:', error);
+      res.status(500).json({ message: 'Failed to remove the result' });
+    }
+  }
+);
+
+// Record a scanned code (custom ID or item link, as GET /api/items/lookup reads them) for an item
+// of the audited inventory: body { code, status = 'found', note }
+router.post('/:id/scan',
+  passport.authenticate('jwt', { session: false }),
+  loadAudit('mark'),
+  rejectClosed,
+  async (req, res) => {
+    try {
+      const code = String(req.body.code ?? '').trim();
+      if (!code) {
+        return res.status(400).json({ message: 'code is required' });
+      }
+      const status = req.body.status ?? 'found';
+      const invalid = checkStatus(status);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      const items = await findItemsByCode(code, { user: req.user, inventoryId: req.audit.inventoryId, limit: 5 });
+      if (items.length === 0) {
+        return res.status(404).json({ message: `No item in this inventory matches "${code}"` });
+      }
+      if (items.length > 1) {
+        return res.status(409).json({
+          message: `"${code}" matches several items; mark the right one in the list`,
+          matches: items.map((item) => ({ id: item.id, customId: item.customId, title: item.title }))
+        });
+      }
+
+      const { entry, previous } = await recordResult(req.audit, items[0], { status, note: req.body.note, method: 'scan', user: req.user });
+      emitChange(req, req.audit);
+      res.json({ entry, previous, progress: await auditProgress(req.audit) });
+    } catch (error) {
+      console.error('Error recording scanned audit result:', error);
+      res.status(500).json({ message: 'Failed to record the scan' });
+    }
+  }
+);
+
+// Close the audit and store its report: the counts, the items nobody accounted for and the
+// missing and damaged ones, kept as they were at closing so later edits do not change it
+router.post('/:id/close',
+  passport.authenticate('jwt', { session: false }),
+  loadAudit('manage'),
+  async (req, res) => {
+    try {
+      const audit = await sequelize.transaction(async (transaction) => {
+        const locked = await Audit.findByPk(req.audit.id, { lock: transaction.LOCK.UPDATE, transaction });
+        if (locked.status !== 'open') {
+          const error = new Error('The audit is already closed');
+          error.status = 409;
+          throw error;
+        }
+        const [counts, unaccounted, flagged] = await Promise.all([
+          auditProgress(locked, transaction),
+          unaccountedItems(locked, transaction),
+          AuditEntry.findAll({
+            where: { auditId: locked.id, status: ['missing', 'damaged'] },
+            include: [{ model: Item, attributes: itemAttributes, where: { inventoryId: locked.inventoryId }, required: true }],
+            order: [[Item, 'customId', 'ASC']],
+            transaction
+          })
+        ]);
+        const listed = (entries) => entries.map((entry) => ({
+          id: entry.Item.id,
+          customId: entry.Item.customId,
+          title: entry.Item.title,
+          note: entry.note
+        }));
+        const report = {
+          counts,
+          unaccounted: unaccounted.map((item) => ({ id: item.id, customId: item.customId, title: item.title })),
+          missing: listed(flagged.filter((entry) => entry.status === 'missing')),
+          damaged: listed(flagged.filter((entry) => entry.status === 'damaged'))
+        };
+        return locked.update({ status: 'closed', closedAt: new Date(), closedBy: req.user.id, report }, { transaction });
+      });
+
+      await audit.reload({
+        include: [
+          { model: User, as: 'starter', attributes: userAttributes },
+          { model: User, as: 'closer', attributes: userAttributes }
+        ]
+      });
+      emitChange(req, audit);
+      res.json({ audit: serializeAudit(audit, audit.report.counts), report: audit.report });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error closing audit:', error);
+      res.status(500).json({ message: 'Failed to close the audit' });
+    }
+  }
+);
+
+// Delete an audit with its results (discarding an open one or removing an old one from the history)
+router.delete('/:id',
+  passport.authenticate('jwt', { session: false }),
+  loadAudit('manage'),
+  async (req, res) => {
+    try {
+      await req.audit.destroy();
+      emitChange(req, req.audit);
+      res.json({ message: 'Audit deleted' });
+    } catch (error) {
+      console.error('Error deleting audit:', error);
+      res.status(500).json({ message: 'Failed to delete the audit' });
+    }
+  }
+);
+
+module.exports = router;
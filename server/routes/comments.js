@@ -142,7 +142,7 @@ router.delete('/:id',
       // Emit real-time update
       req.app.get('io').to(inventoryId).emit('commentDeleted', { id: req.params.id });
       
-      res.json({ message: 'Comment deleted successfully' });
+      res.json({ message: 'Comment moved to trash' });
     } catch (error) {
       console.error('Error deleting comment:', error);
       res.status(500).json({ message: 'Failed to delete comment' });
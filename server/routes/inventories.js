@@ -4,7 +4,14 @@ const passport = require('passport');
 const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const cloudinary = require('cloudinary').v2;
-const { Inventory, User, Category, Tag, Item, InventoryAccess, sequelize } = require('../models');
+const { Inventory, User, Category, Tag, Item, InventoryAccess, FieldDefinition, FieldValue, TemplateVersion, ArchivedFieldValue, sequelize } = require('../models');
+const { normalizeFieldDefinitions, checkReferenceTargets, checkFormulaDefinitions, VALUE_COLUMNS } = require('../utils/customFields');
+const { previewTemplate, applyTemplate, fieldRenames, followRenames } = require('../utils/templateVersions');
+const { renderLabelSheet } = require('../utils/labels');
+const { LABEL_CODES, MAX_LABEL_COPIES, resolveLabelSheet, labelSheetError } = require('../../shared/labelSheets.mjs');
+const { parseStatusWorkflow, applyWorkflowToItems } = require('../utils/statusWorkflow');
+const { trashInventory } = require('../utils/trash');
+const { collisionRisk, renameFormatFields, storedCustomIdContext, assignCustomId, previewCustomIds, findNonconformingItems, highestSequenceInUse, recordIdGeneration } = require('../utils/customId');
 
 const router = express.Router();
 
@@ -16,28 +23,15 @@ const tryAuth = (req, res, next) => {
   })(req, res, next);
 };
 
-// Helper: map builder JSON customFields to fixed slot columns (first 3 per type)
-const mapTemplateToFixed = (cf = {}) => {
-  const out = {};
-  const take3 = (arr) => Array.isArray(arr) ? arr.slice(0, 3) : [];
-  const fill = (prefix, names) => {
-    for (let i = 0; i < 3; i++) {
-      const name = names[i];
-      const idx = i + 1;
-      out[`${prefix}${idx}_state`] = !!name; // present => true, else false
-      out[`${prefix}${idx}_name`] = name || null;
-    }
-  };
-  // Map image/document fields into string slots as URLs
-  fill('custom_string', [
-    ...take3(cf.singleLineText),
-    ...take3(cf.multiLineText),
-    ...take3(cf.documentImage)
-  ].slice(0, 3));
-  fill('custom_int', take3(cf.numeric));
-  fill('custom_bool', take3(cf.boolean));
-  return out;
+// Custom field definitions are returned with every inventory, in template order
+// (reference fields carry their target inventory's title for the item pickers)
+const fieldsInclude = {
+  model: FieldDefinition,
+  as: 'fields',
+  include: [{ model: Inventory, as: 'targetInventory', attributes: ['id', 'title'], required: false }]
 };
+const fieldsOrder = [{ model: FieldDefinition, as: 'fields' }, 'order', 'ASC'];
+
 // Cloudinary configuration
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -94,8 +88,13 @@ const checkInventoryAccess = async (req, res, next) => {
 // Admins see all. Authenticated non-admins see their own, shared, or public. Guests see public only.
 router.get('/', tryAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, tags, search, sortBy = 'createdAt', sortOrder = 'DESC' } = req.query;
+    const { page = 1, limit = 10, category, tags, search, sortBy = 'createdAt', sortOrder = 'DESC', access } = req.query;
     const offset = (page - 1) * limit;
+    // access=write keeps the inventories the caller may add items to
+    const writableOnly = access === 'write';
+    if (writableOnly && !req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
     
     let whereClause = {};
     let include = [
@@ -159,7 +158,7 @@ router.get('/', tryAuth, async (req, res) => {
           { creatorId: req.user.id },
           // shared with user via InventoryAccess through table
           sequelize.where(
-            sequelize.literal(`EXISTS (SELECT 1 FROM "${accessTable}" ia WHERE ia."inventoryId" = "Inventory"."id" AND ia."userId" = ${escapedUserId})`),
+            sequelize.literal(`EXISTS (SELECT 1 FROM "${accessTable}" ia WHERE ia."inventoryId" = "Inventory"."id" AND ia."userId" = ${escapedUserId}${writableOnly ? ' AND ia."canWrite" = true' : ''})`),
             true
           ),
         ],
@@ -262,8 +261,10 @@ router.get('/:id', tryAuth, checkInventoryAccess, async (req, res) => {
           as: 'accessUsers', 
           attributes: ['id', 'username', 'email', 'firstName', 'lastName', 'avatar'],
           through: { attributes: ['canWrite'] }
-        }
-      ]
+        },
+        fieldsInclude
+      ],
+      order: [fieldsOrder]
     });
     
     if (!inventory) {
@@ -307,76 +308,31 @@ router.post('/',
   upload.single('image'),
   async (req, res) => {
     try {
-      const { title, description, categoryId, tags, isPublic, customIdFormat, customFields, imageUrl } = req.body;
-      // Fixed-slot template fields (optional). Accept either booleans or 'true'/'false' strings
-      const flat = {
-        custom_string1_state: req.body.custom_string1_state,
-        custom_string1_name: req.body.custom_string1_name,
-        custom_string2_state: req.body.custom_string2_state,
-        custom_string2_name: req.body.custom_string2_name,
-        custom_string3_state: req.body.custom_string3_state,
-        custom_string3_name: req.body.custom_string3_name,
-        custom_int1_state: req.body.custom_int1_state,
-        custom_int1_name: req.body.custom_int1_name,
-        custom_int2_state: req.body.custom_int2_state,
-        custom_int2_name: req.body.custom_int2_name,
-        custom_int3_state: req.body.custom_int3_state,
-        custom_int3_name: req.body.custom_int3_name,
-        custom_bool1_state: req.body.custom_bool1_state,
-        custom_bool1_name: req.body.custom_bool1_name,
-        custom_bool2_state: req.body.custom_bool2_state,
-        custom_bool2_name: req.body.custom_bool2_name,
-        custom_bool3_state: req.body.custom_bool3_state,
-        custom_bool3_name: req.body.custom_bool3_name,
-      };
-      const coerceBool = (v) => (typeof v === 'string' ? v === 'true' : v);
-      
-      // If builder JSON provided, convert it to flat slot fields
-      let mapped = {};
-      let parsedCF;
-      try {
-        parsedCF = customFields ? (typeof customFields === 'string' ? JSON.parse(customFields) : customFields) : null;
-      } catch { parsedCF = null; }
-      if (parsedCF) {
-        mapped = mapTemplateToFixed(parsedCF);
-      }
-
-      const inventory = await Inventory.create({
-        title,
-        description,
-        categoryId: categoryId || null,
-        isPublic: isPublic === 'true',
-        customIdFormat: customIdFormat ? JSON.parse(customIdFormat) : [],
-        customFields: parsedCF || {
-          singleLineText: [],
-          multiLineText: [],
-          numeric: [],
-          documentImage: [],
-          boolean: []
-        },
-        image: req.file ? (req.file.secure_url || req.file.path) : (imageUrl || null),
-        creatorId: req.user.id,
-        // apply provided fixed-slot fields only when present
-        ...(typeof flat.custom_string1_state !== 'undefined' ? { custom_string1_state: coerceBool(flat.custom_string1_state) } : {}),
-        ...(typeof flat.custom_string1_name !== 'undefined' ? { custom_string1_name: flat.custom_string1_name } : {}),
-        ...(typeof flat.custom_string2_state !== 'undefined' ? { custom_string2_state: coerceBool(flat.custom_string2_state) } : {}),
-        ...(typeof flat.custom_string2_name !== 'undefined' ? { custom_string2_name: flat.custom_string2_name } : {}),
-        ...(typeof flat.custom_string3_state !== 'undefined' ? { custom_string3_state: coerceBool(flat.custom_string3_state) } : {}),
-        ...(typeof flat.custom_string3_name !== 'undefined' ? { custom_string3_name: flat.custom_string3_name } : {}),
-        ...(typeof flat.custom_int1_state !== 'undefined' ? { custom_int1_state: coerceBool(flat.custom_int1_state) } : {}),
-        ...(typeof flat.custom_int1_name !== 'undefined' ? { custom_int1_name: flat.custom_int1_name } : {}),
-        ...(typeof flat.custom_int2_state !== 'undefined' ? { custom_int2_state: coerceBool(flat.custom_int2_state) } : {}),
-        ...(typeof flat.custom_int2_name !== 'undefined' ? { custom_int2_name: flat.custom_int2_name } : {}),
-        ...(typeof flat.custom_int3_state !== 'undefined' ? { custom_int3_state: coerceBool(flat.custom_int3_state) } : {}),
-        ...(typeof flat.custom_int3_name !== 'undefined' ? { custom_int3_name: flat.custom_int3_name } : {}),
-        ...(typeof flat.custom_bool1_state !== 'undefined' ? { custom_bool1_state: coerceBool(flat.custom_bool1_state) } : {}),
-        ...(typeof flat.custom_bool1_name !== 'undefined' ? { custom_bool1_name: flat.custom_bool1_name } : {}),
-        ...(typeof flat.custom_bool2_state !== 'undefined' ? { custom_bool2_state: coerceBool(flat.custom_bool2_state) } : {}),
-        ...(typeof flat.custom_bool2_name !== 'undefined' ? { custom_bool2_name: flat.custom_bool2_name } : {}),
-        ...(typeof flat.custom_bool3_state !== 'undefined' ? { custom_bool3_state: coerceBool(flat.custom_bool3_state) } : {}),
-        ...(typeof flat.custom_bool3_name !== 'undefined' ? { custom_bool3_name: flat.custom_bool3_name } : {}),
-        // Fill from mapped builder values when explicit flat values are absent
-        ...Object.fromEntries(Object.entries(mapped).filter(([k]) => typeof flat[k] === 'undefined'))
+      const { title, description, categoryId, tags, isPublic, trackQuantity, statusWorkflow, customIdFormat, customFields, imageUrl } = req.body;
+      const fieldDefs = normalizeFieldDefinitions(customFields);
+      const targetError = checkFormulaDefinitions(fieldDefs) || await checkReferenceTargets(fieldDefs, req.user);
+      if (targetError) {
+        return res.status(400).json({ message: targetError });
+      }
+      const workflow = statusWorkflow !== undefined ? parseStatusWorkflow(statusWorkflow) : { workflow: null };
+      if (workflow.error) {
+        return res.status(400).json({ message: workflow.error });
+      }
+
+      const inventory = await sequelize.transaction(async (transaction) => {
+        const created = await Inventory.create({
+          title,
+          description,
+          categoryId: categoryId || null,
+          isPublic: isPublic === 'true',
+          trackQuantity: trackQuantity === 'true',
+          statusWorkflow: workflow.workflow,
+          customIdFormat: customIdFormat ? JSON.parse(customIdFormat) : [],
+          image: req.file ? (req.file.secure_url || req.file.path) : (imageUrl || null),
+          creatorId: req.user.id
+        }, { transaction });
+        await applyTemplate(created.id, [], fieldDefs, req.user.id, transaction);
+        return created;
       });
       
       // Handle tags
@@ -398,8 +354,10 @@ router.post('/',
         include: [
           { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
           { model: Category, attributes: ['id', 'name'] },
-          { model: Tag, attributes: ['id', 'name'], through: { attributes: [] } }
-        ]
+          { model: Tag, attributes: ['id', 'name'], through: { attributes: [] } },
+          fieldsInclude
+        ],
+        order: [fieldsOrder]
       });
       
       // Realtime: broadcast created inventory
@@ -439,46 +397,31 @@ router.put('/:id',
         });
       }
       
-      const { title, description, categoryId, tags, isPublic, customIdFormat, customFields, imageUrl } = req.body;
-      // Fixed-slot template fields (same coercion as create)
-      const flat = {
-        custom_string1_state: req.body.custom_string1_state,
-        custom_string1_name: req.body.custom_string1_name,
-        custom_string2_state: req.body.custom_string2_state,
-        custom_string2_name: req.body.custom_string2_name,
-        custom_string3_state: req.body.custom_string3_state,
-        custom_string3_name: req.body.custom_string3_name,
-        custom_int1_state: req.body.custom_int1_state,
-        custom_int1_name: req.body.custom_int1_name,
-        custom_int2_state: req.body.custom_int2_state,
-        custom_int2_name: req.body.custom_int2_name,
-        custom_int3_state: req.body.custom_int3_state,
-        custom_int3_name: req.body.custom_int3_name,
-        custom_bool1_state: req.body.custom_bool1_state,
-        custom_bool1_name: req.body.custom_bool1_name,
-        custom_bool2_state: req.body.custom_bool2_state,
-        custom_bool2_name: req.body.custom_bool2_name,
-        custom_bool3_state: req.body.custom_bool3_state,
-        custom_bool3_name: req.body.custom_bool3_name,
-      };
-      const coerceBool = (v) => (typeof v === 'string' ? v === 'true' : v);
+      const { title, description, categoryId, tags, isPublic, trackQuantity, statusWorkflow, customIdFormat, customFields, imageUrl } = req.body;
+      
+      const workflow = statusWorkflow !== undefined ? parseStatusWorkflow(statusWorkflow) : null;
+      if (workflow?.error) {
+        return res.status(400).json({ message: workflow.error });
+      }
       
       const updateData = {
         title: title || inventory.title,
         description: description !== undefined ? description : inventory.description,
         categoryId: categoryId !== undefined ? categoryId : inventory.categoryId,
         isPublic: isPublic !== undefined ? isPublic === 'true' : inventory.isPublic,
+        // Turning quantity mode off keeps the quantities and movements for when it is turned back on
+        trackQuantity: trackQuantity !== undefined ? trackQuantity === 'true' : inventory.trackQuantity,
         version: inventory.version + 1
       };
+      if (workflow) updateData.statusWorkflow = workflow.workflow;
       
       if (customIdFormat) {
         updateData.customIdFormat = JSON.parse(customIdFormat);
-      }
-      
-      let parsedCF;
-      if (customFields) {
-        parsedCF = typeof customFields === 'string' ? JSON.parse(customFields) : customFields;
-        updateData.customFields = parsedCF;
+        // Collision statistics describe one format; start over when it changes
+        if (JSON.stringify(updateData.customIdFormat) !== JSON.stringify(inventory.customIdFormat || [])) {
+          updateData.customIdAttempts = 0;
+          updateData.customIdCollisions = 0;
+        }
       }
       
       if (req.file) {
@@ -486,34 +429,27 @@ router.put('/:id',
       } else if (imageUrl) {
         updateData.image = imageUrl;
       }
-      // Apply provided fixed-slot fields
-      if (typeof flat.custom_string1_state !== 'undefined') updateData.custom_string1_state = coerceBool(flat.custom_string1_state);
-      if (typeof flat.custom_string1_name !== 'undefined') updateData.custom_string1_name = flat.custom_string1_name;
-      if (typeof flat.custom_string2_state !== 'undefined') updateData.custom_string2_state = coerceBool(flat.custom_string2_state);
-      if (typeof flat.custom_string2_name !== 'undefined') updateData.custom_string2_name = flat.custom_string2_name;
-      if (typeof flat.custom_string3_state !== 'undefined') updateData.custom_string3_state = coerceBool(flat.custom_string3_state);
-      if (typeof flat.custom_string3_name !== 'undefined') updateData.custom_string3_name = flat.custom_string3_name;
-      if (typeof flat.custom_int1_state !== 'undefined') updateData.custom_int1_state = coerceBool(flat.custom_int1_state);
-      if (typeof flat.custom_int1_name !== 'undefined') updateData.custom_int1_name = flat.custom_int1_name;
-      if (typeof flat.custom_int2_state !== 'undefined') updateData.custom_int2_state = coerceBool(flat.custom_int2_state);
-      if (typeof flat.custom_int2_name !== 'undefined') updateData.custom_int2_name = flat.custom_int2_name;
-      if (typeof flat.custom_int3_state !== 'undefined') updateData.custom_int3_state = coerceBool(flat.custom_int3_state);
-      if (typeof flat.custom_int3_name !== 'undefined') updateData.custom_int3_name = flat.custom_int3_name;
-      if (typeof flat.custom_bool1_state !== 'undefined') updateData.custom_bool1_state = coerceBool(flat.custom_bool1_state);
-      if (typeof flat.custom_bool1_name !== 'undefined') updateData.custom_bool1_name = flat.custom_bool1_name;
-      if (typeof flat.custom_bool2_state !== 'undefined') updateData.custom_bool2_state = coerceBool(flat.custom_bool2_state);
-      if (typeof flat.custom_bool2_name !== 'undefined') updateData.custom_bool2_name = flat.custom_bool2_name;
-      if (typeof flat.custom_bool3_state !== 'undefined') updateData.custom_bool3_state = coerceBool(flat.custom_bool3_state);
-      if (typeof flat.custom_bool3_name !== 'undefined') updateData.custom_bool3_name = flat.custom_bool3_name;
-      // If builder JSON present, backfill fixed slots where not explicitly provided
-      if (parsedCF) {
-        const mapped = mapTemplateToFixed(parsedCF);
-        for (const [k, v] of Object.entries(mapped)) {
-          if (typeof updateData[k] === 'undefined') updateData[k] = v;
+      
+      const existingDefs = customFields ? await FieldDefinition.findAll({ where: { inventoryId: inventory.id } }) : null;
+      const fieldDefs = customFields ? followRenames(existingDefs, normalizeFieldDefinitions(customFields)) : null;
+      if (fieldDefs) {
+        const targetError = checkFormulaDefinitions(fieldDefs) || await checkReferenceTargets(fieldDefs, req.user);
+        if (targetError) {
+          return res.status(400).json({ message: targetError });
+        }
+        // Custom ID elements that insert a field's answer follow the field's new name
+        const renames = fieldRenames(existingDefs, fieldDefs);
+        if (renames.length > 0) {
+          updateData.customIdFormat = renameFormatFields(updateData.customIdFormat || inventory.customIdFormat || [], renames);
         }
       }
-      
-      await inventory.update(updateData);
+      const templateChanges = await sequelize.transaction(async (transaction) => {
+        await inventory.update(updateData, { transaction });
+        if (workflow) await applyWorkflowToItems(inventory.id, workflow.workflow, req.user.id, transaction);
+        if (!fieldDefs) return null;
+        const existing = await FieldDefinition.findAll({ where: { inventoryId: inventory.id }, transaction });
+        return applyTemplate(inventory.id, existing, fieldDefs, req.user.id, transaction);
+      });
       
       // Handle tags
       if (tags) {
@@ -534,21 +470,319 @@ router.put('/:id',
         include: [
           { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
           { model: Category, attributes: ['id', 'name'] },
-          { model: Tag, attributes: ['id', 'name'], through: { attributes: [] } }
-        ]
+          { model: Tag, attributes: ['id', 'name'], through: { attributes: [] } },
+          fieldsInclude
+        ],
+        order: [fieldsOrder]
       });
       
       // Realtime: broadcast updated inventory
       try { req.app.get('io').emit('inventoryUpdated', updatedInventory); } catch {}
       
-      res.json(updatedInventory);
+      // `templateChanges` reports the schema version written by this save, if any
+      res.json(templateChanges?.version ? { ...updatedInventory.toJSON(), templateChanges } : updatedInventory);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('Error updating inventory:', error);
       res.status(500).json({ message: 'Failed to update inventory' });
     }
   }
 );
 
+// Reset or seed the custom ID sequence: body { next } is the number the next item gets. It has
+// to be above the highest number in use, since creates give up after MAX_SEQUENCE_SKIPS taken
+// numbers and would keep failing on a longer run of them.
+router.put('/:id/sequence',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findByPk(req.params.id);
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!req.user.isAdmin && inventory.creatorId !== req.user.id) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const next = Number(req.body.next);
+      if (!Number.isInteger(next) || next < 1 || next > 2147483647) {
+        return res.status(400).json({ message: 'next must be a whole number of at least 1' });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        // Creates take numbers on the same row, so none slip in between the check and the update
+        await inventory.reload({ lock: transaction.LOCK.UPDATE, transaction });
+        const highest = await highestSequenceInUse(inventory, transaction);
+        if (next <= highest) {
+          const error = new Error(`Number ${highest} is already in use; the next number must be at least ${highest + 1}`);
+          error.status = 409;
+          throw error;
+        }
+        await inventory.update({ sequenceCounter: next - 1 }, { transaction });
+      });
+      res.json({ sequenceCounter: inventory.sequenceCounter, next });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error resetting sequence counter:', error);
+      res.status(500).json({ message: 'Failed to reset sequence counter' });
+    }
+  }
+);
+
+// Custom ID collision statistics since the format was last changed, and how likely the saved
+// format is to collide at the current item count
+router.get('/:id/custom-id/stats',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findByPk(req.params.id, {
+        attributes: ['id', 'creatorId', 'customIdFormat', 'customIdAttempts', 'customIdCollisions']
+      });
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!req.user.isAdmin && inventory.creatorId !== req.user.id) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const itemCount = await Item.count({ where: { inventoryId: inventory.id } });
+      const nonconforming = await findNonconformingItems(inventory);
+      const attempts = inventory.customIdAttempts;
+      const collisions = inventory.customIdCollisions;
+      res.json({
+        attempts,
+        collisions,
+        collisionRate: attempts > 0 ? collisions / attempts : 0,
+        itemCount,
+        risk: collisionRisk(inventory.customIdFormat, itemCount),
+        nonconforming: {
+          count: nonconforming.length,
+          sample: nonconforming.slice(0, 10).map((item) => ({ id: item.id, customId: item.customId, title: item.title }))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching custom ID statistics:', error);
+      res.status(500).json({ message: 'Failed to fetch custom ID statistics' });
+    }
+  }
+);
+
+// Sample IDs from the inventory's real counters: body { format, count } where `format` defaults
+// to the saved one (so unsaved edits can be tried out) and `count` is 1-20 (default 5).
+// Nothing is stored and no sequence numbers are used up.
+router.post('/:id/custom-id/preview',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findByPk(req.params.id);
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!req.user.isAdmin && inventory.creatorId !== req.user.id) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const format = req.body.format ?? inventory.customIdFormat ?? [];
+      if (!Array.isArray(format) || format.some((el) => !el || typeof el.type !== 'string')) {
+        return res.status(400).json({ message: 'format must be a list of ID elements' });
+      }
+      const count = req.body.count === undefined ? 5 : Number(req.body.count);
+      if (!Number.isInteger(count) || count < 1 || count > 20) {
+        return res.status(400).json({ message: 'count must be a whole number from 1 to 20' });
+      }
+
+      const samples = await previewCustomIds(inventory, format, { count, creator: req.user });
+      res.json({ samples, sequenceCounter: inventory.sequenceCounter });
+    } catch (error) {
+      console.error('Error previewing custom IDs:', error);
+      res.status(500).json({ message: 'Failed to preview custom IDs' });
+    }
+  }
+);
+
+// Give every item whose custom ID does not match the current format a newly generated one.
+// Items are renumbered oldest first, so `sequence` elements keep creation order.
+router.post('/:id/custom-id/regenerate',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    const idStats = { attempts: 0, collisions: 0 };
+    try {
+      const inventory = await Inventory.findByPk(req.params.id);
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!req.user.isAdmin && inventory.creatorId !== req.user.id) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (!Array.isArray(inventory.customIdFormat) || inventory.customIdFormat.length === 0) {
+        return res.status(400).json({ message: 'The inventory has no custom ID format' });
+      }
+
+      const changes = await sequelize.transaction(async (transaction) => {
+        const items = await findNonconformingItems(inventory, { transaction, lock: transaction.LOCK.UPDATE });
+        const fields = await FieldDefinition.findAll({ where: { inventoryId: inventory.id }, transaction });
+        const result = [];
+        for (const item of items) {
+          const from = item.customId;
+          const version = item.version + 1;
+          await assignCustomId(
+            inventory,
+            (customId, savepoint) => item.update({ customId, version }, { transaction: savepoint }),
+            { transaction, stats: idStats, context: await storedCustomIdContext(inventory, item, fields, transaction) }
+          );
+          result.push({ id: item.id, from, to: item.customId, version });
+        }
+        return result;
+      }).finally(() => recordIdGeneration(inventory.id, idStats));
+
+      const io = req.app.get('io');
+      changes.forEach((change) => io.to(inventory.id).emit('itemUpdated', {
+        id: change.id,
+        inventoryId: inventory.id,
+        customId: change.to,
+        version: change.version
+      }));
+
+      res.json({ regenerated: changes.length, changes });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error regenerating custom IDs:', error);
+      res.status(500).json({ message: 'Failed to regenerate custom IDs' });
+    }
+  }
+);
+
+// Printable labels for items of the inventory as a PDF. Body { itemIds, sheet, layout, type,
+// copies, startAt }: `sheet` is a preset id from shared/labelSheets.mjs or 'custom' with the
+// measures in `layout`; `type` is the symbol (qr, datamatrix or code128); `startAt` is the first
+// free label (1-based) on a partly used sheet. Labels follow the order of `itemIds`.
+router.post('/:id/labels', tryAuth, checkInventoryAccess, async (req, res) => {
+  try {
+    const { itemIds, sheet: sheetId, layout, type = 'qr' } = req.body;
+    if (!Array.isArray(itemIds) || itemIds.length === 0 || itemIds.length > 500) {
+      return res.status(400).json({ message: 'itemIds must list 1 to 500 items' });
+    }
+    if (!LABEL_CODES.includes(type)) {
+      return res.status(400).json({ message: 'type must be qr, datamatrix or code128' });
+    }
+    const sheet = resolveLabelSheet(sheetId, layout);
+    const sheetError = labelSheetError(sheet);
+    if (sheetError) {
+      return res.status(400).json({ message: sheetError });
+    }
+    const copies = req.body.copies === undefined ? 1 : Number(req.body.copies);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_LABEL_COPIES) {
+      return res.status(400).json({ message: `copies must be a whole number from 1 to ${MAX_LABEL_COPIES}` });
+    }
+    const startAt = req.body.startAt === undefined ? 1 : Number(req.body.startAt);
+    if (!Number.isInteger(startAt) || startAt < 1 || startAt > sheet.columns * sheet.rows) {
+      return res.status(400).json({ message: `startAt must be a label position from 1 to ${sheet.columns * sheet.rows}` });
+    }
+
+    const found = await Item.findAll({
+      where: { id: itemIds, inventoryId: req.inventory.id },
+      attributes: ['id', 'customId', 'title']
+    });
+    const byId = new Map(found.map((item) => [item.id, item]));
+    const items = [...new Set(itemIds)].map((itemId) => byId.get(itemId)).filter(Boolean);
+    if (items.length === 0) {
+      return res.status(404).json({ message: 'No items found' });
+    }
+    if (type === 'code128' && items.every((item) => !item.customId)) {
+      return res.status(400).json({ message: 'None of the items has a custom ID to encode' });
+    }
+
+    const pdf = await renderLabelSheet(items, sheet, { type, copies, startAt });
+    res.type('pdf').set('Content-Disposition', 'attachment; filename="labels.pdf"').send(pdf);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error rendering labels:', error);
+    res.status(500).json({ message: 'Failed to render labels' });
+  }
+});
+
+// Preview a template save: which fields would be added, renamed, retyped or removed
+// and how many items each change touches. Takes the same `customFields` as PUT /:id.
+router.post('/:id/template/preview',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findByPk(req.params.id);
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!req.user.isAdmin && inventory.creatorId !== req.user.id) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const existing = await FieldDefinition.findAll({ where: { inventoryId: inventory.id } });
+      const fieldDefs = followRenames(existing, normalizeFieldDefinitions(req.body.customFields));
+      const targetError = checkFormulaDefinitions(fieldDefs) || await checkReferenceTargets(fieldDefs, req.user);
+      if (targetError) {
+        return res.status(400).json({ message: targetError });
+      }
+
+      const changes = await previewTemplate(existing, fieldDefs);
+      res.json({ changes });
+    } catch (error) {
+      console.error('Error previewing template changes:', error);
+      res.status(500).json({ message: 'Failed to preview template changes' });
+    }
+  }
+);
+
+// Template schema versions, newest first
+router.get('/:id/template/versions', tryAuth, checkInventoryAccess, async (req, res) => {
+  try {
+    const versions = await TemplateVersion.findAll({
+      where: { inventoryId: req.inventory.id },
+      include: [{ model: User, as: 'author', attributes: ['id', 'username', 'firstName', 'lastName'] }],
+      order: [['version', 'DESC']]
+    });
+    res.json({ versions });
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({ message: 'Failed to fetch template versions' });
+  }
+});
+
+// Item values archived by template saves; filter with `version`, `fieldId` or `reason`
+router.get('/:id/template/archive', tryAuth, checkInventoryAccess, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, version, fieldId, reason } = req.query;
+    const where = { inventoryId: req.inventory.id };
+    if (version) where.templateVersion = parseInt(version);
+    if (fieldId) where.fieldId = fieldId;
+    if (reason) where.reason = reason;
+
+    const { count, rows } = await ArchivedFieldValue.findAndCountAll({
+      where,
+      include: [{ model: Item, attributes: ['id', 'customId', 'title'] }],
+      order: [['templateVersion', 'DESC'], ['fieldName', 'ASC'], ['createdAt', 'ASC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      values: rows,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error fetching archived values:', error);
+    res.status(500).json({ message: 'Failed to fetch archived values' });
+  }
+});
+
 // Delete inventory
 router.delete('/:id',
   passport.authenticate('jwt', { session: false }),
@@ -565,11 +799,11 @@ router.delete('/:id',
         return res.status(403).json({ message: 'Access denied' });
       }
       
-      await inventory.destroy();
+      await trashInventory(inventory);
       
       // Realtime: broadcast deleted inventory id
       try { req.app.get('io').emit('inventoryDeleted', { id: req.params.id }); } catch {}
-      res.json({ message: 'Inventory deleted successfully' });
+      res.json({ message: 'Inventory moved to trash' });
     } catch (error) {
       console.error('Error deleting inventory:', error);
       res.status(500).json({ message: 'Failed to delete inventory' });
@@ -644,9 +878,14 @@ router.delete('/:id/access/:userId',
 // Get inventory statistics
 router.get('/:id/stats', checkInventoryAccess, async (req, res) => {
   try {
+    const fields = await FieldDefinition.findAll({
+      where: { inventoryId: req.params.id },
+      order: [['order', 'ASC']]
+    });
     const items = await Item.findAll({
       where: { inventoryId: req.params.id },
-      attributes: ['customFields', 'createdAt']
+      attributes: ['id', 'createdAt'],
+      include: [{ model: FieldValue, as: 'fieldValues', required: false }]
     });
     
     const stats = {
@@ -660,47 +899,52 @@ router.get('/:id/stats', checkInventoryAccess, async (req, res) => {
     };
     
     // Calculate field statistics
-    if (req.inventory.customFields) {
-      const allFields = [
-        ...req.inventory.customFields.singleLineText,
-        ...req.inventory.customFields.multiLineText,
-        ...req.inventory.customFields.numeric,
-        ...req.inventory.customFields.documentImage,
-        ...req.inventory.customFields.boolean
-      ];
+    fields.forEach(field => {
+      const column = VALUE_COLUMNS[field.type];
+      const fieldValues = items
+        .map(item => {
+          const fv = (item.fieldValues || []).find(v => v.fieldId === field.id);
+          return fv ? fv[column] : null;
+        })
+        .filter(value => value !== null && value !== undefined && value !== '');
+      
+      stats.fieldStats[field.name] = {
+        filledCount: fieldValues.length,
+        emptyCount: items.length - fieldValues.length
+      };
       
-      allFields.forEach(field => {
-        const fieldValues = items
-          .map(item => item.customFields[field.name])
-          .filter(value => value !== null && value !== undefined && value !== '');
-        
-        stats.fieldStats[field.name] = {
-          filledCount: fieldValues.length,
-          emptyCount: items.length - fieldValues.length
-        };
-        
-        if (field.type === 'numeric') {
-          const numericValues = fieldValues.map(v => parseFloat(v)).filter(v => !isNaN(v));
-          if (numericValues.length > 0) {
-            stats.fieldStats[field.name] = {
-              ...stats.fieldStats[field.name],
-              min: Math.min(...numericValues),
-              max: Math.max(...numericValues),
-              avg: numericValues.reduce((a, b) => a + b, 0) / numericValues.length
-            };
-          }
-        } else if (field.type === 'singleLineText') {
-          const valueCounts = {};
-          fieldValues.forEach(value => {
-            valueCounts[value] = (valueCounts[value] || 0) + 1;
-          });
-          stats.fieldStats[field.name].mostCommon = Object.entries(valueCounts)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([value, count]) => ({ value, count }));
+      if (field.type === 'numeric' || field.type === 'currency') {
+        const numericValues = fieldValues.map(v => parseFloat(v)).filter(v => !isNaN(v));
+        if (numericValues.length > 0) {
+          stats.fieldStats[field.name] = {
+            ...stats.fieldStats[field.name],
+            min: Math.min(...numericValues),
+            max: Math.max(...numericValues),
+            avg: numericValues.reduce((a, b) => a + b, 0) / numericValues.length
+          };
         }
-      });
-    }
+      } else if (field.type === 'date' || field.type === 'datetime') {
+        // Earliest and latest; DATEONLY values are 'YYYY-MM-DD' strings, datetimes are Dates
+        const times = fieldValues.map(v => new Date(v).getTime()).filter(v => !isNaN(v));
+        if (times.length > 0) {
+          const format = (ms) => (field.type === 'date' ? new Date(ms).toISOString().slice(0, 10) : new Date(ms).toISOString());
+          stats.fieldStats[field.name] = {
+            ...stats.fieldStats[field.name],
+            min: format(Math.min(...times)),
+            max: format(Math.max(...times))
+          };
+        }
+      } else if (field.type === 'singleLineText' || field.type === 'select') {
+        const valueCounts = {};
+        fieldValues.forEach(value => {
+          valueCounts[value] = (valueCounts[value] || 0) + 1;
+        });
+        stats.fieldStats[field.name].mostCommon = Object.entries(valueCounts)
+          .sort(([,a], [,b]) => b - a)
+          .slice(0, 5)
+          .map(([value, count]) => ({ value, count }));
+      }
+    });
     
     res.json(stats);
   } catch (error) {
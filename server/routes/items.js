@@ -5,11 +5,24 @@ const { CloudinaryStorage } = require('multer-storage-cloudinary');
 
 const { Op } = require('sequelize');
 const passport = require('passport');
-const { v4: uuidv4 } = require('uuid');
-const { Item, Inventory, User, ItemLike, InventoryAccess } = require('../models');
+const { Item, Inventory, User, ItemLike, InventoryAccess, FieldDefinition, FieldValue, ItemLoan, ItemStatusChange, ItemRevision, sequelize } = require('../models');
+const { VALUE_COLUMNS, FIELD_VALUE_ATTRIBUTES, collectFieldInput, validateFieldInput, checkReferenceInput, saveFieldValues, computeFormulaValues, serializeItem } = require('../utils/customFields');
+const { canReadInventory, canWriteInventory } = require('../utils/access');
+const { nextStatuses, changeItemStatus, setInitialStatus } = require('../utils/statusWorkflow');
+const { snapshotItem, recordRevision } = require('../utils/revisions');
+const { findItemsByCode } = require('../utils/itemLookup');
+const { resolveFieldMapping, moveItem, copyItem, duplicateItem } = require('../utils/itemTransfer');
+const { BARCODE_TYPES, renderBarcode } = require('../utils/labels');
+const { generateCustomId, matchesCustomIdFormat, customIdContext, createItemWithCustomId, recordIdGeneration } = require('../utils/customId');
+const { utcToday } = require('../../shared/loans.mjs');
 
 const router = express.Router();
 
+const BULK_OPERATIONS = ['delete', 'setField', 'move', 'copy', 'duplicate'];
+// Operations that send the items to another inventory
+const TRANSFER_OPERATIONS = ['move', 'copy'];
+const MAX_BULK_ITEMS = 500;
+
 // Middleware to attempt JWT auth but proceed even if unauthenticated
 const tryAuth = (req, res, next) => {
   passport.authenticate('jwt', { session: false }, (err, user) => {
@@ -18,61 +31,13 @@ const tryAuth = (req, res, next) => {
   })(req, res, next);
 };
 
-// Map JSON customFields payload into the fixed-slot columns using the
-// current inventory customFields definition. We keep it simple:
-// - String slots take values from singleLineText then multiLineText (order preserved)
-// - Integer slots take from numeric
-// - Boolean slots take from boolean
-// - documentImage is ignored for slots (remains in JSON)
-// Only the first 3 values per type are stored due to available slots.
-const mapCustomFieldsToSlots = (inventoryCF = {}, payloadCF = {}) => {
-  const strings = [];
-  const nums = [];
-  const bools = [];
-
-  const invSL = Array.isArray(inventoryCF.singleLineText) ? inventoryCF.singleLineText : [];
-  const invML = Array.isArray(inventoryCF.multiLineText) ? inventoryCF.multiLineText : [];
-  const invNum = Array.isArray(inventoryCF.numeric) ? inventoryCF.numeric : [];
-  const invBool = Array.isArray(inventoryCF.boolean) ? inventoryCF.boolean : [];
-
-  const paySL = payloadCF?.singleLineText || {};
-  const payML = payloadCF?.multiLineText || {};
-  const payNum = payloadCF?.numeric || {};
-  const payBool = payloadCF?.boolean || {};
-
-  // Collect strings in stable order by index within each type list
-  invSL.forEach((name, idx) => {
-    if (strings.length < 3) strings.push(
-      paySL[name] ?? paySL[idx] ?? payloadCF[name] ?? payloadCF[idx] ?? null
-    );
-  });
-  invML.forEach((name, idx) => {
-    if (strings.length < 3) strings.push(
-      payML[name] ?? payML[idx] ?? payloadCF[name] ?? payloadCF[idx] ?? null
-    );
-  });
-  invNum.forEach((name, idx) => {
-    if (nums.length < 3) nums.push(
-      payNum[name] ?? payNum[idx] ?? payloadCF[name] ?? payloadCF[idx] ?? null
-    );
-  });
-  invBool.forEach((name, idx) => {
-    if (bools.length < 3) bools.push(
-      payBool[name] ?? payBool[idx] ?? payloadCF[name] ?? payloadCF[idx] ?? null
-    );
-  });
-
-  const out = {};
-  if (strings[0] !== undefined) out.string1 = strings[0];
-  if (strings[1] !== undefined) out.string2 = strings[1];
-  if (strings[2] !== undefined) out.string3 = strings[2];
-  if (nums[0] !== undefined) out.int1 = (nums[0] === '' || nums[0] === null) ? null : Number(nums[0]);
-  if (nums[1] !== undefined) out.int2 = (nums[1] === '' || nums[1] === null) ? null : Number(nums[1]);
-  if (nums[2] !== undefined) out.int3 = (nums[2] === '' || nums[2] === null) ? null : Number(nums[2]);
-  if (bools[0] !== undefined) out.bool1 = typeof bools[0] === 'boolean' ? bools[0] : !!bools[0];
-  if (bools[1] !== undefined) out.bool2 = typeof bools[1] === 'boolean' ? bools[1] : !!bools[1];
-  if (bools[2] !== undefined) out.bool3 = typeof bools[2] === 'boolean' ? bools[2] : !!bools[2];
-  return out;
+// Field answers are loaded with every item and flattened by serializeItem
+const fieldValuesInclude = {
+  model: FieldValue,
+  as: 'fieldValues',
+  attributes: FIELD_VALUE_ATTRIBUTES,
+  required: false,
+  include: [{ model: Item, as: 'referencedItem', attributes: ['id', 'customId', 'title', 'inventoryId'], required: false }]
 };
 
 // Cloudinary configuration for item images
@@ -92,60 +57,13 @@ const itemStorage = new CloudinaryStorage({
 
 const itemUpload = multer({ storage: itemStorage });
 
-// Helper function to generate custom ID
-const generateCustomId = (format, inventoryId, itemCount) => {
-  let customId = '';
-  
-  format.forEach(element => {
-    switch (element.type) {
-      case 'text':
-        customId += element.value || '';
-        break;
-      case 'random20':
-        customId += Math.floor(Math.random() * Math.pow(2, 20)).toString(16).padStart(5, '0');
-        break;
-      case 'random32':
-        customId += Math.floor(Math.random() * Math.pow(2, 32)).toString(16).padStart(8, '0');
-        break;
-      case 'random6':
-        customId += Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
-        break;
-      case 'random9':
-        customId += Math.floor(Math.random() * 1000000000).toString().padStart(9, '0');
-        break;
-      case 'guid':
-        customId += uuidv4();
-        break;
-      case 'datetime':
-        const now = new Date();
-        const format = element.format || 'YYYYMMDD';
-        if (format === 'YYYYMMDD') {
-          customId += now.getFullYear().toString() +
-                     (now.getMonth() + 1).toString().padStart(2, '0') +
-                     now.getDate().toString().padStart(2, '0');
-        } else if (format === 'YYYY-MM-DD') {
-          customId += now.toISOString().split('T')[0];
-        }
-        break;
-      case 'sequence':
-        const seqValue = (itemCount + 1).toString();
-        const padding = element.padding || 0;
-        customId += padding > 0 ? seqValue.padStart(padding, '0') : seqValue;
-        break;
-      default:
-        break;
-    }
-  });
-  
-  return customId;
-};
-
 // Check if user can write to inventory
 const checkWriteAccess = async (req, res, next) => {
   try {
     const inventory = await Inventory.findByPk(req.body.inventoryId || req.params.inventoryId, {
       include: [
-        { model: User, as: 'accessUsers', through: { attributes: ['canWrite'] } }
+        { model: User, as: 'accessUsers', through: { attributes: ['canWrite'] } },
+        { model: FieldDefinition, as: 'fields' }
       ]
     });
     
@@ -196,18 +114,85 @@ router.get('/inventory/:inventoryId', tryAuth, async (req, res) => {
     
     let whereClause = { inventoryId: req.params.inventoryId };
     
-    // Search functionality
+    // Search functionality (built-in columns plus any text custom field)
     if (search) {
+      const escapedTerm = sequelize.escape(`%${search}%`);
       whereClause[Op.or] = [
         { customId: { [Op.iLike]: `%${search}%` } },
         { title: { [Op.iLike]: `%${search}%` } },
         { description: { [Op.iLike]: `%${search}%` } },
-        { string1: { [Op.iLike]: `%${search}%` } },
-        { string2: { [Op.iLike]: `%${search}%` } },
-        { string3: { [Op.iLike]: `%${search}%` } }
+        sequelize.where(
+          sequelize.literal(`EXISTS (SELECT 1 FROM "FieldValues" fv WHERE fv."itemId" = "Item"."id" AND fv."textValue" ILIKE ${escapedTerm})`),
+          true
+        )
       ];
     }
     
+    const allFields = await FieldDefinition.findAll({
+      where: { inventoryId: req.params.inventoryId },
+      order: [['order', 'ASC']]
+    });
+    
+    // Option filters for select fields: ?filter[<fieldId>]=<option> (repeat to match any of several)
+    const filter = req.query.filter && typeof req.query.filter === 'object' ? req.query.filter : {};
+    const optionConditions = [];
+    for (const [fieldId, raw] of Object.entries(filter)) {
+      const field = allFields.find(f => f.id === fieldId);
+      if (!field || field.type !== 'select') {
+        return res.status(400).json({ message: `Cannot filter by field ${fieldId}` });
+      }
+      const selected = [].concat(raw).map(String).filter(Boolean);
+      if (selected.length === 0) continue;
+      optionConditions.push(sequelize.where(
+        sequelize.literal(`EXISTS (SELECT 1 FROM "FieldValues" fv WHERE fv."itemId" = "Item"."id" AND fv."fieldId" = ${sequelize.escape(field.id)} AND fv."textValue" IN (${selected.map(v => sequelize.escape(v)).join(', ')}))`),
+        true
+      ));
+    }
+    // ?lowStock=true keeps items at or below their low-stock threshold
+    if (req.query.lowStock === 'true') {
+      optionConditions.push(
+        { lowStockThreshold: { [Op.ne]: null } },
+        sequelize.where(sequelize.col('Item.quantity'), Op.lte, sequelize.col('Item.lowStockThreshold'))
+      );
+    }
+    // ?loan=out keeps checked-out items, ?loan=overdue those past their due date (in UTC, like
+    // the overdue flag of loans; not the database's CURRENT_DATE)
+    if (req.query.loan === 'out' || req.query.loan === 'overdue') {
+      const overdue = req.query.loan === 'overdue' ? ` AND l."dueDate" < ${sequelize.escape(utcToday())}` : '';
+      optionConditions.push(sequelize.where(
+        sequelize.literal(`EXISTS (SELECT 1 FROM "ItemLoans" l WHERE l."itemId" = "Item"."id" AND l."returnedAt" IS NULL${overdue})`),
+        true
+      ));
+    }
+    // ?status=<state> (repeat to match any of several) keeps items in those workflow states
+    const statuses = [].concat(req.query.status ?? []).map(String).filter(Boolean);
+    if (statuses.length > 0) {
+      optionConditions.push({ status: { [Op.in]: statuses } });
+    }
+    if (optionConditions.length > 0) {
+      whereClause[Op.and] = optionConditions;
+    }
+    
+    // Sorting by a custom field (sortBy=<fieldId>) orders by its typed value column,
+    // so dates, amounts and numbers sort naturally; items without an answer go last.
+    // Formula results may be numbers or text, so they sort by number first, then by text.
+    const direction = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const sortField = allFields.find(f => f.id === sortBy);
+    const sortByColumn = (column) => [sequelize.literal(`(SELECT fv."${column}" FROM "FieldValues" fv WHERE fv."itemId" = "Item"."id" AND fv."fieldId" = ${sequelize.escape(sortField.id)}) ${direction} NULLS LAST`)];
+    const order = sortField
+      ? [
+          ...(sortField.type === 'formula'
+            ? [sortByColumn('numberValue'), sortByColumn('textValue')]
+            : [sortByColumn(VALUE_COLUMNS[sortField.type])]),
+          ['createdAt', 'DESC']
+        ]
+      : [[sortBy, direction]];
+    
+    // Items-table columns come from the template: fields flagged showInTable, in field order
+    const fields = allFields
+      .filter(f => f.showInTable)
+      .map(f => ({ id: f.id, name: f.name, type: f.type, order: f.order, showInTable: f.showInTable, options: f.options, currency: f.currency }));
+
     const { count, rows } = await Item.findAndCountAll({
       where: whereClause,
       include: [
@@ -218,22 +203,32 @@ router.get('/inventory/:inventoryId', tryAuth, async (req, res) => {
           attributes: ['id'], 
           through: { attributes: [] },
           required: false
-        }
+        },
+        {
+          model: ItemLoan,
+          as: 'currentLoan',
+          attributes: ['id', 'borrowerName', 'dueDate', 'checkedOutAt'],
+          include: [{ model: User, as: 'borrower', attributes: ['id', 'username', 'firstName', 'lastName'] }],
+          required: false
+        },
+        fieldValuesInclude
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [[sortBy, sortOrder.toUpperCase()]]
+      order,
+      distinct: true
     });
     
     // Add like count to each item
     const itemsWithLikes = rows.map(item => ({
-      ...item.toJSON(),
+      ...serializeItem(item, fields),
       likeCount: item.likeUsers ? item.likeUsers.length : 0,
       isLikedByUser: req.user ? item.likeUsers.some(user => user.id === req.user.id) : false
     }));
     
     res.json({
       items: itemsWithLikes,
+      fields,
       totalCount: count,
       totalPages: Math.ceil(count / limit),
       currentPage: parseInt(page)
@@ -244,6 +239,39 @@ router.get('/inventory/:inventoryId', tryAuth, async (req, res) => {
   }
 });
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Find items by a scanned code: `customId` is a custom ID (matched exactly, then ignoring case)
+// or a link to an item page as printed on labels. Only inventories the caller can read are
+// searched, `inventoryId` narrows the search to one. The same ID can exist in several
+// inventories; all matches are returned and `ambiguous` is set.
+router.get('/lookup', tryAuth, async (req, res) => {
+  try {
+    const code = String(req.query.customId ?? '').trim();
+    if (!code) {
+      return res.status(400).json({ message: 'customId is required' });
+    }
+    const { inventoryId } = req.query;
+    if (inventoryId !== undefined && !UUID_RE.test(String(inventoryId))) {
+      return res.status(400).json({ message: 'inventoryId must be an inventory id' });
+    }
+
+    const items = await findItemsByCode(code, { user: req.user, inventoryId });
+
+    res.json({
+      matches: items.map((item) => ({
+        id: item.id,
+        customId: item.customId,
+        title: item.title,
+        inventory: { id: item.Inventory.id, title: item.Inventory.title }
+      })),
+      ambiguous: items.length > 1
+    });
+  } catch (error) {
+    console.error('Error looking up items:', error);
+    res.status(500).json({ message: 'Failed to look up items' });
+  }
+});
+
 // Get single item
 router.get('/:id', tryAuth, async (req, res) => {
   try {
@@ -252,19 +280,9 @@ router.get('/:id', tryAuth, async (req, res) => {
         { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
         { 
           model: Inventory, 
-          attributes: [
-            'id', 'title', 'customFields',
-            // fixed template fields for labeling
-            'custom_string1_state','custom_string1_name',
-            'custom_string2_state','custom_string2_name',
-            'custom_string3_state','custom_string3_name',
-            'custom_int1_state','custom_int1_name',
-            'custom_int2_state','custom_int2_name',
-            'custom_int3_state','custom_int3_name',
-            'custom_bool1_state','custom_bool1_name',
-            'custom_bool2_state','custom_bool2_name',
-            'custom_bool3_state','custom_bool3_name'
-          ]
+          attributes: ['id', 'title'],
+          // template definitions for labeling the values
+          include: [{ model: FieldDefinition, as: 'fields' }]
         },
         { 
           model: User, 
@@ -272,8 +290,10 @@ router.get('/:id', tryAuth, async (req, res) => {
           attributes: ['id', 'username'], 
           through: { attributes: [] },
           required: false
-        }
-      ]
+        },
+        fieldValuesInclude
+      ],
+      order: [[{ model: Inventory }, { model: FieldDefinition, as: 'fields' }, 'order', 'ASC']]
     });
     
     if (!item) {
@@ -281,7 +301,7 @@ router.get('/:id', tryAuth, async (req, res) => {
     }
     
     const itemWithLikes = {
-      ...item.toJSON(),
+      ...serializeItem(item),
       likeCount: item.likeUsers ? item.likeUsers.length : 0,
       isLikedByUser: req.user ? item.likeUsers.some(user => user.id === req.user.id) : false
     };
@@ -293,72 +313,129 @@ router.get('/:id', tryAuth, async (req, res) => {
   }
 });
 
+// Items whose reference fields point at this item, limited to inventories the user can read
+router.get('/:id/referenced-by', tryAuth, async (req, res) => {
+  try {
+    const item = await Item.findByPk(req.params.id, { attributes: ['id'] });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    
+    const refs = await FieldValue.findAll({
+      where: { referenceValue: item.id },
+      attributes: ['id', 'fieldId'],
+      include: [
+        { model: FieldDefinition, as: 'field', attributes: ['id', 'name'] },
+        {
+          model: Item,
+          attributes: ['id', 'customId', 'inventoryId'],
+          include: [{ model: Inventory, attributes: ['id', 'title', 'isPublic', 'creatorId'] }]
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+    
+    const referencedBy = [];
+    for (const ref of refs) {
+      if (!ref.Item || !(await canReadInventory(ref.Item.Inventory, req.user))) continue;
+      referencedBy.push({
+        id: ref.Item.id,
+        customId: ref.Item.customId,
+        inventory: { id: ref.Item.Inventory.id, title: ref.Item.Inventory.title },
+        field: { id: ref.field.id, name: ref.field.name }
+      });
+    }
+    
+    res.json({ referencedBy });
+  } catch (error) {
+    console.error('Error fetching item references:', error);
+    res.status(500).json({ message: 'Failed to fetch item references' });
+  }
+});
+
+// The item as a barcode: ?type=code128|datamatrix|qr (default qr) and ?format=svg|png (default svg).
+// Code 128 encodes the custom ID; DataMatrix and QR encode a link to the item's page.
+router.get('/:id/barcode', tryAuth, async (req, res) => {
+  try {
+    const type = req.query.type || 'qr';
+    const format = req.query.format || 'svg';
+    if (!BARCODE_TYPES[type]) {
+      return res.status(400).json({ message: 'type must be code128, datamatrix or qr' });
+    }
+    if (format !== 'svg' && format !== 'png') {
+      return res.status(400).json({ message: 'format must be svg or png' });
+    }
+
+    const item = await Item.findByPk(req.params.id, {
+      attributes: ['id', 'customId', 'inventoryId'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+    });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    if (!(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const symbol = await renderBarcode(type, item, { format });
+    res.type(format).set('Cache-Control', 'private, no-cache').send(symbol);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error rendering barcode:', error);
+    res.status(500).json({ message: 'Failed to render barcode' });
+  }
+});
+
 // Create new item
 router.post('/',
   passport.authenticate('jwt', { session: false }),
   checkWriteAccess,
   async (req, res) => {
     try {
-      const { inventoryId, customFields } = req.body;
-      // Fixed-slot answers (optional)
-      const { string1, string2, string3, int1, int2, int3, bool1, bool2, bool3 } = req.body;
+      const { inventoryId } = req.body;
       
-      // Get current item count for sequence generation
-      const itemCount = await Item.count({ where: { inventoryId } });
-      
-      // Generate custom ID
-      const customId = generateCustomId(req.inventory.customIdFormat, inventoryId, itemCount);
-      
-      // Check if custom ID already exists
-      const existingItem = await Item.findOne({
-        where: { inventoryId, customId }
-      });
-      
-      if (existingItem) {
-        return res.status(400).json({ message: 'Custom ID already exists. Please try again.' });
+      const fields = req.inventory.fields || [];
+      const input = collectFieldInput(fields, req.body);
+      const fieldErrors = validateFieldInput(fields, input, { isNew: true });
+      if (fieldErrors.length === 0) fieldErrors.push(...await checkReferenceInput(fields, input, req.user));
+      if (fieldErrors.length > 0) {
+        return res.status(422).json({ message: 'Validation failed', errors: fieldErrors });
       }
       
-      const createData = {
-        inventoryId,
-        customId,
-        createdBy: req.user.id
-      };
-      // If JSON customFields provided, map them to fixed slots using current inventory definition
-      if (customFields && typeof customFields === 'object') {
-        const slotVals = mapCustomFieldsToSlots(req.inventory.customFields, customFields);
-        // Only set if not explicitly provided in body
-        ['string1','string2','string3','int1','int2','int3','bool1','bool2','bool3'].forEach((k)=>{
-          if (typeof createData[k] === 'undefined' && typeof slotVals[k] !== 'undefined') {
-            createData[k] = slotVals[k];
-          }
+      // Counted even when the create fails, so the owner sees formats that keep colliding
+      const idStats = { attempts: 0, collisions: 0 };
+      const item = await sequelize.transaction(async (transaction) => {
+        const created = await createItemWithCustomId(req.inventory, { createdBy: req.user.id }, {
+          transaction,
+          stats: idStats,
+          context: customIdContext(req.inventory, fields, input, req.user)
         });
-      }
-      // Only set provided slot fields (keep nulls untouched by not including undefined)
-      if (typeof string1 !== 'undefined') createData.string1 = string1;
-      if (typeof string2 !== 'undefined') createData.string2 = string2;
-      if (typeof string3 !== 'undefined') createData.string3 = string3;
-      if (typeof int1 !== 'undefined') createData.int1 = int1;
-      if (typeof int2 !== 'undefined') createData.int2 = int2;
-      if (typeof int3 !== 'undefined') createData.int3 = int3;
-      if (typeof bool1 !== 'undefined') createData.bool1 = bool1;
-      if (typeof bool2 !== 'undefined') createData.bool2 = bool2;
-      if (typeof bool3 !== 'undefined') createData.bool3 = bool3;
-
-      const item = await Item.create(createData);
+        await saveFieldValues(created.id, fields, input, transaction);
+        await computeFormulaValues([created.id], fields, transaction);
+        await setInitialStatus(created, req.inventory.statusWorkflow, req.user.id, transaction);
+        await recordRevision(created.id, fields, { userId: req.user.id, action: 'create', transaction });
+        return created;
+      }).finally(() => recordIdGeneration(inventoryId, idStats));
       
       // Fetch complete item with associations
-      const createdItem = await Item.findByPk(item.id, {
+      const createdItem = serializeItem(await Item.findByPk(item.id, {
         include: [
           { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
-          { model: Inventory, attributes: ['id', 'title'] }
+          { model: Inventory, attributes: ['id', 'title'] },
+          fieldValuesInclude
         ]
-      });
+      }));
       
       // Emit real-time update
       req.app.get('io').to(inventoryId).emit('itemCreated', createdItem);
       
       res.status(201).json(createdItem);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('Error creating item:', error);
       if (error.name === 'SequelizeUniqueConstraintError') {
         res.status(400).json({ message: 'Custom ID already exists. Please try again.' });
@@ -369,13 +446,165 @@ router.post('/',
   }
 );
 
+// One bulk operation on one item, inside the item's savepoint; resolves to what the report lists
+// for it. Errors with a status fail just this item.
+const runBulkOperation = async (operation, item, { inventory, fields, input, target, transfer, user, transaction, stats }) => {
+  switch (operation) {
+    case 'delete':
+      await item.destroy({ transaction });
+      return {};
+    case 'setField': {
+      const before = await snapshotItem(item.id, fields, transaction);
+      await saveFieldValues(item.id, fields, input, transaction);
+      await computeFormulaValues([item.id], fields, transaction);
+      await item.update({ version: item.version + 1 }, { transaction });
+      await recordRevision(item.id, fields, { before, userId: user.id, action: 'update', transaction });
+      return { version: item.version };
+    }
+    case 'move': {
+      const previousCustomId = item.customId;
+      const { dropped, customIdKept } = await moveItem(item, target, { ...transfer, user, transaction, stats });
+      return { previousCustomId, customId: item.customId, customIdKept, droppedFields: dropped };
+    }
+    case 'copy': {
+      const { copy, dropped, customIdKept } = await copyItem(item, target, { ...transfer, user, transaction, stats });
+      return { copy: { id: copy.id, customId: copy.customId }, customIdKept, droppedFields: dropped };
+    }
+    default: {
+      const copy = await duplicateItem(item, inventory, { fields, user, transaction, stats });
+      return { copy: { id: copy.id, customId: copy.customId } };
+    }
+  }
+};
+
+// Apply one operation to many items of an inventory in a single transaction. Body { inventoryId,
+// itemIds, operation, fieldId, value, targetInventoryId, fieldMapping, keepCustomIds }: `delete`
+// moves the items to the trash, `setField` stores `value` as their answer to `fieldId`, `move` and
+// `copy` send them or copies of them to `targetInventoryId` (write access needed there too) and
+// `duplicate` copies them within the inventory. Moved and copied answers follow the fields of the
+// same name unless `fieldMapping` ({ [sourceFieldId]: targetFieldId | null }) says otherwise;
+// custom IDs that fit the target's format and are free there are kept unless `keepCustomIds` is
+// false. Each item runs in a savepoint, so one that cannot be changed is reported in `results`
+// without undoing the others.
+router.post('/bulk',
+  passport.authenticate('jwt', { session: false }),
+  checkWriteAccess,
+  async (req, res) => {
+    const idStats = { attempts: 0, collisions: 0 };
+    try {
+      const { operation, fieldId, value, targetInventoryId, fieldMapping, keepCustomIds } = req.body;
+      const itemIds = Array.isArray(req.body.itemIds) ? [...new Set(req.body.itemIds.map(String))] : [];
+      if (!BULK_OPERATIONS.includes(operation)) {
+        return res.status(400).json({ message: `operation must be one of ${BULK_OPERATIONS.join(', ')}` });
+      }
+      if (itemIds.length === 0 || itemIds.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({ message: `itemIds must list between 1 and ${MAX_BULK_ITEMS} items` });
+      }
+
+      const inventory = req.inventory;
+      const fields = inventory.fields || [];
+      let input = null;
+      if (operation === 'setField') {
+        const field = fields.find((f) => f.id === fieldId);
+        if (!field || field.type === 'formula') {
+          return res.status(400).json({ message: 'fieldId must name a field of the inventory that is not a formula' });
+        }
+        input = new Map([[field.id, value ?? null]]);
+        const fieldErrors = validateFieldInput([field], input);
+        if (fieldErrors.length === 0) fieldErrors.push(...await checkReferenceInput([field], input, req.user));
+        if (fieldErrors.length > 0) {
+          return res.status(422).json({ message: 'Validation failed', errors: fieldErrors });
+        }
+      }
+
+      let target = null;
+      let transfer = null;
+      if (TRANSFER_OPERATIONS.includes(operation)) {
+        target = targetInventoryId
+          ? await Inventory.findByPk(targetInventoryId, { include: [{ model: FieldDefinition, as: 'fields' }] })
+          : null;
+        if (!target) {
+          return res.status(404).json({ message: 'Target inventory not found' });
+        }
+        if (target.id === inventory.id) {
+          return res.status(400).json({
+            message: operation === 'copy' ? 'Use duplicate to copy items within their inventory' : 'The items are already in this inventory'
+          });
+        }
+        if (!(await canWriteInventory(target, req.user))) {
+          return res.status(403).json({ message: 'Write access to the target inventory denied' });
+        }
+        const targetFields = target.fields || [];
+        const { mapping, errors: mappingErrors } = resolveFieldMapping(fields, targetFields, fieldMapping);
+        if (mappingErrors.length > 0) {
+          return res.status(400).json({ message: `Invalid field mapping: ${mappingErrors.join('; ')}` });
+        }
+        transfer = { sourceFields: fields, targetFields, mapping, keepCustomId: keepCustomIds !== false && keepCustomIds !== 'false' };
+      }
+
+      const results = await sequelize.transaction(async (transaction) => {
+        const items = await Item.findAll({
+          where: { id: itemIds, inventoryId: inventory.id },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        const byId = new Map(items.map((item) => [item.id, item]));
+        const report = [];
+        for (const id of itemIds) {
+          const item = byId.get(id);
+          if (!item) {
+            report.push({ id, ok: false, status: 404, message: 'Item not found in this inventory' });
+            continue;
+          }
+          const customId = item.customId;
+          try {
+            const outcome = await sequelize.transaction({ transaction }, (savepoint) => runBulkOperation(operation, item, {
+              inventory, fields, input, target, transfer, user: req.user, transaction: savepoint, stats: idStats
+            }));
+            report.push({ id, customId, ok: true, ...outcome });
+          } catch (error) {
+            if (!error.status) throw error;
+            report.push({
+              id,
+              customId,
+              ok: false,
+              status: error.status,
+              message: error.message,
+              ...(error.errors ? { errors: error.errors } : {}),
+              ...(error.references ? { references: error.references } : {})
+            });
+          }
+        }
+        return report;
+      }).finally(() => recordIdGeneration(target ? target.id : inventory.id, idStats));
+
+      const succeeded = results.filter((r) => r.ok);
+      if (succeeded.length > 0) {
+        const event = { inventoryId: inventory.id, operation, itemIds: succeeded.map((r) => r.id) };
+        if (target) event.targetInventoryId = target.id;
+        if (operation === 'duplicate' || operation === 'copy') event.createdIds = succeeded.map((r) => r.copy.id);
+        const io = req.app.get('io');
+        (target ? io.to(inventory.id).to(target.id) : io.to(inventory.id)).emit('itemsBulkChanged', event);
+      }
+
+      res.json({ operation, succeeded: succeeded.length, failed: results.length - succeeded.length, results });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error running bulk item operation:', error);
+      res.status(500).json({ message: 'Failed to apply the bulk operation' });
+    }
+  }
+);
+
 // Update item
 router.put('/:id',
   passport.authenticate('jwt', { session: false }),
   async (req, res) => {
     try {
       const item = await Item.findByPk(req.params.id, {
-        include: [{ model: Inventory }]
+        include: [{ model: Inventory, include: [{ model: FieldDefinition, as: 'fields' }] }]
       });
       
       if (!item) {
@@ -406,17 +635,40 @@ router.put('/:id',
         });
       }
       
-      const { customId, customFields, title, description } = req.body;
-      const { string1, string2, string3, int1, int2, int3, bool1, bool2, bool3 } = req.body;
+      const { customId, title, description, status, statusNote, restoredFrom } = req.body;
+      
+      // A restore is an ordinary update carrying an earlier revision's snapshot; `restoredFrom` names it
+      let restoredRevision = null;
+      if (restoredFrom) {
+        restoredRevision = await ItemRevision.findOne({ where: { id: restoredFrom, itemId: item.id }, attributes: ['id', 'version'] });
+        if (!restoredRevision) {
+          return res.status(400).json({ message: 'Revision not found for this item' });
+        }
+      }
+      
+      const fields = inventory.fields || [];
+      const input = collectFieldInput(fields, req.body);
+      const fieldErrors = validateFieldInput(fields, input);
+      if (fieldErrors.length === 0) fieldErrors.push(...await checkReferenceInput(fields, input, req.user));
+      if (fieldErrors.length > 0) {
+        return res.status(422).json({ message: 'Validation failed', errors: fieldErrors });
+      }
       
       // Validate custom ID format if changed
       if (customId && customId !== item.customId) {
+        if (!matchesCustomIdFormat(inventory.customIdFormat, customId)) {
+          const example = generateCustomId(inventory.customIdFormat, { sequences: { never: (inventory.sequenceCounter || 0) + 1 } });
+          return res.status(400).json({ message: `Custom ID does not match the inventory's ID format (for example ${example})` });
+        }
+        
+        // Items in the trash keep their custom IDs
         const existingItem = await Item.findOne({
           where: { 
             inventoryId: item.inventoryId, 
             customId,
             id: { [Op.ne]: item.id }
-          }
+          },
+          paranoid: false
         });
         
         if (existingItem) {
@@ -430,46 +682,154 @@ router.put('/:id',
         description: typeof description !== 'undefined' ? description : item.description,
         version: item.version + 1
       };
-      // If JSON customFields provided, map them to fixed slots using current inventory definition
-      if (customFields && typeof customFields === 'object') {
-        const slotVals = mapCustomFieldsToSlots(item.Inventory?.customFields || {}, customFields);
-        ['string1','string2','string3','int1','int2','int3','bool1','bool2','bool3'].forEach((k)=>{
-          if (typeof updateData[k] === 'undefined' && typeof slotVals[k] !== 'undefined') {
-            updateData[k] = slotVals[k];
-          }
+      await sequelize.transaction(async (transaction) => {
+        const before = await snapshotItem(item.id, fields, transaction);
+        // Status changes follow the inventory's workflow like POST /:id/status
+        if (status !== undefined && status !== item.status) {
+          await changeItemStatus(item, inventory, req.user, status, { note: statusNote, transaction });
+        }
+        await item.update(updateData, { transaction });
+        await saveFieldValues(item.id, fields, input, transaction);
+        await computeFormulaValues([item.id], fields, transaction);
+        await recordRevision(item.id, fields, {
+          before,
+          userId: req.user.id,
+          action: restoredRevision ? 'restore' : 'update',
+          restoredFromVersion: restoredRevision?.version ?? null,
+          transaction
         });
-      }
-      if (typeof string1 !== 'undefined') updateData.string1 = string1;
-      if (typeof string2 !== 'undefined') updateData.string2 = string2;
-      if (typeof string3 !== 'undefined') updateData.string3 = string3;
-      if (typeof int1 !== 'undefined') updateData.int1 = int1;
-      if (typeof int2 !== 'undefined') updateData.int2 = int2;
-      if (typeof int3 !== 'undefined') updateData.int3 = int3;
-      if (typeof bool1 !== 'undefined') updateData.bool1 = bool1;
-      if (typeof bool2 !== 'undefined') updateData.bool2 = bool2;
-      if (typeof bool3 !== 'undefined') updateData.bool3 = bool3;
-
-      await item.update(updateData);
+      });
       
       // Fetch updated item with associations
-      const updatedItem = await Item.findByPk(item.id, {
+      const updatedItem = serializeItem(await Item.findByPk(item.id, {
         include: [
           { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
-          { model: Inventory, attributes: ['id', 'title'] }
+          { model: Inventory, attributes: ['id', 'title'] },
+          fieldValuesInclude
         ]
-      });
+      }));
       
       // Emit real-time update
       req.app.get('io').to(item.inventoryId).emit('itemUpdated', updatedItem);
       
       res.json(updatedItem);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('Error updating item:', error);
       res.status(500).json({ message: 'Failed to update item' });
     }
   }
 );
 
+// Saved states of the item, newest first (`page`, `limit`), each with its field-level changes and
+// the snapshot a restore sends back through PUT /:id
+router.get('/:id/revisions', tryAuth, async (req, res) => {
+  try {
+    const item = await Item.findByPk(req.params.id, {
+      attributes: ['id', 'version'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+    });
+    if (!item || !(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { count, rows } = await ItemRevision.findAndCountAll({
+      where: { itemId: item.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'firstName', 'lastName'] }],
+      order: [['version', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({
+      revisions: rows,
+      version: item.version,
+      canRestore: await canWriteInventory(item.Inventory, req.user),
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching item revisions:', error);
+    res.status(500).json({ message: 'Failed to fetch item revisions' });
+  }
+});
+
+// The item's status, the inventory's workflow, the states the caller may move it to next and the
+// status history, newest first
+router.get('/:id/status', tryAuth, async (req, res) => {
+  try {
+    const item = await Item.findByPk(req.params.id, {
+      attributes: ['id', 'inventoryId', 'status'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId', 'statusWorkflow'] }]
+    });
+    if (!item || !(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    const history = await ItemStatusChange.findAll({
+      where: { itemId: item.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+    res.json({
+      status: item.status,
+      workflow: item.Inventory.statusWorkflow,
+      next: await nextStatuses(item, item.Inventory, req.user),
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching item status:', error);
+    res.status(500).json({ message: 'Failed to fetch item status' });
+  }
+});
+
+// Move the item to another state of its inventory's workflow: body { status, note? }
+router.post('/:id/status',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const item = await Item.findByPk(req.params.id, {
+        include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId', 'statusWorkflow'] }]
+      });
+      if (!item || !(await canReadInventory(item.Inventory, req.user))) {
+        return res.status(404).json({ message: 'Item not found' });
+      }
+      if (!(await canWriteInventory(item.Inventory, req.user))) {
+        return res.status(403).json({ message: 'Write access denied' });
+      }
+      if (typeof req.body.status !== 'string' || !req.body.status) {
+        return res.status(400).json({ message: 'status is required' });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const locked = await Item.findByPk(item.id, { lock: transaction.LOCK.UPDATE, transaction });
+        const changed = await changeItemStatus(locked, item.Inventory, req.user, req.body.status, { note: req.body.note, transaction });
+        if (changed) await locked.update({ version: locked.version + 1 }, { transaction });
+      });
+
+      const updatedItem = serializeItem(await Item.findByPk(item.id, {
+        include: [
+          { model: User, as: 'creator', attributes: ['id', 'username', 'firstName', 'lastName', 'avatar'] },
+          { model: Inventory, attributes: ['id', 'title'] },
+          fieldValuesInclude
+        ]
+      }));
+      req.app.get('io').to(item.inventoryId).emit('itemUpdated', updatedItem);
+
+      res.json(updatedItem);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error changing item status:', error);
+      res.status(500).json({ message: 'Failed to change the item status' });
+    }
+  }
+);
+
 // Delete item
 router.delete('/:id',
   passport.authenticate('jwt', { session: false }),
@@ -498,13 +858,14 @@ router.delete('/:id',
         return res.status(403).json({ message: 'Write access denied' });
       }
       
+      // Moves the item to the trash; its attachment files are removed when the trash is purged
       const inventoryId = item.inventoryId;
       await item.destroy();
       
       // Emit real-time update
       req.app.get('io').to(inventoryId).emit('itemDeleted', { id: req.params.id });
       
-      res.json({ message: 'Item deleted successfully' });
+      res.json({ message: 'Item moved to trash' });
     } catch (error) {
       console.error('Error deleting item:', error);
       res.status(500).json({ message: 'Failed to delete item' });
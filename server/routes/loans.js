@@ -0,0 +1,227 @@
+const express = require('express');
+const passport = require('passport');
+const { UniqueConstraintError } = require('sequelize');
+const { ItemLoan, Item, Inventory, User, sequelize } = require('../models');
+const { canReadInventory, canWriteInventory } = require('../utils/access');
+// Due dates are read in UTC, the same on the server and in the browser
+const { utcToday, isLoanOverdue } = require('../../shared/loans.mjs');
+
+const router = express.Router();
+
+const MAX_LOAN_HISTORY = 50;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Middleware to attempt JWT auth but proceed even if unauthenticated
+const tryAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (user) req.user = user;
+    return next();
+  })(req, res, next);
+};
+
+// Load the item named by :itemId with its inventory and check the caller may read (or, with
+// `write`, lend) it; sets req.item and req.canWrite
+const loadItem = (write) => async (req, res, next) => {
+  try {
+    const item = await Item.findByPk(req.params.itemId, {
+      attributes: ['id', 'customId', 'title', 'inventoryId'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+    });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    if (!(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.canWrite = await canWriteInventory(item.Inventory, req.user);
+    if (write && !req.canWrite) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+    req.item = item;
+    next();
+  } catch (error) {
+    console.error('Error checking loan access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const userAttributes = ['id', 'username', 'firstName', 'lastName', 'avatar'];
+const loanInclude = [
+  { model: User, as: 'borrower', attributes: userAttributes },
+  { model: User, as: 'lender', attributes: userAttributes },
+  { model: User, as: 'receiver', attributes: userAttributes }
+];
+
+const serializeLoan = (loan) => {
+  if (!loan) return null;
+  const json = loan.toJSON();
+  return { ...json, overdue: isLoanOverdue(json) };
+};
+
+const emitChange = (req, loan) => {
+  req.app.get('io').to(req.item.inventoryId).emit('itemLoanChanged', {
+    itemId: req.item.id,
+    inventoryId: req.item.inventoryId,
+    borrowerId: loan.borrowerId,
+    loan: loan.returnedAt ? null : serializeLoan(loan)
+  });
+};
+
+const findCurrentLoan = (itemId) => ItemLoan.findOne({
+  where: { itemId, returnedAt: null },
+  include: loanInclude
+});
+
+// The item's open loan (or null) and its past loans, newest first
+router.get('/item/:itemId', tryAuth, loadItem(false), async (req, res) => {
+  try {
+    const loans = await ItemLoan.findAll({
+      where: { itemId: req.item.id },
+      include: loanInclude,
+      order: [['checkedOutAt', 'DESC']],
+      limit: MAX_LOAN_HISTORY + 1
+    });
+    const current = loans.find((loan) => !loan.returnedAt) || null;
+    res.json({
+      current: serializeLoan(current),
+      history: loans.filter((loan) => loan !== current).slice(0, MAX_LOAN_HISTORY).map(serializeLoan),
+      canEdit: req.canWrite
+    });
+  } catch (error) {
+    console.error('Error fetching loans:', error);
+    res.status(500).json({ message: 'Failed to fetch loans' });
+  }
+});
+
+// Check the item out: body { borrowerId } for a user or { borrowerName } for anyone else, plus
+// optional { dueDate: 'YYYY-MM-DD', note }
+router.post('/item/:itemId/checkout',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const { borrowerId, dueDate } = req.body;
+      const borrowerName = typeof req.body.borrowerName === 'string' ? req.body.borrowerName.trim() : '';
+      if (!borrowerId === !borrowerName) {
+        return res.status(400).json({ message: 'Give either borrowerId or borrowerName' });
+      }
+      if (borrowerName.length > 255) {
+        return res.status(400).json({ message: 'borrowerName must be at most 255 characters' });
+      }
+      if (borrowerId) {
+        const borrower = await User.findByPk(borrowerId, { attributes: ['id', 'isBlocked'] });
+        if (!borrower || borrower.isBlocked) {
+          return res.status(400).json({ message: 'Borrower not found' });
+        }
+      }
+      if (dueDate !== undefined && dueDate !== null && dueDate !== '') {
+        const valid = typeof dueDate === 'string' && DATE_RE.test(dueDate)
+          && new Date(`${dueDate}T00:00:00Z`).toISOString().slice(0, 10) === dueDate;
+        if (!valid) {
+          return res.status(400).json({ message: 'dueDate must be a date (YYYY-MM-DD)' });
+        }
+        if (dueDate < utcToday()) {
+          return res.status(400).json({ message: 'dueDate cannot be in the past' });
+        }
+      }
+      const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+
+      await sequelize.transaction(async (transaction) => {
+        const open = await ItemLoan.findOne({ where: { itemId: req.item.id, returnedAt: null }, transaction });
+        if (open) {
+          const error = new Error('The item is already checked out');
+          error.status = 409;
+          throw error;
+        }
+        await ItemLoan.create({
+          itemId: req.item.id,
+          borrowerId: borrowerId || null,
+          borrowerName: borrowerId ? null : borrowerName,
+          dueDate: dueDate || null,
+          note,
+          checkedOutBy: req.user.id
+        }, { transaction });
+      });
+
+      const current = await findCurrentLoan(req.item.id);
+      emitChange(req, current);
+      res.status(201).json({ loan: serializeLoan(current) });
+    } catch (error) {
+      // Two check-outs at once: the partial unique index lets only one open loan through
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({ message: 'The item is already checked out' });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error checking item out:', error);
+      res.status(500).json({ message: 'Failed to check the item out' });
+    }
+  }
+);
+
+// Check the item back in: body { condition } with notes on the state it came back in
+router.post('/item/:itemId/checkin',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const condition = typeof req.body.condition === 'string' && req.body.condition.trim() ? req.body.condition.trim() : null;
+      const loan = await sequelize.transaction(async (transaction) => {
+        const open = await ItemLoan.findOne({
+          where: { itemId: req.item.id, returnedAt: null },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (!open) {
+          const error = new Error('The item is not checked out');
+          error.status = 409;
+          throw error;
+        }
+        return open.update({ returnedAt: new Date(), returnCondition: condition, checkedInBy: req.user.id }, { transaction });
+      });
+
+      await loan.reload({ include: loanInclude });
+      emitChange(req, loan);
+      res.json({ loan: serializeLoan(loan) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error checking item in:', error);
+      res.status(500).json({ message: 'Failed to check the item in' });
+    }
+  }
+);
+
+// Items a user has checked out now, soonest due first (the user themselves or an admin). Loans of
+// items in the trash are left out until the item is restored.
+router.get('/user/:userId',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      if (!req.user.isAdmin && req.user.id !== req.params.userId) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      const loans = await ItemLoan.findAll({
+        where: { borrowerId: req.params.userId, returnedAt: null },
+        include: [
+          {
+            model: Item,
+            attributes: ['id', 'customId', 'title', 'inventoryId'],
+            include: [{ model: Inventory, attributes: ['id', 'title'] }],
+            required: true
+          },
+          { model: User, as: 'lender', attributes: userAttributes }
+        ],
+        order: [['dueDate', 'ASC NULLS LAST'], ['checkedOutAt', 'ASC']]
+      });
+      res.json({ loans: loans.map(serializeLoan) });
+    } catch (error) {
+      console.error('Error fetching user loans:', error);
+      res.status(500).json({ message: 'Failed to fetch loans' });
+    }
+  }
+);
+
+module.exports = router;
@@ -63,7 +63,7 @@ router.get('/', async (req, res) => {
               sequelize.literal(`(
                 SELECT COUNT(*) 
                 FROM "Items" 
-                WHERE "Items"."inventoryId" = "Inventory"."id"
+                WHERE "Items"."inventoryId" = "Inventory"."id" AND "Items"."deletedAt" IS NULL
               )`),
               'itemCount'
             ]
@@ -113,7 +113,10 @@ router.get('/', async (req, res) => {
             [Op.or]: [
               { customId: { [Op.iLike]: searchTerm } },
               { title: { [Op.iLike]: searchTerm } },
-              { 'customFields': { [Op.contains]: q } }
+              sequelize.where(
+                sequelize.literal(`EXISTS (SELECT 1 FROM "FieldValues" fv WHERE fv."itemId" = "Item"."id" AND fv."textValue" ILIKE ${sequelize.escape(searchTerm)})`),
+                true
+              )
             ]
           };
 
@@ -155,8 +158,7 @@ router.get('/', async (req, res) => {
           id: row.Inventory.id,
           title: row.Inventory.title
         } : null,
-        inventoryTitle: row.Inventory?.title,
-        customFields: row.customFields
+        inventoryTitle: row.Inventory?.title
       }));
       
       results.items = processedResults;
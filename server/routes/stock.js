@@ -0,0 +1,137 @@
+const express = require('express');
+const passport = require('passport');
+const { Item, Inventory, User, StockMovement } = require('../models');
+const { canReadInventory, canWriteInventory } = require('../utils/access');
+const { MAX_QUANTITY, stockSummary, parseMovement, applyStockMovement } = require('../utils/stock');
+
+const router = express.Router();
+
+// Middleware to attempt JWT auth but proceed even if unauthenticated
+const tryAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (user) req.user = user;
+    return next();
+  })(req, res, next);
+};
+
+// Load the item named by :itemId with its inventory and check the caller may read (or, with
+// `write`, change) it; sets req.item and req.canWrite
+const loadItem = (write) => async (req, res, next) => {
+  try {
+    const item = await Item.findByPk(req.params.itemId, {
+      attributes: ['id', 'customId', 'title', 'inventoryId', 'quantity', 'lowStockThreshold'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId', 'trackQuantity'] }]
+    });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    if (!(await canReadInventory(item.Inventory, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.canWrite = await canWriteInventory(item.Inventory, req.user);
+    if (write && !req.canWrite) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+    req.item = item;
+    next();
+  } catch (error) {
+    console.error('Error checking stock access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const emitChange = (req, items) => {
+  items.forEach((item) => {
+    req.app.get('io').to(item.inventoryId).emit('itemStockChanged', stockSummary(item));
+  });
+};
+
+// Quantity on hand, low-stock threshold and the item's movements, newest first (`page`, `limit`)
+router.get('/item/:itemId', tryAuth, loadItem(false), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { count, rows } = await StockMovement.findAndCountAll({
+      where: { itemId: req.item.id },
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'username', 'firstName', 'lastName'] },
+        { model: Item, as: 'relatedItem', attributes: ['id', 'customId', 'title', 'inventoryId'] }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({
+      ...stockSummary(req.item),
+      trackQuantity: req.item.Inventory.trackQuantity,
+      movements: rows,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      canEdit: req.canWrite
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Failed to fetch stock movements' });
+  }
+});
+
+// Record a movement: body { type: receive|issue|adjust|transfer, quantity, reason, targetItemId }.
+// Transfers also need write access to the target item's inventory.
+router.post('/item/:itemId/movements',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      if (!req.item.Inventory.trackQuantity) {
+        return res.status(400).json({ message: 'Quantity tracking is turned off for this inventory' });
+      }
+      const movement = parseMovement(req.body, req.item.id);
+      if (movement.targetItemId) {
+        const target = await Item.findByPk(movement.targetItemId, {
+          attributes: ['id'],
+          include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+        });
+        if (!target || !(await canReadInventory(target.Inventory, req.user))) {
+          return res.status(404).json({ message: 'Target item not found' });
+        }
+        if (!(await canWriteInventory(target.Inventory, req.user))) {
+          return res.status(403).json({ message: 'Write access to the target item is denied' });
+        }
+      }
+
+      const { items, movements } = await applyStockMovement(req.item.id, movement, req.user.id);
+      emitChange(req, items);
+      res.status(201).json({ ...stockSummary(items[0]), movements });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error recording stock movement:', error);
+      res.status(500).json({ message: 'Failed to record the stock movement' });
+    }
+  }
+);
+
+// Set or clear (null) the low-stock threshold: body { lowStockThreshold }
+router.put('/item/:itemId/threshold',
+  passport.authenticate('jwt', { session: false }),
+  loadItem(true),
+  async (req, res) => {
+    try {
+      const raw = req.body.lowStockThreshold;
+      const threshold = raw === null || raw === '' ? null : Number(raw);
+      if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_QUANTITY)) {
+        return res.status(400).json({ message: 'lowStockThreshold must be a whole number of 0 or more, or null' });
+      }
+      await req.item.update({ lowStockThreshold: threshold });
+      emitChange(req, [req.item]);
+      res.json(stockSummary(req.item));
+    } catch (error) {
+      console.error('Error updating low-stock threshold:', error);
+      res.status(500).json({ message: 'Failed to update the low-stock threshold' });
+    }
+  }
+);
+
+module.exports = router;
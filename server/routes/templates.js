@@ -0,0 +1,423 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const passport = require('passport');
+const {
+  InventoryTemplate,
+  TemplateAccess,
+  Inventory,
+  User,
+  Category,
+  Tag,
+  FieldDefinition,
+  sequelize,
+  TEMPLATE_VISIBILITIES
+} = require('../models');
+const { normalizeFieldDefinitions, checkReferenceTargets, checkFormulaDefinitions } = require('../utils/customFields');
+const { applyTemplate } = require('../utils/templateVersions');
+const { canReadInventory } = require('../utils/access');
+const { parseStatusWorkflow } = require('../utils/statusWorkflow');
+
+const router = express.Router();
+
+// Middleware to attempt JWT auth but proceed if missing/invalid
+const tryAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (user) req.user = user;
+    return next();
+  })(req, res, next);
+};
+
+const userAttributes = ['id', 'username', 'firstName', 'lastName', 'avatar'];
+
+const templateInclude = [
+  { model: User, as: 'creator', attributes: userAttributes },
+  { model: Category, attributes: ['id', 'name'] },
+  { model: User, as: 'sharedWith', attributes: userAttributes, through: { attributes: [] } }
+];
+
+// private: creator only; shared: creator and listed users; public: everyone. Admins see all.
+const canViewTemplate = (template, user) => {
+  if (template.visibility === 'public') return true;
+  if (!user) return false;
+  if (user.isAdmin || template.creatorId === user.id) return true;
+  return template.visibility === 'shared' && (template.sharedWith || []).some((u) => u.id === user.id);
+};
+
+const canManageTemplate = (template, user) => !!user && (user.isAdmin || template.creatorId === user.id);
+
+const loadTemplate = async (req, res, next) => {
+  try {
+    const template = await InventoryTemplate.findByPk(req.params.id, { include: templateInclude });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    if (!canViewTemplate(template, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('Error loading template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const parseJson = (raw, fallback) => {
+  if (typeof raw !== 'string') return raw ?? fallback;
+  try { return JSON.parse(raw); } catch { return fallback; }
+};
+
+// Field definitions as stored on a template: normalized, in order, without row ids
+const templateFields = (raw) => normalizeFieldDefinitions(raw).map((f) => ({
+  name: f.name,
+  type: f.type,
+  required: f.required,
+  helpText: f.helpText,
+  showInTable: f.showInTable,
+  validation: f.validation,
+  options: f.options,
+  currency: f.currency,
+  targetInventoryId: f.targetInventoryId,
+  formula: f.formula
+}));
+
+const tagNames = (raw) => {
+  const list = parseJson(raw, []);
+  return Array.isArray(list)
+    ? [...new Set(list.filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim().toLowerCase()))]
+    : [];
+};
+
+// Structure of an existing inventory, ready to save as a template or copy into a new inventory
+const inventoryStructure = async (inventoryId) => {
+  const inventory = await Inventory.findByPk(inventoryId, {
+    include: [
+      { model: FieldDefinition, as: 'fields' },
+      { model: Tag, attributes: ['name'], through: { attributes: [] } }
+    ],
+    order: [[{ model: FieldDefinition, as: 'fields' }, 'order', 'ASC']]
+  });
+  if (!inventory) return null;
+  return {
+    inventory,
+    customIdFormat: Array.isArray(inventory.customIdFormat) ? inventory.customIdFormat : [],
+    fields: templateFields(inventory.fields.map((f) => f.toJSON())),
+    categoryId: inventory.categoryId || null,
+    tags: inventory.Tags.map((t) => t.name),
+    trackQuantity: inventory.trackQuantity,
+    statusWorkflow: inventory.statusWorkflow || null
+  };
+};
+
+// Create an inventory owned by `user` with the given structure and no items. Having no items, it
+// needs no applyWorkflowToItems: its first item starts in the workflow's initial state.
+const createInventoryFromStructure = async (structure, { title, description, isPublic }, user) => {
+  const fieldDefs = normalizeFieldDefinitions(structure.fields);
+  const targetError = checkFormulaDefinitions(fieldDefs) || await checkReferenceTargets(fieldDefs, user);
+  if (targetError) {
+    const error = new Error(targetError);
+    error.status = 400;
+    throw error;
+  }
+
+  const inventory = await sequelize.transaction(async (transaction) => {
+    const created = await Inventory.create({
+      title,
+      description: description || null,
+      categoryId: structure.categoryId || null,
+      isPublic: isPublic === true || isPublic === 'true',
+      customIdFormat: structure.customIdFormat || [],
+      trackQuantity: !!structure.trackQuantity,
+      statusWorkflow: structure.statusWorkflow || null,
+      creatorId: user.id
+    }, { transaction });
+    await applyTemplate(created.id, [], fieldDefs, user.id, transaction);
+    return created;
+  });
+
+  if (structure.tags && structure.tags.length > 0) {
+    const tagInstances = await Promise.all(
+      structure.tags.map(async (tagName) => {
+        const [tag] = await Tag.findOrCreate({ where: { name: tagName.toLowerCase() } });
+        return tag;
+      })
+    );
+    await inventory.setTags(tagInstances);
+  }
+
+  return Inventory.findByPk(inventory.id, {
+    include: [
+      { model: User, as: 'creator', attributes: userAttributes },
+      { model: Category, attributes: ['id', 'name'] },
+      { model: Tag, attributes: ['id', 'name'], through: { attributes: [] } },
+      { model: FieldDefinition, as: 'fields' }
+    ],
+    order: [[{ model: FieldDefinition, as: 'fields' }, 'order', 'ASC']]
+  });
+};
+
+// Replace the share list; ignores ids that are not users
+const setSharedWith = async (template, raw, transaction) => {
+  const ids = parseJson(raw, []);
+  const users = Array.isArray(ids) && ids.length > 0
+    ? await User.findAll({ where: { id: ids.filter((id) => typeof id === 'string') }, attributes: ['id'], transaction })
+    : [];
+  await template.setSharedWith(users, { transaction });
+};
+
+// List templates visible to the caller.
+// `scope`: mine | shared (shared with me) | public; omitted means everything visible.
+router.get('/', tryAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, scope } = req.query;
+    const userId = req.user?.id;
+    const conditions = [];
+
+    if (search) {
+      conditions.push({
+        [Op.or]: [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { description: { [Op.iLike]: `%${search}%` } }
+        ]
+      });
+    }
+
+    const sharedWithMe = userId
+      ? sequelize.where(
+        sequelize.literal(`EXISTS (SELECT 1 FROM "${TemplateAccess.getTableName()}" ta WHERE ta."templateId" = "InventoryTemplate"."id" AND ta."userId" = ${sequelize.escape(userId)})`),
+        true
+      )
+      : null;
+
+    if (scope === 'mine') {
+      if (!userId) return res.status(401).json({ message: 'Authentication required' });
+      conditions.push({ creatorId: userId });
+    } else if (scope === 'shared') {
+      if (!userId) return res.status(401).json({ message: 'Authentication required' });
+      conditions.push({ visibility: 'shared' }, sharedWithMe);
+    } else if (scope === 'public') {
+      conditions.push({ visibility: 'public' });
+    } else if (!req.user?.isAdmin) {
+      conditions.push({
+        [Op.or]: userId
+          ? [{ visibility: 'public' }, { creatorId: userId }, { [Op.and]: [{ visibility: 'shared' }, sharedWithMe] }]
+          : [{ visibility: 'public' }]
+      });
+    }
+
+    const { count, rows } = await InventoryTemplate.findAndCountAll({
+      where: { [Op.and]: conditions },
+      include: templateInclude,
+      order: [['updatedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      distinct: true
+    });
+
+    res.json({
+      templates: rows,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ message: 'Failed to fetch templates' });
+  }
+});
+
+router.get('/:id', tryAuth, loadTemplate, async (req, res) => {
+  res.json(req.template);
+});
+
+// Save a template. Either send the structure (`customIdFormat`, `customFields`, `categoryId`, `tags`,
+// `trackQuantity`, `statusWorkflow`) or `inventoryId` to capture an existing inventory's structure.
+router.post('/', passport.authenticate('jwt', { session: false }), async (req, res) => {
+  try {
+    const { name, description, visibility = 'private', inventoryId, sharedWith } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Template name is required' });
+    }
+    if (!TEMPLATE_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: `Visibility must be one of: ${TEMPLATE_VISIBILITIES.join(', ')}` });
+    }
+
+    let structure;
+    if (inventoryId) {
+      structure = await inventoryStructure(inventoryId);
+      if (!structure) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!(await canReadInventory(structure.inventory, req.user))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    } else {
+      const customIdFormat = parseJson(req.body.customIdFormat, []);
+      const workflow = req.body.statusWorkflow !== undefined ? parseStatusWorkflow(req.body.statusWorkflow) : { workflow: null };
+      if (workflow.error) {
+        return res.status(400).json({ message: workflow.error });
+      }
+      structure = {
+        customIdFormat: Array.isArray(customIdFormat) ? customIdFormat : [],
+        fields: templateFields(req.body.customFields),
+        categoryId: req.body.categoryId || null,
+        tags: tagNames(req.body.tags),
+        trackQuantity: req.body.trackQuantity === true || req.body.trackQuantity === 'true',
+        statusWorkflow: workflow.workflow
+      };
+      const formulaError = checkFormulaDefinitions(structure.fields);
+      if (formulaError) {
+        return res.status(400).json({ message: formulaError });
+      }
+    }
+
+    const template = await sequelize.transaction(async (transaction) => {
+      const created = await InventoryTemplate.create({
+        name: String(name).trim(),
+        description: description || null,
+        visibility,
+        customIdFormat: structure.customIdFormat,
+        fields: structure.fields,
+        categoryId: structure.categoryId,
+        tags: structure.tags,
+        trackQuantity: structure.trackQuantity,
+        statusWorkflow: structure.statusWorkflow,
+        creatorId: req.user.id,
+        sourceInventoryId: inventoryId || null
+      }, { transaction });
+      if (visibility === 'shared') await setSharedWith(created, sharedWith, transaction);
+      return created;
+    });
+
+    const saved = await InventoryTemplate.findByPk(template.id, { include: templateInclude });
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ message: 'Failed to create template' });
+  }
+});
+
+// Update name, description, visibility, share list or structure (creator/admin)
+router.put('/:id', passport.authenticate('jwt', { session: false }), loadTemplate, async (req, res) => {
+  try {
+    const template = req.template;
+    if (!canManageTemplate(template, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { name, description, visibility, sharedWith, customIdFormat, customFields, categoryId, tags, trackQuantity, statusWorkflow } = req.body;
+    if (visibility !== undefined && !TEMPLATE_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: `Visibility must be one of: ${TEMPLATE_VISIBILITIES.join(', ')}` });
+    }
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ message: 'Template name is required' });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = String(name).trim();
+    if (description !== undefined) updateData.description = description || null;
+    if (visibility !== undefined) updateData.visibility = visibility;
+    if (customIdFormat !== undefined) {
+      const format = parseJson(customIdFormat, []);
+      updateData.customIdFormat = Array.isArray(format) ? format : [];
+    }
+    if (customFields !== undefined) {
+      updateData.fields = templateFields(customFields);
+      const formulaError = checkFormulaDefinitions(updateData.fields);
+      if (formulaError) {
+        return res.status(400).json({ message: formulaError });
+      }
+    }
+    if (categoryId !== undefined) updateData.categoryId = categoryId || null;
+    if (tags !== undefined) updateData.tags = tagNames(tags);
+    if (trackQuantity !== undefined) updateData.trackQuantity = trackQuantity === true || trackQuantity === 'true';
+    if (statusWorkflow !== undefined) {
+      const workflow = parseStatusWorkflow(statusWorkflow);
+      if (workflow.error) {
+        return res.status(400).json({ message: workflow.error });
+      }
+      updateData.statusWorkflow = workflow.workflow;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await template.update(updateData, { transaction });
+      if (template.visibility !== 'shared') {
+        await template.setSharedWith([], { transaction });
+      } else if (sharedWith !== undefined) {
+        await setSharedWith(template, sharedWith, transaction);
+      }
+    });
+
+    const saved = await InventoryTemplate.findByPk(template.id, { include: templateInclude });
+    res.json(saved);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ message: 'Failed to update template' });
+  }
+});
+
+router.delete('/:id', passport.authenticate('jwt', { session: false }), loadTemplate, async (req, res) => {
+  try {
+    if (!canManageTemplate(req.template, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    await req.template.destroy();
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ message: 'Failed to delete template' });
+  }
+});
+
+// Create a new inventory from a template; body: { title?, description?, isPublic? }
+router.post('/:id/inventories', passport.authenticate('jwt', { session: false }), loadTemplate, async (req, res) => {
+  try {
+    const { title, description, isPublic } = req.body;
+    const inventory = await createInventoryFromStructure(req.template, {
+      title: (title && String(title).trim()) || req.template.name,
+      description: description !== undefined ? description : req.template.description,
+      isPublic
+    }, req.user);
+
+    try { req.app.get('io').emit('inventoryCreated', inventory); } catch {}
+    res.status(201).json(inventory);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating inventory from template:', error);
+    res.status(500).json({ message: 'Failed to create inventory from template' });
+  }
+});
+
+// Copy an inventory's structure (custom ID format, fields, category, tags, stock tracking, status workflow)
+// into a new inventory without its items
+router.post('/clone/:inventoryId', passport.authenticate('jwt', { session: false }), async (req, res) => {
+  try {
+    const structure = await inventoryStructure(req.params.inventoryId);
+    if (!structure) {
+      return res.status(404).json({ message: 'Inventory not found' });
+    }
+    if (!(await canReadInventory(structure.inventory, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { title, description, isPublic } = req.body;
+    const inventory = await createInventoryFromStructure(structure, {
+      title: (title && String(title).trim()) || `${structure.inventory.title} (copy)`,
+      description: description !== undefined ? description : structure.inventory.description,
+      isPublic
+    }, req.user);
+
+    try { req.app.get('io').emit('inventoryCreated', inventory); } catch {}
+    res.status(201).json(inventory);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error cloning inventory:', error);
+    res.status(500).json({ message: 'Failed to clone inventory' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const passport = require('passport');
+const { Op } = require('sequelize');
+const { Inventory, Item, Comment, User, FieldValue, sequelize } = require('../models');
+const { FIELD_VALUE_ATTRIBUTES, serializeItem } = require('../utils/customFields');
+const { TRASH_RETENTION_DAYS, purgeAfter, restoreInventory } = require('../utils/trash');
+
+const router = express.Router();
+
+// Newest deletions listed per kind; older ones are still restored with their inventory or purged
+const TRASH_LIST_LIMIT = 100;
+
+const userAttributes = ['id', 'username', 'firstName', 'lastName', 'avatar'];
+const trashed = { deletedAt: { [Op.ne]: null } };
+
+// Owners and admins manage an inventory's trash
+const canManage = (inventory, user) => user.isAdmin || inventory.creatorId === user.id;
+
+const withPurgeDate = (row) => ({ ...row.toJSON(), purgeAfter: purgeAfter(row.deletedAt) });
+
+// Items and comments deleted on their own from the live inventories matching `inventoryWhere`;
+// those deleted together with an inventory are listed (and restored) with it
+const findTrashedContent = async (inventoryWhere) => {
+  const inventoryInclude = { model: Inventory, attributes: ['id', 'title'], where: inventoryWhere, required: true };
+  const [items, comments] = await Promise.all([
+    Item.findAll({
+      where: trashed,
+      attributes: ['id', 'customId', 'title', 'inventoryId', 'deletedAt'],
+      include: [inventoryInclude],
+      order: [['deletedAt', 'DESC']],
+      limit: TRASH_LIST_LIMIT,
+      paranoid: false
+    }),
+    Comment.findAll({
+      where: trashed,
+      attributes: ['id', 'content', 'inventoryId', 'createdAt', 'deletedAt'],
+      include: [inventoryInclude, { model: User, as: 'author', attributes: userAttributes }],
+      order: [['deletedAt', 'DESC']],
+      limit: TRASH_LIST_LIMIT,
+      paranoid: false
+    })
+  ]);
+  return { items: items.map(withPurgeDate), comments: comments.map(withPurgeDate) };
+};
+
+// Everything in the trash for admins; other users see the inventories they deleted
+router.get('/',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventories = await Inventory.findAll({
+        where: req.user.isAdmin ? trashed : { ...trashed, creatorId: req.user.id },
+        attributes: {
+          include: [
+            [
+              sequelize.literal(`(SELECT COUNT(*) FROM "Items" i WHERE i."inventoryId" = "Inventory"."id" AND i."deletedAt" = "Inventory"."deletedAt")`),
+              'itemCount'
+            ]
+          ]
+        },
+        include: [{ model: User, as: 'creator', attributes: userAttributes }],
+        order: [['deletedAt', 'DESC']],
+        limit: TRASH_LIST_LIMIT,
+        paranoid: false
+      });
+      const content = req.user.isAdmin ? await findTrashedContent({}) : { items: [], comments: [] };
+
+      res.json({
+        retentionDays: TRASH_RETENTION_DAYS,
+        inventories: inventories.map(withPurgeDate),
+        ...content
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(500).json({ message: 'Failed to fetch trash' });
+    }
+  }
+);
+
+// Items and comments deleted from one inventory
+router.get('/inventory/:inventoryId',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findByPk(req.params.inventoryId, { attributes: ['id', 'creatorId'] });
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found' });
+      }
+      if (!canManage(inventory, req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      res.json({
+        retentionDays: TRASH_RETENTION_DAYS,
+        ...await findTrashedContent({ id: inventory.id })
+      });
+    } catch (error) {
+      console.error('Error fetching inventory trash:', error);
+      res.status(500).json({ message: 'Failed to fetch trash' });
+    }
+  }
+);
+
+// Restore a deleted inventory with the items and comments deleted along with it
+router.post('/inventories/:id/restore',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const inventory = await Inventory.findOne({ where: { id: req.params.id, ...trashed }, paranoid: false });
+      if (!inventory) {
+        return res.status(404).json({ message: 'Inventory not found in the trash' });
+      }
+      if (!canManage(inventory, req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      await restoreInventory(inventory);
+
+      const restored = await Inventory.findByPk(inventory.id, {
+        include: [{ model: User, as: 'creator', attributes: userAttributes }]
+      });
+      try { req.app.get('io').emit('inventoryCreated', restored); } catch {}
+      res.json(restored);
+    } catch (error) {
+      console.error('Error restoring inventory:', error);
+      res.status(500).json({ message: 'Failed to restore inventory' });
+    }
+  }
+);
+
+// Restore a deleted item into its inventory, which must not be in the trash itself
+router.post('/items/:id/restore',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const item = await Item.findOne({ where: { id: req.params.id, ...trashed }, paranoid: false });
+      if (!item) {
+        return res.status(404).json({ message: 'Item not found in the trash' });
+      }
+      const inventory = await Inventory.findByPk(item.inventoryId, { attributes: ['id', 'creatorId', 'deletedAt'], paranoid: false });
+      if (!canManage(inventory, req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (inventory.deletedAt) {
+        return res.status(409).json({ message: 'The item\'s inventory is in the trash; restore the inventory instead' });
+      }
+
+      await item.restore();
+
+      const restored = serializeItem(await Item.findByPk(item.id, {
+        include: [
+          { model: User, as: 'creator', attributes: userAttributes },
+          { model: Inventory, attributes: ['id', 'title'] },
+          {
+            model: FieldValue,
+            as: 'fieldValues',
+            attributes: FIELD_VALUE_ATTRIBUTES,
+            required: false,
+            include: [{ model: Item, as: 'referencedItem', attributes: ['id', 'customId', 'title', 'inventoryId'], required: false }]
+          }
+        ]
+      }));
+      req.app.get('io').to(item.inventoryId).emit('itemCreated', restored);
+      res.json(restored);
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      res.status(500).json({ message: 'Failed to restore item' });
+    }
+  }
+);
+
+// Restore a deleted comment to its inventory's discussion
+router.post('/comments/:id/restore',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const comment = await Comment.findOne({ where: { id: req.params.id, ...trashed }, paranoid: false });
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found in the trash' });
+      }
+      const inventory = await Inventory.findByPk(comment.inventoryId, { attributes: ['id', 'creatorId', 'deletedAt'], paranoid: false });
+      if (!canManage(inventory, req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (inventory.deletedAt) {
+        return res.status(409).json({ message: 'The comment\'s inventory is in the trash; restore the inventory instead' });
+      }
+
+      await comment.restore();
+
+      const restored = await Comment.findByPk(comment.id, {
+        include: [{ model: User, as: 'author', attributes: userAttributes }]
+      });
+      req.app.get('io').to(comment.inventoryId).emit('commentAdded', restored);
+      res.json(restored);
+    } catch (error) {
+      console.error('Error restoring comment:', error);
+      res.status(500).json({ message: 'Failed to restore comment' });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,11 +7,14 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
+const cron = require('node-cron');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
 
 const { sequelize } = require('./models');
+const { purgeTrash } = require('./utils/trash');
+const { refreshClockFormulas } = require('./utils/customFields');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const inventoryRoutes = require('./routes/inventories');
@@ -20,6 +23,12 @@ const commentRoutes = require('./routes/comments');
 const searchRoutes = require('./routes/search');
 const categoryRoutes = require('./routes/categories');
 const tagRoutes = require('./routes/tags');
+const templateRoutes = require('./routes/templates');
+const attachmentRoutes = require('./routes/attachments');
+const auditRoutes = require('./routes/audits');
+const stockRoutes = require('./routes/stock');
+const loanRoutes = require('./routes/loans');
+const trashRoutes = require('./routes/trash');
 
 const app = express();
 const server = createServer(app);
@@ -112,6 +121,12 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/audits', auditRoutes);
+app.use('/api/stock', stockRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -133,6 +148,9 @@ app.use('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 5000;
+const TRASH_PURGE_SCHEDULE = process.env.TRASH_PURGE_CRON || '0 3 * * *';
+// Just after midnight UTC, the day boundary TODAY and DAYS_SINCE use
+const FORMULA_REFRESH_SCHEDULE = process.env.FORMULA_REFRESH_CRON || '5 0 * * *';
 
 // Initialize database and start server
 async function startServer() {
@@ -149,6 +167,34 @@ async function startServer() {
     server.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
+
+    // Permanently delete what has been in the trash longer than TRASH_RETENTION_DAYS
+    if (cron.validate(TRASH_PURGE_SCHEDULE)) {
+      cron.schedule(TRASH_PURGE_SCHEDULE, async () => {
+        try {
+          const purged = await purgeTrash();
+          console.log('Trash purged:', purged);
+        } catch (error) {
+          console.error('Error purging trash:', error);
+        }
+      });
+    } else {
+      console.error(`Invalid TRASH_PURGE_CRON schedule "${TRASH_PURGE_SCHEDULE}"; the trash will not be purged`);
+    }
+
+    // Stored results of formulas using TODAY, NOW or DAYS_SINCE go stale as days pass
+    if (cron.validate(FORMULA_REFRESH_SCHEDULE)) {
+      cron.schedule(FORMULA_REFRESH_SCHEDULE, async () => {
+        try {
+          const refreshed = await refreshClockFormulas();
+          console.log('Date formulas refreshed:', refreshed);
+        } catch (error) {
+          console.error('Error refreshing date formulas:', error);
+        }
+      }, { timezone: 'UTC' });
+    } else {
+      console.error(`Invalid FORMULA_REFRESH_CRON schedule "${FORMULA_REFRESH_SCHEDULE}"; date formulas will not be refreshed`);
+    }
   } catch (error) {
     console.error('Unable to start server:', error);
   }
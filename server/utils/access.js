@@ -0,0 +1,45 @@
+const { Op } = require('sequelize');
+const { InventoryAccess, sequelize } = require('../models');
+
+// Same rules the inventory and item routes apply inline:
+// read  - public, admin, creator, or listed in InventoryAccess
+// write - public, admin, creator, or listed with canWrite
+const canReadInventory = async (inventory, user) => {
+  if (!inventory) return false;
+  if (inventory.isPublic) return true;
+  if (!user) return false;
+  if (user.isAdmin || inventory.creatorId === user.id) return true;
+  const access = await InventoryAccess.findOne({ where: { inventoryId: inventory.id, userId: user.id } });
+  return !!access;
+};
+
+const canWriteInventory = async (inventory, user) => {
+  if (!inventory || !user) return false;
+  if (user.isAdmin || inventory.creatorId === user.id || inventory.isPublic) return true;
+  const access = await InventoryAccess.findOne({ where: { inventoryId: inventory.id, userId: user.id } });
+  return !!(access && access.canWrite);
+};
+
+// Sequelize `where` for the inventories `user` may read, by the same rules as canReadInventory.
+// `alias` is the name the Inventories table has in the query (e.g. 'Inventory' when included
+// from Item). Admins get no condition.
+const readableInventoryWhere = (user, alias = 'Inventory') => {
+  if (user?.isAdmin) return {};
+  if (!user) return { isPublic: true };
+  return {
+    [Op.or]: [
+      { isPublic: true },
+      { creatorId: user.id },
+      sequelize.where(
+        sequelize.literal(`EXISTS (SELECT 1 FROM "${InventoryAccess.getTableName()}" ia WHERE ia."inventoryId" = "${alias}"."id" AND ia."userId" = ${sequelize.escape(user.id)})`),
+        true
+      )
+    ]
+  };
+};
+
+module.exports = {
+  canReadInventory,
+  canWriteInventory,
+  readableInventoryWhere
+};
@@ -0,0 +1,27 @@
+const { v2: cloudinary } = require('cloudinary');
+
+// Cloudinary serves images and PDFs as 'image' (so they get previews), audio and video as 'video',
+// and keeps everything else as 'raw' files, which need their extension in the public id
+const resourceTypeFor = (mimeType) => {
+  if (/^image\//.test(mimeType) || mimeType === 'application/pdf') return 'image';
+  if (/^(video|audio)\//.test(mimeType)) return 'video';
+  return 'raw';
+};
+
+// Remove the stored files of attachments ({ publicId, resourceType }); failures are logged
+// and do not undo the database change that triggered them
+const destroyAttachmentFiles = async (attachments) => {
+  for (const a of attachments) {
+    if (!a.publicId) continue;
+    try {
+      await cloudinary.uploader.destroy(a.publicId, { resource_type: a.resourceType || 'image', invalidate: true });
+    } catch (error) {
+      console.error('Error deleting attachment file:', error);
+    }
+  }
+};
+
+module.exports = {
+  resourceTypeFor,
+  destroyAttachmentFiles
+};
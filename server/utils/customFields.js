@@ -0,0 +1,538 @@
+const { FieldDefinition, FieldValue, Item, Inventory, FIELD_TYPES, sequelize } = require('../models');
+const { canReadInventory } = require('./access');
+const { parseFormula, evaluateFormula } = require('./formula');
+const { MAX_PATTERN_INPUT_LENGTH, patternProblem, compileFieldPattern } = require('../../shared/fieldPattern.mjs');
+
+// Which FieldValue column stores the answer for each field type
+const VALUE_COLUMNS = {
+  singleLineText: 'textValue',
+  multiLineText: 'textValue',
+  documentImage: 'textValue',
+  numeric: 'numberValue',
+  boolean: 'booleanValue',
+  select: 'textValue',
+  date: 'dateValue',
+  datetime: 'dateTimeValue',
+  currency: 'decimalValue',
+  reference: 'referenceValue',
+  // Formula results are numbers, text or booleans; numbers are the column used for sorting
+  formula: 'numberValue'
+};
+
+// FieldValue attributes to load with items so serializeItem can read every typed column
+const FIELD_VALUE_ATTRIBUTES = ['fieldId', ...new Set(Object.values(VALUE_COLUMNS))];
+
+const TEXT_TYPES = ['singleLineText', 'multiLineText'];
+const NUMBER_TYPES = ['numeric', 'currency'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const DECIMAL_RE = /^-?\d{1,15}(\.\d{1,4})?$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 'YYYY-MM-DD' that names a real calendar day
+const isValidDate = (raw) => {
+  if (typeof raw !== 'string' || !DATE_RE.test(raw.trim())) return false;
+  const d = new Date(`${raw.trim()}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === raw.trim();
+};
+
+// ISO-like date and time; values without an offset are read in the server's time zone
+const parseDateTime = (raw) => {
+  if (raw instanceof Date) return Number.isNaN(raw.getTime()) ? null : raw;
+  if (typeof raw !== 'string' || !DATETIME_RE.test(raw.trim())) return null;
+  const d = new Date(raw.trim());
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const isValidDecimal = (raw) => (typeof raw === 'number' || typeof raw === 'string') && DECIMAL_RE.test(String(raw).trim());
+
+const normalizeCurrency = (raw) => (typeof raw === 'string' && /^[A-Za-z]{3}$/.test(raw.trim()) ? raw.trim().toUpperCase() : 'USD');
+
+const toFiniteNumber = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Owner-written formats are refused when they could backtrack catastrophically (shared/fieldPattern.mjs)
+const isValidPattern = (pattern) => patternProblem(pattern) === null;
+
+// Keep only the rules that apply to the field type; malformed rules are dropped
+const normalizeValidation = (type, raw) => {
+  const rules = {};
+  if (!raw || typeof raw !== 'object') return rules;
+
+  if (NUMBER_TYPES.includes(type)) {
+    const min = toFiniteNumber(raw.min);
+    const max = toFiniteNumber(raw.max);
+    if (min !== null) rules.min = min;
+    if (max !== null) rules.max = max;
+  } else if (TEXT_TYPES.includes(type)) {
+    const maxLength = toFiniteNumber(raw.maxLength);
+    if (maxLength !== null && maxLength > 0) rules.maxLength = Math.floor(maxLength);
+    if (typeof raw.pattern === 'string' && raw.pattern && isValidPattern(raw.pattern)) {
+      rules.pattern = raw.pattern;
+      if (typeof raw.patternMessage === 'string' && raw.patternMessage.trim()) {
+        rules.patternMessage = raw.patternMessage.trim();
+      }
+    }
+  }
+  return rules;
+};
+
+// Trimmed, non-empty, unique option labels in the order given
+const normalizeOptions = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  return raw
+    .map((o) => (typeof o === 'string' || typeof o === 'number' ? String(o).trim() : ''))
+    .filter((o) => o && !seen.has(o) && seen.add(o));
+};
+
+// Accepts the builder payload in either shape and returns an ordered list of definitions:
+// - array: [{ id?, name, type, required?, helpText?, showInTable?, validation?, options?, currency?, targetInventoryId?, formula? }, ...] (array order wins)
+// - legacy grouped object: { singleLineText: ['Name', ...], numeric: [...], ... }
+// Entries without a name or with an unknown type are dropped.
+const normalizeFieldDefinitions = (input) => {
+  let raw = input;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch { return []; }
+  }
+  if (!raw || typeof raw !== 'object') return [];
+
+  let list = [];
+  if (Array.isArray(raw)) {
+    list = raw;
+  } else {
+    FIELD_TYPES.forEach((type) => {
+      (Array.isArray(raw[type]) ? raw[type] : []).forEach((entry) => {
+        list.push(typeof entry === 'string' ? { name: entry, type } : { ...entry, type });
+      });
+    });
+  }
+
+  return list
+    .filter((f) => f && typeof f.name === 'string' && f.name.trim() && FIELD_TYPES.includes(f.type))
+    .map((f, idx) => ({
+      id: f.id || undefined,
+      name: f.name.trim(),
+      type: f.type,
+      order: idx,
+      required: f.required === true || f.required === 'true',
+      helpText: f.helpText || null,
+      showInTable: typeof f.showInTable === 'undefined' ? true : (f.showInTable === true || f.showInTable === 'true'),
+      validation: normalizeValidation(f.type, f.validation),
+      options: f.type === 'select' ? normalizeOptions(f.options) : [],
+      currency: f.type === 'currency' ? normalizeCurrency(f.currency) : null,
+      targetInventoryId: f.type === 'reference' && typeof f.targetInventoryId === 'string' && UUID_RE.test(f.targetInventoryId)
+        ? f.targetInventoryId
+        : null,
+      formula: f.type === 'formula' && typeof f.formula === 'string' ? f.formula.trim() : null
+    }));
+};
+
+// Pair each normalized definition with the existing row it updates: matched by id,
+// or by name when the builder sent none. Returns { pairs: [{ def, match }], removed }
+// where `match` is null for new fields and `removed` lists the rows no definition claimed.
+const matchFieldDefinitions = (existing, defs) => {
+  const byId = new Map(existing.map((f) => [f.id, f]));
+  const byName = new Map(existing.map((f) => [f.name, f]));
+  const kept = new Set();
+
+  const pairs = defs.map((def) => {
+    const match = (def.id && byId.get(def.id)) || (!def.id && byName.get(def.name));
+    if (match && !kept.has(match.id)) {
+      kept.add(match.id);
+      return { def, match };
+    }
+    return { def, match: null };
+  });
+
+  return { pairs, removed: existing.filter((f) => !kept.has(f.id)) };
+};
+
+// Make the inventory's FieldDefinition rows match `defs`: matched rows are updated in place
+// so item values survive, new ones are created and the rest are removed together with their values.
+// Values are not converted or archived here; see utils/templateVersions for template edits.
+const syncFieldDefinitions = async (inventoryId, defs, transaction) => {
+  const existing = await FieldDefinition.findAll({ where: { inventoryId }, transaction });
+  const { pairs, removed } = matchFieldDefinitions(existing, defs);
+
+  for (const { def, match } of pairs) {
+    const data = {
+      name: def.name,
+      type: def.type,
+      order: def.order,
+      required: def.required,
+      helpText: def.helpText,
+      showInTable: def.showInTable,
+      validation: def.validation,
+      options: def.options,
+      currency: def.currency,
+      targetInventoryId: def.targetInventoryId,
+      formula: def.formula
+    };
+    if (match) {
+      await match.update(data, { transaction });
+    } else {
+      await FieldDefinition.create({ ...data, inventoryId }, { transaction });
+    }
+  }
+
+  if (removed.length > 0) {
+    const removedIds = removed.map((f) => f.id);
+    await FieldValue.destroy({ where: { fieldId: removedIds }, transaction });
+    await FieldDefinition.destroy({ where: { id: removedIds }, transaction });
+  }
+
+  return FieldDefinition.findAll({ where: { inventoryId }, order: [['order', 'ASC']], transaction });
+};
+
+const isEmptyAnswer = (raw) => raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+// Convert a submitted answer to what the field's column stores; empty input clears the value
+const coerceFieldValue = (field, raw) => {
+  if (isEmptyAnswer(raw)) return null;
+  switch (field.type) {
+    case 'numeric': {
+      const n = Number(raw);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'boolean':
+      return typeof raw === 'string' ? raw === 'true' : !!raw;
+    case 'date':
+      return isValidDate(raw) ? raw.trim() : null;
+    case 'datetime':
+      return parseDateTime(raw);
+    case 'currency':
+      return isValidDecimal(raw) ? String(raw).trim() : null;
+    case 'reference':
+      return typeof raw === 'string' && UUID_RE.test(raw.trim()) ? raw.trim() : null;
+    default:
+      return String(raw);
+  }
+};
+
+// Pick the submitted answers out of a request body. Answers are read from
+// `values` keyed by field id, falling back to `customFields` keyed by field name
+// (flat, or grouped per type as the old builder sent them).
+// Returns a Map of fieldId -> raw value for the fields present in the payload only.
+const collectFieldInput = (fields, body = {}) => {
+  const input = new Map();
+  const values = body.values && typeof body.values === 'object' ? body.values : {};
+  const named = body.customFields && typeof body.customFields === 'object' ? body.customFields : {};
+
+  fields.forEach((field) => {
+    if (field.type === 'formula') return;
+    const grouped = named[field.type] && typeof named[field.type] === 'object' ? named[field.type] : {};
+    if (Object.prototype.hasOwnProperty.call(values, field.id)) {
+      input.set(field.id, values[field.id]);
+    } else if (Object.prototype.hasOwnProperty.call(grouped, field.name)) {
+      input.set(field.id, grouped[field.name]);
+    } else if (Object.prototype.hasOwnProperty.call(named, field.name)) {
+      input.set(field.id, named[field.name]);
+    }
+  });
+  return input;
+};
+
+// Check one submitted answer against the field's rules; returns an error message or null
+const validateFieldValue = (field, raw) => {
+  const rules = field.validation || {};
+  if (isEmptyAnswer(raw)) {
+    return field.required ? `${field.name} is required` : null;
+  }
+
+  switch (field.type) {
+    case 'numeric': {
+      const n = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(n)) return `${field.name} must be a number`;
+      if (typeof rules.min === 'number' && n < rules.min) return `${field.name} must be at least ${rules.min}`;
+      if (typeof rules.max === 'number' && n > rules.max) return `${field.name} must be at most ${rules.max}`;
+      return null;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean' || raw === 'true' || raw === 'false') return null;
+      return `${field.name} must be true or false`;
+    case 'select':
+      if (typeof raw === 'string' && (field.options || []).includes(raw)) return null;
+      return `${field.name} must be one of the listed options`;
+    case 'date':
+      return isValidDate(raw) ? null : `${field.name} must be a date (YYYY-MM-DD)`;
+    case 'datetime':
+      return parseDateTime(raw) ? null : `${field.name} must be a date and time`;
+    case 'reference':
+      return typeof raw === 'string' && UUID_RE.test(raw.trim()) ? null : `${field.name} must reference an item`;
+    case 'currency': {
+      if (!isValidDecimal(raw)) return `${field.name} must be an amount with at most 4 decimals`;
+      const n = Number(raw);
+      if (typeof rules.min === 'number' && n < rules.min) return `${field.name} must be at least ${rules.min}`;
+      if (typeof rules.max === 'number' && n > rules.max) return `${field.name} must be at most ${rules.max}`;
+      return null;
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return `${field.name} must be text`;
+      const text = String(raw);
+      if (typeof rules.maxLength === 'number' && text.length > rules.maxLength) {
+        return `${field.name} must be at most ${rules.maxLength} characters`;
+      }
+      const pattern = rules.pattern ? compileFieldPattern(rules.pattern) : null;
+      if (pattern && text.length > MAX_PATTERN_INPUT_LENGTH) {
+        return `${field.name} is too long to check its format (at most ${MAX_PATTERN_INPUT_LENGTH} characters)`;
+      }
+      if (pattern && !pattern.test(text)) {
+        return rules.patternMessage || `${field.name} has an invalid format`;
+      }
+      return null;
+    }
+  }
+};
+
+// Validate the collected input. New items must answer every required field;
+// updates only check the fields present in the payload.
+// Returns [{ fieldId, field, message }], empty when everything passes.
+const validateFieldInput = (fields, input, { isNew = false } = {}) => {
+  const errors = [];
+  fields.forEach((field) => {
+    if (field.type === 'formula' || (!isNew && !input.has(field.id))) return;
+    const message = validateFieldValue(field, input.get(field.id));
+    if (message) errors.push({ fieldId: field.id, field: field.name, message });
+  });
+  return errors;
+};
+
+// Every reference definition must name an existing inventory the user can read.
+// Returns an error message for the first offending field, or null.
+const checkReferenceTargets = async (defs, user) => {
+  for (const def of defs) {
+    if (def.type !== 'reference') continue;
+    const target = def.targetInventoryId ? await Inventory.findByPk(def.targetInventoryId) : null;
+    if (!target || !(await canReadInventory(target, user))) {
+      return `Reference field "${def.name}" needs a target inventory you can access`;
+    }
+  }
+  return null;
+};
+
+// Referential checks for reference answers: the item must exist, live in the field's
+// target inventory, and that inventory must be readable by `user`. Same error shape as validateFieldInput.
+const checkReferenceInput = async (fields, input, user) => {
+  const errors = [];
+  for (const field of fields) {
+    if (field.type !== 'reference' || !input.has(field.id)) continue;
+    const raw = input.get(field.id);
+    if (isEmptyAnswer(raw)) continue;
+
+    const target = await Item.findByPk(String(raw).trim(), {
+      attributes: ['id', 'inventoryId'],
+      include: [{ model: Inventory, attributes: ['id', 'isPublic', 'creatorId'] }]
+    });
+    if (!target || !field.targetInventoryId || target.inventoryId !== field.targetInventoryId) {
+      errors.push({ fieldId: field.id, field: field.name, message: `${field.name} references an item that does not exist in the target inventory` });
+    } else if (!(await canReadInventory(target.Inventory, user))) {
+      errors.push({ fieldId: field.id, field: field.name, message: `${field.name} references an item you cannot access` });
+    }
+  }
+  return errors;
+};
+
+// Parse the formula definitions and put them in evaluation order, so formulas that use other
+// formulas come after them. Returns { ordered: [{ def, tree }], error } where `error` is a
+// message for the first invalid formula, unknown or ambiguous field name, or cycle.
+const planFormulas = (defs) => {
+  const nameCounts = new Map();
+  defs.forEach((d) => nameCounts.set(d.name, (nameCounts.get(d.name) || 0) + 1));
+  const parsed = new Map();
+
+  for (const def of defs) {
+    if (def.type !== 'formula') continue;
+    let result;
+    try {
+      result = parseFormula(def.formula);
+    } catch (error) {
+      return { ordered: [], error: `Formula for "${def.name}": ${error.message}` };
+    }
+    for (const name of result.fields) {
+      if (name === def.name) return { ordered: [], error: `Formula for "${def.name}" cannot use its own value` };
+      if (!nameCounts.has(name)) return { ordered: [], error: `Formula for "${def.name}" uses unknown field {${name}}` };
+      if (nameCounts.get(name) > 1) return { ordered: [], error: `Formula for "${def.name}" uses {${name}}, which names more than one field` };
+    }
+    parsed.set(def.name, { def, ...result });
+  }
+
+  const ordered = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const visit = (name, chain) => {
+    if (state.get(name) === 'done') return null;
+    if (state.get(name) === 'visiting') return `Formulas refer to each other in a loop: ${[...chain, name].join(' → ')}`;
+    state.set(name, 'visiting');
+    const entry = parsed.get(name);
+    for (const dep of entry.fields) {
+      if (!parsed.has(dep)) continue;
+      const error = visit(dep, [...chain, name]);
+      if (error) return error;
+    }
+    state.set(name, 'done');
+    ordered.push({ def: entry.def, tree: entry.tree });
+    return null;
+  };
+  for (const name of parsed.keys()) {
+    const error = visit(name, []);
+    if (error) return { ordered: [], error };
+  }
+  return { ordered, error: null };
+};
+
+// Every formula definition must parse and only use other fields of the same inventory.
+// Returns an error message for the first offending field, or null.
+const checkFormulaDefinitions = (defs) => planFormulas(defs).error;
+
+// A stored answer as formulas see it: numbers for numeric and currency, Date objects for
+// dates, the referenced item's custom ID for references, and the raw value otherwise
+const formulaInput = (field, fv) => {
+  switch (field.type) {
+    case 'currency':
+      return fv.decimalValue === null ? null : Number(fv.decimalValue);
+    case 'date':
+      return fv.dateValue ? new Date(`${fv.dateValue}T00:00:00Z`) : null;
+    case 'datetime':
+      return fv.dateTimeValue ? new Date(fv.dateTimeValue) : null;
+    case 'reference':
+      return fv.referencedItem ? fv.referencedItem.customId : null;
+    default:
+      return readFieldValue(fv);
+  }
+};
+
+const FORMULA_BATCH_SIZE = 500;
+
+// Recompute and store the formula answers of the given items as of `now`. `fields` are all of the
+// inventory's definitions; formulas whose result is empty or an error leave no value.
+const computeFormulaValues = async (itemIds, fields, transaction, now = new Date()) => {
+  const { ordered, error } = planFormulas(fields);
+  if (error || ordered.length === 0 || itemIds.length === 0) return;
+  const formulaIds = ordered.map(({ def }) => def.id);
+  const byId = new Map(fields.map((f) => [f.id, f]));
+
+  for (let start = 0; start < itemIds.length; start += FORMULA_BATCH_SIZE) {
+    const batch = itemIds.slice(start, start + FORMULA_BATCH_SIZE);
+    const stored = await FieldValue.findAll({
+      where: { itemId: batch, fieldId: fields.filter((f) => f.type !== 'formula').map((f) => f.id) },
+      include: [{ model: Item, as: 'referencedItem', attributes: ['id', 'customId'], required: false }],
+      transaction
+    });
+
+    const scopes = new Map(batch.map((id) => [id, {}]));
+    stored.forEach((fv) => {
+      const field = byId.get(fv.fieldId);
+      if (field) scopes.get(fv.itemId)[field.name] = formulaInput(field, fv);
+    });
+
+    const rows = [];
+    scopes.forEach((scope, itemId) => {
+      ordered.forEach(({ def, tree }) => {
+        const value = evaluateFormula(tree, scope, now);
+        scope[def.name] = value;
+        if (value === null) return;
+        const column = typeof value === 'number' ? 'numberValue' : (typeof value === 'boolean' ? 'booleanValue' : 'textValue');
+        rows.push({ itemId, fieldId: def.id, [column]: value });
+      });
+    });
+
+    await FieldValue.destroy({ where: { itemId: batch, fieldId: formulaIds }, transaction });
+    if (rows.length > 0) {
+      await FieldValue.bulkCreate(rows, { transaction });
+    }
+  }
+};
+
+// Recompute, as of `now`, the formulas of every inventory with a formula that calls TODAY, NOW or
+// DAYS_SINCE, whose stored results change from day to day; run daily by the scheduler in server.js.
+// Trashed items are included so they come back current. Returns the counts refreshed.
+const refreshClockFormulas = async (now = new Date()) => {
+  const formulas = await FieldDefinition.findAll({ where: { type: 'formula' }, attributes: ['inventoryId', 'formula'] });
+  const inventoryIds = [...new Set(formulas
+    .filter((def) => {
+      try {
+        return parseFormula(def.formula).usesClock;
+      } catch {
+        return false;
+      }
+    })
+    .map((def) => def.inventoryId))];
+
+  let items = 0;
+  for (const inventoryId of inventoryIds) {
+    const fields = await FieldDefinition.findAll({ where: { inventoryId } });
+    const rows = await Item.findAll({ where: { inventoryId }, attributes: ['id'], paranoid: false });
+    await sequelize.transaction((transaction) => computeFormulaValues(rows.map((row) => row.id), fields, transaction, now));
+    items += rows.length;
+  }
+  return { inventories: inventoryIds.length, items };
+};
+
+// Replace the item's stored answers for every field present in `input`
+const saveFieldValues = async (itemId, fields, input, transaction) => {
+  const touched = fields.filter((f) => input.has(f.id));
+  if (touched.length === 0) return;
+
+  await FieldValue.destroy({
+    where: { itemId, fieldId: touched.map((f) => f.id) },
+    transaction
+  });
+
+  const rows = touched
+    .map((field) => ({ field, value: coerceFieldValue(field, input.get(field.id)) }))
+    .filter(({ value }) => value !== null)
+    .map(({ field, value }) => ({ itemId, fieldId: field.id, [VALUE_COLUMNS[field.type]]: value }));
+
+  if (rows.length > 0) {
+    await FieldValue.bulkCreate(rows, { transaction });
+  }
+};
+
+// The answer held by a FieldValue row, whichever typed column it is in
+const readFieldValue = (fv) => fv.textValue ?? fv.numberValue ?? fv.booleanValue
+  ?? fv.dateValue ?? fv.dateTimeValue ?? fv.decimalValue ?? fv.referenceValue ?? null;
+
+// Flatten an item's FieldValue rows into `values: { [fieldId]: value }` for API responses;
+// reference answers also get a `references: { [fieldId]: { id, customId, inventoryId } }` summary.
+// When the ordered `fields` are given, only those fields are kept and `values` follows their order.
+const serializeItem = (item, fields) => {
+  const json = typeof item.toJSON === 'function' ? item.toJSON() : { ...item };
+  const byField = {};
+  const references = {};
+  (json.fieldValues || []).forEach((fv) => {
+    byField[fv.fieldId] = readFieldValue(fv);
+    if (fv.referencedItem) references[fv.fieldId] = fv.referencedItem;
+  });
+  delete json.fieldValues;
+  if (!fields) return { ...json, values: byField, references };
+
+  const values = {};
+  fields.forEach((f) => {
+    if (Object.prototype.hasOwnProperty.call(byField, f.id)) values[f.id] = byField[f.id];
+  });
+  return { ...json, values, references };
+};
+
+module.exports = {
+  VALUE_COLUMNS,
+  FIELD_VALUE_ATTRIBUTES,
+  normalizeFieldDefinitions,
+  matchFieldDefinitions,
+  syncFieldDefinitions,
+  coerceFieldValue,
+  collectFieldInput,
+  validateFieldValue,
+  validateFieldInput,
+  checkReferenceTargets,
+  checkReferenceInput,
+  checkFormulaDefinitions,
+  computeFormulaValues,
+  refreshClockFormulas,
+  saveFieldValues,
+  readFieldValue,
+  serializeItem
+};
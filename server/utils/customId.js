@@ -0,0 +1,229 @@
+const { Item, Inventory, InventorySequence, User, FieldValue, sequelize } = require('../models');
+const { coerceFieldValue, readFieldValue } = require('./customFields');
+// Format logic shared with the client's previews
+const {
+  MAX_RANDOM_ATTEMPTS,
+  RANDOM_SPACE,
+  SEQUENCE_RESETS,
+  CHECKSUM_ALGORITHMS,
+  ID_FIELD_TYPES,
+  checkDigit,
+  generateCustomId,
+  collisionRisk,
+  customIdPattern,
+  customIdMatcher,
+  matchesCustomIdFormat,
+  sequencePeriod
+} = require('../../shared/customId.mjs');
+
+// How many sequence numbers a create may skip when they are already taken by existing IDs
+// (e.g. after the counter was reset below numbers in use)
+const MAX_SEQUENCE_SKIPS = 100;
+
+// Take the inventory's next sequence number; resetting sequences count per period of `date`.
+// The counter row stays locked until the transaction ends, so parallel creates get distinct
+// numbers; numbers of rolled back creates are handed out again.
+const takeSequenceNumber = async (inventoryId, reset, date, transaction) => {
+  const period = sequencePeriod(reset, date);
+  if (!period) {
+    const [rows] = await sequelize.query(
+      'UPDATE "Inventories" SET "sequenceCounter" = "sequenceCounter" + 1 WHERE "id" = :inventoryId RETURNING "sequenceCounter"',
+      { replacements: { inventoryId }, transaction }
+    );
+    return rows[0].sequenceCounter;
+  }
+  const [rows] = await sequelize.query(
+    `INSERT INTO "InventorySequences" ("inventoryId", "period", "value", "createdAt", "updatedAt")
+     VALUES (:inventoryId, :period, 1, NOW(), NOW())
+     ON CONFLICT ("inventoryId", "period") DO UPDATE SET "value" = "InventorySequences"."value" + 1, "updatedAt" = NOW()
+     RETURNING "value"`,
+    { replacements: { inventoryId, period }, transaction }
+  );
+  return rows[0].value;
+};
+
+// Answers the format's `field` elements insert, keyed by field name; `valueOf(field)` reads one
+const formatFieldValues = (format, fields, valueOf) => {
+  const names = new Set((Array.isArray(format) ? format : []).filter((el) => el.type === 'field').map((el) => el.field));
+  const values = {};
+  fields.forEach((field) => {
+    if (names.has(field.name) && ID_FIELD_TYPES.includes(field.type)) values[field.name] = valueOf(field);
+  });
+  return values;
+};
+
+// Generation context for a new item: the answers it is created with and its creator
+const customIdContext = (inventory, fields, input, creator) => ({
+  creator,
+  fieldValues: formatFieldValues(inventory.customIdFormat, fields, (field) => coerceFieldValue(field, input.get(field.id)))
+});
+
+// Generation context for an existing item, read from its stored answers and creator. Dates and
+// resetting sequences use the day the item was created.
+const storedCustomIdContext = async (inventory, item, fields, transaction) => {
+  const format = Array.isArray(inventory.customIdFormat) ? inventory.customIdFormat : [];
+  const context = { now: item.createdAt };
+  if (format.some((el) => el.type === 'initials') && item.createdBy) {
+    context.creator = await User.findByPk(item.createdBy, { attributes: ['firstName', 'lastName', 'username'], transaction });
+  }
+  if (format.some((el) => el.type === 'field')) {
+    const rows = await FieldValue.findAll({ where: { itemId: item.id }, transaction });
+    const stored = new Map(rows.map((row) => [row.fieldId, readFieldValue(row)]));
+    context.fieldValues = formatFieldValues(format, fields, (field) => stored.get(field.id) ?? null);
+  }
+  return context;
+};
+
+// Point `field` elements at the new names of renamed fields; `renames` lists [oldName, newName]
+const renameFormatFields = (format, renames) => {
+  if (!Array.isArray(format) || renames.length === 0) return format;
+  const names = new Map(renames);
+  return format.map((el) => (el.type === 'field' && names.has(el.field) ? { ...el, field: names.get(el.field) } : el));
+};
+
+// Pick a free custom ID for an item of `inventory` and store it with `save(customId, savepoint)`,
+// which creates or updates the item. Sequence numbers already in use are skipped; random IDs that
+// collide are regenerated up to MAX_RANDOM_ATTEMPTS times. Races with parallel creates surface as
+// unique index violations, which are retried from a savepoint. Generated IDs and collisions are
+// added to `stats` ({ attempts, collisions }); `context` is passed on to generateCustomId.
+// Throws an error with status 409 when no free ID was found.
+const assignCustomId = async (inventory, save, { transaction, stats = { attempts: 0, collisions: 0 }, context = {} } = {}) => {
+  const format = Array.isArray(inventory.customIdFormat) ? inventory.customIdFormat : [];
+  const resets = [...new Set(format.filter((el) => el.type === 'sequence').map((el) => el.reset || 'never'))];
+  const usesSequence = resets.length > 0;
+  const maxAttempts = usesSequence ? MAX_SEQUENCE_SKIPS + 1 : MAX_RANDOM_ATTEMPTS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    stats.attempts += 1;
+    const now = context.now || new Date();
+    const sequences = {};
+    for (const reset of resets) {
+      sequences[reset] = await takeSequenceNumber(inventory.id, reset, now, transaction);
+    }
+    const customId = generateCustomId(format, { ...context, sequences, now });
+    // Items in the trash keep their IDs until purged
+    const taken = await Item.findOne({ where: { inventoryId: inventory.id, customId }, attributes: ['id'], paranoid: false, transaction });
+    if (taken) {
+      stats.collisions += 1;
+      continue;
+    }
+    try {
+      return await sequelize.transaction({ transaction }, (savepoint) => save(customId, savepoint));
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      stats.collisions += 1;
+    }
+  }
+
+  const error = new Error(usesSequence || format.some((el) => RANDOM_SPACE[el.type])
+    ? 'Could not find a free custom ID. Please try again or change the custom ID format.'
+    : 'Custom ID already exists. Add a sequence or random element to the custom ID format.');
+  error.status = 409;
+  throw error;
+};
+
+// Create an item of `inventory` from `data` with a freshly generated custom ID
+const createItemWithCustomId = (inventory, data, options) => assignCustomId(
+  inventory,
+  (customId, savepoint) => Item.create({ ...data, inventoryId: inventory.id, customId }, { transaction: savepoint }),
+  options
+);
+
+// The next `count` IDs `format` would give new items of `inventory` created now by `creator`,
+// read from the counters without taking numbers from them. Sequence numbers already used by an
+// item are skipped the way creates skip them. Field elements show the field's name.
+// Returns [{ customId, taken }], where `taken` marks IDs without a sequence that already exist.
+const previewCustomIds = async (inventory, format, { count = 5, creator = null, now = new Date() } = {}) => {
+  const resets = [...new Set(format.filter((el) => el.type === 'sequence').map((el) => el.reset || 'never'))];
+  const periods = resets.map((reset) => sequencePeriod(reset, now)).filter(Boolean);
+  const rows = periods.length > 0
+    ? await InventorySequence.findAll({ where: { inventoryId: inventory.id, period: periods } })
+    : [];
+  const counters = {};
+  resets.forEach((reset) => {
+    const period = sequencePeriod(reset, now);
+    counters[reset] = period ? (rows.find((row) => row.period === period)?.value || 0) : (inventory.sequenceCounter || 0);
+  });
+  const fieldValues = Object.fromEntries(format.filter((el) => el.type === 'field' && el.field).map((el) => [el.field, el.field]));
+
+  const samples = [];
+  for (let skips = 0; samples.length < count && skips <= MAX_SEQUENCE_SKIPS;) {
+    resets.forEach((reset) => { counters[reset] += 1; });
+    const customId = generateCustomId(format, { sequences: { ...counters }, fieldValues, creator, now });
+    const taken = await Item.count({ where: { inventoryId: inventory.id, customId }, paranoid: false }) > 0;
+    if (taken && resets.length > 0) {
+      skips += 1;
+      continue;
+    }
+    samples.push({ customId, taken });
+  }
+  return samples;
+};
+
+// Items of `inventory` whose custom ID no longer matches its format, oldest first
+const findNonconformingItems = async (inventory, options = {}) => {
+  const format = Array.isArray(inventory.customIdFormat) ? inventory.customIdFormat : [];
+  if (format.length === 0) return [];
+  const matches = customIdMatcher(format);
+  const items = await Item.findAll({
+    where: { inventoryId: inventory.id },
+    attributes: ['id', 'customId', 'title', 'version', 'createdBy', 'createdAt'],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    ...options
+  });
+  return items.filter((item) => !matches(item.customId));
+};
+
+// The highest number the format's never-resetting sequence has in custom IDs of the inventory's
+// items (trashed ones included); IDs that do not match the format cannot collide with generated
+// ones and are ignored. 0 when there is no such sequence or no number in use.
+const highestSequenceInUse = async (inventory, transaction) => {
+  const format = Array.isArray(inventory.customIdFormat) ? inventory.customIdFormat : [];
+  const positions = format
+    .map((el, idx) => (el.type === 'sequence' && (!el.reset || el.reset === 'never') ? idx : -1))
+    .filter((idx) => idx >= 0);
+  if (positions.length === 0) return 0;
+  const matches = customIdMatcher(format);
+  const pattern = customIdPattern(format);
+  const items = await Item.findAll({ where: { inventoryId: inventory.id }, attributes: ['customId'], paranoid: false, raw: true, transaction });
+  return items.reduce((highest, { customId }) => {
+    const match = matches(customId) && pattern.exec(customId);
+    return match ? Math.max(highest, ...positions.map((idx) => Number(match[idx + 1]))) : highest;
+  }, 0);
+};
+
+// Add one create's ID generation counts to the inventory's collision statistics.
+// Runs outside the create transaction so failed creates are counted too.
+const recordIdGeneration = async (inventoryId, { attempts, collisions }) => {
+  if (!attempts) return;
+  try {
+    await Inventory.increment(
+      { customIdAttempts: attempts, customIdCollisions: collisions },
+      { where: { id: inventoryId }, silent: true }
+    );
+  } catch (error) {
+    console.error('Error recording custom ID statistics:', error);
+  }
+};
+
+module.exports = {
+  MAX_RANDOM_ATTEMPTS,
+  SEQUENCE_RESETS,
+  CHECKSUM_ALGORITHMS,
+  ID_FIELD_TYPES,
+  checkDigit,
+  generateCustomId,
+  collisionRisk,
+  customIdPattern,
+  customIdMatcher,
+  matchesCustomIdFormat,
+  customIdContext,
+  storedCustomIdContext,
+  renameFormatFields,
+  assignCustomId,
+  createItemWithCustomId,
+  previewCustomIds,
+  findNonconformingItems,
+  highestSequenceInUse,
+  recordIdGeneration
+};
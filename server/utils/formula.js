@@ -0,0 +1,371 @@
+// Small expression language for formula fields. Formulas are parsed into a tree and
+// evaluated by walking it; nothing is ever passed to eval/Function, there are no loops,
+// and only the functions listed in FUNCTIONS can be called.
+//
+//   {Quantity} * {Unit price}
+//   DAYS_SINCE({Purchase date})
+//   IF({Stock} < 5, "reorder", "ok")
+//   {First name} & " " & {Last name}
+//
+// Literals: numbers, "text" or 'text', true, false, null. Fields: {Field name}.
+// Operators: + - * / % (numbers; date ± days, date - date = days), & (join text),
+// = != < <= > >=, and/&&, or/||, not/!. A missing field value makes arithmetic empty.
+
+const MAX_FORMULA_LENGTH = 1000;
+const MAX_DEPTH = 40;
+const MAX_TEXT_LENGTH = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+const isDate = (v) => v instanceof Date;
+const startOfDayUtc = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const toNumber = (v, fn) => {
+  if (v === null) return null;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+  throw new FormulaError(`${fn} expects a number`);
+};
+
+const toDate = (v, fn) => {
+  if (v === null) return null;
+  if (isDate(v)) return v;
+  if (typeof v === 'string') {
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T00:00:00Z` : v);
+    if (!Number.isNaN(d.getTime())) return d;
+  }
+  throw new FormulaError(`${fn} expects a date`);
+};
+
+const toText = (v) => {
+  if (v === null) return '';
+  if (isDate(v)) return v.toISOString();
+  return String(v);
+};
+
+const daysBetween = (a, b) => (a === null || b === null ? null : Math.floor((b.getTime() - a.getTime()) / DAY_MS));
+
+// name -> [minArgs, maxArgs, implementation(args, now)]; IF and COALESCE get unevaluated thunks so only the chosen branch runs
+const FUNCTIONS = {
+  IF: [2, 3, (args) => (args[0]() ? args[1]() : (args[2] ? args[2]() : null)), true],
+  COALESCE: [1, Infinity, (args) => {
+    for (const arg of args) {
+      const v = arg();
+      if (v !== null && v !== '') return v;
+    }
+    return null;
+  }, true],
+  NOT: [1, 1, ([v]) => !v],
+  ROUND: [1, 2, ([v, digits]) => {
+    const n = toNumber(v, 'ROUND');
+    if (n === null) return null;
+    const factor = 10 ** Math.min(Math.max(Math.trunc(toNumber(digits ?? 0, 'ROUND') || 0), 0), 10);
+    return Math.round(n * factor) / factor;
+  }],
+  FLOOR: [1, 1, ([v]) => { const n = toNumber(v, 'FLOOR'); return n === null ? null : Math.floor(n); }],
+  CEIL: [1, 1, ([v]) => { const n = toNumber(v, 'CEIL'); return n === null ? null : Math.ceil(n); }],
+  ABS: [1, 1, ([v]) => { const n = toNumber(v, 'ABS'); return n === null ? null : Math.abs(n); }],
+  MIN: [1, Infinity, (args) => {
+    const nums = args.map((v) => toNumber(v, 'MIN')).filter((n) => n !== null);
+    return nums.length ? Math.min(...nums) : null;
+  }],
+  MAX: [1, Infinity, (args) => {
+    const nums = args.map((v) => toNumber(v, 'MAX')).filter((n) => n !== null);
+    return nums.length ? Math.max(...nums) : null;
+  }],
+  SUM: [1, Infinity, (args) => args.reduce((sum, v) => sum + (toNumber(v, 'SUM') || 0), 0)],
+  CONCAT: [1, Infinity, (args) => args.map(toText).join('')],
+  LEN: [1, 1, ([v]) => toText(v).length],
+  UPPER: [1, 1, ([v]) => toText(v).toUpperCase()],
+  LOWER: [1, 1, ([v]) => toText(v).toLowerCase()],
+  TODAY: [0, 0, (args, now) => startOfDayUtc(now)],
+  NOW: [0, 0, (args, now) => now],
+  YEAR: [1, 1, ([v]) => { const d = toDate(v, 'YEAR'); return d === null ? null : d.getUTCFullYear(); }],
+  MONTH: [1, 1, ([v]) => { const d = toDate(v, 'MONTH'); return d === null ? null : d.getUTCMonth() + 1; }],
+  DAYS_BETWEEN: [2, 2, ([a, b]) => daysBetween(toDate(a, 'DAYS_BETWEEN'), toDate(b, 'DAYS_BETWEEN'))],
+  DAYS_SINCE: [1, 1, ([v], now) => daysBetween(toDate(v, 'DAYS_SINCE'), startOfDayUtc(now))]
+};
+
+// Functions whose result depends on the current time, so stored results go stale as days pass
+const CLOCK_FUNCTIONS = ['TODAY', 'NOW', 'DAYS_SINCE'];
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '&', '=', '<', '>', '!', '(', ')', ','];
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+
+const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i += 1; continue; }
+
+    if (ch === '{') {
+      const end = src.indexOf('}', i + 1);
+      if (end === -1) throw new FormulaError('Missing } after field name');
+      const name = src.slice(i + 1, end).trim();
+      if (!name) throw new FormulaError('Empty field name {}');
+      tokens.push({ type: 'field', value: name });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let text = '';
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\\' && j + 1 < src.length) j += 1;
+        text += src[j];
+        j += 1;
+      }
+      if (j >= src.length) throw new FormulaError('Unterminated text literal');
+      tokens.push({ type: 'string', value: text });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (KEYWORDS[lower]) tokens.push({ type: 'op', value: KEYWORDS[lower] });
+      else if (lower === 'true' || lower === 'false') tokens.push({ type: 'literal', value: lower === 'true' });
+      else if (lower === 'null') tokens.push({ type: 'literal', value: null });
+      else tokens.push({ type: 'name', value: word[0].toUpperCase() });
+      i += word[0].length;
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => src.startsWith(o, i));
+    if (!op) throw new FormulaError(`Unexpected character "${ch}"`);
+    tokens.push({ type: 'op', value: op === '<>' ? '!=' : (op === '==' ? '=' : op) });
+    i += op.length;
+  }
+  return tokens;
+};
+
+// Recursive descent over the token list; each level handles one precedence tier
+const parse = (tokens) => {
+  let pos = 0;
+  let depth = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const expect = (value) => {
+    if (!isOp(value)) throw new FormulaError(`Expected "${value}"`);
+    pos += 1;
+  };
+  const nested = (fn) => {
+    depth += 1;
+    if (depth > MAX_DEPTH) throw new FormulaError('Formula is nested too deeply');
+    const node = fn();
+    depth -= 1;
+    return node;
+  };
+
+  const binaryLevel = (ops, next) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos].value;
+      pos += 1;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => nested(() => {
+    const token = peek();
+    if (!token) throw new FormulaError('Formula ends unexpectedly');
+    pos += 1;
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'field':
+        return { type: 'field', name: token.value };
+      case 'name': {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new FormulaError(`Unknown function ${token.value}`);
+        expect('(');
+        const args = [];
+        if (!isOp(')')) {
+          args.push(expression());
+          while (isOp(',')) {
+            pos += 1;
+            args.push(expression());
+          }
+        }
+        expect(')');
+        if (args.length < fn[0] || args.length > fn[1]) {
+          throw new FormulaError(`${token.value} takes ${fn[0] === fn[1] ? fn[0] : `${fn[0]} or more`} argument${fn[1] === 1 ? '' : 's'}`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      case 'op':
+        if (token.value === '(') {
+          const inner = expression();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '-' || token.value === '+' || token.value === '!') {
+          return { type: 'unary', op: token.value, operand: primary() };
+        }
+        throw new FormulaError(`Unexpected "${token.value}"`);
+      default:
+        throw new FormulaError('Invalid formula');
+    }
+  });
+
+  const multiplicative = binaryLevel(['*', '/', '%'], primary);
+  const additive = binaryLevel(['+', '-', '&'], multiplicative);
+  const comparison = binaryLevel(['=', '!=', '<', '<=', '>', '>='], additive);
+  const conjunction = binaryLevel(['&&'], comparison);
+  const disjunction = binaryLevel(['||'], conjunction);
+  function expression() { return nested(disjunction); }
+
+  const tree = expression();
+  if (pos < tokens.length) throw new FormulaError(`Unexpected "${tokens[pos].value}"`);
+  return tree;
+};
+
+const collectFields = (node, out = new Set()) => {
+  if (!node) return out;
+  if (node.type === 'field') out.add(node.name);
+  if (node.type === 'binary') { collectFields(node.left, out); collectFields(node.right, out); }
+  if (node.type === 'unary') collectFields(node.operand, out);
+  if (node.type === 'call') node.args.forEach((a) => collectFields(a, out));
+  return out;
+};
+
+const usesClock = (node) => {
+  if (!node) return false;
+  if (node.type === 'binary') return usesClock(node.left) || usesClock(node.right);
+  if (node.type === 'unary') return usesClock(node.operand);
+  if (node.type === 'call') return CLOCK_FUNCTIONS.includes(node.name) || node.args.some(usesClock);
+  return false;
+};
+
+// Parse a formula; returns { tree, fields, usesClock } where `fields` are the referenced field names
+// and `usesClock` tells whether it calls TODAY, NOW or DAYS_SINCE. Throws FormulaError.
+const parseFormula = (source) => {
+  if (typeof source !== 'string' || !source.trim()) throw new FormulaError('Formula is empty');
+  if (source.length > MAX_FORMULA_LENGTH) throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+  const tree = parse(tokenize(source));
+  return { tree, fields: [...collectFields(tree)], usesClock: usesClock(tree) };
+};
+
+const compare = (op, a, b) => {
+  if (a === null || b === null) {
+    if (op === '=') return a === b;
+    if (op === '!=') return a !== b;
+    return null;
+  }
+  const left = isDate(a) ? a.getTime() : a;
+  const right = isDate(b) ? b.getTime() : b;
+  switch (op) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    default: return left >= right;
+  }
+};
+
+const arithmetic = (op, a, b) => {
+  if (a === null || b === null) return null;
+  if (isDate(a) && isDate(b) && op === '-') return daysBetween(b, a);
+  if (isDate(a) && (op === '+' || op === '-')) {
+    const days = toNumber(b, 'Date arithmetic');
+    return new Date(a.getTime() + (op === '+' ? days : -days) * DAY_MS);
+  }
+  const x = toNumber(a, `"${op}"`);
+  const y = toNumber(b, `"${op}"`);
+  switch (op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    case '/':
+      if (y === 0) throw new FormulaError('Division by zero');
+      return x / y;
+    default:
+      if (y === 0) throw new FormulaError('Division by zero');
+      return x % y;
+  }
+};
+
+const evaluateNode = (node, scope, now) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return Object.prototype.hasOwnProperty.call(scope, node.name) ? scope[node.name] : null;
+    case 'unary': {
+      const v = evaluateNode(node.operand, scope, now);
+      if (node.op === '!') return !v;
+      if (v === null) return null;
+      const n = toNumber(v, `"${node.op}"`);
+      return node.op === '-' ? -n : n;
+    }
+    case 'binary': {
+      if (node.op === '&&') return !!evaluateNode(node.left, scope, now) && !!evaluateNode(node.right, scope, now);
+      if (node.op === '||') return !!evaluateNode(node.left, scope, now) || !!evaluateNode(node.right, scope, now);
+      const a = evaluateNode(node.left, scope, now);
+      const b = evaluateNode(node.right, scope, now);
+      if (node.op === '&') return toText(a) + toText(b);
+      if (['=', '!=', '<', '<=', '>', '>='].includes(node.op)) return compare(node.op, a, b);
+      return arithmetic(node.op, a, b);
+    }
+    case 'call': {
+      const [, , impl, lazy] = FUNCTIONS[node.name];
+      const args = lazy
+        ? node.args.map((arg) => () => evaluateNode(arg, scope, now))
+        : node.args.map((arg) => evaluateNode(arg, scope, now));
+      return impl(args, now);
+    }
+    default:
+      throw new FormulaError('Invalid formula');
+  }
+};
+
+// Evaluate a parsed formula against `scope` ({ [field name]: value }) at time `now`.
+// Results are numbers, text or booleans; dates come back as 'YYYY-MM-DD' (or an ISO timestamp
+// when they carry a time). Returns null for empty results and for errors such as division by zero.
+const evaluateFormula = (tree, scope, now = new Date()) => {
+  let value;
+  try {
+    value = evaluateNode(tree, scope, now);
+  } catch (error) {
+    if (error instanceof FormulaError) return null;
+    throw error;
+  }
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isDate(value)) {
+    if (Number.isNaN(value.getTime())) return null;
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value === 'boolean') return value;
+  return String(value).slice(0, MAX_TEXT_LENGTH);
+};
+
+module.exports = {
+  FormulaError,
+  FORMULA_FUNCTIONS: Object.keys(FUNCTIONS),
+  CLOCK_FUNCTIONS,
+  parseFormula,
+  evaluateFormula
+};
@@ -0,0 +1,31 @@
+const { Op } = require('sequelize');
+const { Item, Inventory } = require('../models');
+const { readableInventoryWhere } = require('./access');
+
+// Item page links as encoded in label QR and DataMatrix codes
+const ITEM_LINK_RE = /\/items\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/?(?:[?#].*)?$/i;
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Items a scanned code stands for: a custom ID (matched exactly, then ignoring case) or a link to an
+// item page as printed on labels. Only inventories `user` can read are searched; `inventoryId`
+// narrows the search to one. Items come with their Inventory (id, title).
+const findItemsByCode = async (code, { user, inventoryId, limit = 20, transaction } = {}) => {
+  const find = (condition) => Item.findAll({
+    where: inventoryId ? { ...condition, inventoryId } : condition,
+    attributes: ['id', 'customId', 'title', 'inventoryId'],
+    include: [{ model: Inventory, attributes: ['id', 'title'], where: readableInventoryWhere(user) }],
+    order: [[Inventory, 'title', 'ASC'], ['createdAt', 'ASC']],
+    limit,
+    transaction
+  });
+  let items = await find({ customId: code });
+  const link = items.length === 0 && code.match(ITEM_LINK_RE);
+  if (link) items = await find({ id: link[1] });
+  if (items.length === 0) items = await find({ customId: { [Op.iLike]: escapeLike(code) } });
+  return items;
+};
+
+module.exports = {
+  findItemsByCode
+};
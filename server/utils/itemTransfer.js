@@ -0,0 +1,168 @@
+const { FieldDefinition, FieldValue, Item, sequelize } = require('../models');
+const { validateFieldInput, checkReferenceInput, saveFieldValues, computeFormulaValues, readFieldValue } = require('./customFields');
+const { assignCustomId, matchesCustomIdFormat, customIdContext, storedCustomIdContext } = require('./customId');
+const { toConvertibleAnswer } = require('./templateVersions');
+const { setInitialStatus } = require('./statusWorkflow');
+const { snapshotItem, recordRevision } = require('./revisions');
+const { defaultFieldMapping, resolveFieldMapping } = require('../../shared/fieldMapping.mjs');
+
+const transferError = (message, status, errors) => {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+};
+
+// The item's stored answers as { [fieldId]: value }, in the JSON form the item routes accept
+const storedAnswers = async (itemId, transaction) => {
+  const rows = await FieldValue.findAll({ where: { itemId }, transaction });
+  return Object.fromEntries(rows.map((row) => [row.fieldId, JSON.parse(JSON.stringify(readFieldValue(row)))]));
+};
+
+// The item's answers as input for the target fields following `mapping` (shared/fieldMapping.mjs),
+// converted where the types differ. Throws a 422 error with `errors` when they break the target's
+// field rules (e.g. a required field left empty or a select option the target lacks).
+// Returns { input, dropped } with the names of the source fields whose answers are left behind.
+const mappedInput = async (item, { sourceFields, targetFields, mapping, target, user, transaction }) => {
+  const answers = await storedAnswers(item.id, transaction);
+  const targetsById = new Map(targetFields.map((f) => [f.id, f]));
+  const input = new Map();
+  const dropped = [];
+  sourceFields.forEach((field) => {
+    if (field.type === 'formula' || answers[field.id] === undefined) return;
+    const to = targetsById.get(mapping[field.id]);
+    if (!to) {
+      dropped.push(field.name);
+      return;
+    }
+    input.set(to.id, to.type === field.type ? answers[field.id] : toConvertibleAnswer(field.type, to.type, answers[field.id]));
+  });
+
+  const errors = validateFieldInput(targetFields, input, { isNew: true });
+  if (errors.length === 0) errors.push(...await checkReferenceInput(targetFields, input, user));
+  if (errors.length > 0) {
+    throw transferError(`Does not fit the fields of ${target.title}: ${errors.map((e) => e.message).join('; ')}`, 422, errors);
+  }
+  return { input, dropped };
+};
+
+// Reference answers of other items (trashed ones included) that point at `item`. Their fields
+// target the item's inventory, so moving the item away would leave them dangling.
+// Returns [{ id, customId, inventoryId, field }].
+const incomingReferences = async (item, transaction) => {
+  const rows = await FieldValue.findAll({
+    where: { referenceValue: item.id },
+    attributes: ['id'],
+    include: [
+      { model: FieldDefinition, as: 'field', attributes: ['name'] },
+      { model: Item, attributes: ['id', 'customId', 'inventoryId'], paranoid: false }
+    ],
+    transaction
+  });
+  return rows.map((row) => ({ id: row.Item.id, customId: row.Item.customId, inventoryId: row.Item.inventoryId, field: row.field.name }));
+};
+
+// Store the item with its current custom ID when `keep` is set, the ID fits the target's format
+// and no item of the target (trashed ones included) has it; otherwise with one generated by
+// assignCustomId. `save(customId, savepoint)` creates or updates the item as for assignCustomId.
+// Resolves to { saved, kept } with what `save` returned and whether the ID was kept.
+const keepOrAssignCustomId = async (target, customId, save, { keep, transaction, stats, context }) => {
+  if (keep && customId && matchesCustomIdFormat(target.customIdFormat, customId)) {
+    const taken = await Item.findOne({ where: { inventoryId: target.id, customId }, attributes: ['id'], paranoid: false, transaction });
+    if (!taken) {
+      try {
+        return { saved: await sequelize.transaction({ transaction }, (savepoint) => save(customId, savepoint)), kept: true };
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      }
+    }
+  }
+  return { saved: await assignCustomId(target, save, { transaction, stats, context }), kept: false };
+};
+
+// Move `item` into `target`: answers go to the target fields `mapping` names (by name when not
+// given) and the rest are dropped. The item keeps its custom ID when it fits the target's format
+// and is free there (unless `keepCustomId` is false); otherwise it gets a new one from that format. It
+// starts in the target's initial status. Throws a 409 error with `references` while other items'
+// reference fields point at it. Resolves to { dropped, customIdKept }.
+const moveItem = async (item, target, { sourceFields, targetFields, mapping, keepCustomId = true, user, transaction, stats }) => {
+  const references = await incomingReferences(item, transaction);
+  if (references.length > 0) {
+    const list = references.map((ref) => `${ref.customId} (${ref.field})`).join(', ');
+    const error = transferError(`Referenced by other items, which would point at an item no longer in their inventory: ${list}`, 409);
+    error.references = references;
+    throw error;
+  }
+  const { input, dropped } = await mappedInput(item, {
+    sourceFields,
+    targetFields,
+    mapping: mapping || defaultFieldMapping(sourceFields, targetFields),
+    target,
+    user,
+    transaction
+  });
+
+  const previousCustomId = item.customId;
+  const before = await snapshotItem(item.id, sourceFields, transaction);
+  await FieldValue.destroy({ where: { itemId: item.id }, transaction });
+  await saveFieldValues(item.id, targetFields, input, transaction);
+  await computeFormulaValues([item.id], targetFields, transaction);
+
+  const version = item.version + 1;
+  const { kept } = await keepOrAssignCustomId(
+    target,
+    previousCustomId,
+    (customId, savepoint) => item.update({ inventoryId: target.id, customId, version, status: null }, { transaction: savepoint }),
+    { keep: keepCustomId, transaction, stats, context: await storedCustomIdContext(target, item, targetFields, transaction) }
+  );
+  await setInitialStatus(item, target.statusWorkflow, user.id, transaction);
+  await recordRevision(item.id, targetFields, { before, userId: user.id, action: 'update', transaction });
+  return { dropped, customIdKept: kept };
+};
+
+// A new item of `target` with the title, description, low-stock threshold and mapped answers of
+// `item`, and its custom ID kept or generated as for moveItem. Quantity, attachments, likes, loans
+// and history are not copied. Resolves to { copy, dropped, customIdKept }.
+const copyItem = async (item, target, { sourceFields, targetFields, mapping, keepCustomId = true, user, transaction, stats }) => {
+  const { input, dropped } = await mappedInput(item, {
+    sourceFields,
+    targetFields,
+    mapping: mapping || defaultFieldMapping(sourceFields, targetFields),
+    target,
+    user,
+    transaction
+  });
+
+  const { saved: copy, kept } = await keepOrAssignCustomId(
+    target,
+    item.customId,
+    (customId, savepoint) => Item.create({
+      inventoryId: target.id,
+      customId,
+      createdBy: user.id,
+      title: item.title,
+      description: item.description,
+      lowStockThreshold: item.lowStockThreshold
+    }, { transaction: savepoint }),
+    { keep: keepCustomId, transaction, stats, context: customIdContext(target, targetFields, input, user) }
+  );
+  await saveFieldValues(copy.id, targetFields, input, transaction);
+  await computeFormulaValues([copy.id], targetFields, transaction);
+  await setInitialStatus(copy, target.statusWorkflow, user.id, transaction);
+  await recordRevision(copy.id, targetFields, { userId: user.id, action: 'create', transaction });
+  return { copy, dropped, customIdKept: kept };
+};
+
+// A copy of `item` in its own inventory with a newly generated custom ID
+const duplicateItem = async (item, inventory, { fields, user, transaction, stats }) => {
+  const mapping = Object.fromEntries(fields.filter((f) => f.type !== 'formula').map((f) => [f.id, f.id]));
+  const { copy } = await copyItem(item, inventory, { sourceFields: fields, targetFields: fields, mapping, keepCustomId: false, user, transaction, stats });
+  return copy;
+};
+
+module.exports = {
+  resolveFieldMapping,
+  moveItem,
+  copyItem,
+  duplicateItem
+};
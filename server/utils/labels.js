@@ -0,0 +1,134 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { PAGE_SIZES, labelPosition } = require('../../shared/labelSheets.mjs');
+
+// Supported symbols and their bwip-js encoder names
+const BARCODE_TYPES = {
+  code128: 'code128',
+  datamatrix: 'datamatrix',
+  qr: 'qrcode'
+};
+const BARCODE_NAMES = { code128: 'Code 128', datamatrix: 'DataMatrix', qr: 'QR code' };
+
+const MM = 72 / 25.4;
+// Space kept free inside every label edge, in mm
+const LABEL_PADDING = 1.5;
+
+// Address of the item's page in the client, which 2D codes encode so scanning opens it
+const itemLink = (itemId) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/items/${itemId}`;
+
+// What a symbol encodes for `item`: Code 128 carries the custom ID, DataMatrix and QR the deep link
+const barcodeText = (type, item) => (type === 'code128' ? item.customId : itemLink(item.id));
+
+// Render one symbol for `item` as an SVG string or a PNG buffer. `humanReadable` prints the custom
+// ID under Code 128 bars. Throws an error with status 400 when the text cannot be encoded.
+const renderBarcode = async (type, item, { format = 'svg', scale = 3, humanReadable = true } = {}) => {
+  const text = barcodeText(type, item);
+  if (!text) {
+    const error = new Error('The item has no custom ID to encode');
+    error.status = 400;
+    throw error;
+  }
+  const options = { bcid: BARCODE_TYPES[type], text, scale, paddingwidth: 2, paddingheight: 2 };
+  if (type === 'code128') {
+    Object.assign(options, { height: 10, includetext: humanReadable, textxalign: 'center' });
+  }
+  try {
+    return format === 'png' ? await bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+  } catch (cause) {
+    const error = new Error(`"${text}" cannot be encoded as ${BARCODE_NAMES[type]}`);
+    error.status = 400;
+    error.cause = cause;
+    throw error;
+  }
+};
+
+// Largest font size up to `max` at which `text` fits into `width` points on one line
+const fitFontSize = (doc, text, width, max, min = 4) => {
+  let size = max;
+  while (size > min && doc.fontSize(size).widthOfString(text) > width) size -= 0.5;
+  return size;
+};
+
+// One label with its top left corner at x/y (points): the symbol, the custom ID in bold and the
+// item title below as far as it fits. 2D codes sit on the left with the text beside them;
+// Code 128 bars run across the top with the text underneath.
+const drawLabel = (doc, sheet, x, y, item, type, image) => {
+  const pad = LABEL_PADDING * MM;
+  const innerWidth = sheet.labelWidth * MM - 2 * pad;
+  const innerHeight = sheet.labelHeight * MM - 2 * pad;
+  const customId = item.customId || '';
+  const maxIdSize = Math.min(12, innerHeight * 0.3);
+
+  if (type === 'code128') {
+    const barsHeight = image ? innerHeight * 0.6 : 0;
+    if (image) doc.image(image, x + pad, y + pad, { fit: [innerWidth, barsHeight], align: 'center', valign: 'center' });
+    let textY = y + pad + barsHeight + 1;
+    const idSize = fitFontSize(doc.font('Helvetica-Bold'), customId, innerWidth, maxIdSize);
+    doc.fontSize(idSize).text(customId, x + pad, textY, { width: innerWidth, align: 'center', lineBreak: false });
+    textY += idSize * 1.15;
+    const rest = y + pad + innerHeight - textY;
+    if (item.title && rest >= 4) {
+      const titleSize = Math.min(idSize * 0.8, rest);
+      doc.font('Helvetica').fontSize(titleSize)
+        .text(item.title, x + pad, textY, { width: innerWidth, height: rest, align: 'center', ellipsis: true });
+    }
+    return;
+  }
+
+  const side = Math.min(innerHeight, innerWidth * 0.5);
+  doc.image(image, x + pad, y + pad + (innerHeight - side) / 2, { width: side, height: side });
+  const textX = x + pad + side + pad;
+  const textWidth = innerWidth - side - pad;
+  let textY = y + pad;
+  const idSize = fitFontSize(doc.font('Helvetica-Bold'), customId, textWidth, maxIdSize);
+  doc.fontSize(idSize).text(customId, textX, textY, { width: textWidth, lineBreak: false });
+  textY += idSize * 1.2;
+  const rest = y + pad + innerHeight - textY;
+  if (item.title && rest >= 4) {
+    doc.font('Helvetica').fontSize(Math.min(idSize * 0.8, 9))
+      .text(item.title, textX, textY, { width: textWidth, height: rest, ellipsis: true });
+  }
+};
+
+// PDF with one label per item and copy on `sheet` (see shared/labelSheets.mjs), resolving to a
+// Buffer. `startAt` (1-based) skips labels already used on a partly used first sheet.
+const renderLabelSheet = async (items, sheet, { type = 'qr', copies = 1, startAt = 1 } = {}) => {
+  const images = new Map();
+  for (const item of items) {
+    if (type === 'code128' && !item.customId) continue;
+    images.set(item.id, await renderBarcode(type, item, { format: 'png', scale: 4, humanReadable: false }));
+  }
+
+  const page = PAGE_SIZES[sheet.page];
+  const doc = new PDFDocument({ size: [page.width * MM, page.height * MM], margin: 0, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  let index = startAt - 1;
+  let currentPage = -1;
+  items.forEach((item) => {
+    for (let copy = 0; copy < copies; copy++, index++) {
+      const position = labelPosition(sheet, index);
+      while (currentPage < position.page) {
+        doc.addPage({ size: [page.width * MM, page.height * MM], margin: 0 });
+        currentPage += 1;
+      }
+      drawLabel(doc, sheet, position.x * MM, position.y * MM, item, type, images.get(item.id));
+    }
+  });
+  if (currentPage < 0) doc.addPage({ size: [page.width * MM, page.height * MM], margin: 0 });
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  BARCODE_TYPES,
+  itemLink,
+  renderBarcode,
+  renderLabelSheet
+};
@@ -0,0 +1,82 @@
+const { Item, ItemRevision, FieldValue } = require('../models');
+const { FIELD_VALUE_ATTRIBUTES, serializeItem } = require('./customFields');
+
+// Built-in item properties a revision tracks next to the field answers
+const ITEM_PROPERTIES = [
+  { key: 'customId', label: 'Custom ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' }
+];
+
+// Dates and decimals are compared and stored as their JSON form
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// What a revision keeps of an item: { customId, title, description, values } with an answer (or
+// null) for every field of `fields` except formulas, which are recomputed on save
+const snapshotItem = async (itemId, fields, transaction) => {
+  const item = await Item.findByPk(itemId, {
+    attributes: ['id', 'customId', 'title', 'description', 'version'],
+    include: [{ model: FieldValue, as: 'fieldValues', attributes: FIELD_VALUE_ATTRIBUTES, required: false }],
+    transaction
+  });
+  const { values } = serializeItem(item);
+  const snapshot = { customId: item.customId, title: item.title, description: item.description, values: {} };
+  fields.filter((f) => f.type !== 'formula').forEach((f) => {
+    snapshot.values[f.id] = plain(values[f.id]);
+  });
+  return { version: item.version, snapshot: plain(snapshot) };
+};
+
+// Field-level differences between two snapshots as [{ key, label, fieldId?, from, to }]
+const diffSnapshots = (before, after, fields) => {
+  const changes = [];
+  ITEM_PROPERTIES.forEach(({ key, label }) => {
+    const from = before ? before[key] ?? null : null;
+    const to = after[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ key, label, from, to });
+  });
+  fields.filter((f) => f.type !== 'formula').forEach((f) => {
+    const from = before ? before.values[f.id] ?? null : null;
+    const to = after.values[f.id] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ key: `field:${f.id}`, label: f.name, fieldId: f.id, type: f.type, from, to });
+    }
+  });
+  return changes;
+};
+
+// Record the item's state after a create, update or restore. `before` is the snapshotItem result
+// from before the change (none for a create); items saved before revisions existed get a baseline
+// revision of that earlier state first, so it can be restored too. Saves that change nothing are
+// not recorded.
+const recordRevision = async (itemId, fields, { before, userId, action, restoredFromVersion = null, transaction }) => {
+  const after = await snapshotItem(itemId, fields, transaction);
+  const changes = diffSnapshots(before?.snapshot, after.snapshot, fields);
+  if (before && changes.length === 0) return null;
+
+  if (before && !(await ItemRevision.count({ where: { itemId }, transaction }))) {
+    await ItemRevision.create({
+      itemId,
+      version: before.version,
+      action: 'baseline',
+      changes: [],
+      snapshot: before.snapshot,
+      userId: null
+    }, { transaction });
+  }
+  return ItemRevision.create({
+    itemId,
+    version: after.version,
+    action,
+    changes,
+    snapshot: after.snapshot,
+    restoredFromVersion,
+    userId
+  }, { transaction });
+};
+
+module.exports = {
+  snapshotItem,
+  diffSnapshots,
+  recordRevision
+};
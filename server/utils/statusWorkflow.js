@@ -0,0 +1,103 @@
+const { Op } = require('sequelize');
+const { Item, ItemStatusChange, sequelize } = require('../models');
+const { canWriteInventory } = require('./access');
+const { normalizeStatusWorkflow, statusRoles, transitionError, allowedTransitions } = require('../../shared/statusWorkflow.mjs');
+
+const workflowError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// `statusWorkflow` as sent to the inventory routes: a workflow object or its JSON (multipart forms),
+// or null / 'null' / '' to turn the workflow off. Resolves to { workflow } or { error }.
+const parseStatusWorkflow = (raw) => {
+  if (raw === null || raw === '' || raw === 'null') return { workflow: null };
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return { error: 'statusWorkflow must be JSON' };
+    }
+  }
+  return value === null ? { workflow: null } : normalizeStatusWorkflow(value);
+};
+
+// Workflow roles `user` holds in `inventory` (see shared/statusWorkflow.mjs)
+const callerStatusRoles = async (inventory, user) => {
+  if (!user) return [];
+  const isOwner = user.isAdmin || inventory.creatorId === user.id;
+  return statusRoles({ isOwner, canWrite: isOwner || await canWriteInventory(inventory, user) });
+};
+
+// States the caller may move `item` to next
+const nextStatuses = async (item, inventory, user) => (
+  allowedTransitions(inventory.statusWorkflow, item.status, await callerStatusRoles(inventory, user))
+);
+
+// Move `item` to status `to` after checking the transition against the inventory's workflow and
+// the caller's roles, and record it in the history. Throws an error with a status when refused;
+// resolves to false when the item already has that status.
+const changeItemStatus = async (item, inventory, user, to, { note, transaction } = {}) => {
+  const refused = transitionError(inventory.statusWorkflow, item.status, to, await callerStatusRoles(inventory, user));
+  if (refused) throw workflowError(refused.message, refused.forbidden ? 403 : 400);
+  if (item.status === to) return false;
+  await ItemStatusChange.create({
+    itemId: item.id,
+    fromStatus: item.status,
+    toStatus: to,
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+    userId: user.id
+  }, { transaction });
+  await item.update({ status: to }, { transaction });
+  return true;
+};
+
+// Put a new item into the workflow's initial state
+const setInitialStatus = async (item, workflow, userId, transaction) => {
+  if (!workflow) return;
+  await ItemStatusChange.create({ itemId: item.id, fromStatus: null, toStatus: workflow.initial, userId }, { transaction });
+  await item.update({ status: workflow.initial }, { transaction });
+};
+
+// Bring the items of `inventoryId` in line with a new workflow (or none). Items without a status
+// start in the initial state; items still in a state the new workflow drops block the change (409).
+// Turning the workflow off clears every item's status; the history is kept. Items in the trash are
+// included, so they come back with a status the workflow has.
+const applyWorkflowToItems = async (inventoryId, workflow, userId, transaction) => {
+  if (!workflow) {
+    await Item.update({ status: null }, { where: { inventoryId, status: { [Op.ne]: null } }, paranoid: false, transaction });
+    return;
+  }
+  const stranded = await Item.findAll({
+    where: { inventoryId, status: { [Op.notIn]: workflow.states.map((s) => s.key) } },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count'], [sequelize.fn('COUNT', sequelize.col('deletedAt')), 'trashed']],
+    group: ['status'],
+    raw: true,
+    paranoid: false,
+    transaction
+  });
+  if (stranded.length > 0) {
+    const list = stranded
+      .map((row) => `${row.count} in "${row.status}"${Number(row.trashed) > 0 ? `, ${row.trashed} of them in the trash` : ''}`)
+      .join('; ');
+    throw workflowError(`Move the items out of the states being removed first (${list})`, 409);
+  }
+  await sequelize.query(
+    `INSERT INTO "${ItemStatusChange.getTableName()}" ("id", "fromStatus", "toStatus", "note", "itemId", "userId", "createdAt", "updatedAt")
+     SELECT gen_random_uuid(), NULL, :initial, 'Status workflow turned on', "id", :userId, NOW(), NOW()
+     FROM "${Item.getTableName()}" WHERE "inventoryId" = :inventoryId AND "status" IS NULL`,
+    { replacements: { initial: workflow.initial, userId, inventoryId }, transaction }
+  );
+  await Item.update({ status: workflow.initial }, { where: { inventoryId, status: null }, paranoid: false, transaction });
+};
+
+module.exports = {
+  parseStatusWorkflow,
+  callerStatusRoles,
+  nextStatuses,
+  changeItemStatus,
+  setInitialStatus,
+  applyWorkflowToItems
+};
@@ -0,0 +1,109 @@
+const { Item, Inventory, StockMovement, sequelize, STOCK_MOVEMENT_TYPES } = require('../models');
+
+// Largest on-hand quantity an item can reach (Item.quantity is a 32-bit integer)
+const MAX_QUANTITY = 1000000000;
+
+const stockError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isLowStock = (item) => item.lowStockThreshold !== null && item.lowStockThreshold !== undefined
+  && item.quantity <= item.lowStockThreshold;
+
+// Quantity fields of an item as the API returns them
+const stockSummary = (item) => ({
+  id: item.id,
+  inventoryId: item.inventoryId,
+  quantity: item.quantity,
+  lowStockThreshold: item.lowStockThreshold,
+  lowStock: isLowStock(item)
+});
+
+// Check a movement request { type, quantity, reason, targetItemId }. `quantity` is the amount
+// received, issued or transferred (at least 1), or for `adjust` the counted quantity on hand
+// (0 or more), which needs a reason. `itemId` is the item the stock moves from. Throws an error
+// with status 400 when the request is not usable.
+const parseMovement = (body, itemId) => {
+  const { type, targetItemId } = body;
+  if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+    throw stockError(`type must be one of ${STOCK_MOVEMENT_TYPES.join(', ')}`);
+  }
+  const quantity = Number(body.quantity);
+  const min = type === 'adjust' ? 0 : 1;
+  if (!Number.isInteger(quantity) || quantity < min || quantity > MAX_QUANTITY) {
+    throw stockError(type === 'adjust'
+      ? 'quantity must be the counted quantity on hand, a whole number of 0 or more'
+      : 'quantity must be a whole number of at least 1');
+  }
+  const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : null;
+  if (type === 'adjust' && !reason) {
+    throw stockError('A reason is required for an adjustment');
+  }
+  if (type === 'transfer' && !targetItemId) {
+    throw stockError('targetItemId is required for a transfer');
+  }
+  if (type === 'transfer' && String(targetItemId) === String(itemId)) {
+    throw stockError('An item cannot transfer stock to itself');
+  }
+  return { type, quantity, reason, targetItemId: type === 'transfer' ? String(targetItemId) : null };
+};
+
+// Apply a parsed movement to item `itemId` for user `userId` and write its ledger rows. Both items
+// of a transfer are locked in id order so concurrent movements cannot interleave or deadlock.
+// Resolves to { items: [source, target?], movements }. Runs in `transaction` when given.
+const applyStockMovement = async (itemId, movement, userId, { transaction } = {}) => {
+  const run = async (t) => {
+    const ids = [itemId, movement.targetItemId].filter(Boolean);
+    const locked = await Item.findAll({
+      where: { id: ids },
+      include: [{ model: Inventory, attributes: ['id', 'trackQuantity'] }],
+      order: [['id', 'ASC']],
+      lock: { level: t.LOCK.UPDATE, of: Item },
+      transaction: t
+    });
+    const source = locked.find((item) => item.id === itemId);
+    const target = movement.targetItemId ? locked.find((item) => item.id === movement.targetItemId) : null;
+    if (!source) throw stockError('Item not found', 404);
+    if (movement.targetItemId && !target) throw stockError('Target item not found', 404);
+    if (!source.Inventory.trackQuantity || (target && !target.Inventory.trackQuantity)) {
+      throw stockError('Quantity tracking is turned off for this inventory');
+    }
+
+    const { type, quantity, reason } = movement;
+    const change = {
+      receive: quantity,
+      issue: -quantity,
+      transfer: -quantity,
+      adjust: quantity - source.quantity
+    }[type];
+    if (source.quantity + change < 0) {
+      throw stockError(`Only ${source.quantity} on hand`, 409);
+    }
+    if (source.quantity + change > MAX_QUANTITY || (target && target.quantity + quantity > MAX_QUANTITY)) {
+      throw stockError(`Quantities cannot exceed ${MAX_QUANTITY}`);
+    }
+    if (change === 0) {
+      throw stockError(`The quantity on hand is already ${source.quantity}`);
+    }
+
+    await source.update({ quantity: source.quantity + change }, { transaction: t });
+    const rows = [{ type, change, quantityAfter: source.quantity, reason, itemId: source.id, relatedItemId: target?.id || null, userId }];
+    if (target) {
+      await target.update({ quantity: target.quantity + quantity }, { transaction: t });
+      rows.push({ type, change: quantity, quantityAfter: target.quantity, reason, itemId: target.id, relatedItemId: source.id, userId });
+    }
+    const movements = await StockMovement.bulkCreate(rows, { transaction: t });
+    return { items: target ? [source, target] : [source], movements };
+  };
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+module.exports = {
+  MAX_QUANTITY,
+  isLowStock,
+  stockSummary,
+  parseMovement,
+  applyStockMovement
+};
@@ -0,0 +1,225 @@
+const { FieldValue, Item, TemplateVersion, ArchivedFieldValue } = require('../models');
+const {
+  VALUE_COLUMNS,
+  matchFieldDefinitions,
+  syncFieldDefinitions,
+  coerceFieldValue,
+  validateFieldValue,
+  readFieldValue,
+  computeFormulaValues
+} = require('./customFields');
+
+// Field definition properties kept in a template version snapshot
+const SNAPSHOT_KEYS = ['id', 'name', 'type', 'order', 'required', 'helpText', 'showInTable', 'validation', 'options', 'currency', 'targetInventoryId', 'formula'];
+// Properties that change how a field is answered or shown, but not where its values live
+const UPDATE_KEYS = ['order', 'required', 'helpText', 'showInTable', 'validation', 'options', 'currency', 'targetInventoryId', 'formula'];
+
+const snapshotFields = (fields) => fields.map((f) => {
+  const snapshot = {};
+  SNAPSHOT_KEYS.forEach((key) => { snapshot[key] = f[key] ?? null; });
+  return snapshot;
+});
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields renamed by saving `defs` over the `existing` definitions, as [oldName, newName] pairs.
+// Names still used by another field are left out.
+const fieldRenames = (existing, defs) => {
+  const { pairs } = matchFieldDefinitions(existing, defs);
+  const names = new Set(defs.map((d) => d.name));
+  return pairs
+    .filter(({ def, match }) => match && match.name !== def.name && !names.has(match.name))
+    .map(({ def, match }) => [match.name, def.name]);
+};
+
+// Point formulas at the new names of renamed fields, so renaming "Qty" to "Quantity"
+// turns {Qty} into {Quantity}
+const followRenames = (existing, defs) => {
+  const renames = fieldRenames(existing, defs)
+    .map(([from, to]) => [new RegExp(`\\{\\s*${escapeRegExp(from)}\\s*\\}`, 'g'), `{${to}}`]);
+  if (renames.length === 0) return defs;
+
+  return defs.map((def) => (def.type === 'formula' && def.formula
+    ? { ...def, formula: renames.reduce((text, [pattern, replacement]) => text.replace(pattern, () => replacement), def.formula) }
+    : def));
+};
+
+// What saving `defs` over the `existing` definitions would do, without item counts.
+// A field can be both renamed and retyped; each gets its own entry.
+const diffTemplate = (existing, defs) => {
+  const { pairs, removed } = matchFieldDefinitions(existing, defs);
+  const changes = [];
+
+  pairs.forEach(({ def, match }) => {
+    if (!match) {
+      changes.push({ kind: 'add', name: def.name, type: def.type });
+      return;
+    }
+    if (match.name !== def.name) {
+      changes.push({ kind: 'rename', fieldId: match.id, name: def.name, previousName: match.name });
+    }
+    if (match.type !== def.type) {
+      changes.push({ kind: 'retype', fieldId: match.id, name: def.name, type: def.type, previousType: match.type });
+    }
+    const properties = UPDATE_KEYS.filter((key) => !sameValue(match[key], def[key]));
+    if (properties.length > 0) {
+      changes.push({ kind: 'update', fieldId: match.id, name: def.name, properties });
+    }
+  });
+
+  removed.forEach((f) => {
+    changes.push({ kind: 'remove', fieldId: f.id, name: f.name, type: f.type });
+  });
+
+  return { pairs, removed, changes };
+};
+
+// Old answer in the form the new type's validation accepts
+const toConvertibleAnswer = (previousType, type, value) => {
+  if (value instanceof Date) value = value.toISOString();
+  if (previousType === 'datetime' && type === 'date') return String(value).slice(0, 10);
+  if (previousType === 'date' && type === 'datetime') return `${value}T00:00:00Z`;
+  if (typeof value === 'boolean') return String(value);
+  return value;
+};
+
+// Archived values are kept as JSON; timestamps become ISO strings
+const archivableValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Try to convert every stored answer of `field` to the type of `def`.
+// Returns { converted: [{ row, value }], failed: [row] }; nothing is written.
+const planConversion = async (field, def, transaction) => {
+  const rows = await FieldValue.findAll({ where: { fieldId: field.id }, transaction });
+  // Formula answers are computed, so typed answers have nothing to convert to
+  if (def.type === 'formula') return { converted: [], failed: rows };
+  const target = { ...def, required: false };
+  const converted = [];
+  const failed = [];
+
+  rows.forEach((row) => {
+    const raw = toConvertibleAnswer(field.type, def.type, readFieldValue(row));
+    if (validateFieldValue(target, raw)) {
+      failed.push(row);
+    } else {
+      converted.push({ row, value: coerceFieldValue(target, raw) });
+    }
+  });
+
+  // References must also point at an item of the new target inventory
+  if (def.type === 'reference' && converted.length > 0) {
+    const found = await Item.findAll({
+      where: { id: converted.map((c) => c.value), inventoryId: def.targetInventoryId },
+      attributes: ['id'],
+      transaction
+    });
+    const existingIds = new Set(found.map((i) => i.id));
+    converted.filter((c) => !existingIds.has(c.value)).forEach((c) => failed.push(c.row));
+    return { converted: converted.filter((c) => existingIds.has(c.value)), failed };
+  }
+
+  return { converted, failed };
+};
+
+// Count how many items each change touches. Retypes also report how many values
+// convert and how many would be archived as failures. `plans` receives the conversion
+// plans by field id so applyTemplate does not have to compute them twice.
+const countAffected = async ({ pairs, changes }, transaction, plans = new Map()) => {
+  const fieldIds = changes.filter((c) => c.fieldId).map((c) => c.fieldId);
+  const counts = new Map();
+  if (fieldIds.length > 0) {
+    const rows = await FieldValue.count({ where: { fieldId: [...new Set(fieldIds)] }, group: ['fieldId'], transaction });
+    rows.forEach((r) => counts.set(r.fieldId, Number(r.count)));
+  }
+
+  for (const change of changes) {
+    change.affectedItems = change.fieldId ? (counts.get(change.fieldId) || 0) : 0;
+    if (change.kind === 'retype') {
+      const { def, match } = pairs.find((p) => p.match && p.match.id === change.fieldId);
+      const plan = await planConversion(match, def, transaction);
+      plans.set(change.fieldId, plan);
+      change.converted = plan.converted.length;
+      change.failed = plan.failed.length;
+    }
+  }
+  return changes;
+};
+
+// Preview of a template save: the changes with affected item counts
+const previewTemplate = async (existing, defs, transaction) => {
+  const diff = diffTemplate(existing, defs);
+  return countAffected(diff, transaction);
+};
+
+// Save `defs` as the inventory's template and record a new schema version when anything changed.
+// Renamed fields keep their values, removed fields' values are archived, and retyped fields have
+// their values converted; values that fail conversion are archived as 'conversionFailed'.
+// Must run inside `transaction`. Returns { version, changes } (version is null when nothing changed).
+const applyTemplate = async (inventoryId, existing, defs, userId, transaction) => {
+  const diff = diffTemplate(existing, defs);
+  if (diff.changes.length === 0) {
+    await syncFieldDefinitions(inventoryId, defs, transaction);
+    return { version: null, changes: [] };
+  }
+
+  const plans = new Map();
+  const changes = await countAffected(diff, transaction, plans);
+  const version = ((await TemplateVersion.max('version', { where: { inventoryId }, transaction })) || 0) + 1;
+
+  const archive = (field, rows, reason) => ArchivedFieldValue.bulkCreate(rows.map((row) => ({
+    inventoryId,
+    itemId: row.itemId,
+    fieldId: field.id,
+    fieldName: field.name,
+    fieldType: field.type,
+    value: archivableValue(readFieldValue(row)),
+    reason,
+    templateVersion: version
+  })), { transaction });
+
+  for (const field of diff.removed) {
+    const rows = await FieldValue.findAll({ where: { fieldId: field.id }, transaction });
+    if (rows.length > 0) await archive(field, rows, 'removed');
+  }
+
+  for (const [fieldId, plan] of plans) {
+    const { match, def } = diff.pairs.find((p) => p.match && p.match.id === fieldId);
+    if (plan.failed.length > 0) {
+      await archive(match, plan.failed, 'conversionFailed');
+      await FieldValue.destroy({ where: { id: plan.failed.map((row) => row.id) }, transaction });
+    }
+    const cleared = {};
+    new Set(Object.values(VALUE_COLUMNS)).forEach((column) => { cleared[column] = null; });
+    for (const { row, value } of plan.converted) {
+      await row.update({ ...cleared, [VALUE_COLUMNS[def.type]]: value }, { transaction });
+    }
+  }
+
+  const fields = await syncFieldDefinitions(inventoryId, defs, transaction);
+  // Any field change can alter what a formula sees, so formulas are recomputed for every item,
+  // trashed ones included so they are current when restored
+  if (fields.some((f) => f.type === 'formula')) {
+    const items = await Item.findAll({ where: { inventoryId }, attributes: ['id'], paranoid: false, transaction });
+    await computeFormulaValues(items.map((i) => i.id), fields, transaction);
+  }
+  await TemplateVersion.create({
+    inventoryId,
+    version,
+    fields: snapshotFields(fields),
+    changes,
+    createdBy: userId
+  }, { transaction });
+
+  return { version, changes };
+};
+
+module.exports = {
+  toConvertibleAnswer,
+  snapshotFields,
+  diffTemplate,
+  fieldRenames,
+  followRenames,
+  previewTemplate,
+  applyTemplate
+};
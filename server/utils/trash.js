@@ -0,0 +1,62 @@
+const { Op } = require('sequelize');
+const { Inventory, Item, Comment, Attachment, sequelize } = require('../models');
+const { destroyAttachmentFiles } = require('./attachments');
+
+// Days a deleted inventory, item or comment stays restorable before the purge removes it for good
+const TRASH_RETENTION_DAYS = Math.max(1, parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the purge will remove a row deleted at `deletedAt`
+const purgeAfter = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Move an inventory to the trash together with its items and comments. They all get the
+// inventory's deletedAt, which is how restoreInventory tells them from rows deleted earlier.
+const trashInventory = (inventory) => sequelize.transaction(async (transaction) => {
+  await inventory.destroy({ transaction });
+  const { deletedAt } = inventory;
+  await Item.update({ deletedAt }, { where: { inventoryId: inventory.id }, transaction });
+  await Comment.update({ deletedAt }, { where: { inventoryId: inventory.id }, transaction });
+  return deletedAt;
+});
+
+// Bring a trashed inventory back with the items and comments that were deleted along with it;
+// those deleted on their own before stay in the trash
+const restoreInventory = (inventory) => sequelize.transaction(async (transaction) => {
+  const where = { inventoryId: inventory.id, deletedAt: inventory.deletedAt };
+  await Item.restore({ where, transaction });
+  await Comment.restore({ where, transaction });
+  await inventory.restore({ transaction });
+});
+
+// Permanently delete everything that has been in the trash longer than the retention period,
+// along with the uploaded files of the purged items' attachments. Returns the counts removed.
+const purgeTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { [Op.lt]: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } };
+  const attachments = [];
+  const counts = await sequelize.transaction(async (transaction) => {
+    const inventories = await Inventory.findAll({ where: expired, attributes: ['id'], paranoid: false, transaction });
+    const inventoryIds = inventories.map((inv) => inv.id);
+    // Items and comments of a purged inventory go with it even if they were deleted later
+    const owned = { [Op.or]: [expired, { inventoryId: inventoryIds }] };
+    const items = await Item.findAll({ where: owned, attributes: ['id'], paranoid: false, transaction });
+    const itemIds = items.map((item) => item.id);
+    if (itemIds.length > 0) {
+      attachments.push(...await Attachment.findAll({ where: { itemId: itemIds }, attributes: ['publicId', 'resourceType'], transaction }));
+    }
+    return {
+      comments: await Comment.destroy({ where: owned, force: true, transaction }),
+      items: itemIds.length > 0 ? await Item.destroy({ where: { id: itemIds }, force: true, transaction }) : 0,
+      inventories: inventoryIds.length > 0 ? await Inventory.destroy({ where: { id: inventoryIds }, force: true, transaction }) : 0
+    };
+  });
+  await destroyAttachmentFiles(attachments);
+  return counts;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAfter,
+  trashInventory,
+  restoreInventory,
+  purgeTrash
+};
@@ -0,0 +1,292 @@
+// Custom ID formats, shared by the server (generation and validation, via server/utils/customId.js)
+// and the client (previews and warnings, via client/src/utils/customIdPreview.js). Plain ES module
+// without dependencies so both sides run the same code.
+//
+// A format is a list of elements whose output is joined:
+//  - text: fixed string in `value` (older formats call it `fixed`)
+//  - random20/random32: 5/8 hex digits; random6/random9: 6/9 decimal digits
+//  - guid: random UUID
+//  - datetime: `format` made of YYYY YY MM DD HH mm ss WW (ISO week) Q (quarter); other characters are kept
+//  - sequence: counter with optional `padding`, starting over per `reset` (never/daily/monthly/yearly)
+//  - checksum: check digit over the characters before it (`algorithm` luhn or mod11)
+//  - field: the item's answer to the field named `field`, cut to `length` characters
+//  - initials: the creator's initials
+
+// Regenerations allowed when a random ID collides with an existing one
+export const MAX_RANDOM_ATTEMPTS = 10;
+
+// Distinct values each random element can produce
+export const RANDOM_SPACE = {
+  random20: 2 ** 20,
+  random32: 2 ** 32,
+  random6: 1e6,
+  random9: 1e9,
+};
+
+// How often a `sequence` element starts over at 1
+export const SEQUENCE_RESETS = ['never', 'daily', 'monthly', 'yearly'];
+export const CHECKSUM_ALGORITHMS = ['luhn', 'mod11'];
+// Field types whose answer a `field` element can put into the ID
+export const ID_FIELD_TYPES = ['singleLineText', 'numeric', 'select', 'date'];
+
+const HEX = '[0-9a-fA-F]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Version 4 UUID; browsers only offer crypto.randomUUID() on HTTPS pages, getRandomValues() everywhere
+const randomUuid = () => {
+  if (globalThis.crypto.randomUUID) return globalThis.crypto.randomUUID();
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// ISO 8601 week number of the UTC date: weeks start on Monday and week 1 holds the year's first Thursday
+const isoWeek = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+};
+
+// Tokens of the `datetime` element's format, written in UTC like the formula clock and the
+// sequence periods so an ID reads the same wherever it was generated; any other character is
+// copied as is
+const DATE_TOKEN_RE = /YYYY|YY|MM|DD|HH|mm|ss|WW|Q/g;
+const DATE_TOKENS = {
+  YYYY: { format: (d) => String(d.getUTCFullYear()), pattern: '\\d{4}' },
+  YY: { format: (d) => String(d.getUTCFullYear()).slice(-2), pattern: '\\d{2}' },
+  MM: { format: (d) => pad2(d.getUTCMonth() + 1), pattern: '(?:0[1-9]|1[0-2])' },
+  DD: { format: (d) => pad2(d.getUTCDate()), pattern: '(?:0[1-9]|[12]\\d|3[01])' },
+  HH: { format: (d) => pad2(d.getUTCHours()), pattern: '(?:[01]\\d|2[0-3])' },
+  mm: { format: (d) => pad2(d.getUTCMinutes()), pattern: '[0-5]\\d' },
+  ss: { format: (d) => pad2(d.getUTCSeconds()), pattern: '[0-5]\\d' },
+  WW: { format: (d) => pad2(isoWeek(d)), pattern: '(?:0[1-9]|[1-4]\\d|5[0-3])' },
+  Q: { format: (d) => String(Math.floor(d.getUTCMonth() / 3) + 1), pattern: '[1-4]' },
+};
+
+const formatDate = (format, date) => format.replace(DATE_TOKEN_RE, (token) => DATE_TOKENS[token].format(date));
+
+const datePattern = (format) => {
+  let pattern = '';
+  let last = 0;
+  for (const match of format.matchAll(DATE_TOKEN_RE)) {
+    pattern += escapeRegExp(format.slice(last, match.index)) + DATE_TOKENS[match[0]].pattern;
+    last = match.index + match[0].length;
+  }
+  return pattern + escapeRegExp(format.slice(last));
+};
+
+// Check digits: digits count as themselves and letters as 10-35 (A-Z, any case); other characters are skipped
+const checkValues = (text) => [...String(text).toUpperCase()].map((ch) => parseInt(ch, 36)).filter(Number.isFinite);
+
+// Luhn (mod 10) digit over the values written out as decimal digits
+const luhnDigit = (text) => {
+  const digits = checkValues(text).flatMap((value) => [...String(value)].map(Number)).reverse();
+  const sum = digits.reduce((total, digit, idx) => {
+    const weighted = idx % 2 === 0 ? digit * 2 : digit;
+    return total + (weighted > 9 ? weighted - 9 : weighted);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Mod 11 digit with weights 2-7 repeating from the right; a remainder of 10 is written as X
+const mod11Digit = (text) => {
+  const sum = checkValues(text).reverse().reduce((total, value, idx) => total + value * (2 + (idx % 6)), 0);
+  const digit = (11 - (sum % 11)) % 11;
+  return digit === 10 ? 'X' : String(digit);
+};
+
+export const checkDigit = (text, algorithm) => (algorithm === 'mod11' ? mod11Digit(text) : luhnDigit(text));
+
+// A field answer as it appears in an ID: trimmed, inner whitespace turned into dashes, cut to `length`
+const fieldText = (value, length) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value).trim().replace(/\s+/g, '-');
+  return length > 0 ? text.slice(0, length) : text;
+};
+
+const isNameChar = (ch) => /[\p{L}\p{N}]/u.test(ch);
+
+// First letters of the user's first and last name, or the first two letters of the username
+const initialsOf = (user) => {
+  const first = (text) => [...String(text || '').trim()].find(isNameChar) || '';
+  const initials = first(user?.firstName) + first(user?.lastName);
+  if (initials) return initials.toUpperCase();
+  return [...String(user?.username || '')].filter(isNameChar).slice(0, 2).join('').toUpperCase();
+};
+
+// Build a custom ID from a format. `context` holds what the elements need: `sequences` (number
+// per reset kind, e.g. { never: 12, daily: 3 }), `fieldValues` (answers by field name), `creator`
+// (for initials) and `now` (for dates).
+export const generateCustomId = (format, context = {}) => {
+  const { sequences = {}, fieldValues = {}, creator = null, now = new Date() } = context;
+  let customId = '';
+
+  (Array.isArray(format) ? format : []).forEach((element) => {
+    switch (element?.type) {
+      case 'text':
+      case 'fixed':
+        customId += element.value || '';
+        break;
+      case 'random20':
+        customId += Math.floor(Math.random() * 2 ** 20).toString(16).padStart(5, '0');
+        break;
+      case 'random32':
+        customId += Math.floor(Math.random() * 2 ** 32).toString(16).padStart(8, '0');
+        break;
+      case 'random6':
+        customId += Math.floor(Math.random() * 1e6).toString().padStart(6, '0');
+        break;
+      case 'random9':
+        customId += Math.floor(Math.random() * 1e9).toString().padStart(9, '0');
+        break;
+      case 'guid':
+        customId += randomUuid();
+        break;
+      case 'datetime':
+        customId += formatDate(element.format || 'YYYYMMDD', now);
+        break;
+      case 'sequence': {
+        const seqValue = String(sequences[element.reset || 'never'] ?? 1);
+        const padding = element.padding || 0;
+        customId += padding > 0 ? seqValue.padStart(padding, '0') : seqValue;
+        break;
+      }
+      case 'checksum':
+        customId += checkDigit(customId, element.algorithm);
+        break;
+      case 'field':
+        customId += fieldText(fieldValues[element.field], element.length);
+        break;
+      case 'initials':
+        customId += initialsOf(creator);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return customId;
+};
+
+// Regular expression source for the text one format element generates
+const elementPattern = (element) => {
+  switch (element?.type) {
+    case 'text':
+    case 'fixed':
+      return escapeRegExp(element.value || '');
+    case 'random20':
+      return `${HEX}{5}`;
+    case 'random32':
+      return `${HEX}{8}`;
+    case 'random6':
+      return '\\d{6}';
+    case 'random9':
+      return '\\d{9}';
+    case 'guid':
+      return `${HEX}{8}-${HEX}{4}-${HEX}{4}-${HEX}{4}-${HEX}{12}`;
+    case 'datetime':
+      return datePattern(element.format || 'YYYYMMDD');
+    case 'sequence': {
+      // Padding is a minimum width: numbers longer than it are written in full
+      const padding = element.padding || 0;
+      return padding > 0 ? `\\d{${padding},}` : '\\d+';
+    }
+    case 'checksum':
+      return element.algorithm === 'mod11' ? '[0-9X]' : '\\d';
+    case 'field':
+      return element.length > 0 ? `\\S{0,${element.length}}` : '\\S*';
+    case 'initials':
+      return '[\\p{L}\\p{N}]{0,2}';
+    default:
+      return '';
+  }
+};
+
+// Anchored pattern matching every custom ID the format can generate, one group per element
+export const customIdPattern = (format) => new RegExp(
+  `^${(Array.isArray(format) ? format : []).map((element) => `(${elementPattern(element)})`).join('')}$`,
+  'u'
+);
+
+// Test for IDs the format could have generated: the pattern has to match and every check digit
+// has to agree with the characters before it. Without a format any ID is accepted.
+export const customIdMatcher = (format) => {
+  if (!Array.isArray(format) || format.length === 0) return () => true;
+  const pattern = customIdPattern(format);
+  return (customId) => {
+    const match = pattern.exec(String(customId ?? ''));
+    if (!match) return false;
+    let prefix = '';
+    return format.every((element, idx) => {
+      const part = match[idx + 1];
+      const valid = element.type !== 'checksum' || part === checkDigit(prefix, element.algorithm);
+      prefix += part;
+      return valid;
+    });
+  };
+};
+
+export const matchesCustomIdFormat = (format, customId) => customIdMatcher(format)(customId);
+
+// Counter name for a resetting sequence at `date` ('D2026-10-19', 'M2026-10', 'Y2026'); null for `never`.
+// Periods start at midnight UTC, when the `datetime` element's date changes too.
+export const sequencePeriod = (reset, date) => {
+  const year = date.getUTCFullYear();
+  switch (reset) {
+    case 'daily':
+      return `D${year}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+    case 'monthly':
+      return `M${year}-${pad2(date.getUTCMonth() + 1)}`;
+    case 'yearly':
+      return `Y${year}`;
+    default:
+      return null;
+  }
+};
+
+// Date tokens a resetting sequence needs next to it to stay unique after it starts over
+const PERIOD_TOKENS = {
+  yearly: [['YYYY', 'YY']],
+  monthly: [['YYYY', 'YY'], ['MM']],
+  daily: [['YYYY', 'YY'], ['MM'], ['DD']],
+};
+
+const datesCoverPeriod = (elements, reset) => {
+  const tokens = new Set(elements
+    .filter((el) => el.type === 'datetime')
+    .flatMap((el) => (el.format || 'YYYYMMDD').match(DATE_TOKEN_RE) || []));
+  return (PERIOD_TOKENS[reset] || []).every((group) => group.some((token) => tokens.has(token)));
+};
+
+// How likely the format is to produce an ID that is already taken, given `itemCount` existing IDs.
+// GUIDs and sequences never repeat, unless the sequence starts over and the ID has no date for
+// its period (`repeats` then names the reset). Otherwise the random elements multiply into
+// `space` possible IDs; dates, field values and initials are ignored because many items share them.
+// Returns { unique, repeats, space, bits, collisionChance, failureChance, level } where
+// `collisionChance` is the chance that one generated ID is taken, `failureChance` that every retry
+// of a create is, and `level` is 'ok', 'warning' (retries are becoming common) or 'danger'
+// (creates are likely to fail).
+export const collisionRisk = (format, itemCount) => {
+  const elements = Array.isArray(format) ? format : [];
+  const sequences = elements.filter((el) => el.type === 'sequence');
+  if (elements.some((el) => el.type === 'guid')
+    || sequences.some((el) => !el.reset || el.reset === 'never' || datesCoverPeriod(elements, el.reset))) {
+    return { unique: true, repeats: null, space: null, bits: null, collisionChance: 0, failureChance: 0, level: 'ok' };
+  }
+
+  const repeats = sequences.length > 0 ? sequences[0].reset : null;
+  const space = elements.reduce((total, el) => total * (RANDOM_SPACE[el.type] || 1), 1);
+  const collisionChance = Math.min(1, itemCount / space);
+  const failureChance = collisionChance ** MAX_RANDOM_ATTEMPTS;
+  let level = 'ok';
+  if ((!repeats && space <= itemCount + 1) || (repeats && space <= 1) || failureChance >= 1e-3) level = 'danger';
+  else if (repeats || collisionChance >= 0.01) level = 'warning';
+
+  return { unique: false, repeats, space, bits: Math.round(Math.log2(space) * 10) / 10, collisionChance, failureChance, level };
+};
@@ -0,0 +1,86 @@
+// Field mappings for moving and copying items between inventories, shared by the server (the bulk
+// item route) and the client (the mapping editor). Plain ES module without dependencies so both
+// sides run the same code.
+//
+// A mapping is { [sourceFieldId]: targetFieldId }: the answer to each listed source field goes to
+// that target field, converted when the types differ. Unlisted source fields are dropped; formula
+// fields are never mapped because the target recomputes its own.
+
+// Source types whose answers convert into each target type, besides the target's own type.
+// Anything but a reference reads as text; values that do not fit (e.g. a select option the target
+// lacks) fail the target's field rules item by item.
+const TEXT_SOURCES = ['singleLineText', 'multiLineText', 'numeric', 'documentImage', 'boolean', 'select', 'date', 'datetime', 'currency'];
+const CONVERSIONS = {
+  singleLineText: TEXT_SOURCES,
+  multiLineText: TEXT_SOURCES,
+  numeric: ['currency'],
+  currency: ['numeric'],
+  date: ['datetime'],
+  datetime: ['date'],
+  select: ['singleLineText']
+};
+
+const fieldKey = (field) => String(field.name || '').trim().toLowerCase();
+
+// Whether answers to `source` can go to `target`. Reference answers only go to reference fields
+// pointing at the same inventory, since they name items there.
+export const canMapField = (source, target) => {
+  if (!source || !target || source.type === 'formula' || target.type === 'formula') return false;
+  if (source.type === 'reference' || target.type === 'reference') {
+    return source.type === target.type && String(source.targetInventoryId) === String(target.targetInventoryId);
+  }
+  return source.type === target.type || (CONVERSIONS[target.type] || []).includes(source.type);
+};
+
+// Mapping by field name (ignoring case) wherever the named target field can take the answers
+export const defaultFieldMapping = (sourceFields, targetFields) => {
+  const byKey = new Map(targetFields.filter((f) => f.type !== 'formula').map((f) => [fieldKey(f), f]));
+  const mapping = {};
+  sourceFields.forEach((field) => {
+    const target = byKey.get(fieldKey(field));
+    if (canMapField(field, target)) mapping[field.id] = target.id;
+  });
+  return mapping;
+};
+
+// The default mapping with `overrides` ({ [sourceFieldId]: targetFieldId | null }, null to drop
+// the field) applied. Returns { mapping, errors } where `errors` lists a message per override that
+// names an unknown field or a target its answers cannot go to, and per target field given more
+// than one source.
+export const resolveFieldMapping = (sourceFields, targetFields, overrides = {}) => {
+  const mapping = defaultFieldMapping(sourceFields, targetFields);
+  const errors = [];
+  const sources = new Map(sourceFields.map((f) => [String(f.id), f]));
+  const targets = new Map(targetFields.map((f) => [String(f.id), f]));
+
+  Object.entries(overrides && typeof overrides === 'object' ? overrides : {}).forEach(([sourceId, targetId]) => {
+    const source = sources.get(sourceId);
+    if (!source) {
+      errors.push(`Unknown source field ${sourceId}`);
+      return;
+    }
+    if (targetId === null || targetId === '') {
+      delete mapping[source.id];
+      return;
+    }
+    const target = targets.get(String(targetId));
+    if (!canMapField(source, target)) {
+      errors.push(target
+        ? `Answers to "${source.name}" cannot go to "${target.name}"`
+        : `"${source.name}" is mapped to a field the target inventory does not have`);
+      return;
+    }
+    mapping[source.id] = target.id;
+  });
+
+  const used = new Map();
+  Object.entries(mapping).forEach(([sourceId, targetId]) => {
+    if (used.has(targetId)) {
+      errors.push(`"${sources.get(sourceId).name}" and "${sources.get(used.get(targetId)).name}" both map to "${targets.get(String(targetId)).name}"`);
+    } else {
+      used.set(targetId, sourceId);
+    }
+  });
+
+  return { mapping, errors };
+};
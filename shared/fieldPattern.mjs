@@ -0,0 +1,173 @@
+// Format patterns of text fields, shared by the server (answer validation in
+// server/utils/customFields.js) and the client (the field editor and form checks). Plain ES module
+// without dependencies so both sides run the same code.
+//
+// Patterns are regular expressions written by inventory owners and run against every answer, so a
+// pattern that backtracks catastrophically, such as (a+)+$ or \w*\w*\w*!, could stall the server.
+// Refused are patterns that repeat a group which itself repeats or has alternatives, that follow
+// an open-ended repeat with another one able to match the same characters, or that use
+// backreferences; pattern and checked answer lengths are capped.
+
+export const MAX_PATTERN_LENGTH = 200;
+export const MAX_PATTERN_INPUT_LENGTH = 1000;
+
+const QUANTIFIER_RE = /^(?:[*+?]|\{(\d+)(?:(,)(\d*))?\})/;
+const LOOKAROUND_RE = /^\(\?(?:=|!|<=|<!)/;
+const GROUP_PREFIX_RE = /^\(\?(?::|<[A-Za-z_][\w]*>)/;
+
+// Characters tried against each atom to tell which characters it matches, together with those
+// written in the pattern itself. Two ranges that overlap share an end point, so checking the
+// pattern's own characters catches overlaps outside this list.
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', '\r', '\u00a0', '\u00e9', '\u0436', '\u4e2d', '\u2028'
+];
+
+// The pattern as tokens: { type: 'atom', text } for a character, class, escape or '.',
+// 'open' (with `lookaround`), 'close', 'alt', 'anchor', 'quantifier' (with `min`, `max`) and
+// 'backreference'
+const tokenize = (pattern) => {
+  const tokens = [];
+  let i = 0;
+  while (i < pattern.length) {
+    const rest = pattern.slice(i);
+    const ch = pattern[i];
+    if (ch === '\\') {
+      const next = pattern[i + 1] || '';
+      if (/[1-9k]/.test(next)) {
+        tokens.push({ type: 'backreference' });
+        i += 2;
+      } else if (next === 'b' || next === 'B') {
+        tokens.push({ type: 'anchor' });
+        i += 2;
+      } else {
+        const escape = /^\\(?:x[0-9A-Fa-f]{2}|u[0-9A-Fa-f]{4}|c[A-Za-z]|[\s\S])/.exec(rest)[0];
+        tokens.push({ type: 'atom', text: escape });
+        i += escape.length;
+      }
+      continue;
+    }
+    if (ch === '[') {
+      let j = i + 1;
+      if (pattern[j] === '^') j += 1;
+      while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+      tokens.push({ type: 'atom', text: pattern.slice(i, j + 1) });
+      i = j + 1;
+      continue;
+    }
+    if (ch === '(') {
+      const lookaround = LOOKAROUND_RE.exec(rest);
+      const prefix = lookaround || GROUP_PREFIX_RE.exec(rest);
+      tokens.push({ type: 'open', lookaround: Boolean(lookaround) });
+      i += prefix ? prefix[0].length : 1;
+      continue;
+    }
+    if (ch === ')' || ch === '|' || ch === '^' || ch === '$') {
+      tokens.push({ type: { ')': 'close', '|': 'alt', '^': 'anchor', $: 'anchor' }[ch] });
+      i += 1;
+      continue;
+    }
+    const quantifier = QUANTIFIER_RE.exec(rest);
+    if (quantifier) {
+      const [text, min, comma, max] = quantifier;
+      const bounds = { '*': [0, Infinity], '+': [1, Infinity], '?': [0, 1] }[text]
+        || [Number(min), comma ? (max === '' ? Infinity : Number(max)) : Number(min)];
+      tokens.push({ type: 'quantifier', min: bounds[0], max: bounds[1] });
+      i += text.length + (pattern[i + text.length] === '?' ? 1 : 0);
+      continue;
+    }
+    tokens.push({ type: 'atom', text: ch });
+    i += 1;
+  }
+  return tokens;
+};
+
+const union = (a, b) => (a && b ? new Set([...a, ...b]) : a || b);
+const overlaps = (a, b) => [...a].some((c) => b.has(c));
+const within = (a, b) => [...a].every((c) => b.has(c));
+
+// Whether `pattern` repeats (with *, + or {n,m} above one) a group containing a repeat or an
+// alternation, refers back to a group, or has an open-ended repeat that can take over characters
+// of the open-ended repeat before it (\w*\w*, a+a*, \S+@\S+: everything between the two could be
+// matched by the first one). Those make the number of ways to try an answer grow with a power of
+// its length.
+const hasRiskyRepetition = (pattern) => {
+  const samples = [...new Set([...SAMPLE_CHARS, ...pattern.split('')])];
+  const charsOf = (text) => {
+    const re = new RegExp(`^(?:${text})$`);
+    return new Set(samples.filter((c) => re.test(c)));
+  };
+  // A group being read: `run` holds the characters of the open-ended repeat whose reach the
+  // current position is still in (null when something else was matched since), `chars` those of
+  // all atoms of the group
+  const openGroup = (run, lookaround) => ({ run, entry: run, exits: [], chars: new Set(), repeats: false, alternates: false, lookaround });
+  const stack = [openGroup(null, false)];
+  let pending = null; // the atom or group just read, which a quantifier may follow
+
+  // Account for `atom` ({ chars, group }) in the group being read, repeated as `quantifier` says
+  const place = (atom, { min, max }) => {
+    const group = stack[stack.length - 1];
+    if (atom.group && atom.group.lookaround) return false;
+    if (atom.group && max > 1 && (atom.group.repeats || atom.group.alternates)) return true;
+    group.chars = union(group.chars, atom.chars);
+    if (max > 1) group.repeats = true;
+    if (max === Infinity) {
+      if (group.run && overlaps(group.run, atom.chars)) return true;
+      group.run = atom.chars;
+    } else if (min === 0) {
+      group.run = union(group.run, atom.group ? atom.group.exit : null);
+    } else if (atom.group && max === 1) {
+      group.run = atom.group.exit;
+    } else if (!(group.run && within(atom.chars, group.run))) {
+      group.run = null;
+    }
+    return false;
+  };
+  const flush = (quantifier = { min: 1, max: 1 }) => {
+    const atom = pending;
+    pending = null;
+    return atom ? place(atom, quantifier) : false;
+  };
+
+  for (const token of tokenize(pattern)) {
+    if (token.type === 'quantifier') {
+      if (flush(token)) return true;
+      continue;
+    }
+    if (flush()) return true;
+    const group = stack[stack.length - 1];
+    if (token.type === 'backreference') return true;
+    if (token.type === 'atom') {
+      pending = { chars: charsOf(token.text) };
+    } else if (token.type === 'open') {
+      stack.push(openGroup(token.lookaround ? null : group.run, token.lookaround));
+    } else if (token.type === 'alt') {
+      group.alternates = true;
+      group.exits.push(group.run);
+      group.run = group.entry;
+    } else if (token.type === 'close' && stack.length > 1) {
+      stack.pop();
+      group.exit = [...group.exits, group.run].reduce(union, null);
+      pending = { chars: group.chars, group };
+    }
+  }
+  return flush();
+};
+
+// Why `pattern` cannot be used as a field format, or null when it can
+export const patternProblem = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern) return 'The pattern is empty';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `The pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(pattern);
+  } catch {
+    return 'Invalid regular expression';
+  }
+  if (hasRiskyRepetition(pattern)) {
+    return 'The pattern repeats a part that itself repeats or has alternatives, lets a repeat take over what the one before it matches, or refers back to a group, which can make checks take very long';
+  }
+  return null;
+};
+
+// The compiled pattern, or null when patternProblem finds one
+export const compileFieldPattern = (pattern) => (patternProblem(pattern) ? null : new RegExp(pattern));
@@ -0,0 +1,69 @@
+// Label sheets for printing item labels, shared by the server (PDF rendering in
+// server/utils/labels.js) and the client (the print dialog). All measures are millimetres.
+//
+// A sheet is { page, columns, rows, labelWidth, labelHeight, marginTop, marginLeft, gapX, gapY }:
+// labels are laid out left to right, top to bottom, starting `marginTop`/`marginLeft` from the
+// page's top left corner with `gapX`/`gapY` between neighbouring labels.
+
+export const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  LETTER: { width: 215.9, height: 279.4 },
+};
+
+// Avery-style presets
+export const LABEL_SHEETS = [
+  { id: 'avery-5160', name: 'Avery 5160 – Letter, 3 × 10, 66.7 × 25.4 mm', page: 'LETTER', columns: 3, rows: 10, labelWidth: 66.675, labelHeight: 25.4, marginTop: 12.7, marginLeft: 4.7625, gapX: 3.175, gapY: 0 },
+  { id: 'avery-5163', name: 'Avery 5163 – Letter, 2 × 5, 101.6 × 50.8 mm', page: 'LETTER', columns: 2, rows: 5, labelWidth: 101.6, labelHeight: 50.8, marginTop: 12.7, marginLeft: 3.96875, gapX: 4.7625, gapY: 0 },
+  { id: 'avery-5167', name: 'Avery 5167 – Letter, 4 × 20, 44.5 × 12.7 mm', page: 'LETTER', columns: 4, rows: 20, labelWidth: 44.45, labelHeight: 12.7, marginTop: 12.7, marginLeft: 7.62, gapX: 7.62, gapY: 0 },
+  { id: 'avery-l7160', name: 'Avery L7160 – A4, 3 × 7, 63.5 × 38.1 mm', page: 'A4', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginTop: 15.15, marginLeft: 7.25, gapX: 2.5, gapY: 0 },
+  { id: 'avery-l7163', name: 'Avery L7163 – A4, 2 × 7, 99.1 × 38.1 mm', page: 'A4', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 },
+  { id: 'avery-l7651', name: 'Avery L7651 – A4, 5 × 13, 38.1 × 21.2 mm', page: 'A4', columns: 5, rows: 13, labelWidth: 38.1, labelHeight: 21.2, marginTop: 10.7, marginLeft: 4.75, gapX: 2.5, gapY: 0 },
+];
+
+// Symbols a label can carry: Code 128 encodes the custom ID, the 2D codes a link to the item page
+export const LABEL_CODES = ['qr', 'datamatrix', 'code128'];
+
+export const MAX_LABEL_COPIES = 20;
+
+const SHEET_NUMBERS = ['columns', 'rows', 'labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'gapX', 'gapY'];
+
+// A preset by id, or a custom sheet built from `layout` with missing settings taken from the first preset
+export const resolveLabelSheet = (sheetId, layout) => {
+  if (sheetId && sheetId !== 'custom') return LABEL_SHEETS.find((sheet) => sheet.id === sheetId) || null;
+  const base = LABEL_SHEETS[0];
+  const sheet = { id: 'custom', name: 'Custom', page: layout?.page || base.page };
+  SHEET_NUMBERS.forEach((key) => {
+    sheet[key] = layout?.[key] === undefined || layout[key] === '' ? base[key] : Number(layout[key]);
+  });
+  return sheet;
+};
+
+// Why `sheet` cannot be printed, or null when its labels fit on the page
+export const labelSheetError = (sheet) => {
+  if (!sheet) return 'Unknown label sheet';
+  const page = PAGE_SIZES[sheet.page];
+  if (!page) return 'Page size must be A4 or LETTER';
+  if (!Number.isInteger(sheet.columns) || !Number.isInteger(sheet.rows) || sheet.columns < 1 || sheet.rows < 1 || sheet.columns * sheet.rows > 400) {
+    return 'Columns and rows must be whole numbers of at least 1 (at most 400 labels per page)';
+  }
+  if (SHEET_NUMBERS.some((key) => !Number.isFinite(sheet[key]) || sheet[key] < 0) || sheet.labelWidth < 5 || sheet.labelHeight < 5) {
+    return 'Labels must be at least 5 mm wide and high, and margins and gaps cannot be negative';
+  }
+  const width = sheet.marginLeft + sheet.columns * sheet.labelWidth + (sheet.columns - 1) * sheet.gapX;
+  const height = sheet.marginTop + sheet.rows * sheet.labelHeight + (sheet.rows - 1) * sheet.gapY;
+  if (width > page.width + 0.5 || height > page.height + 0.5) return 'The labels do not fit on the page';
+  return null;
+};
+
+// Top left corner of label `index` (0-based, counted over all pages) as { page, x, y }
+export const labelPosition = (sheet, index) => {
+  const perPage = sheet.columns * sheet.rows;
+  const slot = index % perPage;
+  const column = slot % sheet.columns;
+  const row = Math.floor(slot / sheet.columns);
+  return {
+    page: Math.floor(index / perPage),
+    x: sheet.marginLeft + column * (sheet.labelWidth + sheet.gapX),
+    y: sheet.marginTop + row * (sheet.labelHeight + sheet.gapY),
+  };
+};
@@ -0,0 +1,12 @@
+// Loan due dates, shared by the server (loan routes and the item list's overdue filter) and the
+// client (overdue markers and the due date picker). Plain ES module without dependencies so both
+// sides run the same code.
+//
+// A due date is a calendar date (YYYY-MM-DD) read in UTC, like the formula clock, so whether a
+// loan is overdue does not depend on the time zone of the browser, server or database.
+
+// The UTC date of `now` as YYYY-MM-DD
+export const utcToday = (now = new Date()) => now.toISOString().slice(0, 10);
+
+// An open loan is overdue once its due date has passed
+export const isLoanOverdue = (loan, today = utcToday()) => !!loan && !loan.returnedAt && !!loan.dueDate && loan.dueDate < today;
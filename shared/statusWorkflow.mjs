@@ -0,0 +1,120 @@
+// Item status workflows, shared by the server (validation and enforcement in the inventory and item
+// routes) and the client (the workflow editor and the status controls). Plain ES module without
+// dependencies so both sides run the same code.
+//
+// A workflow is { states, initial, transitions }:
+//  - states: [{ key, label, color }] in display order; `key` is what items store in `status`
+//  - initial: key of the state new items start in
+//  - transitions: [{ from, to, roles }], each a move an item may make; `roles` lists who may make it
+//
+// Roles: `owner` is the inventory's creator (and admins), `writer` anyone with write access. An
+// owner holds both roles.
+
+export const STATUS_ROLES = ['owner', 'writer'];
+export const STATUS_COLORS = ['gray', 'blue', 'green', 'yellow', 'orange', 'red', 'purple'];
+
+export const MAX_STATES = 20;
+export const MAX_TRANSITIONS = 200;
+
+const KEY_RE = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// State key derived from a label: "Under repair" -> "under-repair"
+export const statusKey = (label) => String(label || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50);
+
+// Starting point for an inventory turning the workflow on
+export const DEFAULT_WORKFLOW = {
+  states: [
+    { key: 'ordered', label: 'Ordered', color: 'gray' },
+    { key: 'received', label: 'Received', color: 'blue' },
+    { key: 'in-use', label: 'In use', color: 'green' },
+    { key: 'under-repair', label: 'Under repair', color: 'orange' },
+    { key: 'retired', label: 'Retired', color: 'red' },
+  ],
+  initial: 'ordered',
+  transitions: [
+    { from: 'ordered', to: 'received', roles: ['owner', 'writer'] },
+    { from: 'received', to: 'in-use', roles: ['owner', 'writer'] },
+    { from: 'in-use', to: 'under-repair', roles: ['owner', 'writer'] },
+    { from: 'under-repair', to: 'in-use', roles: ['owner', 'writer'] },
+    { from: 'in-use', to: 'retired', roles: ['owner'] },
+    { from: 'under-repair', to: 'retired', roles: ['owner'] },
+  ],
+};
+
+// Clean up a workflow as submitted: trims labels, derives missing keys, drops duplicate
+// transitions and unknown roles. Resolves to { workflow } or { error } with the first problem found.
+export const normalizeStatusWorkflow = (raw) => {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.states)) {
+    return { error: 'A status workflow needs a list of states' };
+  }
+  if (raw.states.length === 0) return { error: 'A status workflow needs at least one state' };
+  if (raw.states.length > MAX_STATES) return { error: `A status workflow can have at most ${MAX_STATES} states` };
+
+  const states = [];
+  for (const s of raw.states) {
+    const label = typeof s?.label === 'string' ? s.label.trim().slice(0, 50) : '';
+    if (!label) return { error: 'Every state needs a label' };
+    const key = typeof s.key === 'string' && s.key ? s.key : statusKey(label);
+    if (!KEY_RE.test(key)) return { error: `State "${label}" needs a key of lowercase letters, digits, - or _` };
+    if (states.some((other) => other.key === key)) return { error: `Two states share the key "${key}"` };
+    states.push({ key, label, color: STATUS_COLORS.includes(s.color) ? s.color : 'gray' });
+  }
+
+  const keys = new Set(states.map((s) => s.key));
+  const initial = raw.initial || states[0].key;
+  if (!keys.has(initial)) return { error: 'The initial state must be one of the states' };
+
+  const rawTransitions = Array.isArray(raw.transitions) ? raw.transitions : [];
+  if (rawTransitions.length > MAX_TRANSITIONS) return { error: `A status workflow can have at most ${MAX_TRANSITIONS} transitions` };
+  const transitions = [];
+  for (const t of rawTransitions) {
+    if (!keys.has(t?.from) || !keys.has(t?.to)) return { error: 'Transitions must go between defined states' };
+    if (t.from === t.to) return { error: 'A transition must lead to a different state' };
+    const roles = STATUS_ROLES.filter((role) => Array.isArray(t.roles) && t.roles.includes(role));
+    if (roles.length === 0) return { error: `Say who may move items from "${t.from}" to "${t.to}"` };
+    if (transitions.some((other) => other.from === t.from && other.to === t.to)) continue;
+    transitions.push({ from: t.from, to: t.to, roles });
+  }
+  return { workflow: { states, initial, transitions } };
+};
+
+export const findState = (workflow, key) => workflow?.states?.find((s) => s.key === key) || null;
+
+// Roles a caller holds, from their access to the inventory
+export const statusRoles = ({ isOwner, canWrite }) => {
+  if (isOwner) return ['owner', 'writer'];
+  return canWrite ? ['writer'] : [];
+};
+
+// States an item in state `from` may move to for a caller holding `roles`, in state order
+export const allowedTransitions = (workflow, from, roles) => {
+  if (!workflow) return [];
+  if (!findState(workflow, from)) return roles.includes('owner') ? workflow.states : [];
+  const targets = new Set(workflow.transitions
+    .filter((t) => t.from === from && t.roles.some((role) => roles.includes(role)))
+    .map((t) => t.to));
+  return workflow.states.filter((s) => targets.has(s.key));
+};
+
+// Why a move from `from` to `to` is refused for `roles` as { message, forbidden }, or null when it
+// is allowed; `forbidden` is set when the move exists but the roles may not make it. Items without
+// a status (or in a state that has since been removed) may be put into any state by an owner.
+export const transitionError = (workflow, from, to, roles) => {
+  if (!workflow) return { message: 'This inventory has no status workflow' };
+  if (!findState(workflow, to)) return { message: `Unknown status "${to}"` };
+  if (from === to) return null;
+  if (!findState(workflow, from)) {
+    return roles.includes('owner') ? null : { message: 'Only the owner can set the status of this item', forbidden: true };
+  }
+  const transition = workflow.transitions.find((t) => t.from === from && t.to === to);
+  if (!transition) {
+    return { message: `Items cannot move from "${findState(workflow, from).label}" to "${findState(workflow, to).label}"` };
+  }
+  if (!transition.roles.some((role) => roles.includes(role))) return { message: 'You may not make this status change', forbidden: true };
+  return null;
+};